@@ -0,0 +1,956 @@
+/**
+ * File browser widget of jQuery.filesystem, to be loaded after jquery.filesystem.js
+ * 
+ * @author Jerome Morino
+ * @created 2026-10-19
+ * @version 0.1
+ * @license MIT
+ */
+
+// ensure jQuery and jQuery.filesystem have been successfully loaded
+jQuery(function() {
+	
+	// local private scope
+	(function($, undefined) {
+		"use strict";
+		
+		
+		//=============================================================================
+		//=========================== Attributes ======================================
+		//=============================================================================
+	
+		
+		var filesystem = $.filesystem,
+			fnIsReservedPath = filesystem._fnIsReservedPath,
+			fnResolveConflict = filesystem._fnResolveConflict,
+			fnResolvePath = filesystem.path.resolve,
+			fnDirname = filesystem.path.dirname;
+		
+		
+		//=============================================================================
+		//=========================== Constants =======================================
+		//=============================================================================
+		
+		
+		/*
+		 * commands accepted by jQuery.fn.fileBrowser(), as methods of FileBrowser
+		 */
+		var BROWSER_COMMANDS = ['destroy', 'refresh', 'navigate', 'newFolder', 'rename', 'remove'];
+		
+		/*
+		 * elements on which entries dragged in a file browser can be dropped
+		 */
+		var BROWSER_DROP_TARGETS = '.filesystem-browser-directory, .filesystem-browser-label';
+		
+		
+		//=============================================================================
+		//=========================== jQuery plugin ===================================
+		//=============================================================================
+		
+		
+		/**
+		 * Turns the selected elements into file explorers of a directory, made of a toolbar, a lazily loaded tree of its 
+		 * subdirectories, a list of the content of the current directory and a details pane showing the metadata of the 
+		 * selected entry, or of the current directory when none is selected. The content of the elements is replaced.
+		 * <p>The toolbar creates folders, renames and deletes the selected entry. Entries are moved by dragging them onto a 
+		 * folder of the list or the tree, see {@link jQuery.filesystem.Entry#moveTo}. The list is navigated with 
+		 * <code>Up</code>, <code>Down</code>, <code>Home</code> and <code>End</code>, <code>Enter</code> opening the selected 
+		 * entry, <code>Backspace</code> going to the parent directory, <code>F2</code> renaming and <code>Delete</code> 
+		 * deleting, while <code>Right</code> and <code>Left</code> expand and collapse folders of the tree.</p>
+		 * <p>The elements are triggered <code>filebrowsernavigate</code>, <code>filebrowserselect</code>, 
+		 * <code>filebrowseropen</code> and <code>filebrowserfail</code> events, called with respectively the shown 
+		 * {@link jQuery.filesystem.DirectoryEntry}, the selected {@link jQuery.filesystem.Entry} or null, the opened 
+		 * {@link jQuery.filesystem.FileEntry} and the error of a failed operation as extra parameter. Opening a directory 
+		 * shows it. The views follow changes of the filesystem, see {@link jQuery.filesystem.FileSystem#on}.</p>
+		 * <p>Calling <code>.fileBrowser('destroy')</code> detaches and empties the browsers, while <code>'refresh'</code>, 
+		 * <code>'newFolder'</code>, <code>'rename'</code> and <code>'remove'</code> perform these actions, the latter two on 
+		 * the selected entry. <code>.fileBrowser('navigate', oDirectory)</code> shows a directory under the root, and 
+		 * <code>.fileBrowser('selected')</code> returns the selected entry of the first browser.</p>
+		 * <p>Parts of the browsers have classes starting with <code>filesystem-browser-</code> for styling : 
+		 * <code>toolbar</code>, <code>tree</code>, <code>node</code>, <code>toggle</code>, <code>label</code>, 
+		 * <code>list</code>, <code>item</code>, <code>directory</code>, <code>file</code>, <code>name</code> and 
+		 * <code>details</code>, with the states <code>expanded</code>, <code>leaf</code>, <code>current</code>, 
+		 * <code>selected</code> and <code>drop</code>.</p>
+		 * 
+		 * @function
+		 * @name jQuery.fn.fileBrowser
+		 * @param {object|string} oOptions settings extending {@link jQuery.fn.fileBrowser.defaults}, or a command
+		 * @param {jQuery.filesystem.DirectoryEntry} oOptions.root directory to explore, which the browser does not leave
+		 * @param {boolean} [oOptions.trash] whether deleted entries are moved to the trash, see {@link jQuery.filesystem.Entry#remove}
+		 * @param {boolean} [oOptions.showHidden] whether entries whose name starts with a dot are shown
+		 * @param {function} [oOptions.confirm] called with the entry about to be deleted, returning whether to delete it 
+		 * or a request resolved with it
+		 * @param {object} [oOptions.labels] texts of the toolbar and the details pane
+		 * @return {jQuery} the jQuery object, for chaining, or the selected {@link jQuery.filesystem.Entry} for <code>'selected'</code>
+		 */
+		$.fn.fileBrowser = function(oOptions) {
+			
+			var aArgs = Array.prototype.slice.call(arguments, 1),
+				oBrowser;
+			
+			if (oOptions === 'selected') {
+				oBrowser = this.first().data('fileBrowser');
+				return oBrowser ? oBrowser.selection : null;
+			}
+			
+			if (typeof oOptions === 'string') {
+				return this.each(function() {
+					
+					oBrowser = $(this).data('fileBrowser');
+					if (oBrowser && $.inArray(oOptions, BROWSER_COMMANDS) !== -1) oBrowser[oOptions].apply(oBrowser, aArgs);
+				});
+			}
+			
+			return this.each(function() {
+				
+				oBrowser = $(this).data('fileBrowser');
+				if (oBrowser) oBrowser.destroy();
+				
+				$(this).data('fileBrowser', new FileBrowser(this, $.extend(true, {}, $.fn.fileBrowser.defaults, oOptions)));
+			});
+		};
+		
+		
+		/**
+		 * Default settings of {@link jQuery.fn.fileBrowser}
+		 * 
+		 * @name jQuery.fn.fileBrowser.defaults
+		 */
+		$.fn.fileBrowser.defaults = {
+			trash : false,
+			showHidden : false,
+			confirm : function(oEntry) {
+				return window.confirm('Delete ' + oEntry.name + '?');
+			},
+			labels : {
+				newFolder : 'New folder',
+				rename : 'Rename',
+				remove : 'Delete',
+				name : 'Name',
+				path : 'Path',
+				type : 'Type',
+				size : 'Size',
+				modified : 'Modified',
+				directory : 'Folder',
+				file : 'File'
+			}
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * State and views of a file browser built on element by jQuery.fn.fileBrowser()
+		 */
+		function FileBrowser(element, oSettings) {
+			
+			var oBrowser = this,
+				oLabels = oSettings.labels;
+			
+			this.settings = oSettings;
+			this.root = oSettings.root;
+			this.fileSystem = oSettings.root.fileSystem;
+			this.current = null;
+			this.selection = null;
+			
+			// tree nodes by path, and the entry being dragged
+			this._nodes = {};
+			this._dragged = null;
+			
+			// tokens of the latest list and details loads, the request of the former and the path to select once listed
+			this._listToken = null;
+			this._listing = null;
+			this._target = undefined;
+			this._detailsToken = null;
+			
+			// directories to reload and path to relocate to once changes settle, see _change()
+			this._pending = {};
+			this._relocation = null;
+			this._timer = null;
+			
+			// ends the edit in progress, see _rename(), and whether the list changed meanwhile
+			this._renaming = null;
+			this._stale = false;
+			
+			this.$element = $(element);
+			this.$toolbar = $('<div class="filesystem-browser-toolbar"/>').append($.map(['newFolder', 'rename', 'remove'], function(sCommand) {
+				return $('<button type="button"/>').attr('data-command', sCommand).text(oLabels[sCommand])[0];
+			}));
+			this.$tree = $('<ul class="filesystem-browser-tree" role="tree" tabindex="0"/>').append(this._node(this.root));
+			this.$list = $('<ul class="filesystem-browser-list" role="listbox" tabindex="0"/>');
+			this.$details = $('<dl class="filesystem-browser-details"/>');
+			
+			this.$element
+				.addClass('filesystem-browser')
+				.empty()
+				.append(this.$toolbar, this.$tree, this.$list, this.$details)
+				.on('click.fileBrowser', '.filesystem-browser-toolbar button', function() {
+					oBrowser[$(this).attr('data-command')]();
+				})
+				.on('click.fileBrowser', '.filesystem-browser-toggle', function() {
+					oBrowser._toggle($(this).closest('li'));
+				})
+				.on('click.fileBrowser', '.filesystem-browser-label', function() {
+					oBrowser.navigate($(this).closest('li').data('entry'));
+				})
+				.on('click.fileBrowser', '.filesystem-browser-item', function() {
+					oBrowser._select($(this));
+				})
+				.on('dblclick.fileBrowser', '.filesystem-browser-item', function() {
+					oBrowser._open($(this).data('entry'));
+				})
+				.on('keydown.fileBrowser', '.filesystem-browser-list', $.proxy(this._listKey, this))
+				.on('keydown.fileBrowser', '.filesystem-browser-tree', $.proxy(this._treeKey, this))
+				.on('dragstart.fileBrowser', '.filesystem-browser-item', function(oEvent) {
+					
+					var oTransfer = oEvent.originalEvent && oEvent.originalEvent.dataTransfer;
+					
+					oBrowser._dragged = $(this).data('entry');
+					
+					if (oTransfer) {
+						oTransfer.effectAllowed = 'move';
+						oTransfer.setData('text/plain', oBrowser._dragged.fullPath);
+					}
+				})
+				.on('dragend.fileBrowser', function() {
+					
+					oBrowser._dragged = null;
+					oBrowser.$element.find('.filesystem-browser-drop').removeClass('filesystem-browser-drop');
+				})
+				.on('dragenter.fileBrowser dragover.fileBrowser', BROWSER_DROP_TARGETS, function(oEvent) {
+					
+					if (! oBrowser._accepts($(this).closest('li').data('entry'))) return;
+					
+					oEvent.preventDefault();
+					if (oEvent.originalEvent && oEvent.originalEvent.dataTransfer) oEvent.originalEvent.dataTransfer.dropEffect = 'move';
+					$(this).addClass('filesystem-browser-drop');
+				})
+				.on('dragleave.fileBrowser', BROWSER_DROP_TARGETS, function(oEvent) {
+					
+					// ignores leaving to a child of the target
+					if (! oEvent.originalEvent || ! $.contains(this, oEvent.originalEvent.relatedTarget)) $(this).removeClass('filesystem-browser-drop');
+				})
+				.on('drop.fileBrowser', BROWSER_DROP_TARGETS, function(oEvent) {
+					
+					var oTarget = $(this).removeClass('filesystem-browser-drop').closest('li').data('entry'),
+						oEntry = oBrowser._dragged;
+					
+					if (! oBrowser._accepts(oTarget)) return;
+					
+					oEvent.preventDefault();
+					oBrowser._dragged = null;
+					oEntry.moveTo(oTarget, { conflict : 'fail' }).fail($.proxy(oBrowser._fail, oBrowser));
+				});
+			
+			this._onChange = $.proxy(this._change, this);
+			this.fileSystem.on('created modified removed moved', this._onChange);
+			
+			this.navigate(this.root);
+		}
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Shows the content of oDirectory, under the root, in the list and reveals it in the tree, selecting the entry at sSelect if any
+		 */
+		FileBrowser.prototype.navigate = function(oDirectory, sSelect) {
+			
+			if (! oDirectory || ! oDirectory.isDirectory || ! this._contains(oDirectory.fullPath)) return;
+			
+			if (this._renaming) this._renaming(null);
+			
+			this.current = oDirectory;
+			this._reveal(oDirectory.fullPath);
+			this._list(sSelect || null);
+			
+			this.$element.trigger('filebrowsernavigate', [oDirectory]);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reloads the loaded nodes of the tree and the list
+		 */
+		FileBrowser.prototype.refresh = function() {
+			
+			var oBrowser = this;
+			
+			if (this._renaming) this._renaming(null);
+			
+			$.each(this._nodes, function(sPath, $node) {
+				if ($node.data('loaded')) oBrowser._load($node);
+			});
+			
+			this._list();
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Creates a folder with a free name in the current directory, then edits its name
+		 */
+		FileBrowser.prototype.newFolder = function() {
+			
+			var oBrowser = this,
+				oDirectory = this.current;
+			
+			fnResolveConflict('getDirectory', oDirectory.fullPath, oDirectory, this.settings.labels.newFolder, 'rename')
+				.then(function(sName) {
+					return oDirectory.getDirectory(sName, true);
+				})
+				.then(function(oFolder) {
+					return oBrowser.current === oDirectory && oBrowser._list(oFolder.fullPath).done(function() {
+						oBrowser._rename(oFolder.fullPath);
+					});
+				})
+				.fail($.proxy(this._fail, this));
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Edits the name of the selected entry
+		 */
+		FileBrowser.prototype.rename = function() {
+			
+			if (this.selection) this._rename(this.selection.fullPath);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Deletes the selected entry once confirmed, possibly to the trash, then selects the entry that followed it
+		 */
+		FileBrowser.prototype.remove = function() {
+			
+			var oBrowser = this,
+				oEntry = this.selection,
+				oOptions = { trash : this.settings.trash },
+				$item = this._item(oEntry && oEntry.fullPath),
+				$next = $item.next().length ? $item.next() : $item.prev();
+			
+			if (! oEntry) return;
+			
+			$.when(this.settings.confirm.call(this.$element[0], oEntry)).done(function(bConfirmed) {
+				
+				if (! bConfirmed) return;
+				
+				(oEntry.isDirectory ? oEntry.removeRecursively(oOptions) : oEntry.remove(oOptions))
+					.done(function() {
+						if ($next.length) oBrowser._target = $next.data('entry').fullPath;
+					})
+					.fail($.proxy(oBrowser._fail, oBrowser));
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Detaches the browser from its element and the filesystem
+		 */
+		FileBrowser.prototype.destroy = function() {
+			
+			this.fileSystem.off('created modified removed moved', this._onChange);
+			clearTimeout(this._timer);
+			
+			this.$element
+				.off('.fileBrowser')
+				.removeClass('filesystem-browser')
+				.removeData('fileBrowser')
+				.empty();
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Creates the tree node of oDirectory, its subdirectories being loaded when first expanded
+		 */
+		FileBrowser.prototype._node = function(oDirectory) {
+			
+			var $node = $('<li class="filesystem-browser-node" role="treeitem" aria-expanded="false" aria-selected="false"/>')
+				.data('entry', oDirectory)
+				.append(
+					$('<span class="filesystem-browser-toggle"/>'),
+					$('<span class="filesystem-browser-label"/>').text(oDirectory.name || '/'),
+					$('<ul role="group"/>').hide());
+			
+			this._nodes[oDirectory.fullPath] = $node;
+			
+			return $node;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Expands or collapses tree node $node depending on bExpand, toggling it by default. 
+		 * Returns a request resolved once the subdirectories of an expanded node are loaded.
+		 */
+		FileBrowser.prototype._toggle = function($node, bExpand) {
+			
+			if (bExpand === undefined) bExpand = ! $node.hasClass('filesystem-browser-expanded');
+			
+			$node
+				.toggleClass('filesystem-browser-expanded', bExpand)
+				.attr('aria-expanded', String(bExpand))
+				.children('ul').toggle(bExpand);
+			
+			if (! bExpand) return $.Deferred().resolve();
+			
+			return $node.data('loaded') ? $node.data('loaded').request : this._load($node);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Loads the subdirectories of tree node $node, keeping the nodes of those already loaded
+		 */
+		FileBrowser.prototype._load = function($node) {
+			
+			var oBrowser = this,
+				oToken = {};
+			
+			$node.data('loaded', oToken);
+			
+			oToken.request = $node.data('entry').listContent().then(
+				function(aEntries) {
+					
+					var $group = $node.children('ul'),
+						oKept = {};
+					
+					// a later load superseded this one
+					if ($node.data('loaded') !== oToken) return;
+					
+					$group.children().each(function() {
+						oKept[$(this).data('entry').fullPath] = $(this);
+					}).detach();
+					
+					$.each(oBrowser._visible(aEntries), function(i, oEntry) {
+						
+						if (! oEntry.isDirectory) return;
+						
+						$group.append(oKept[oEntry.fullPath] || oBrowser._node(oEntry));
+						delete oKept[oEntry.fullPath];
+					});
+					
+					$.each(oKept, function(sPath, $old) {
+						oBrowser._forget($old);
+					});
+					
+					$node.toggleClass('filesystem-browser-leaf', ! $group.children().length);
+				},
+				function(oError) {
+					
+					if ($node.data('loaded') === oToken) $node.removeData('loaded');
+					oBrowser._fail(oError);
+				});
+			
+			return oToken.request;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Removes tree node $node, which is detached, and forgets it and its descendants
+		 */
+		FileBrowser.prototype._forget = function($node) {
+			
+			var oNodes = this._nodes;
+			
+			$node.find('li').addBack().each(function() {
+				
+				var sPath = $(this).data('entry').fullPath;
+				if (oNodes[sPath] && oNodes[sPath][0] === this) delete oNodes[sPath];
+			});
+			
+			$node.remove();
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Expands the tree down to the directory at sPath, and marks its node as current
+		 */
+		FileBrowser.prototype._reveal = function(sPath) {
+			
+			var oBrowser = this,
+				aNames = $.grep(sPath.substr(this.root.fullPath.length).split('/'), function(sName) { return sName; }),
+				
+				fnStep = function(sNodePath, i) {
+					
+					var $node = oBrowser._nodes[sNodePath];
+					
+					// the node is not there or another directory was shown meanwhile
+					if (! $node || oBrowser.current.fullPath !== sPath) return;
+					
+					if (i === aNames.length) {
+						$node.addClass('filesystem-browser-current').attr('aria-selected', 'true');
+						return;
+					}
+					
+					oBrowser._toggle($node, true).done(function() {
+						fnStep(fnResolvePath(sNodePath, aNames[i]), i + 1);
+					});
+				};
+			
+			this.$tree.find('.filesystem-browser-current').removeClass('filesystem-browser-current').attr('aria-selected', 'false');
+			
+			fnStep(this.root.fullPath, 0);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Lists the current directory, selecting the entry at sSelect, or keeping the selection when undefined. 
+		 * Returns a request resolved once the latest listing is shown.
+		 */
+		FileBrowser.prototype._list = function(sSelect) {
+			
+			var oBrowser = this,
+				oToken = this._listToken = {};
+			
+			if (sSelect !== undefined) this._target = sSelect;
+			
+			this._listing = this.current.listContent().then(
+				function(aEntries) {
+					
+					var $selected = $();
+					
+					// a later listing superseded this one
+					if (oBrowser._listToken !== oToken) return oBrowser._listing;
+					
+					if (oBrowser._target !== undefined) sSelect = oBrowser._target;
+					else sSelect = oBrowser.selection && oBrowser.selection.fullPath;
+					
+					oBrowser._target = undefined;
+					oBrowser._stale = false;
+					
+					oBrowser.$list.empty().append($.map(oBrowser._visible(aEntries), function(oEntry) {
+						
+						var $item = $('<li class="filesystem-browser-item" role="option" draggable="true" aria-selected="false"/>')
+							.addClass(oEntry.isDirectory ? 'filesystem-browser-directory' : 'filesystem-browser-file')
+							.data('entry', oEntry)
+							.append($('<span class="filesystem-browser-name"/>').text(oEntry.name));
+						
+						if (oEntry.fullPath === sSelect) $selected = $item;
+						
+						return $item[0];
+					}));
+					
+					oBrowser._select($selected);
+				},
+				function(oError) {
+					if (oBrowser._listToken === oToken) oBrowser._fail(oError);
+				});
+			
+			return this._listing;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Returns the entries of aEntries to show, folders first and sorted by name
+		 */
+		FileBrowser.prototype._visible = function(aEntries) {
+			
+			var bHidden = this.settings.showHidden;
+			
+			return $.grep(aEntries, function(oEntry) {
+				return ! fnIsReservedPath(oEntry.fullPath) && (bHidden || oEntry.name.charAt(0) !== '.');
+			}).sort(function(oA, oB) {
+				return (oB.isDirectory - oA.isDirectory) || oA.name.localeCompare(oB.name);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Returns the list item of the entry at sPath, possibly empty
+		 */
+		FileBrowser.prototype._item = function(sPath) {
+			
+			return this.$list.children().filter(function() {
+				return $(this).data('entry').fullPath === sPath;
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Selects list item $item, or nothing if empty, and shows the details of its entry or of the current directory
+		 */
+		FileBrowser.prototype._select = function($item) {
+			
+			var oEntry = $item.data('entry') || null,
+				bChanged = (oEntry && oEntry.fullPath) !== (this.selection && this.selection.fullPath);
+			
+			this.$list.children('.filesystem-browser-selected').removeClass('filesystem-browser-selected').attr('aria-selected', 'false');
+			$item.addClass('filesystem-browser-selected').attr('aria-selected', 'true');
+			
+			this.selection = oEntry;
+			this._details(oEntry || this.current);
+			
+			if (bChanged) this.$element.trigger('filebrowserselect', [oEntry]);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Shows the name, path, type, size and modification time of oEntry in the details pane
+		 */
+		FileBrowser.prototype._details = function(oEntry) {
+			
+			var oBrowser = this,
+				oLabels = this.settings.labels,
+				oToken = this._detailsToken = {};
+			
+			oEntry.getMetaData().then(
+				function(oMetadata) {
+					
+					var aRows = [
+							[oLabels.name, oEntry.name || '/'],
+							[oLabels.path, oEntry.fullPath],
+							[oLabels.type, oEntry.isDirectory ? oLabels.directory : oLabels.file]
+						];
+					
+					if (oBrowser._detailsToken !== oToken) return;
+					
+					if (oEntry.isFile) aRows.push([oLabels.size, fnFormatSize(oMetadata.size)]);
+					if (oMetadata.modificationTime) aRows.push([oLabels.modified, new Date(oMetadata.modificationTime).toLocaleString()]);
+					
+					oBrowser.$details.empty().append($.map(aRows, function(aRow) {
+						return [$('<dt/>').text(aRow[0])[0], $('<dd/>').text(aRow[1])[0]];
+					}));
+				},
+				function() {
+					
+					// the entry went away meanwhile, the list being about to follow
+					if (oBrowser._detailsToken === oToken) oBrowser.$details.empty();
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Shows directory oEntry, or triggers the filebrowseropen event for a file
+		 */
+		FileBrowser.prototype._open = function(oEntry) {
+			
+			if (! oEntry) return;
+			
+			if (oEntry.isDirectory) this.navigate(oEntry);
+			else this.$element.trigger('filebrowseropen', [oEntry]);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Shows the parent of the current directory within the root, selecting the directory left
+		 */
+		FileBrowser.prototype._up = function() {
+			
+			var oBrowser = this,
+				oDirectory = this.current;
+			
+			if (oDirectory.fullPath === this.root.fullPath) return;
+			
+			oDirectory.getParent().done(function(oParent) {
+				if (oBrowser.current === oDirectory) oBrowser.navigate(oParent, oDirectory.fullPath);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Replaces the name of the list item of the entry at sPath with a text field, moving the entry to the name 
+		 * entered once confirmed with Enter or by leaving the field. Escape cancels.
+		 */
+		FileBrowser.prototype._rename = function(sPath) {
+			
+			var oBrowser = this,
+				$item = this._item(sPath),
+				$name = $item.children('.filesystem-browser-name'),
+				oEntry = $item.data('entry'),
+				$input = $('<input type="text" class="filesystem-browser-rename"/>').val(oEntry && oEntry.name),
+				
+				fnEnd = function(sName) {
+					
+					var oDirectory = oBrowser.current,
+						oRequest;
+					
+					// handlers go first, as moving the focus blurs the field
+					$input.off('.fileBrowser');
+					oBrowser._renaming = null;
+					oBrowser.$list.focus();
+					$input.remove();
+					$name.show();
+					$item.attr('draggable', 'true');
+					
+					if (! sName || sName === oEntry.name) {
+						if (oBrowser._stale) oBrowser._list();
+						return;
+					}
+					
+					if (sName.indexOf('/') !== -1) {
+						oRequest = $.Deferred().reject(new filesystem.InvalidModificationError('rename of ' + oEntry.fullPath + ' to ' + sName + ' failed: invalid name', 
+							{ operation : 'rename', path : oEntry.fullPath }));
+					}
+					else oRequest = oEntry.moveTo(oDirectory, sName, { conflict : 'fail' });
+					
+					oRequest
+						.done(function(oMoved) {
+							if (oBrowser.current === oDirectory) oBrowser._list(oMoved.fullPath);
+						})
+						.fail(function(oError) {
+							
+							if (oBrowser._stale) oBrowser._list();
+							oBrowser._fail(oError);
+						});
+				};
+			
+			if (! oEntry || this._renaming) return;
+			
+			this._select($item);
+			this._renaming = fnEnd;
+			
+			$name.hide();
+			$item.attr('draggable', 'false').append($input);
+			
+			$input
+				.on('keydown.fileBrowser', function(oEvent) {
+					
+					if (oEvent.which === 13) fnEnd($input.val());
+					else if (oEvent.which === 27) fnEnd(null);
+					else return;
+					
+					oEvent.preventDefault();
+				})
+				.on('blur.fileBrowser', function() {
+					fnEnd($input.val());
+				})
+				.focus();
+			
+			$input[0].select();
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Handles keys of the list
+		 */
+		FileBrowser.prototype._listKey = function(oEvent) {
+			
+			var $items = this.$list.children(),
+				i = $items.index($items.filter('.filesystem-browser-selected'));
+			
+			// keys of the rename field
+			if ($(oEvent.target).is('input')) return;
+			
+			switch (oEvent.which) {
+				case 38 : i = Math.max(i - 1, 0); break;
+				case 40 : i = Math.min(i + 1, $items.length - 1); break;
+				case 36 : i = 0; break;
+				case 35 : i = $items.length - 1; break;
+				case 13 : this._open(this.selection); break;
+				case 8 : this._up(); break;
+				case 113 : this.rename(); break;
+				case 46 : this.remove(); break;
+				default : return;
+			}
+			
+			oEvent.preventDefault();
+			
+			// Up, Down, Home and End
+			if (oEvent.which >= 35 && oEvent.which <= 40 && $items.length) {
+				
+				this._select($items.eq(i));
+				if ($items[i].scrollIntoView) $items[i].scrollIntoView(false);
+			}
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Handles keys of the tree, moving through visible nodes and showing their directory
+		 */
+		FileBrowser.prototype._treeKey = function(oEvent) {
+			
+			var oBrowser = this,
+				$current = this._nodes[this.current.fullPath],
+				$visible = this.$tree.find('li').filter(function() {
+					return ! $(this).parentsUntil(oBrowser.$tree, 'li').not('.filesystem-browser-expanded').length;
+				}),
+				i = $visible.index($current),
+				$target = $();
+			
+			if (! $current) return;
+			
+			switch (oEvent.which) {
+				case 38 : $target = $visible.eq(Math.max(i - 1, 0)); break;
+				case 40 : $target = $visible.eq(Math.min(i + 1, $visible.length - 1)); break;
+				case 39 : 
+					if ($current.hasClass('filesystem-browser-expanded')) $target = $current.children('ul').children().first();
+					else this._toggle($current, true);
+					break;
+				case 37 : 
+					if ($current.hasClass('filesystem-browser-expanded')) this._toggle($current, false);
+					else $target = $current.parent().closest('li', this.$tree[0]);
+					break;
+				case 13 : this.$list.focus(); break;
+				default : return;
+			}
+			
+			oEvent.preventDefault();
+			
+			if ($target.length) this.navigate($target.data('entry'));
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Whether the entry being dragged can be moved to directory oTarget
+		 */
+		FileBrowser.prototype._accepts = function(oTarget) {
+			
+			var oEntry = this._dragged;
+			
+			return !! (oEntry && oTarget && oTarget.isDirectory) && 
+				oTarget.fullPath !== fnDirname(oEntry.fullPath) && 
+				oTarget.fullPath !== oEntry.fullPath && 
+				oTarget.fullPath.indexOf(oEntry.fullPath + '/') !== 0;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Whether sPath is the root or below it
+		 */
+		FileBrowser.prototype._contains = function(sPath) {
+			
+			var sRoot = this.root.fullPath;
+			
+			return sPath === sRoot || sPath.indexOf(sRoot === '/' ? '/' : sRoot + '/') === 0;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Handles a change event of the filesystem, collecting the directories to reload until changes settle. 
+		 * The current directory is followed when moved, or left for its parent when removed.
+		 */
+		FileBrowser.prototype._change = function(oEvent, oChange) {
+			
+			var sCurrent = this.current.fullPath,
+				sOldPath = oChange.type === 'moved' ? oChange.oldPath : oChange.path;
+			
+			if (fnIsReservedPath(oChange.path) && fnIsReservedPath(sOldPath)) return;
+			if (! this._contains(oChange.path) && ! this._contains(sOldPath)) return;
+			
+			if (oChange.type === 'modified') {
+				if (this.selection && this.selection.fullPath === oChange.path) this._details(this.selection);
+				return;
+			}
+			
+			if ((oChange.type === 'removed' || oChange.type === 'moved') && (sCurrent === sOldPath || sCurrent.indexOf(sOldPath + '/') === 0))
+				this._relocation = oChange.type === 'moved' && ! fnIsReservedPath(oChange.path) ? oChange.path + sCurrent.substr(sOldPath.length) : fnDirname(sOldPath);
+			
+			this._pending[fnDirname(oChange.path)] = true;
+			this._pending[fnDirname(sOldPath)] = true;
+			
+			if (! this._timer) this._timer = setTimeout($.proxy(this._flush, this), 0);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reloads the directories collected by _change(), or shows the directory the current one became
+		 */
+		FileBrowser.prototype._flush = function() {
+			
+			var oBrowser = this,
+				oPending = this._pending,
+				sRelocation = this._relocation;
+			
+			this._pending = {};
+			this._relocation = null;
+			this._timer = null;
+			
+			$.each(oPending, function(sPath) {
+				if (oBrowser._nodes[sPath] && oBrowser._nodes[sPath].data('loaded')) oBrowser._load(oBrowser._nodes[sPath]);
+			});
+			
+			if (sRelocation) {
+				
+				this.fileSystem.root.getDirectory(sRelocation, false).then(
+					function(oDirectory) {
+						oBrowser.navigate(oBrowser._contains(oDirectory.fullPath) ? oDirectory : oBrowser.root);
+					},
+					function() {
+						oBrowser.navigate(oBrowser.root);
+					});
+			}
+			else if (oPending[this.current.fullPath]) {
+				
+				if (this._renaming) this._stale = true;
+				else this._list();
+			}
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Triggers the filebrowserfail event with oError
+		 */
+		FileBrowser.prototype._fail = function(oError) {
+			
+			this.$element.trigger('filebrowserfail', [oError]);
+		};
+		
+		
+		//=============================================================================
+		//=========================== Helpers =========================================
+		//=============================================================================
+		
+		
+		/*
+		 * Formats a size in bytes for display, such as "12 KB" or "1.5 MB"
+		 */
+		function fnFormatSize(iBytes) {
+			
+			var aUnits = ['bytes', 'KB', 'MB', 'GB', 'TB'],
+				i = 0;
+			
+			for ( ; iBytes >= 1024 && i < aUnits.length - 1 ; ++i) iBytes /= 1024;
+			
+			return (i && iBytes < 10 ? Math.round(iBytes * 10) / 10 : Math.round(iBytes)) + ' ' + aUnits[i];
+		}
+		
+		
+		
+	})(jQuery)
+});
\ No newline at end of file
@@ -18,6 +18,18 @@ jQuery(function() {
 		//=============================================================================
 	
 		
+		var aPendingTasks = [],		// scheduled operations waiting for their turn, in submission order
+			aRunningTasks = [],		// running operations
+			iRunningTasks = 0,		// number of running operations, nested ones aside
+			iPendingNested = 0,		// number of nested operations waiting for their turn, see filesystem._schedule()
+			bPumping = false,
+			bPumpAgain = false,
+			aHubs = [],				// change event hubs, one per filesystem
+			aReservedPaths = [],	// directories holding files of the plugin itself, see fnIsReservedPath()
+			aReservedNames = [],	// names of files and directories of the plugin itself, wherever they are
+			oHeldLocks = {};		// number of exclusive locks held by this page, indexed by lock name
+		
+		
 		//=============================================================================
 		//=========================== Constructor =====================================
 		//=============================================================================
@@ -28,15 +40,36 @@ jQuery(function() {
 		 * 
 		 * @class
 		 * <p>This class provides jQuery wrapping features for W3C's FileSystem API</p> 
+		 * <p>Storage is delegated to the first supported backend of {@link jQuery.filesystem.backendPriority}: 
+		 * the native FileSystem API when the browser provides it, an IndexedDB emulation otherwise. 
+		 * A given backend may also be forced with the <code>backend</code> option, e.g. <code>{ backend : 'memory' }</code> 
+		 * for headless unit tests.</p>
 		 *
 		 * @constructor
 		 * @param {string} sDBName name of the database
 		 * @param {string} sRemoteIDPath a path to server's ID in object properties (mandatory to create index)
+		 * @param {object} [oOptions] optional settings, always given as last argument
+		 * @param {string|object} [oOptions.backend] name of a registered backend (see {@link jQuery.filesystem.backends}), or backend object
 		 * 
 		 * @name jQuery.filesystem
+		 * 
+		 * @property {string} dbName Name of the database opened by {@link jQuery.filesystem#openDatabase}
+		 * @property {string} remoteIDPath Path to server's ID in documents, indexed in every collection of the database
 		 */
 		function filesystem() {
-			if (! window.requestFileSystem) throw new Error('browser does not support FileSystem API');
+			
+			var oOptions = $.isPlainObject(arguments[arguments.length - 1]) ? arguments[arguments.length - 1] : {};
+			
+			this.dbName = typeof arguments[0] === 'string' ? arguments[0] : undefined;
+			this.remoteIDPath = typeof arguments[1] === 'string' ? arguments[1] : undefined;
+			
+			if (typeof oOptions.backend === 'string') {
+				this._backend = filesystem.backends[oOptions.backend];
+				if (! this._backend) throw new Error('unknown backend ' + oOptions.backend);
+			} else {
+				this._backend = oOptions.backend || filesystem._detectBackend();
+				if (! this._backend) throw new Error('browser supports neither FileSystem API nor IndexedDB');
+			}
 		}
 		
 		// register plugin in jQuery namespace
@@ -76,6 +109,71 @@ jQuery(function() {
 		 */
 		filesystem.MB = 1024 * filesystem.KB;
 		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Maximum number of operations run at once by the wrappers, all filesystems included. 
+		 * Other operations are queued until a slot gets free.
+		 * @name jQuery.filesystem.concurrency
+		 */
+		filesystem.concurrency = 8;
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Default policy applied by write helpers failing for lack of quota, which may be overridden per filesystem 
+		 * through {@link jQuery.filesystem.FileSystem#quotaPolicy}.
+		 * <p><code>retries</code> is the number of "grow quota and retry" attempts, 0 disabling the policy. 
+		 * <code>grow(iUsage, iQuota, iBytes)</code> returns the new quota to request given current usage, current quota 
+		 * and size of the failed write, or a falsy value to give up.</p>
+		 * @name jQuery.filesystem.quotaPolicy
+		 */
+		filesystem.quotaPolicy = {
+			retries : 0,
+			grow : function(iUsage, iQuota, iBytes) {
+				return Math.max(2 * (iQuota || 0), iUsage + 2 * iBytes);
+			}
+		};
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Default versioning of files, which may be overridden per filesystem through {@link jQuery.filesystem.FileSystem#versioning}. 
+		 * null disables versioning.
+		 * <p>When enabled, the content of a file replaced by write helpers, by a move or a copy, or removed is kept as a version, 
+		 * see {@link jQuery.filesystem.FileEntry#listVersions}, while removing a directory with its content keeps a snapshot of it 
+		 * labelled "removed" with the time, see {@link jQuery.filesystem.DirectoryEntry#snapshots}. 
+		 * Versions of each file and snapshots of each directory are then limited by <code>maxVersions</code> count, 
+		 * <code>maxAge</code> in milliseconds and <code>maxBytes</code> total size, e.g. 
+		 * <code>{ maxVersions : 20, maxAge : 30 * 86400000 }</code>, oldest ones being dropped first. 
+		 * Missing limits do not apply, and the latest version or snapshot is always kept.</p>
+		 * @name jQuery.filesystem.versioning
+		 */
+		filesystem.versioning = null;
+		
+		/**
+		 * Directory holding file versions and directory snapshots, left out of versioning and snapshots
+		 * @name jQuery.filesystem.VERSIONS_PATH
+		 */
+		filesystem.VERSIONS_PATH = '/.versions';
+		aReservedPaths.push(filesystem.VERSIONS_PATH);
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Default locking of files by write helpers, which may be overridden per filesystem through {@link jQuery.filesystem.FileSystem#autoLock}. 
+		 * <p>When enabled, <code>write()</code>, <code>append()</code>, <code>truncate()</code> and <code>writeAtomic()</code> hold an 
+		 * exclusive lock on the file while writing, see {@link jQuery.filesystem.Entry#lock}, unless this page already holds an exclusive 
+		 * lock on it. A shared lock does not allow writing : writes wait for it to be released. 
+		 * It is true, or settings of <code>lock()</code> such as <code>{ timeout : 5000 }</code>. false disables locking.</p>
+		 * @name jQuery.filesystem.autoLock
+		 */
+		filesystem.autoLock = false;
+		
 		
 		//=============================================================================
 		//=========================== Methods =========================================
@@ -87,14 +185,36 @@ jQuery(function() {
 		 * 
 		 * @function
 		 * @name jQuery.filesystem#requestFS
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileSystem} object in case of success
+		 * @param {number} eType type of filesystem, {@link jQuery.filesystem.TEMPORARY} or {@link jQuery.filesystem.PERSISTENT}
+		 * @param {number} iSize storage space, in bytes, the application expects to need
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.requestQuota=false] whether <code>iSize</code> bytes of quota should be requested before opening 
+		 * a PERSISTENT filesystem, the granted size being used instead
+		 * @param {object} [oOptions.quotaPolicy] quota policy of the result filesystem, see {@link jQuery.filesystem.quotaPolicy}
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileSystem} object in case of success, 
+		 * once transactions left unfinished by a previous session have been completed or rolled back, see 
+		 * {@link jQuery.filesystem.FileSystem#transaction}. It is notified with the error of each transaction which could not 
+		 * be recovered, such a transaction being left for the next request.
 		 */
-		filesystem.prototype.requestFS = function(eType, iSize) {
+		filesystem.prototype.requestFS = function(eType, iSize, oOptions) {
 			
-			var oDef = $.Deferred();
-			window.requestFileSystem(eType, iSize,
-				$.proxy(function(oD, oFileSystem) { oD.resolve(new filesystem.FileSystem(oFileSystem)); }, null, oDef),
-				filesystem._fnErrorCallback(oDef));
+			var oDef = $.Deferred(),
+				oBackend = this._backend,
+				oOpts = oOptions || {};
+			
+			(oOpts.requestQuota && eType === filesystem.PERSISTENT ? this.requestQuota(eType, iSize) : $.Deferred().resolve(iSize))
+				.done(function(iGranted) {
+					oBackend.requestFileSystem(eType, iGranted,
+						$.proxy(function(oD, oFileSystem) {
+							var oFS = new filesystem.FileSystem(oFileSystem);
+							oFS.quotaPolicy = oOpts.quotaPolicy;
+							filesystem.Transaction._recover(oFS)
+								.progress(oD.notify)
+								.done(function() { oD.resolve(oFS); });
+						}, null, oDef),
+						filesystem._fnErrorCallback(oDef, 'requestFS'));
+				})
+				.fail(oDef.reject);
 			
 			return oDef;
 		};
@@ -103,19 +223,23 @@ jQuery(function() {
 	
 		
 		/**
-		 * Allows the user to look up the Entry for a file or directory referred to by a local URL.
+		 * Queries the storage usage and quota of a type of filesystem.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem#resolveURL
-		 * @param {string} sURL the URL of the file or directory to look up within the local file system
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry} object in case of success
+		 * @name jQuery.filesystem#queryUsage
+		 * @param {number} eType type of filesystem, {@link jQuery.filesystem.TEMPORARY} or {@link jQuery.filesystem.PERSISTENT}
+		 * @return {jQuery.Deferred} a request object containing, in case of success, an object with <code>usage</code> 
+		 * and <code>quota</code> properties, in bytes
 		 */
-		filesystem.prototype.resolveURL = function(sUrl) {
+		filesystem.prototype.queryUsage = function(eType) {
 			
 			var oDef = $.Deferred();
-			window.resolveLocalFileSystemURL(sUrl,
-				filesystem._fnEntryCallback(oDef),
-				filesystem._fnErrorCallback(oDef));
+			
+			if (! this._backend.queryUsage) return oDef.reject(new filesystem.Error('backend does not support quota management', { operation : 'queryUsage' }));
+			
+			this._backend.queryUsage(eType,
+				$.proxy(function(oD, iUsage, iQuota) { oD.resolve({ usage : iUsage, quota : iQuota }); }, null, oDef),
+				filesystem._fnErrorCallback(oDef, 'queryUsage'));
 			
 			return oDef;
 		};
@@ -123,506 +247,10117 @@ jQuery(function() {
 		//=================================================================================================================
 	
 		
-		filesystem._fnEntryCallback = function(oDef, oFileSystem) {
+		/**
+		 * Requests storage quota for a type of filesystem. The browser may ask the user for permission.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem#requestQuota
+		 * @param {number} eType type of filesystem, {@link jQuery.filesystem.TEMPORARY} or {@link jQuery.filesystem.PERSISTENT}
+		 * @param {number} iBytes requested quota, in bytes
+		 * @return {jQuery.Deferred} a request object containing the granted quota, in bytes, in case of success
+		 */
+		filesystem.prototype.requestQuota = function(eType, iBytes) {
 			
-			return $.proxy(function(oD, oInternFS, oEntry) {
-				oD.resolve(new filesystem[oEntry.isDirectory ? 'DirectoryEntry' : 'FileEntry'](oEntry, oInternFS));
-			}, null, oDef, oFileSystem);
+			var oDef = $.Deferred();
 			
-		};
-		
-		//=================================================================================================================
-	
-		
-		filesystem._fnErrorCallback = function(oDef) {
+			if (! this._backend.requestQuota) return oDef.reject(new filesystem.Error('backend does not support quota management', { operation : 'requestQuota' }));
 			
-			return oDef.reject;
+			this._backend.requestQuota(eType, iBytes, oDef.resolve, filesystem._fnErrorCallback(oDef, 'requestQuota'));
+			
+			return oDef;
 		};
 		
-	
-		//=============================================================================
-		//=========================== Interface FileSystem ============================
-		//=============================================================================
+		//=================================================================================================================
 	
 		
 		/**
-		 * Constructor for a new jQuery.filesystem.FileSystem.
-		 * 
-		 * @class
-		 * <p>This class provides jQuery wrapping features for FileSystem interface</p> 
-		 *
-		 * @constructor
-		 * @param {FileSystem} oFileSystem native <code>FileSystem</code> reference
-		 * 
-		 * @name jQuery.filesystem.FileSystem
+		 * Queries the storage usage and quota of a type of filesystem, with the default backend.
 		 * 
-		 * @property {string} name Name of this FileSystem object
-		 * @property {jQuery.filesystem.DirectoryEntry} root Root of this FileSystem object
+		 * @function
+		 * @name jQuery.filesystem.queryUsage
+		 * @param {number} eType type of filesystem, {@link jQuery.filesystem.TEMPORARY} or {@link jQuery.filesystem.PERSISTENT}
+		 * @return {jQuery.Deferred} a request object containing, in case of success, an object with <code>usage</code> 
+		 * and <code>quota</code> properties, in bytes
 		 */
-		filesystem.FileSystem = function(oFileSystem) {
-			
-			this._fs = oFileSystem;
+		filesystem.queryUsage = function(eType) {
 			
-			this.name = oFileSystem.name;
-			this.root = new filesystem.DirectoryEntry(oFileSystem.root, this);
+			return new filesystem().queryUsage(eType);
 		};
-	
 		
-		//=============================================================================
-		//=========================== Interface Entry =================================
-		//=============================================================================
+		//=================================================================================================================
 	
 		
 		/**
-		 * Constructor for a new jQuery.filesystem.Entry.
-		 * 
-		 * @class
-		 * <p>This class provides jQuery wrapping features for Entry interface</p> 
-		 *
-		 * @constructor
-		 * @param {Entry} oEntry native <code>Entry</code> reference
-		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] optional reference to <code>FileSystem</code> object. if not provided, a new wrapper object of native FileSystem reference is created 
+		 * Requests storage quota for a type of filesystem, with the default backend.
 		 * 
-		 * @name jQuery.filesystem.Entry
-		 * 
-		 * @property {boolean} isFile Entry is a file.
-		 * @property {boolean} isDirectory Entry is a directory.
-		 * @property {string} name The name of the entry, excluding the path leading to it.
-		 * @property {string} fullPath The full absolute path from the root to the entry.
-		 * @property {jQuery.filesystem.FileSystem} fileSystem The file system on which the entry resides.
+		 * @function
+		 * @name jQuery.filesystem.requestQuota
+		 * @param {number} eType type of filesystem, {@link jQuery.filesystem.TEMPORARY} or {@link jQuery.filesystem.PERSISTENT}
+		 * @param {number} iBytes requested quota, in bytes
+		 * @return {jQuery.Deferred} a request object containing the granted quota, in bytes, in case of success
 		 */
-		var IEntry = filesystem.Entry = function(oEntry, oFileSystem) {
-			
-			this._entry = oEntry;
+		filesystem.requestQuota = function(eType, iBytes) {
 			
-			this.isFile = oEntry.isFile;
-			this.isDirectory = oEntry.isDirectory;
-			this.name = oEntry.name;
-			this.fullPath = oEntry.fullPath;
-			this.fileSystem = oFileSystem || new filesystem.FileSystem(oEntry.fileSystem);
+			return new filesystem().requestQuota(eType, iBytes);
 		};
-	
+		
 		//=================================================================================================================
+	
 		
 		/**
-		 * Look up metadata about this entry.
+		 * Releases a URL obtained from {@link jQuery.filesystem.FileEntry#toObjectURL}. URLs which are not object URLs are ignored.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.Entry#getMetaData
-		 * @return {jQuery.Deferred} a request object containing the result Metadata object in case of success
+		 * @name jQuery.filesystem.revokeObjectURL
+		 * @param {string} sUrl URL to release
 		 */
-		IEntry.prototype.getMetaData = function() {
-			
-			var oDef = $.Deferred();
-			this._entry.getMetadata(oDef.resolve, filesystem._fnErrorCallback(oDef));
+		filesystem.revokeObjectURL = function(sUrl) {
 			
-			return oDef;
+			if (/^blob:/.test(sUrl || '')) (window.URL || window.webkitURL).revokeObjectURL(sUrl);
 		};
-	
+		
 		//=================================================================================================================
 	
 		
 		/**
-		 * Look up the parent DirectoryEntry containing this Entry. 
-		 * If this Entry is the root of its filesystem, its parent is itself.
+		 * Opens the database named at construction, see {@link jQuery.filesystem.Database}.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.Entry#getParent
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.DirectoryEntry} object in case of success
+		 * @name jQuery.filesystem#openDatabase
+		 * @param {number} [eType] type of filesystem holding the database. Default is {@link jQuery.filesystem.PERSISTENT}.
+		 * @param {number} [iSize] size of the filesystem, see {@link jQuery.filesystem#requestFS}
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem#requestFS}
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Database} object in case of success
 		 */
-		IEntry.prototype.getParent = function() {
+		filesystem.prototype.openDatabase = function(eType, iSize, oOptions) {
 			
-			var oDef = $.Deferred();
+			var sName = this.dbName, sRemoteIDPath = this.remoteIDPath;
 			
-			if (this._entry.fileSystem.root === this._entry)
-				oDef.resolve(this);
-			else {
-				this._entry.getParent(
-					filesystem._fnEntryCallback(oDef, this.fileSystem),
-					filesystem._fnErrorCallback(oDef));
-			}
+			if (! sName) return $.Deferred().reject(new filesystem.InvalidStateError('openDatabase failed: no database name', { operation : 'openDatabase' }));
 			
-			return oDef;
+			return this.requestFS(eType === undefined ? filesystem.PERSISTENT : eType, iSize, oOptions).then(function(oFS) {
+				return oFS.openDatabase(sName, sRemoteIDPath);
+			});
 		};
-	
+		
 		//=================================================================================================================
 	
 		
 		/**
-		 * Copy an entry to a different location on the file system.
+		 * Allows the user to look up the Entry for a file or directory referred to by a local URL.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.Entry#copyTo
-		 * @param {jQuery.filesystem.DirectoryEntry} oParent directory where the {@link jQuery.filesystem.Entry} should be copied to
-		 * @param {string} sNewName new name of the copied {@link jQuery.filesystem.Entry}. Default is its original name.
+		 * @name jQuery.filesystem#resolveURL
+		 * @param {string} sURL the URL of the file or directory to look up within the local file system
 		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry} object in case of success
 		 */
-		IEntry.prototype.copyTo = function(oParent, sNewName) {
+		filesystem.prototype.resolveURL = function(sUrl) {
 			
 			var oDef = $.Deferred();
-			this._entry.copyTo(oParent._entry, sNewName,
-				filesystem._fnEntryCallback(oDef, oParent.fileSystem),
-				filesystem._fnErrorCallback(oDef));
+			this._backend.resolveLocalFileSystemURL(sUrl,
+				filesystem._fnEntryCallback(oDef),
+				filesystem._fnErrorCallback(oDef, 'resolveURL', sUrl));
 			
 			return oDef;
 		};
-	
+		
 		//=================================================================================================================
 	
 		
-		/**
-		 * Move an entry to a different location on the file system.
-		 * 
-		 * @function
-		 * @name jQuery.filesystem.Entry#moveTo
-		 * @param {jQuery.filesystem.DirectoryEntry} oParent directory where the {@link jQuery.filesystem.Entry} should be moved to
-		 * @param {string} sNewName new name of the copied {@link jQuery.filesystem.Entry}. Default is its original name.
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry} object in case of success
-		 */
-		IEntry.prototype.moveTo = function(oParent, sNewName) {
+		filesystem._fnEntryCallback = function(oDef, oFileSystem) {
 			
-			var oDef = $.Deferred();
-			this._entry.moveTo(oParent._entry, sNewName,
-				filesystem._fnEntryCallback(oDef, oParent.fileSystem),
-				filesystem._fnErrorCallback(oDef));
+			return $.proxy(function(oD, oInternFS, oEntry) {
+				oD.resolve(filesystem._fnWrapEntry(oEntry, oInternFS));
+			}, null, oDef, oFileSystem);
 			
-			return oDef;
 		};
-	
+		
 		//=================================================================================================================
 	
 		
-		/**
-		 * Deletes a file or directory.
-		 * 
-		 * @function
-		 * @name jQuery.filesystem.Entry#remove
-		 * @return {jQuery.Deferred} the request object
-		 */
-		IEntry.prototype.remove = function() {
-			
-			var oDef = $.Deferred();
-			this._entry.remove(
-				oDef.resolve,
-				filesystem._fnErrorCallback(oDef));
+		filesystem._fnWrapEntry = function(oEntry, oFileSystem) {
 			
-			return oDef;
+			return new filesystem[oEntry.isDirectory ? 'DirectoryEntry' : 'FileEntry'](oEntry, oFileSystem);
 		};
 		
-		
-		//=============================================================================
-		//=========================== Interface DirectoryEntry ========================
-		//=============================================================================
+		//=================================================================================================================
 	
 		
-		
-		/**
-		 * Constructor for a new jQuery.filesystem.DirectoryEntry.
-		 * 
-		 * @class
-		 * <p>This class provides jQuery wrapping features for DirectoryEntry interface</p> 
-		 *
-		 * @extends jQuery.filesystem.Entry
-		 * 
-		 * @constructor
-		 * @param {Entry} oEntry native <code>Entry</code> reference
-		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] optional reference to <code>FileSystem</code> object. if not provided, a new wrapper object of native FileSystem reference is created 
-		 * 
-		 * @name jQuery.filesystem.DirectoryEntry
-		 */
-		var IDEntry = filesystem.DirectoryEntry = function(oEntry, oFileSystem) {
+		filesystem._fnErrorCallback = function(oDef, sOperation, sPath, sTargetPath) {
 			
-			// super()
-			filesystem.Entry.apply(this, arguments);
+			return $.proxy(function(oD, sOp, sP, sTP, oError) {
+				oD.reject(filesystem.Error.from(oError, sOp, sP, sTP));
+			}, null, oDef, sOperation, sPath, sTargetPath);
 		};
+		
+		//=================================================================================================================
 	
 		
 		/*
-		 * Inheritance from filesystem.Entry
+		 * Private helpers shared with jquery.filesystem.browser.js, see fnIsReservedPath() and fnResolveConflict()
 		 */
-		IDEntry.prototype = Object.create(filesystem.Entry.prototype);
-		IDEntry.prototype.constructor = IDEntry;
+		filesystem._fnIsReservedPath = fnIsReservedPath;
+		filesystem._fnResolveConflict = fnResolveConflict;
 		
 		//=================================================================================================================
+	
+		
+		filesystem._detectBackend = function() {
+			
+			var i = 0, len = filesystem.backendPriority.length, oBackend;
+			
+			for ( ; i < len ; ++i) {
+				oBackend = filesystem.backends[filesystem.backendPriority[i]];
+				if (oBackend && oBackend.isSupported()) return oBackend;
+			}
+			
+			return null;
+		};
 		
+		//=================================================================================================================
+	
 		
-		/**
-		 * Looks up a file.
-		 * 
-		 * @function
-		 * @name jQuery.filesystem.DirectoryEntry#getFile
-		 * @param {string} sPath either an absolute path or a relative path from this directory to the file to be looked up
-		 * @param {boolean} bCreateIfNotExists whether the looked up file should be created if it does not exist, or not
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileEntry} object in case of success
+		/*
+		 * Queues an operation, run once it is allowed to by the locks it holds and the global concurrency limit. 
+		 * aLocks lists the locks of the operation as objects having key and exclusive properties, keys being made of 
+		 * a filesystem name and a full path. Shared locks of a path are held alongside each other, while an exclusive 
+		 * lock waits for all previous locks of this path and of the paths below it to be released, and holds back all 
+		 * following ones : moves and removals of a directory wait for the operations on its entries. 
+		 * Conflicting operations run in submission order. 
+		 * bNested tells that fnOperation waits for scheduled operations of other paths, which would deadlock if it held 
+		 * a slot of the concurrency limit : nested operations are left out of it.
+		 * fnOperation returns a request object, which the returned request object mirrors.
 		 */
-		IDEntry.prototype.getFile = function(sPath, bCreateIfNotExists) {
+		filesystem._schedule = function(aLocks, fnOperation, bNested) {
 			
 			var oDef = $.Deferred();
 			
-			this._entry.getFile(sPath, { create : !!bCreateIfNotExists },
-				filesystem._fnEntryCallback(oDef, this.fileSystem),
-				filesystem._fnErrorCallback(oDef));
+			aPendingTasks.push({ locks : aLocks, operation : fnOperation, request : oDef, nested : !! bNested });
+			if (bNested) ++iPendingNested;
+			fnPumpTasks();
 			
 			return oDef;
 		};
-	
-		//=================================================================================================================
 		
+	
+		//=============================================================================
+		//=========================== Errors ==========================================
+		//=============================================================================
+	
 		
 		/**
-		 * Looks up a directory.
+		 * Constructor for a new jQuery.filesystem.Error.
 		 * 
-		 * @function
-		 * @name jQuery.filesystem.DirectoryEntry#getDirectory
-		 * @param {string} sPath either an absolute path or a relative path from this directory to the directory to be looked up
-		 * @param {boolean} bCreateIfNotExists whether the looked up directory should be created if it does not exist, or not
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.DirectoryEntry} object in case of success
+		 * @class
+		 * <p>Base class of the errors wrapper methods reject with. Native <code>FileError</code>, <code>DOMException</code> 
+		 * and IndexedDB errors are translated into the subclass matching their kind, the original error being kept as <code>cause</code>.</p>
+		 *
+		 * @extends Error
+		 * 
+		 * @constructor
+		 * @param {string} sMessage description of the error
+		 * @param {object} [oDetails] optional details, copied into the properties of same name
+		 * 
+		 * @name jQuery.filesystem.Error
+		 * 
+		 * @property {string} code stable code of the error kind, e.g. <code>'NOT_FOUND'</code>
+		 * @property {string} operation name of the failed wrapper method
+		 * @property {string} path full path of the entry the operation applied to
+		 * @property {string} targetPath full path of the destination of the operation, if any
+		 * @property {*} cause native error at the origin of this error, if any
 		 */
-		IDEntry.prototype.getDirectory = function(sPath, bCreateIfNotExists) {
+		var IError = filesystem.Error = function(sMessage, oDetails) {
 			
-			var oDef = $.Deferred();
+			var oD = oDetails || {};
 			
-			this._entry.getDirectory(sPath, { create : !!bCreateIfNotExists },
-				filesystem._fnEntryCallback(oDef, this.fileSystem),
-				filesystem._fnErrorCallback(oDef));
+			this.message = sMessage;
+			this.stack = new Error(sMessage).stack;
 			
-			return oDef;
+			if (oD.code) this.code = oD.code;
+			this.operation = oD.operation;
+			this.path = oD.path;
+			this.targetPath = oD.targetPath;
+			this.cause = oD.cause;
 		};
-	
+		
+		IError.prototype = Object.create(Error.prototype);
+		IError.prototype.constructor = IError;
+		IError.prototype.name = 'FileSystemError';
+		IError.prototype.code = 'UNKNOWN';
+		
 		//=================================================================================================================
 		
 		
 		/**
-		 * Creates a file.
+		 * Translates a native error into a {@link jQuery.filesystem.Error}. Errors already translated are returned as is.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.DirectoryEntry#createFile
-		 * @param {string} sPath either an absolute path or a relative path from this directory to the file to be created
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileEntry} object in case of success
+		 * @name jQuery.filesystem.Error.from
+		 * @param {*} oError native error
+		 * @param {string} [sOperation] name of the failed operation
+		 * @param {string} [sPath] full path of the entry the operation applied to
+		 * @param {string} [sTargetPath] full path of the destination of the operation
+		 * @return {jQuery.filesystem.Error} the translated error
 		 */
-		IDEntry.prototype.createFile = function(sPath) {
+		IError.from = function(oError, sOperation, sPath, sTargetPath) {
 			
-			var oDef = $.Deferred();
+			var sName = oError && oError.name,
+				sClass;
 			
-			this._entry.getFile(sPath, { create : true, exclusive : true },
-				filesystem._fnEntryCallback(oDef, this.fileSystem),
-				filesystem._fnErrorCallback(oDef));
+			if (oError instanceof IError) return oError;
 			
-			return oDef;
+			// legacy FileError objects only carry a code, which DOMException codes overlap : trust names first
+			if (! FILE_ERROR_CODES.hasOwnProperty(sName) && oError && FILE_ERROR_NAMES[oError.code]) sName = FILE_ERROR_NAMES[oError.code];
+			sClass = ERROR_CLASSES[sName];
+			
+			return new (sClass ? filesystem[sClass] : IError)(
+				(sOperation || 'operation') + (sPath ? ' on ' + sPath : '') + (sTargetPath ? ' to ' + sTargetPath : '') + ' failed: ' + 
+					((oError && (oError.message || oError.name)) || 'unknown error'),
+				{
+					code : sClass || ! sName ? undefined : sName.replace(/Error$/, '').replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase(),
+					operation : sOperation,
+					path : sPath,
+					targetPath : sTargetPath,
+					cause : oError
+				});
 		};
-	
+		
 		//=================================================================================================================
 		
 		
 		/**
-		 * Creates a directory.
+		 * Error raised when a file or directory does not exist.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.NotFoundError
+		 */
+		fnDefineError('NotFoundError', 'NOT_FOUND');
+		
+		/**
+		 * Error raised when creating an entry which already exists.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.AlreadyExistsError
+		 */
+		fnDefineError('AlreadyExistsError', 'ALREADY_EXISTS');
+		
+		/**
+		 * Error raised when the storage quota does not allow an operation.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.QuotaExceededError
+		 */
+		fnDefineError('QuotaExceededError', 'QUOTA_EXCEEDED');
+		
+		/**
+		 * Error raised for forbidden modifications, such as moving a directory into itself or removing a non empty directory.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.InvalidModificationError
+		 */
+		fnDefineError('InvalidModificationError', 'INVALID_MODIFICATION');
+		
+		/**
+		 * Error raised when the browser denies access to the filesystem.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.SecurityError
+		 */
+		fnDefineError('SecurityError', 'SECURITY');
+		
+		/**
+		 * Error raised when an entry is not of the expected kind, e.g. a directory looked up as a file.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.TypeMismatchError
+		 */
+		fnDefineError('TypeMismatchError', 'TYPE_MISMATCH');
+		
+		/**
+		 * Error raised when an object is used while in a state that does not allow it, e.g. a busy <code>FileWriter</code>.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.InvalidStateError
+		 */
+		fnDefineError('InvalidStateError', 'INVALID_STATE');
+		
+		/**
+		 * Error raised when an operation has been aborted.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.AbortError
+		 */
+		fnDefineError('AbortError', 'ABORTED');
+		
+		/**
+		 * Error raised when data cannot be decoded, e.g. a corrupt archive.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.EncodingError
+		 */
+		fnDefineError('EncodingError', 'ENCODING');
+		
+		/**
+		 * Error raised when a request to a server fails.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.NetworkError
+		 */
+		fnDefineError('NetworkError', 'NETWORK');
+		
+		/**
+		 * Error raised when encrypted data fails authentication, having been tampered with or encrypted with another key.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.IntegrityError
+		 */
+		fnDefineError('IntegrityError', 'INTEGRITY');
+		
+		/**
+		 * Error raised when an operation did not complete in time, e.g. a lock held elsewhere.
+		 * @class
+		 * @extends jQuery.filesystem.Error
+		 * @name jQuery.filesystem.TimeoutError
+		 */
+		fnDefineError('TimeoutError', 'TIMEOUT');
+	
+		
+		//=============================================================================
+		//=========================== Interface FileSystem ============================
+		//=============================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.FileSystem.
 		 * 
-		 * @function
-		 * @name jQuery.filesystem.DirectoryEntry#createDirectory
-		 * @param {string} sPath either an absolute path or a relative path from this directory to the directory to be created
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.DirectoryEntry} object in case of success
+		 * @class
+		 * <p>This class provides jQuery wrapping features for FileSystem interface</p> 
+		 *
+		 * @constructor
+		 * @param {FileSystem} oFileSystem native <code>FileSystem</code> reference
+		 * 
+		 * @name jQuery.filesystem.FileSystem
+		 * 
+		 * @property {string} name Name of this FileSystem object
+		 * @property {number} type Type of this FileSystem object, {@link jQuery.filesystem.TEMPORARY} or {@link jQuery.filesystem.PERSISTENT}
+		 * @property {jQuery.filesystem.DirectoryEntry} root Root of this FileSystem object
+		 * @property {object} quotaPolicy Quota policy of write helpers on this FileSystem object. Default is {@link jQuery.filesystem.quotaPolicy}.
+		 * @property {object} versioning Versioning of files of this FileSystem object, null to disable it. Default is {@link jQuery.filesystem.versioning}.
+		 * @property {jQuery.filesystem.Trash} trash Trash of this FileSystem object
+		 * @property {boolean|object} autoLock Locking of files by write helpers of this FileSystem object. Default is {@link jQuery.filesystem.autoLock}.
 		 */
-		IDEntry.prototype.createDirectory = function(sPath) {
-			
-			var oDef = $.Deferred();
+		var IFileSystem = filesystem.FileSystem = function(oFileSystem) {
 			
-			this._entry.getDirectory(sPath, { create : true, exclusive : true },
-				filesystem._fnEntryCallback(oDef, this.fileSystem),
-				filesystem._fnErrorCallback(oDef));
+			this._fs = oFileSystem;
 			
-			return oDef;
+			this.name = oFileSystem.name;
+			this.type = oFileSystem._type !== undefined ? oFileSystem._type : /persistent$/i.test(oFileSystem.name) ? filesystem.PERSISTENT : filesystem.TEMPORARY;
+			this.root = new filesystem.DirectoryEntry(oFileSystem.root, this);
+			this.quotaPolicy = undefined;
+			this.versioning = undefined;
+			this.trash = new filesystem.Trash(this);
+			this.autoLock = undefined;
 		};
 	
 		//=================================================================================================================
-	
+		
 		
 		/**
-		 * Deletes a directory and all of its contents, if any.
+		 * Queries the storage usage and quota of this filesystem.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.DirectoryEntry#removeRecursively
-		 * @return {jQuery.Deferred} a request object
+		 * @name jQuery.filesystem.FileSystem#queryUsage
+		 * @return {jQuery.Deferred} a request object containing, in case of success, an object with <code>usage</code> 
+		 * and <code>quota</code> properties, in bytes
 		 */
-		IDEntry.prototype.removeRecursively = function() {
-			
-			var oDef = $.Deferred();
-			this._entry.removeRecursively(
-				oDef.resolve,
-				filesystem._fnErrorCallback(oDef));
+		IFileSystem.prototype.queryUsage = function() {
 			
-			return oDef;
+			return new filesystem({ backend : this._backend() }).queryUsage(this.type);
 		};
 	
 		//=================================================================================================================
-	
+		
 		
 		/**
-		 * Lists files and directories in a directory.
+		 * Requests storage quota for this filesystem.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.DirectoryEntry#listContent
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry[]} array in case of success
+		 * @name jQuery.filesystem.FileSystem#requestQuota
+		 * @param {number} iBytes requested quota, in bytes
+		 * @return {jQuery.Deferred} a request object containing the granted quota, in bytes, in case of success
 		 */
-		IDEntry.prototype.listContent = function() {
-			
-			var oDef = $.Deferred(),
-				oReader = new filesystem.DirectoryReader(this._entry.createReader()),
-				
-				aDirContent = [],
-			
-				// define recursive function to read all content
-				fnReadBlock = function(oD, oReader, aContent) {
-				
-					oReader.readEntries()
-						.done($.proxy(
-							function(oDeferred, oReader, aList, aResults) {
-							
-								var i = 0, len = aResults.length;
-								
-								for ( ; i < len ; ++i) aList.push(aResults[i]);
-								
-								if (len) {
-									// fetch next block
-									fnReadBlock(oDeferred, oReader, aList);
-								} else {
-									// end of content reading
-									oDeferred.resolve(aList);
-								}
-							
-							}, this, oD, oReader, aContent)
-						)
-						.fail(filesystem._fnErrorCallback(oD));
-				};
+		IFileSystem.prototype.requestQuota = function(iBytes) {
 			
+			return new filesystem({ backend : this._backend() }).requestQuota(this.type, iBytes);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Applies the quota policy after a write of iBytes failed with oError. 
+		 * The returned request object is resolved once quota has grown, rejected with oError when giving up.
+		 */
+		IFileSystem.prototype._growQuota = function(oError, iBytes) {
 			
-			// start reading content
-			fnReadBlock(oDef, oReader, aDirContent);
+			var oFS = this, oPolicy = this.quotaPolicy || filesystem.quotaPolicy;
 			
-			return oDef;
+			return this.queryUsage().then(
+				function(oUsage) {
+					var iQuota = oPolicy.grow(oUsage.usage, oUsage.quota, iBytes);
+					return iQuota && iQuota > oUsage.quota ? oFS.requestQuota(iQuota) : $.Deferred().reject(oError);
+				},
+				function() { return $.Deferred().reject(oError); });
 		};
+	
+		//=================================================================================================================
 		
 		
-		//=============================================================================
-		//=========================== Interface DirectoryReader =======================
-		//=============================================================================
+		/*
+		 * Returns the backend this filesystem belongs to
+		 */
+		IFileSystem.prototype._backend = function() {
+			
+			return this._fs._backend || filesystem.backends['native'];
+		};
+	
+		//=================================================================================================================
 		
 		
 		/**
-		 * Constructor for a new jQuery.filesystem.DirectoryReader.
+		 * Attaches a handler to change events of this filesystem.
+		 * <p>Mutations made through the wrappers trigger <code>created</code>, <code>modified</code>, <code>removed</code> 
+		 * and <code>moved</code> events, handlers being called with <code>(oEvent, oChange)</code>. The change object has 
+		 * <code>type</code>, <code>path</code>, <code>isDirectory</code> and <code>entry</code> properties, as well as 
+		 * <code>oldPath</code> for moves. Copies and moves of directories trigger a single event for the directory itself.</p>
+		 * <p>Events are shared by all wrappers of a same filesystem and reach other tabs of the same origin through 
+		 * <code>BroadcastChannel</code> where available, without <code>entry</code> and with <code>remote</code> set to true. 
+		 * Changes spotted by {@link jQuery.filesystem.DirectoryEntry#watch} have <code>external</code> set to true.</p>
 		 * 
-		 * @class
-		 * <p>This class provides jQuery wrapping features for DirectoryReader interface</p> 
-		 *
-		 * @constructor
-		 * @param {DirectoryReader} oDReader native <code>DirectoryReader</code> reference
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#on
+		 * @param {string} sEvents one or more space separated event types, possibly namespaced
+		 * @param {function} fnHandler handler called with <code>(oEvent, oChange)</code>
+		 * @return {jQuery.filesystem.FileSystem} this filesystem, for chaining
+		 */
+		IFileSystem.prototype.on = function(sEvents, fnHandler) {
+			
+			var $events = this._hub().events;
+			
+			$events.on.apply($events, arguments);
+			
+			return this;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Attaches a handler to change events of this filesystem, run at most once per event type.
 		 * 
-		 * @name jQuery.filesystem.DirectoryReader
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#one
+		 * @param {string} sEvents one or more space separated event types, possibly namespaced
+		 * @param {function} fnHandler handler called with <code>(oEvent, oChange)</code>
+		 * @return {jQuery.filesystem.FileSystem} this filesystem, for chaining
 		 */
-		var IDReader = filesystem.DirectoryReader = function(oDReader) {
+		IFileSystem.prototype.one = function(sEvents, fnHandler) {
 			
-			this._reader = oDReader;
+			var $events = this._hub().events;
+			
+			$events.one.apply($events, arguments);
+			
+			return this;
 		};
 	
 		//=================================================================================================================
 		
 		
 		/**
-		 * Read the next block of entries from this directory.
+		 * Detaches handlers of change events of this filesystem.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.DirectoryReader#readEntries
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry[]} array in case of success
+		 * @name jQuery.filesystem.FileSystem#off
+		 * @param {string} [sEvents] one or more space separated event types or namespaces. Default is all.
+		 * @param {function} [fnHandler] handler to detach. Default is all.
+		 * @return {jQuery.filesystem.FileSystem} this filesystem, for chaining
 		 */
-		IDReader.prototype.readEntries = function() {
+		IFileSystem.prototype.off = function(sEvents, fnHandler) {
 			
-			var oDef = $.Deferred();
+			var $events = this._hub().events;
 			
-			this._reader.readEntries(oDef.resolve, oDef.reject);
+			$events.off.apply($events, arguments);
 			
-			return oDef;
+			return this;
 		};
+	
+		//=================================================================================================================
 		
 		
-		//=============================================================================
-		//=========================== Interface FileEntry =============================
-		//=============================================================================
+		/*
+		 * Triggers a change event about oEntry, oDetails possibly holding oldPath and external properties. 
+		 * Changes made through the wrappers are broadcast to other tabs, unlike changes of the plugin's own files, 
+		 * which trigger nothing. Returns the change object.
+		 */
+		IFileSystem.prototype._emit = function(sType, oEntry, oDetails) {
+			
+			var oHub = this._hub(),
+				oChange = $.extend({ 
+					type : sType, 
+					path : oEntry.fullPath, 
+					isDirectory : oEntry.isDirectory, 
+					entry : oEntry, 
+					external : false, 
+					remote : false 
+				}, oDetails);
+			
+			if (fnIsReservedPath(oChange.path) && (! oChange.oldPath || fnIsReservedPath(oChange.oldPath))) return oChange;
+			
+			oHub.events.triggerHandler(sType, [oChange]);
+			
+			if (oHub.channel && ! oChange.external) {
+				oHub.channel.postMessage({ type : sType, path : oChange.path, oldPath : oChange.oldPath, isDirectory : oChange.isDirectory });
+			}
+			
+			return oChange;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Returns the event hub shared by all wrappers of this filesystem, opening its BroadcastChannel on first use 
+		 * unless the backend is not shared between tabs
+		 */
+		IFileSystem.prototype._hub = function() {
+			
+			var oBackend = this._backend(), sName = this.name, oHub;
+			
+			$.each(aHubs, function(i, o) {
+				if (o.backend === oBackend && o.name === sName) {
+					oHub = o;
+					return false;
+				}
+			});
+			
+			if (oHub) return oHub;
+			
+			aHubs.push(oHub = { backend : oBackend, name : sName, events : $({}), channel : null });
+			
+			if (oBackend.shared !== false && window.BroadcastChannel) {
+				
+				oHub.channel = new BroadcastChannel('jquery.filesystem:' + sName);
+				oHub.channel.onmessage = function(oMessage) {
+					oHub.events.triggerHandler(oMessage.data.type, [$.extend({ entry : null, external : false, remote : true }, oMessage.data)]);
+				};
+			}
+			
+			return oHub;
+		};
 	
+		//=================================================================================================================
+		
 		
 		/**
-		 * Constructor for a new jQuery.filesystem.FileEntry.
-		 * 
-		 * @class
-		 * <p>This class provides jQuery wrapping features for FileEntry interface</p> 
-		 *
-		 * @extends jQuery.filesystem.Entry
-		 * 
-		 * @constructor
-		 * @param {Entry} oEntry native <code>Entry</code> reference
-		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] optional reference to <code>FileSystem</code> object. if not provided, a new wrapper object of native FileSystem reference is created 
+		 * Reads the content of the file at given path.
 		 * 
-		 * @name jQuery.filesystem.FileEntry
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#readFile
+		 * @param {string} sPath path of the file, relative paths being resolved from root
+		 * @param {object|string} [oOptions] optional settings, or text encoding
+		 * @param {string} [oOptions.as='text'] requested form of the content : 'text', 'json', 'arraybuffer', 'dataurl' or 'file'
+		 * @param {string} [oOptions.encoding] encoding of text content. Default is UTF-8.
+		 * @return {jQuery.Deferred} a request object containing the file content in case of success
 		 */
-		var IFEntry = filesystem.FileEntry = function(oEntry, oFileSystem) {
+		IFileSystem.prototype.readFile = function(sPath, oOptions) {
 			
-			// super()
-			filesystem.Entry.apply(this, arguments);
+			var oOpts = typeof oOptions === 'string' ? { encoding : oOptions } : oOptions || {};
+			
+			return this.root.getFile(sPath).then(function(oFile) {
+				
+				switch (oOpts.as || 'text') {
+					case 'text' :			return oFile.readAsText(oOpts.encoding);
+					case 'json' :			return oFile.readAsJSON();
+					case 'arraybuffer' :	return oFile.readAsArrayBuffer();
+					case 'dataurl' :		return oFile.readAsDataURL();
+					case 'file' :			return oFile.asFile();
+				}
+				
+				return $.Deferred().reject(new filesystem.TypeMismatchError('unknown content form ' + oOpts.as, { operation : 'readFile', path : oFile.fullPath }));
+			});
 		};
 	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Writes the content of the file at given path, creating the file if needed. Its parent directory must exist. 
+		 * A file created this way triggers a single <code>created</code> event once written, rather than a <code>modified</code> one in addition.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#writeFile
+		 * @param {string} sPath path of the file, relative paths being resolved from root
+		 * @param {string|Blob|ArrayBuffer|ArrayBufferView} oData new content of the file
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.FileEntry#write}
+		 * @return {jQuery.Deferred} a request object containing the written {@link jQuery.filesystem.FileEntry} in case of success
+		 */
+		IFileSystem.prototype.writeFile = function(sPath, oData, oOptions) {
+			
+			var bCreated = false;
+			
+			return this.root._get('getFile', false, sPath, { create : true }, function() { bCreated = true; }).then(function(oFile) {
+				
+				return oFile._replace(oData, oOptions, bCreated ? 'created' : 'modified').fail(function() {
+					// the empty file is there anyway
+					if (bCreated) oFile.fileSystem._emit('created', oFile);
+				});
+			});
+		};
 	
-		/*
-		 * Inheritance from filesystem.Entry
+		//=================================================================================================================
+		
+		
+		/**
+		 * Appends data to the file at given path, creating the file if needed. Its parent directory must exist.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#appendFile
+		 * @param {string} sPath path of the file, relative paths being resolved from root
+		 * @param {string|Blob|ArrayBuffer|ArrayBufferView} oData data to append
+		 * @return {jQuery.Deferred} a request object containing the written {@link jQuery.filesystem.FileEntry} in case of success
 		 */
-		IFEntry.prototype = Object.create(filesystem.Entry.prototype);
-		IFEntry.prototype.constructor = IFEntry;
+		IFileSystem.prototype.appendFile = function(sPath, oData) {
+			
+			return this.root.getFile(sPath, true).then(function(oFile) {
+				return oFile.append(oData);
+			});
+		};
 	
 		//=================================================================================================================
 		
 		
 		/**
-		 * Creates a new FileWriter associated with the file that this FileEntry represents.
+		 * Creates a directory, along with all its missing ancestors.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.FileEntry#createWriter
-		 * @return {jQuery.Deferred} a request object containing the result {@link FileWriter} object in case of success
+		 * @name jQuery.filesystem.FileSystem#mkdirp
+		 * @param {string} sPath path of the directory, relative paths being resolved from root
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.DirectoryEntry} in case of success
 		 */
-		IFEntry.prototype.createWriter = function() {
+		IFileSystem.prototype.mkdirp = function(sPath) {
 			
-			var oDef = $.Deferred();
+			var aNames = fnResolvePath('/', sPath).split('/').slice(1),
+				oRequest = $.Deferred().resolve(this.root);
 			
-			this._entry.createWriter(
-				oDef.resolve,
-				filesystem._fnErrorCallback(oDef));
+			$.each(aNames, function(i, sName) {
+				if (sName) oRequest = oRequest.then(function(oDir) { return oDir.getDirectory(sName, true); });
+			});
 			
-			return oDef;
+			return oRequest;
 		};
 	
 		//=================================================================================================================
 		
 		
 		/**
-		 * Returns a <code>File</code> that represents the current state of the file that this FileEntry represents.
+		 * Checks whether a file or directory exists at given path.
 		 * 
 		 * @function
-		 * @name jQuery.filesystem.FileEntry#asFile
-		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.File} object in case of success
+		 * @name jQuery.filesystem.FileSystem#exists
+		 * @param {string} sPath path to check, relative paths being resolved from root
+		 * @return {jQuery.Deferred} a request object containing the result boolean in case of success
 		 */
-		IFEntry.prototype.asFile = function() {
-			
-			var oDef = $.Deferred();
+		IFileSystem.prototype.exists = function(sPath) {
 			
-			this._entry.file(
-				oDef.resolve,
-				filesystem._fnErrorCallback(oDef));
+			return this.getEntry(sPath).then(
+				function() { return true; },
+				function(oError) { return fnIsNotFound(oError) ? $.Deferred().resolve(false) : $.Deferred().reject(oError); });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Describes the file or directory at given path.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#stat
+		 * @param {string} sPath path of the entry, relative paths being resolved from root
+		 * @return {jQuery.Deferred} a request object containing, in case of success, an object with <code>name</code>, 
+		 * <code>fullPath</code>, <code>isFile</code>, <code>isDirectory</code>, <code>size</code> and <code>modificationTime</code> properties
+		 */
+		IFileSystem.prototype.stat = function(sPath) {
 			
-			return oDef;
+			return this.getEntry(sPath).then(function(oEntry) {
+				
+				return oEntry.getMetaData().then(function(oMetadata) {
+					return {
+						name : oEntry.name,
+						fullPath : oEntry.fullPath,
+						isFile : oEntry.isFile,
+						isDirectory : oEntry.isDirectory,
+						size : oMetadata.size,
+						modificationTime : oMetadata.modificationTime
+					};
+				});
+			});
 		};
+	
+		//=================================================================================================================
 		
 		
-		//=============================================================================
-		//=========================== Helpers =========================================
-		//=============================================================================
+		/**
+		 * Moves and/or renames a file or directory. The destination directory must exist.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#rename
+		 * @param {string} sOldPath current path of the entry, relative paths being resolved from root
+		 * @param {string} sNewPath new path of the entry, relative paths being resolved from root
+		 * @return {jQuery.Deferred} a request object containing the moved {@link jQuery.filesystem.Entry} in case of success
+		 */
+		IFileSystem.prototype.rename = function(sOldPath, sNewPath) {
+			
+			var sTarget = fnResolvePath('/', sNewPath);
+			
+			return $.when(this.getEntry(sOldPath), this.root.getDirectory(fnDirname(sTarget))).then(function(oEntry, oParent) {
+				return oEntry.moveTo(oParent, fnBasename(sTarget));
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Deletes the file or directory at given path.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#rm
+		 * @param {string} sPath path of the entry, relative paths being resolved from root
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.recursive=false] whether non empty directories should be deleted with all their content
+		 * @param {boolean} [oOptions.force=false] whether a missing entry should be ignored rather than failing
+		 * @param {boolean} [oOptions.trash=false] whether the entry should be moved to the trash, see {@link jQuery.filesystem.Entry#remove}
+		 * @return {jQuery.Deferred} the request object
+		 */
+		IFileSystem.prototype.rm = function(sPath, oOptions) {
+			
+			var oOpts = oOptions || {};
+			
+			return this.getEntry(sPath).then(
+				function(oEntry) {
+					return oEntry.isDirectory && oOpts.recursive ? oEntry.removeRecursively({ trash : oOpts.trash }) : oEntry.remove({ trash : oOpts.trash });
+				},
+				function(oError) {
+					return oOpts.force && fnIsNotFound(oError) ? $.Deferred().resolve() : $.Deferred().reject(oError);
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Lists the names of the files and directories in the directory at given path.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#readdir
+		 * @param {string} sPath path of the directory, relative paths being resolved from root
+		 * @return {jQuery.Deferred} a request object containing the result array of names, sorted, in case of success
+		 */
+		IFileSystem.prototype.readdir = function(sPath) {
+			
+			return this.root.getDirectory(sPath).then(function(oDir) {
+				return oDir.listContent();
+			}).then(function(aEntries) {
+				return $.map(aEntries, function(oEntry) { return oEntry.name; }).sort();
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Looks up the file or directory at given path, whatever its kind.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#getEntry
+		 * @param {string} sPath path of the entry, relative paths being resolved from root
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry} in case of success
+		 */
+		IFileSystem.prototype.getEntry = function(sPath) {
+			
+			var oRoot = this.root;
+			
+			return oRoot.getFile(sPath).then(null, function(oError) {
+				return fnIsTypeMismatch(oError) ? oRoot.getDirectory(sPath) : $.Deferred().reject(oError);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Opens a database of JSON documents stored in this filesystem, creating it if needed.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#openDatabase
+		 * @param {string} sName name of the database
+		 * @param {string} [sRemoteIDPath] path to server's ID in documents, indexed in every collection
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Database} object in case of success
+		 */
+		IFileSystem.prototype.openDatabase = function(sName, sRemoteIDPath) {
+			
+			var oDatabase = new filesystem.Database(this, sName, sRemoteIDPath);
+			
+			return this.mkdirp(oDatabase.fullPath).then(function() {
+				return oDatabase;
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Opens a view of a directory of this filesystem whose files are encrypted at rest, see {@link jQuery.filesystem.EncryptedFileSystem}.
+		 * <p>The directory holds a <code>.encryption</code> file recording a check of the key, and the secret deriving 
+		 * encrypted names when they are enabled. It is created by the first call, which decides whether names are encrypted.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#encrypted
+		 * @param {CryptoKey} oKey AES-GCM key allowed to encrypt and decrypt, e.g. generated with 
+		 * <code>crypto.subtle.generateKey({ name : 'AES-GCM', length : 256 }, false, ['encrypt', 'decrypt'])</code>
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.dir='/'] path of the directory holding the encrypted entries, created if needed
+		 * @param {boolean} [oOptions.names=false] whether names of entries are encrypted as well
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.EncryptedFileSystem} in case of success, 
+		 * rejected with a {@link jQuery.filesystem.SecurityError} if the directory was encrypted with another key
+		 */
+		IFileSystem.prototype.encrypted = function(oKey, oOptions) {
+			
+			var oOpts = oOptions || {};
+			
+			if (! fnSubtle()) return $.Deferred().reject(new filesystem.Error('encrypted failed: Web Crypto API is not available', { operation : 'encrypted' }));
+			
+			return this.mkdirp(oOpts.dir || '/').then(function(oDir) {
+				return fnOpenKeyring(oDir, oKey, !! oOpts.names).then(function(oKeys) {
+					return new IEncryptedFileSystem(oDir, oKeys);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Runs a series of operations as a whole : either all of them are applied, or none. 
+		 * <p><code>fnBody</code> records operations on the {@link jQuery.filesystem.Transaction} it is given, then they are 
+		 * applied in recording order, each step being journaled. Should an operation fail, those already applied are undone. 
+		 * Transactions interrupted by a page close are completed, or rolled back, by the next {@link jQuery.filesystem#requestFS}. 
+		 * Transactions of a filesystem run one at a time, each holding a lock while it runs, see {@link jQuery.filesystem.Entry#lock}, 
+		 * for other tabs not to recover it meanwhile.</p>
+		 * 
+		 * @example
+		 * oFS.transaction(function(tx) {
+		 *     tx.mkdir('/archive');
+		 *     tx.move('/report.txt', '/archive/report.txt');
+		 *     tx.write('/report.txt', 'new report');
+		 * });
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileSystem#transaction
+		 * @param {function} fnBody function recording operations, called with the {@link jQuery.filesystem.Transaction}. 
+		 * It may return a request object, operations being applied once it is resolved.
+		 * @return {jQuery.Deferred} a request object containing the result of <code>fnBody</code> once all operations have been applied, 
+		 * rejected with the error of the failed operation once the others have been undone
+		 */
+		IFileSystem.prototype.transaction = function(fnBody) {
+			
+			var oTransaction = new filesystem.Transaction(this);
+			
+			return fnSerialize(this.name + ':' + filesystem.TRANSACTIONS_PATH, function() {
+				
+				var oBody;
+				
+				try {
+					oBody = fnBody(oTransaction);
+				} catch (e) {
+					oBody = $.Deferred().reject(e);
+				}
+				
+				return $.when(oBody).then(function(oResult) {
+					return oTransaction._commit().then(function() { return oResult; });
+				}, function(oError) {
+					oTransaction._closed = true;
+					return $.Deferred().reject(oError);
+				});
+			});
+		};
+		
+		
+		//=============================================================================
+		//=========================== Path helpers ====================================
+		//=============================================================================
+		
+		
+		/**
+		 * Helpers for manipulating paths, in the manner of Node's <code>path</code> module.
+		 * @name jQuery.filesystem.path
+		 */
+		filesystem.path = {
+			
+			/**
+			 * Normalizes a path, resolving '.' and '..' segments and removing duplicate separators
+			 * @function
+			 * @name jQuery.filesystem.path.normalize
+			 * @param {string} sPath path to normalize
+			 * @return {string} normalized path
+			 */
+			normalize : function(sPath) {
+				
+				var bAbsolute = sPath.charAt(0) === '/',
+					aParts = sPath.split('/'),
+					aResult = [],
+					i = 0, len = aParts.length;
+				
+				for ( ; i < len ; ++i) {
+					if (! aParts[i] || aParts[i] === '.') continue;
+					
+					if (aParts[i] !== '..') aResult.push(aParts[i]);
+					else if (aResult.length && aResult[aResult.length - 1] !== '..') aResult.pop();
+					else if (! bAbsolute) aResult.push('..');
+				}
+				
+				return ((bAbsolute ? '/' : '') + aResult.join('/')) || '.';
+			},
+			
+			/**
+			 * Joins path segments and normalizes the result
+			 * @function
+			 * @name jQuery.filesystem.path.join
+			 * @param {...string} sPath path segments
+			 * @return {string} joined path
+			 */
+			join : function() {
+				
+				return filesystem.path.normalize($.grep(Array.prototype.slice.call(arguments), Boolean).join('/'));
+			},
+			
+			/**
+			 * Resolves a sequence of paths, from right to left, into an absolute path
+			 * @function
+			 * @name jQuery.filesystem.path.resolve
+			 * @param {...string} sPath paths to resolve
+			 * @return {string} absolute path
+			 */
+			resolve : function() {
+				
+				var sPath = '/', i = 0, len = arguments.length;
+				
+				for ( ; i < len ; ++i) if (arguments[i]) sPath = fnResolvePath(sPath, arguments[i]);
+				
+				return sPath;
+			},
+			
+			/**
+			 * Returns the directory part of a path
+			 * @function
+			 * @name jQuery.filesystem.path.dirname
+			 * @param {string} sPath path
+			 * @return {string} parent directory path
+			 */
+			dirname : function(sPath) {
+				
+				var sTrimmed = sPath.replace(/(.)\/+$/, '$1'), i = sTrimmed.lastIndexOf('/');
+				
+				return i === -1 ? '.' : i === 0 ? '/' : sTrimmed.substr(0, i);
+			},
+			
+			/**
+			 * Returns the last segment of a path
+			 * @function
+			 * @name jQuery.filesystem.path.basename
+			 * @param {string} sPath path
+			 * @param {string} [sExt] extension to remove from the result, if present
+			 * @return {string} last segment of the path
+			 */
+			basename : function(sPath, sExt) {
+				
+				var sTrimmed = sPath.replace(/(.)\/+$/, '$1'),
+					sBase = sTrimmed.substr(sTrimmed.lastIndexOf('/') + 1);
+				
+				if (sExt && sBase !== sExt && sBase.substr(sBase.length - sExt.length) === sExt) sBase = sBase.substr(0, sBase.length - sExt.length);
+				
+				return sBase;
+			},
+			
+			/**
+			 * Returns the extension of a path, from its last '.' included
+			 * @function
+			 * @name jQuery.filesystem.path.extname
+			 * @param {string} sPath path
+			 * @return {string} extension, or an empty string
+			 */
+			extname : function(sPath) {
+				
+				var sBase = filesystem.path.basename(sPath), i = sBase.lastIndexOf('.');
+				
+				return i <= 0 ? '' : sBase.substr(i);
+			},
+			
+			/**
+			 * Returns the relative path from a path to another, both being resolved first
+			 * @function
+			 * @name jQuery.filesystem.path.relative
+			 * @param {string} sFrom origin path
+			 * @param {string} sTo destination path
+			 * @return {string} relative path
+			 */
+			relative : function(sFrom, sTo) {
+				
+				var aFrom = fnResolvePath('/', sFrom).split('/').slice(1),
+					aTo = fnResolvePath('/', sTo).split('/').slice(1),
+					aResult = [],
+					i = 0, j;
+				
+				if (! aFrom[0]) aFrom = [];
+				if (! aTo[0]) aTo = [];
+				
+				while (i < aFrom.length && i < aTo.length && aFrom[i] === aTo[i]) ++i;
+				
+				for (j = i ; j < aFrom.length ; ++j) aResult.push('..');
+				
+				return aResult.concat(aTo.slice(i)).join('/');
+			}
+		};
+	
+		
+		//=============================================================================
+		//=========================== Interface Entry =================================
+		//=============================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.Entry.
+		 * 
+		 * @class
+		 * <p>This class provides jQuery wrapping features for Entry interface</p> 
+		 *
+		 * @constructor
+		 * @param {Entry} oEntry native <code>Entry</code> reference
+		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] optional reference to <code>FileSystem</code> object. if not provided, a new wrapper object of native FileSystem reference is created 
+		 * 
+		 * @name jQuery.filesystem.Entry
+		 * 
+		 * @property {boolean} isFile Entry is a file.
+		 * @property {boolean} isDirectory Entry is a directory.
+		 * @property {string} name The name of the entry, excluding the path leading to it.
+		 * @property {string} fullPath The full absolute path from the root to the entry.
+		 * @property {jQuery.filesystem.FileSystem} fileSystem The file system on which the entry resides.
+		 */
+		var IEntry = filesystem.Entry = function(oEntry, oFileSystem) {
+			
+			this._entry = oEntry;
+			
+			this.isFile = oEntry.isFile;
+			this.isDirectory = oEntry.isDirectory;
+			this.name = oEntry.name;
+			this.fullPath = oEntry.fullPath;
+			this.fileSystem = oFileSystem || new filesystem.FileSystem(oEntry.fileSystem);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Schedules an operation on this entry, see filesystem._schedule(). 
+		 * oTarget, having path and exclusive properties, locks another path of this filesystem, such as the destination of a move.
+		 */
+		IEntry.prototype._schedule = function(bExclusive, fnOperation, oTarget, bNested) {
+			
+			var sName = this.fileSystem.name,
+				aLocks = [{ key : sName + ':' + this.fullPath, exclusive : bExclusive }];
+			
+			if (oTarget) aLocks.push({ key : sName + ':' + oTarget.path, exclusive : oTarget.exclusive });
+			
+			return filesystem._schedule(aLocks, $.proxy(fnOperation, this), bNested);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Whether versioning applies to this entry, see jQuery.filesystem.versioning
+		 */
+		IEntry.prototype._isVersioned = function() {
+			
+			return !! fnVersioning(this.fileSystem) && ! fnIsReservedPath(this.fullPath);
+		};
+	
+		//=================================================================================================================
+		
+		/**
+		 * Look up metadata about this entry.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Entry#getMetaData
+		 * @return {jQuery.Deferred} a request object containing the result Metadata object in case of success
+		 */
+		IEntry.prototype.getMetaData = function() {
+			
+			return this._schedule(false, function() {
+				
+				var oDef = $.Deferred();
+				this._entry.getMetadata(oDef.resolve, filesystem._fnErrorCallback(oDef, 'getMetaData', this.fullPath));
+				
+				return oDef;
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Look up the parent DirectoryEntry containing this Entry. 
+		 * If this Entry is the root of its filesystem, its parent is itself.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Entry#getParent
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.DirectoryEntry} object in case of success
+		 */
+		IEntry.prototype.getParent = function() {
+			
+			var oDef = $.Deferred();
+			
+			if (this._entry.fileSystem.root === this._entry)
+				oDef.resolve(this);
+			else {
+				this._entry.getParent(
+					filesystem._fnEntryCallback(oDef, this.fileSystem),
+					filesystem._fnErrorCallback(oDef, 'getParent', this.fullPath));
+			}
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Returns a <code>filesystem:</code> URL identifying this entry, which {@link jQuery.filesystem#resolveURL} turns back into an entry.
+		 * <p>Only URLs of the native backend can be loaded by the document, see {@link jQuery.filesystem.FileEntry#toObjectURL}.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Entry#toURL
+		 * @return {string} the URL of this entry
+		 */
+		IEntry.prototype.toURL = function() {
+			
+			return this._entry.toURL();
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Copy an entry to a different location on the file system.
+		 * <p>Copies to another filesystem, such as from TEMPORARY to PERSISTENT storage, are performed by recreating 
+		 * directories and streaming file contents one entry at a time.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Entry#copyTo
+		 * @param {jQuery.filesystem.DirectoryEntry} oParent directory where the {@link jQuery.filesystem.Entry} should be copied to
+		 * @param {string} [sNewName] new name of the copied {@link jQuery.filesystem.Entry}. Default is its original name.
+		 * @param {object} [oOptions] optional settings, possibly given in place of <code>sNewName</code>
+		 * @param {string} [oOptions.conflict] behaviour when the destination already exists : 'overwrite' replaces it, 'skip' leaves it 
+		 * untouched and resolves it, 'rename' picks a free name such as "name (1).ext" and 'fail' rejects with a 
+		 * {@link jQuery.filesystem.AlreadyExistsError}. Default is the native behaviour.
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry} object in case of success. 
+		 * Copies across filesystems are notified of progress with an object having <code>entry</code>, <code>target</code>, 
+		 * <code>entries</code>, <code>totalEntries</code>, <code>bytes</code> and <code>totalBytes</code> properties.
+		 */
+		IEntry.prototype.copyTo = function(oParent, sNewName, oOptions) {
+			
+			if ($.isPlainObject(sNewName)) return this._transfer('copyTo', oParent, undefined, sNewName);
+			
+			return this._transfer('copyTo', oParent, sNewName, oOptions);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Move an entry to a different location on the file system.
+		 * <p>Moves to another filesystem are performed as a copy followed by the removal of this entry.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Entry#moveTo
+		 * @param {jQuery.filesystem.DirectoryEntry} oParent directory where the {@link jQuery.filesystem.Entry} should be moved to
+		 * @param {string} [sNewName] new name of the copied {@link jQuery.filesystem.Entry}. Default is its original name.
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.Entry#copyTo}
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry} object in case of success, 
+		 * notified of progress like {@link jQuery.filesystem.Entry#copyTo}
+		 */
+		IEntry.prototype.moveTo = function(oParent, sNewName, oOptions) {
+			
+			if ($.isPlainObject(sNewName)) return this._transfer('moveTo', oParent, undefined, sNewName);
+			
+			return this._transfer('moveTo', oParent, sNewName, oOptions);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Copies or moves this entry, applying conflict policy, natively within a filesystem or by streaming across filesystems
+		 */
+		IEntry.prototype._transfer = function(sOperation, oParent, sNewName, oOptions) {
+			
+			var oEntry = this,
+				sConflict = oOptions && oOptions.conflict,
+				bSameFS = this.fileSystem.name === oParent.fileSystem.name && this.fileSystem._backend() === oParent.fileSystem._backend();
+			
+			if (! sConflict && bSameFS) return this._nativeTransfer(sOperation, oParent, sNewName);
+			
+			return this._resolveConflict(sOperation, oParent, sNewName || this.name, sConflict).then(function(sName, oSkipped) {
+				
+				if (oSkipped) return oSkipped;
+				if (bSameFS) return oEntry._nativeTransfer(sOperation, oParent, sName);
+				
+				return oEntry._streamTo(oParent, sName).then(function(oTarget) {
+					
+					if (sOperation === 'copyTo') return oTarget;
+					
+					return (oEntry.isDirectory ? oEntry.removeRecursively() : oEntry.remove()).then(function() { return oTarget; });
+				});
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Runs native copyTo() or moveTo()
+		 */
+		IEntry.prototype._nativeTransfer = function(sOperation, oParent, sNewName) {
+			
+			var sTarget = fnResolvePath(oParent.fullPath, sNewName || this.name),
+				
+				// a file moved or copied onto another one replaces it
+				bVersioned = this.isFile && sTarget !== this.fullPath && !! fnVersioning(this.fileSystem) && ! fnIsReservedPath(sTarget);
+			
+			return this._schedule(sOperation === 'moveTo', function() {
+				
+				var oEntry = this, sPath = this.fullPath;
+				
+				return (bVersioned ? oParent._keepVersionOf(fnBasename(sTarget)) : $.Deferred().resolve()).then(function() {
+					
+					var oDef = $.Deferred();
+					oEntry._entry[sOperation](oParent._entry, sNewName,
+						filesystem._fnEntryCallback(oDef, oParent.fileSystem),
+						filesystem._fnErrorCallback(oDef, sOperation, sPath, sTarget));
+					
+					return oDef.done(function(oTarget) {
+						if (sOperation === 'moveTo') oTarget.fileSystem._emit('moved', oTarget, { oldPath : sPath });
+						else oTarget.fileSystem._emit('created', oTarget);
+					});
+				});
+			}, { path : sTarget, exclusive : true }, bVersioned);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Applies a conflict policy to destination sName in oParent, refusing to overwrite this entry with itself
+		 */
+		IEntry.prototype._resolveConflict = function(sOperation, oParent, sName, sConflict) {
+			
+			var sTarget = fnResolvePath(oParent.fullPath, sName);
+			
+			if (sConflict === 'overwrite' && sTarget === this.fullPath && oParent.fileSystem.name === this.fileSystem.name)
+				return $.Deferred().reject(new filesystem.InvalidModificationError(sOperation + ' on ' + this.fullPath + ' failed: cannot overwrite itself', 
+					{ operation : sOperation, path : this.fullPath, targetPath : sTarget }));
+			
+			return fnResolveConflict(sOperation, this.fullPath, oParent, sName, sConflict);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Copies this entry into a directory of another filesystem, recreating directories and streaming file contents
+		 */
+		IEntry.prototype._streamTo = function(oParent, sName) {
+			
+			var oDef = $.Deferred(),
+				oProgress = { entry : null, target : null, entries : 0, totalEntries : 0, bytes : 0, totalBytes : 0 },
+				
+				fnNotify = function(oEntry, oTarget) {
+					
+					oProgress.entry = oEntry;
+					oProgress.target = oTarget;
+					oDef.notify($.extend({}, oProgress));
+				},
+				
+				// copies an entry, resolves once all its content has been copied
+				fnCopy = function(oEntry, oDir, sTargetName) {
+					
+					if (oEntry.isFile) {
+						
+						return $.when(oEntry.asFile(), oDir.getFile(sTargetName, true)).then(function(oFile, oTarget) {
+							
+							var iBefore = oProgress.bytes;
+							
+							return oTarget.write(oFile, { type : oFile.type })
+								.progress(function(iLoaded) {
+									oProgress.bytes = iBefore + iLoaded;
+									fnNotify(oEntry, oTarget);
+								})
+								.then(function() {
+									oProgress.bytes = iBefore + oFile.size;
+									++oProgress.entries;
+									fnNotify(oEntry, oTarget);
+									return oTarget;
+								});
+						});
+					}
+					
+					return $.when(oEntry.listContent(), oDir.getDirectory(sTargetName, true)).then(function(aChildren, oTarget) {
+						
+						var oDone = $.Deferred(), i = 0,
+							fnNext = function() {
+								if (i === aChildren.length) return oDone.resolve(oTarget);
+								fnCopy(aChildren[i], oTarget, aChildren[i++].name).done(fnNext).fail(oDone.reject);
+							};
+						
+						++oProgress.entries;
+						fnNotify(oEntry, oTarget);
+						fnNext();
+						
+						return oDone;
+					});
+				};
+			
+			fnMeasure(this)
+				.then($.proxy(function(oSource, iEntries, iBytes) {
+					oProgress.totalEntries = iEntries;
+					oProgress.totalBytes = iBytes;
+					return fnCopy(oSource, oParent, sName);
+				}, null, this))
+				.done(oDef.resolve)
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Deletes a file or directory.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Entry#remove
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.trash=false] whether the entry should be moved to the trash of its filesystem rather than 
+		 * deleted, see {@link jQuery.filesystem.Trash}. Entries of the trash itself are deleted.
+		 * @return {jQuery.Deferred} the request object, containing the trash item in case of success if moved to the trash
+		 */
+		IEntry.prototype.remove = function(oOptions) {
+			
+			var oEntry = this;
+			
+			if (oOptions && oOptions.trash && ! fnIsReservedPath(this.fullPath)) {
+				
+				if (! this.isDirectory) return this.fileSystem.trash._put(this, 'remove');
+				
+				// like native remove(), only empty directories
+				return this.listContent().then(function(aEntries) {
+					
+					if (aEntries.length) {
+						return $.Deferred().reject(new filesystem.InvalidModificationError('remove on ' + oEntry.fullPath + ' failed: directory not empty', 
+							{ operation : 'remove', path : oEntry.fullPath }));
+					}
+					
+					return oEntry.fileSystem.trash._put(oEntry, 'remove');
+				});
+			}
+			
+			return this._remove('remove', true);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Runs native remove() or removeRecursively() as sMethod. When bKeep and versioning is enabled, the same operation 
+		 * first keeps a version of a file or a snapshot of a directory removed with its content.
+		 */
+		IEntry.prototype._remove = function(sMethod, bKeep) {
+			
+			var bVersioned = bKeep && this._isVersioned() && this.fullPath !== '/' && (this.isFile || sMethod === 'removeRecursively');
+			
+			return this._schedule(true, function() {
+				
+				var oEntry = this;
+				
+				return (bVersioned ? (this.isFile ? this._keepVersion() : this._keepSnapshot()) : $.Deferred().resolve()).then(function() {
+					
+					var oDef = $.Deferred();
+					oEntry._entry[sMethod](
+						oDef.resolve,
+						filesystem._fnErrorCallback(oDef, sMethod, oEntry.fullPath));
+					
+					return oDef.done($.proxy(oEntry.fileSystem._emit, oEntry.fileSystem, 'removed', oEntry, undefined));
+				});
+			}, undefined, bVersioned);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Locks this entry against other pages of the same origin, see {@link jQuery.filesystem.Lock}. 
+		 * Locks are advisory : they only exclude other locks on the same path of the same filesystem, such as those of 
+		 * write helpers when {@link jQuery.filesystem.autoLock} is enabled.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Entry#lock
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.mode='exclusive'] 'exclusive' to be the only holder, 'shared' to hold the lock along with 
+		 * other shared holders
+		 * @param {number} [oOptions.timeout] time to wait for the lock, in milliseconds, 0 to fail at once if the lock is held. 
+		 * Default is to wait as long as needed.
+		 * @return {jQuery.Deferred} a request object containing the {@link jQuery.filesystem.Lock} once acquired, rejected with 
+		 * a {@link jQuery.filesystem.TimeoutError} if it could not be acquired in time
+		 */
+		IEntry.prototype.lock = function(oOptions) {
+			
+			var oEntry = this,
+				oOpts = $.extend({ mode : 'exclusive' }, oOptions),
+				fnAcquire = window.navigator && navigator.locks && this.fileSystem._backend().shared !== false ? fnWebLock : fnLeaseLock;
+			
+			if (oOpts.mode !== 'exclusive' && oOpts.mode !== 'shared') {
+				return $.Deferred().reject(new filesystem.TypeMismatchError('unknown lock mode ' + oOpts.mode, { operation : 'lock', path : this.fullPath }));
+			}
+			
+			return fnAcquire(this, oOpts.mode, oOpts.timeout).then(function(fnRelease) {
+				return new ILock(oEntry, oOpts.mode, fnRelease);
+			});
+		};
+		
+		
+		//=============================================================================
+		//=========================== Interface DirectoryEntry ========================
+		//=============================================================================
+	
+		
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.DirectoryEntry.
+		 * 
+		 * @class
+		 * <p>This class provides jQuery wrapping features for DirectoryEntry interface</p> 
+		 *
+		 * @extends jQuery.filesystem.Entry
+		 * 
+		 * @constructor
+		 * @param {Entry} oEntry native <code>Entry</code> reference
+		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] optional reference to <code>FileSystem</code> object. if not provided, a new wrapper object of native FileSystem reference is created 
+		 * 
+		 * @name jQuery.filesystem.DirectoryEntry
+		 */
+		var IDEntry = filesystem.DirectoryEntry = function(oEntry, oFileSystem) {
+			
+			// super()
+			filesystem.Entry.apply(this, arguments);
+		};
+	
+		
+		/*
+		 * Inheritance from filesystem.Entry
+		 */
+		IDEntry.prototype = Object.create(filesystem.Entry.prototype);
+		IDEntry.prototype.constructor = IDEntry;
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Looks up a file.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#getFile
+		 * @param {string} sPath either an absolute path or a relative path from this directory to the file to be looked up
+		 * @param {boolean} bCreateIfNotExists whether the looked up file should be created if it does not exist, or not
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileEntry} object in case of success
+		 */
+		IDEntry.prototype.getFile = function(sPath, bCreateIfNotExists) {
+			
+			return this._get('getFile', false, sPath, { create : !!bCreateIfNotExists });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Looks up a directory.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#getDirectory
+		 * @param {string} sPath either an absolute path or a relative path from this directory to the directory to be looked up
+		 * @param {boolean} bCreateIfNotExists whether the looked up directory should be created if it does not exist, or not
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.DirectoryEntry} object in case of success
+		 */
+		IDEntry.prototype.getDirectory = function(sPath, bCreateIfNotExists) {
+			
+			return this._get('getDirectory', true, sPath, { create : !!bCreateIfNotExists });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Creates a file.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#createFile
+		 * @param {string} sPath either an absolute path or a relative path from this directory to the file to be created
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileEntry} object in case of success
+		 */
+		IDEntry.prototype.createFile = function(sPath) {
+			
+			return this._get('createFile', false, sPath, { create : true, exclusive : true });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Creates a directory.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#createDirectory
+		 * @param {string} sPath either an absolute path or a relative path from this directory to the directory to be created
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.DirectoryEntry} object in case of success
+		 */
+		IDEntry.prototype.createDirectory = function(sPath) {
+			
+			return this._get('createDirectory', true, sPath, { create : true, exclusive : true });
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Looks up or creates a file or directory, triggering a created event when it did not exist, 
+		 * unless fnCreated is given : it is then called with the created entry instead
+		 */
+		IDEntry.prototype._get = function(sOperation, bDirectory, sPath, oFlags, fnCreated) {
+			
+			var sTarget = fnResolvePath(this.fullPath, sPath);
+			
+			return this._schedule(false, function() {
+				
+				var oDef = $.Deferred(),
+					oDir = this,
+					sMethod = bDirectory ? 'getDirectory' : 'getFile',
+					fnSuccess = filesystem._fnEntryCallback(oDef, this.fileSystem),
+					fnError = filesystem._fnErrorCallback(oDef, sOperation, sTarget),
+					
+					// the creation is announced before the request object resolves
+					fnCreate = function() {
+						
+						var oCreated = $.Deferred();
+						
+						oDir._entry[sMethod](sPath, oFlags, filesystem._fnEntryCallback(oCreated, oDir.fileSystem), fnError);
+						oCreated.done(fnCreated || function(oEntry) { oDir.fileSystem._emit('created', oEntry); }).done(oDef.resolve);
+					};
+				
+				if (! oFlags.create) this._entry[sMethod](sPath, oFlags, fnSuccess, fnError);
+				else if (oFlags.exclusive) fnCreate();
+				else {
+					// looks the entry up first, to tell whether it gets created
+					this._entry[sMethod](sPath, {}, fnSuccess, function(oError) {
+						if (fnIsNotFound(oError)) fnCreate();
+						else fnError(oError);
+					});
+				}
+				
+				return oDef;
+			}, { path : sTarget, exclusive : !! oFlags.create });
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Deletes a directory and all of its contents, if any.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#removeRecursively
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.trash=false] whether the directory should be moved to the trash of its filesystem rather than 
+		 * deleted, see {@link jQuery.filesystem.Entry#remove}
+		 * @return {jQuery.Deferred} a request object, containing the trash item in case of success if moved to the trash
+		 */
+		IDEntry.prototype.removeRecursively = function(oOptions) {
+			
+			if (oOptions && oOptions.trash && ! fnIsReservedPath(this.fullPath)) return this.fileSystem.trash._put(this, 'removeRecursively');
+			
+			return this._remove('removeRecursively', true);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Lists files and directories in a directory.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#listContent
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry[]} array in case of success, 
+		 * and notified with each block of entries read
+		 */
+		IDEntry.prototype.listContent = function() {
+			
+			return this._schedule(false, function() {
+				
+				var oDef = $.Deferred(),
+					oReader = new filesystem.DirectoryReader(this._entry.createReader(), this.fileSystem, this.fullPath),
+					
+					aDirContent = [],
+				
+					// define recursive function to read all content
+					fnReadBlock = function(oD, oReader, aContent) {
+					
+						oReader.readEntries()
+							.done($.proxy(
+								function(oDeferred, oReader, aList, aResults) {
+								
+									var i = 0, len = aResults.length;
+									
+									for ( ; i < len ; ++i) aList.push(aResults[i]);
+									
+									if (len) {
+										oDeferred.notify(aResults);
+										// fetch next block
+										fnReadBlock(oDeferred, oReader, aList);
+									} else {
+										// end of content reading
+										oDeferred.resolve(aList);
+									}
+								
+								}, this, oD, oReader, aContent)
+							)
+							.fail(filesystem._fnErrorCallback(oD));
+					};
+				
+				
+				// start reading content
+				fnReadBlock(oDef, oReader, aDirContent);
+				
+				return oDef;
+			});
+		};
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Visits all descendants of this directory, depth first, each directory being visited before its content.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#walk
+		 * @param {function} [fnVisitor] function called with <code>(oEntry, iDepth)</code> for each visited entry. 
+		 * Returning <code>false</code> for a directory skips its content.
+		 * @param {object} [oOptions] optional settings
+		 * @param {number} [oOptions.depth] maximum depth to explore, 1 meaning direct children only. Default is unlimited.
+		 * @param {function} [oOptions.filter] predicate called with each {@link jQuery.filesystem.Entry}, excluding entries 
+		 * from the visit when returning false. Content of excluded directories is explored anyway.
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry[]} array of visited entries 
+		 * in case of success, and notified with <code>(oEntry, iDepth)</code> for each of them
+		 */
+		IDEntry.prototype.walk = function(fnVisitor, oOptions) {
+			
+			var oDef = $.Deferred(),
+				aVisited = [],
+				iMaxDepth = oOptions && oOptions.depth,
+				fnFilter = oOptions && oOptions.filter,
+				
+				// explores a directory, resolves once all its descendants have been visited
+				fnExplore = function(oDir, iDepth) {
+					
+					return oDir.listContent().then(function(aEntries) {
+						
+						var oDone = $.Deferred(), i = 0,
+						
+							fnNext = function() {
+								
+								var oEntry, bDescend;
+								
+								while (i < aEntries.length) {
+									
+									oEntry = aEntries[i++];
+									bDescend = oEntry.isDirectory && ! (iMaxDepth && iDepth >= iMaxDepth);
+									
+									if (! fnFilter || fnFilter(oEntry)) {
+										aVisited.push(oEntry);
+										oDef.notify(oEntry, iDepth);
+										if (fnVisitor && fnVisitor(oEntry, iDepth) === false) bDescend = false;
+									}
+									
+									if (bDescend) return fnExplore(oEntry, iDepth + 1).done(fnNext).fail(oDone.reject);
+								}
+								
+								oDone.resolve();
+							};
+						
+						fnNext();
+						
+						return oDone;
+					});
+				};
+			
+			fnExplore(this, 1)
+				.done(function() { oDef.resolve(aVisited); })
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Looks up descendants of this directory whose path, relative to this directory, matches a glob pattern.
+		 * <p>Patterns support <code>*</code> and <code>?</code> within a path segment, <code>**</code> for any number of 
+		 * directories, <code>[abc]</code> character classes and <code>{a,b}</code> alternatives, e.g. <code>**&#47;*.json</code>.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#find
+		 * @param {string} sPattern glob pattern
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry[]} array of matching entries 
+		 * in case of success, and notified with each of them
+		 */
+		IDEntry.prototype.find = function(sPattern) {
+			
+			var oDef = $.Deferred(),
+				oRegExp = fnGlobToRegExp(sPattern),
+				iBase = this.fullPath === '/' ? 1 : this.fullPath.length + 1;
+			
+			this.walk(null, {
+				// without globstar, no need to go deeper than the pattern
+				depth : sPattern.indexOf('**') === -1 ? sPattern.split('/').length : undefined,
+				filter : function(oEntry) { return oRegExp.test(oEntry.fullPath.substr(iBase)); }
+			})
+			.progress(function(oEntry) { oDef.notify(oEntry); })
+			.done(oDef.resolve)
+			.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Describes the content of this directory as a tree of plain objects.
+		 * <p>Each node has <code>name</code>, <code>fullPath</code>, <code>isFile</code> and <code>isDirectory</code> properties, 
+		 * directory nodes having a <code>children</code> array in addition.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#tree
+		 * @param {object} [oOptions] optional settings
+		 * @param {number} [oOptions.depth] maximum depth to explore. Default is unlimited.
+		 * @return {jQuery.Deferred} a request object containing the node describing this directory in case of success, 
+		 * and notified with <code>(oNode, oParentNode)</code> for each node added to the tree
+		 */
+		IDEntry.prototype.tree = function(oOptions) {
+			
+			var oDef = $.Deferred(),
+				oRoot = fnTreeNode(this),
+				oNodes = {};
+			
+			oNodes[this.fullPath] = oRoot;
+			
+			this.walk(null, { depth : oOptions && oOptions.depth })
+				.progress(function(oEntry) {
+					
+					var oNode = oNodes[oEntry.fullPath] = fnTreeNode(oEntry),
+						oParent = oNodes[fnDirname(oEntry.fullPath)];
+					
+					oParent.children.push(oNode);
+					oDef.notify(oNode, oParent);
+				})
+				.done(function() { oDef.resolve(oRoot); })
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Watches the content of this directory for changes made outside of the wrappers, e.g. by another library.
+		 * <p>Metadata snapshots are taken periodically and compared, changes being notified and triggered as 
+		 * <code>created</code>, <code>modified</code> and <code>removed</code> events of the filesystem with 
+		 * <code>external</code> set to true. Changes already announced by events of the wrappers are not reported again.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#watch
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.recursive] whether all descendants are watched, or only direct children. Default is false.
+		 * @param {number} [oOptions.interval] delay between snapshots, in milliseconds. Default is 1000.
+		 * @return {jQuery.Deferred} a request object notified with the change object of each change, see 
+		 * {@link jQuery.filesystem.FileSystem#on}. It has a <code>stop()</code> method, which resolves it. It is rejected 
+		 * when this directory is removed.
+		 */
+		IDEntry.prototype.watch = function(oOptions) {
+			
+			var oDef = $.Deferred(),
+				oDir = this,
+				oFS = this.fileSystem,
+				iDepth = oOptions && oOptions.recursive ? undefined : 1,
+				iInterval = (oOptions && oOptions.interval) || 1000,
+				oSnapshot = null,
+				oAnnounced = {},
+				iTimer = null,
+				
+				// the plugin's own files are left out, their changes triggering no event
+				fnWatched = function(oEntry) {
+					
+					return ! fnIsReservedPath(oEntry.fullPath);
+				},
+				
+				// remembers paths of changes made through the wrappers
+				fnAnnounced = function(oEvent, oChange) {
+					
+					if (oChange.external) return;
+					oAnnounced[oChange.path] = true;
+					if (oChange.oldPath) oAnnounced[oChange.oldPath] = true;
+				},
+				
+				// resolves an object holding entry, size and modification time of watched entries, indexed by path
+				fnSnapshot = function() {
+					
+					return oDir.walk(fnWatched, { depth : iDepth, filter : fnWatched }).then(function(aEntries) {
+						
+						return $.when.apply($, $.map(aEntries, function(oEntry) { return oEntry.getMetaData(); })).then(function() {
+							
+							var oResult = {}, i = 0, len = aEntries.length;
+							
+							for ( ; i < len ; ++i) {
+								oResult[aEntries[i].fullPath] = { 
+									entry : aEntries[i], 
+									size : arguments[i].size, 
+									time : arguments[i].modificationTime.getTime() 
+								};
+							}
+							
+							return oResult;
+						});
+					});
+				},
+				
+				fnPoll = function() {
+					
+					var oPreviouslyAnnounced = oAnnounced;
+					
+					oAnnounced = {};
+					
+					fnSnapshot()
+						.done(function(oCurrent) {
+							
+							var sPath, oNow, oThen,
+								fnChange = function(sType, oEntry) {
+									if (oPreviouslyAnnounced[oEntry.fullPath] || oAnnounced[oEntry.fullPath]) return;
+									oDef.notify(oFS._emit(sType, oEntry, { external : true }));
+								};
+							
+							if (oDef.state() !== 'pending') return;
+							
+							if (oSnapshot) {
+								
+								for (sPath in oCurrent) {
+									
+									oNow = oCurrent[sPath];
+									oThen = oSnapshot[sPath];
+									
+									if (! oThen) fnChange('created', oNow.entry);
+									else if (oNow.entry.isFile && (oNow.size !== oThen.size || oNow.time !== oThen.time)) fnChange('modified', oNow.entry);
+								}
+								
+								for (sPath in oSnapshot) {
+									if (! oCurrent[sPath]) fnChange('removed', oSnapshot[sPath].entry);
+								}
+							}
+							
+							oSnapshot = oCurrent;
+							iTimer = setTimeout(fnPoll, iInterval);
+						})
+						.fail(function(oError) {
+							
+							if (oDef.state() !== 'pending') return;
+							
+							// entries may vanish while a snapshot is taken : only give up once this directory is gone
+							oFS.exists(oDir.fullPath).done(function(bExists) {
+								
+								if (bExists) iTimer = setTimeout(fnPoll, iInterval);
+								else oDef.reject(filesystem.Error.from(oError, 'watch', oDir.fullPath));
+							});
+						});
+				};
+			
+			oFS.on('created modified removed moved', fnAnnounced);
+			
+			oDef.always(function() {
+				clearTimeout(iTimer);
+				oFS.off('created modified removed moved', fnAnnounced);
+			});
+			
+			oDef.stop = function() {
+				oDef.resolve();
+			};
+			
+			fnPoll();
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Imports user supplied files and folders into this directory, recreating their folder structure.
+		 * <p>Sources can be a <code>DataTransfer</code> from a drop event, whose folders are walked through 
+		 * <code>DataTransferItem.webkitGetAsEntry()</code>, or a <code>FileList</code> or array of <code>File</code> such as 
+		 * provided by an <code>&lt;input type="file" webkitdirectory&gt;</code>, whose <code>webkitRelativePath</code> is honoured. 
+		 * A <code>DataTransfer</code> must be given while its drop event is being dispatched.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#importFiles
+		 * @param {DataTransfer|FileList|File[]} oSource files to be imported
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.conflict] behaviour when a file already exists, see {@link jQuery.filesystem.Entry#copyTo}. 
+		 * Existing folders are merged into, except with 'rename' and 'fail' which also apply to the imported top level folders. 
+		 * Default is 'overwrite'.
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileEntry[]} array of imported 
+		 * files in case of success. It is notified of progress with an object having <code>path</code> (relative path of the file 
+		 * being imported), <code>entry</code>, <code>files</code>, <code>totalFiles</code>, <code>bytes</code> and 
+		 * <code>totalBytes</code> properties.
+		 */
+		IDEntry.prototype.importFiles = function(oSource, oOptions) {
+			
+			var oDef = $.Deferred(), oEntry = this;
+			
+			fnImportItems(oSource)
+				.then(function(aItems) {
+					return oEntry._importItems('importFiles', aItems, oOptions).progress(oDef.notify);
+				})
+				.done(oDef.resolve)
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Imports items listed as { path, isDirectory } and { path, size, file } or { path, size, load }, parents first, 
+		 * load() returning a request object for the content. Their modificationTime, if any, is restored where the backend allows it.
+		 */
+		IDEntry.prototype._importItems = function(sOperation, aItems, oOptions) {
+			
+			var oDef = $.Deferred(),
+				oTarget = this,
+				sConflict = (oOptions && oOptions.conflict) || 'overwrite',
+				oProgress = { path : null, entry : null, files : 0, totalFiles : 0, bytes : 0, totalBytes : 0 },
+				aImported = [],
+				aDatedFiles = [],
+				aDatedDirs = [],
+				oDirs = { '' : this },
+				oNames = {},
+				
+				fnNotify = function(sPath, oEntry) {
+					
+					oProgress.path = sPath;
+					oProgress.entry = oEntry;
+					oDef.notify($.extend({}, oProgress));
+				},
+				
+				// resolves the path an item is imported to, once its top level name is known
+				fnTargetPath = function(oItem) {
+					
+					var aSegments = oItem.path.split('/'),
+						sTop = aSegments[0];
+					
+					if (aSegments.length === 1 && ! oItem.isDirectory) return $.Deferred().resolve(oItem.path);
+					
+					if (! oNames[sTop]) {
+						oNames[sTop] = sConflict === 'rename' || sConflict === 'fail' 
+							? fnResolveConflict(sOperation, sTop, oTarget, sTop, sConflict) 
+							: $.Deferred().resolve(sTop);
+					}
+					
+					return oNames[sTop].then(function(sName) {
+						aSegments[0] = sName;
+						return aSegments.join('/');
+					});
+				},
+				
+				// imports a file or a folder
+				fnImport = function(oItem) {
+					
+					return fnTargetPath(oItem).then(function(sPath) {
+						
+						var oParent = oDirs[fnDirname('/' + sPath).substr(1)],
+							sName = fnBasename(sPath);
+						
+						if (oItem.isDirectory) {
+							return oParent.getDirectory(sName, true).then(function(oDir) {
+								oDirs[sPath] = oDir;
+								if (oItem.modificationTime) aDatedDirs.unshift({ entry : oDir, time : oItem.modificationTime });
+							});
+						}
+						
+						return fnResolveConflict(sOperation, oItem.path, oParent, sName, sConflict).then(function(sName, oSkipped) {
+							
+							var iBefore = oProgress.bytes;
+							
+							if (oSkipped) {
+								oProgress.bytes += oItem.size;
+								++oProgress.files;
+								return fnNotify(oItem.path, oSkipped);
+							}
+							
+							return $.when(oItem.file || oItem.load(), oParent.getFile(sName, true)).then(function(oContent, oFile) {
+								
+								return oFile.write(oContent, { type : oContent.type })
+									.progress(function(iLoaded) {
+										oProgress.bytes = iBefore + iLoaded;
+										fnNotify(oItem.path, oFile);
+									})
+									.then(function() {
+										aImported.push(oFile);
+										if (oItem.modificationTime) aDatedFiles.push({ entry : oFile, time : oItem.modificationTime });
+										oProgress.bytes = iBefore + oItem.size;
+										++oProgress.files;
+										fnNotify(oItem.path, oFile);
+									});
+							});
+						});
+					});
+				};
+			
+			$.each(aItems, function(i, oItem) {
+				if (oItem.isDirectory) return;
+				++oProgress.totalFiles;
+				oProgress.totalBytes += oItem.size;
+			});
+			
+			fnSequence(aItems, fnImport)
+				.then(function() {
+					// directories last, deepest first, as adding content touches them
+					return fnSequence(aDatedFiles.concat(aDatedDirs), function(oDated) { return fnSetModificationTime(oDated.entry, oDated.time); });
+				})
+				.done(function() { oDef.resolve(aImported); })
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Builds a ZIP archive of the content of this directory, paths in the archive being relative to this directory.
+		 * <p>Modification times are kept. Files are read one chunk at a time and the archive is assembled from Blob parts, 
+		 * so that the content of the directory never has to be held in memory at once.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#exportZip
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.compress] whether files are deflated, or only stored. Files which would not shrink are 
+		 * stored anyway. Default is true.
+		 * @return {jQuery.Deferred} a request object containing the result <code>Blob</code> in case of success, notified 
+		 * of progress with an object having <code>entry</code>, <code>entries</code>, <code>totalEntries</code> and 
+		 * <code>bytes</code> properties. It is rejected with a {@link jQuery.filesystem.EncodingError} for archives of 
+		 * 65535 entries or more, or holding files or reaching sizes of 4 GiB or more, which would need ZIP64 records.
+		 */
+		IDEntry.prototype.exportZip = function(oOptions) {
+			
+			var oDir = this,
+				oDef = $.Deferred(),
+				bCompress = ! oOptions || oOptions.compress !== false,
+				iBase = this.fullPath === '/' ? 1 : this.fullPath.length + 1,
+				oProgress = { entry : null, entries : 0, totalEntries : 0, bytes : 0 },
+				aParts = [],
+				aCentral = [],
+				iOffset = 0,
+				
+				fnTooLarge = function(sReason) {
+					return $.Deferred().reject(new filesystem.EncodingError('exportZip on ' + oDir.fullPath + ' failed: ' + sReason + ', ZIP64 is not supported', 
+						{ operation : 'exportZip', path : oDir.fullPath }));
+				},
+				
+				// appends an entry to the archive
+				fnAdd = function(oEntry) {
+					
+					if (iOffset >= ZIP_MAX_SIZE) return fnTooLarge('archive reaches 4 GiB');
+					
+					return $.when(oEntry.getMetaData(), oEntry.isFile ? oEntry.asFile() : null).then(function(oMetadata, oFile) {
+						
+						var oZipEntry = {
+								name : oEntry.fullPath.substr(iBase) + (oEntry.isDirectory ? '/' : ''),
+								modificationTime : oMetadata.modificationTime.getTime(),
+								offset : iOffset
+							};
+						
+						if (oFile && oFile.size >= ZIP_MAX_SIZE) return fnTooLarge(oEntry.fullPath + ' reaches 4 GiB');
+						
+						return fnZipData(oFile, oZipEntry, bCompress, function(iBytes) {
+							oProgress.entry = oEntry;
+							oProgress.bytes += iBytes;
+							oDef.notify($.extend({}, oProgress));
+						})
+						.then(function(aData) {
+							
+							var oHeader = fnZipHeader(oZipEntry, false);
+							
+							aParts.push(oHeader);
+							aParts.push.apply(aParts, aData);
+							aCentral.push(fnZipHeader(oZipEntry, true));
+							iOffset += oHeader.size + oZipEntry.compressedSize;
+							
+							oProgress.entry = oEntry;
+							++oProgress.entries;
+							oDef.notify($.extend({}, oProgress));
+						});
+					});
+				};
+			
+			this.walk()
+				.then(function(aEntries) {
+					
+					if (aEntries.length >= ZIP_MAX_ENTRIES) return fnTooLarge(aEntries.length + ' entries');
+					
+					oProgress.totalEntries = aEntries.length;
+					return fnSequence(aEntries, fnAdd);
+				})
+				.then(function() {
+					
+					var oCentral = new Blob(aCentral);
+					
+					if (iOffset >= ZIP_MAX_SIZE || oCentral.size >= ZIP_MAX_SIZE) return fnTooLarge('archive reaches 4 GiB');
+					
+					oDef.resolve(new Blob(aParts.concat([oCentral, fnZipEnd(aCentral.length, oCentral.size, iOffset)]), { type : 'application/zip' }));
+				})
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Unpacks a ZIP archive into this directory.
+		 * <p>Stored and deflated entries are supported. Entries are decompressed one at a time and checked against their 
+		 * CRC-32, modification times being restored where the backend allows it. Entries whose path would escape this 
+		 * directory are rejected with a {@link jQuery.filesystem.SecurityError}, corrupt archives with a 
+		 * {@link jQuery.filesystem.EncodingError}.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#importZip
+		 * @param {Blob} oBlob ZIP archive
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.conflict] behaviour when a file already exists, see {@link jQuery.filesystem.DirectoryEntry#importFiles}
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.FileEntry[]} array of imported 
+		 * files in case of success, notified of progress like {@link jQuery.filesystem.DirectoryEntry#importFiles}
+		 */
+		IDEntry.prototype.importZip = function(oBlob, oOptions) {
+			
+			var oDef = $.Deferred(), oEntry = this;
+			
+			fnZipDirectory(oBlob)
+				.then(function(aZipEntries) {
+					
+					var aItems = [], oError;
+					
+					$.each(aZipEntries, function(i, oZipEntry) {
+						
+						var aSegments = $.grep(oZipEntry.name.replace(/\\/g, '/').split('/'), function(sSegment) {
+								return sSegment !== '' && sSegment !== '.';
+							});
+						
+						if ($.inArray('..', aSegments) !== -1) {
+							oError = new filesystem.SecurityError('importZip on ' + oEntry.fullPath + ' failed: ' + oZipEntry.name + ' is outside the directory', 
+								{ operation : 'importZip', path : oEntry.fullPath, targetPath : oZipEntry.name });
+							return false;
+						}
+						
+						if (! aSegments.length) return;
+						
+						aItems.push(/\/$/.test(oZipEntry.name) 
+							? { path : aSegments.join('/'), isDirectory : true, modificationTime : oZipEntry.modificationTime }
+							: { path : aSegments.join('/'), size : oZipEntry.size, modificationTime : oZipEntry.modificationTime, 
+								load : $.proxy(fnZipContent, null, oBlob, oZipEntry) });
+					});
+					
+					if (oError) return $.Deferred().reject(oError);
+					
+					return oEntry._importItems('importZip', fnWithParents(aItems), oOptions).progress(oDef.notify);
+				})
+				.done(oDef.resolve)
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Synchronizes the files of this directory, both ways, with an HTTP endpoint.
+		 * <p>Local files and the remote manifest are compared to the state recorded at the end of the previous sync, so 
+		 * that files changed on one side only are uploaded, downloaded or deleted accordingly. Files changed on both sides 
+		 * are conflicts, handed to the resolver. The state and a journal of the running sync are kept in a 
+		 * <code>.sync</code> subdirectory, which is not synchronized : a sync which got interrupted is resumed by the 
+		 * next one without redoing or mistaking for conflicts the operations it completed.</p>
+		 * <p>The endpoint is expected to answer the following requests, <code>path</code> being relative to this 
+		 * directory with URL encoded segments, e.g. <code>/docs/read%20me.txt</code> :</p>
+		 * <ul>
+		 * <li><code>GET endpoint</code> : manifest, a JSON array of <code>{ path, size, mtime, etag }</code> objects, mtime in milliseconds</li>
+		 * <li><code>GET endpoint/path</code> : content of a file, with its <code>ETag</code> header</li>
+		 * <li><code>PUT endpoint/path</code> : stores a file, answering its new <code>ETag</code> header. <code>If-Match</code> 
+		 * and <code>If-None-Match</code> preconditions should be honoured with a 412 status.</li>
+		 * <li><code>DELETE endpoint/path</code> : deletes a file, honouring <code>If-Match</code> likewise</li>
+		 * </ul>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#sync
+		 * @param {string} sEndpoint base URL of the endpoint
+		 * @param {object} [oOptions] optional settings
+		 * @param {function} [oOptions.resolver] function called with a conflict object having <code>path</code>, <code>local</code> 
+		 * (<code>{ size, modificationTime }</code>) and <code>remote</code> (<code>{ size, modificationTime, etag }</code>) 
+		 * properties, the latter two being null on the side where the file was deleted. It returns, or resolves a request object 
+		 * with, 'local' to keep the local side, 'remote' to keep the remote side or 'skip' to leave the conflict for a later sync. 
+		 * Default skips all conflicts.
+		 * @param {object} [oOptions.ajax] settings added to every <code>$.ajax</code> request, e.g. <code>headers</code>
+		 * @return {jQuery.Deferred} a request object containing, in case of success, a summary object having <code>uploaded</code>, 
+		 * <code>downloaded</code>, <code>deletedLocal</code>, <code>deletedRemote</code> and <code>conflicts</code> arrays of paths. 
+		 * It is notified with an object having <code>action</code>, <code>path</code>, <code>done</code> and <code>total</code> 
+		 * properties before each operation. Failed requests reject with a {@link jQuery.filesystem.NetworkError}, whose 
+		 * <code>cause</code> is the <code>jqXHR</code> object.
+		 */
+		IDEntry.prototype.sync = function(sEndpoint, oOptions) {
+			
+			var oDir = this;
+			
+			return fnSerialize(this.fileSystem.name + ':' + this.fullPath + ':sync', function() {
+				return oDir._sync(sEndpoint, oOptions || {});
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Runs a sync, see sync()
+		 */
+		IDEntry.prototype._sync = function(sEndpoint, oOptions) {
+			
+			var oDef = $.Deferred(),
+				oDir = this,
+				oFS = this.fileSystem,
+				sBase = sEndpoint.replace(/\/+$/, ''),
+				sSyncPath = fnResolvePath(this.fullPath, SYNC_DIRECTORY),
+				sStatePath = sSyncPath + '/state.json',
+				sJournalPath = sSyncPath + '/journal.json',
+				oState, oLocal, oRemote,
+				oResult = { uploaded : [], downloaded : [], deletedLocal : [], deletedRemote : [], conflicts : [] },
+				
+				// sends a request, rejecting with a NetworkError
+				fnAjax = function(sMethod, sPath, oSettings) {
+					
+					return $.ajax($.extend(true, {}, oOptions.ajax, { type : sMethod, url : sBase + fnEncodePath(sPath || '') }, oSettings))
+						.then(
+							function(oData, sStatus, oXHR) {
+								return $.Deferred().resolve(oData, oXHR);
+							},
+							function(oXHR, sStatus, sError) {
+								return $.Deferred().reject(new filesystem.NetworkError(sMethod + ' ' + sBase + (sPath || '') + ' failed: ' + (oXHR.status || sStatus), 
+									{ operation : 'sync', path : oDir.fullPath, targetPath : sBase + (sPath || ''), cause : oXHR }));
+							});
+				},
+				
+				fnReadJSON = function(sPath, oDefault) {
+					
+					return oFS.readFile(sPath, { as : 'json' }).then(null, function(oError) {
+						return fnIsNotFound(oError) ? $.Deferred().resolve(oDefault) : $.Deferred().reject(oError);
+					});
+				},
+				
+				fnSave = function(sPath, oData) {
+					
+					return oFS.writeFile(sPath, JSON.stringify(oData), { type : 'application/json' });
+				},
+				
+				// resolves local files, indexed by path relative to this directory
+				fnLocalFiles = function() {
+					
+					var iBase = oDir.fullPath === '/' ? 0 : oDir.fullPath.length;
+					
+					return oDir.walk(function(oEntry) { return oEntry.fullPath !== sSyncPath && ! fnIsReservedPath(oEntry.fullPath); }).then(function(aEntries) {
+						
+						var aFiles = $.grep(aEntries, function(oEntry) { return oEntry.isFile; });
+						
+						return $.when.apply($, $.map(aFiles, function(oFile) { return oFile.getMetaData(); })).then(function() {
+							
+							var oFiles = {}, i = 0, len = aFiles.length;
+							
+							for ( ; i < len ; ++i) {
+								oFiles[aFiles[i].fullPath.substr(iBase)] = { 
+									entry : aFiles[i], 
+									size : arguments[i].size, 
+									modificationTime : arguments[i].modificationTime.getTime() 
+								};
+							}
+							
+							return oFiles;
+						});
+					});
+				},
+				
+				// resolves remote files, indexed by path, leaving out the sync state and reserved directories as local files do
+				fnRemoteFiles = function() {
+					
+					return fnAjax('GET', '', { dataType : 'json', cache : false }).then(function(aManifest) {
+						
+						var oFiles = {};
+						
+						$.each(aManifest || [], function(i, oFile) {
+							
+							var sPath = fnResolvePath('/', oFile.path),
+								sFullPath = fnResolvePath(oDir.fullPath, sPath.substr(1));
+							
+							if (sFullPath === sSyncPath || sFullPath.indexOf(sSyncPath + '/') === 0 || fnIsReservedPath(sFullPath)) return;
+							
+							oFiles[sPath] = { size : oFile.size, modificationTime : oFile.mtime, etag : oFile.etag };
+						});
+						
+						return oFiles;
+					});
+				},
+				
+				// settles the operation an interrupted sync left unrecorded, if it completed
+				fnRecover = function(oAction) {
+					
+					var sPath = oAction.path, oL = oLocal[sPath], oR = oRemote[sPath];
+					
+					switch (oAction.action) {
+						case 'upload' :
+							if (oL && oR && oL.size === oAction.local.size && oL.modificationTime === oAction.local.modificationTime && oR.size === oL.size)
+								oState.files[sPath] = { size : oL.size, modificationTime : oL.modificationTime, etag : oR.etag };
+							break;
+						case 'download' :
+							if (oL && oR && oR.etag === oAction.remote.etag && oL.size === oR.size)
+								oState.files[sPath] = { size : oL.size, modificationTime : oL.modificationTime, etag : oR.etag };
+							break;
+						case 'deleteLocal' :
+						case 'deleteRemote' :
+							if (! (oAction.action === 'deleteLocal' ? oL : oR)) delete oState.files[sPath];
+							break;
+					}
+				},
+				
+				// resolves the action bringing both sides of a conflict to the side picked by the resolver, if any
+				fnResolve = function(sPath) {
+					
+					var oL = oLocal[sPath], oR = oRemote[sPath],
+						oConflict = {
+							path : sPath,
+							local : oL ? { size : oL.size, modificationTime : oL.modificationTime } : null,
+							remote : oR ? $.extend({}, oR) : null
+						};
+					
+					return $.when(oOptions.resolver ? oOptions.resolver(oConflict) : 'skip').then(function(sSide) {
+						
+						if (sSide === 'local') return oL ? 'upload' : 'deleteRemote';
+						if (sSide === 'remote') return oR ? 'download' : 'deleteLocal';
+						
+						oResult.conflicts.push(sPath);
+						return null;
+					});
+				},
+				
+				// compares both sides to the recorded state, resolves the list of actions
+				fnPlan = function() {
+					
+					var oPaths = {}, aPaths, aActions = [];
+					
+					$.each([oState.files, oLocal, oRemote], function(i, oFiles) { $.extend(oPaths, oFiles); });
+					aPaths = $.map(oPaths, function(o, sPath) { return sPath; }).sort();
+					
+					return fnSequence(aPaths, function(sPath) {
+						
+						var oS = oState.files[sPath], oL = oLocal[sPath], oR = oRemote[sPath],
+							bLocalChanged = !! oS !== !! oL || (oL && (oL.size !== oS.size || oL.modificationTime !== oS.modificationTime)),
+							bRemoteChanged = !! oS !== !! oR || (oR && oR.etag !== oS.etag),
+							fnAdd = function(sAction) {
+								if (sAction) aActions.push({ action : sAction, path : sPath, local : oL ? { size : oL.size, modificationTime : oL.modificationTime } : null, remote : oR || null });
+							};
+						
+						if (bLocalChanged && bRemoteChanged) {
+							
+							if (! oL && ! oR) delete oState.files[sPath];
+							else return fnResolve(sPath).done(fnAdd);
+						}
+						else if (bLocalChanged) fnAdd(oL ? 'upload' : 'deleteRemote');
+						else if (bRemoteChanged) fnAdd(oR ? 'download' : 'deleteLocal');
+						
+						return $.Deferred().resolve();
+					})
+					.then(function() {
+						return aActions;
+					});
+				},
+				
+				// performs an action, resolves the new state of its file, null once deleted
+				fnRun = function(oAction) {
+					
+					var sPath = oAction.path, oL = oLocal[sPath];
+					
+					switch (oAction.action) {
+						
+						case 'upload' :
+							return oL.entry.asFile().then(function(oFile) {
+								return fnAjax('PUT', sPath, { 
+									data : oFile, 
+									processData : false, 
+									contentType : oFile.type || 'application/octet-stream',
+									headers : oAction.remote ? { 'If-Match' : oAction.remote.etag } : { 'If-None-Match' : '*' }
+								});
+							})
+							.then(function(oData, oXHR) {
+								oResult.uploaded.push(sPath);
+								return { size : oL.size, modificationTime : oL.modificationTime, etag : oXHR.getResponseHeader('ETag') || (oData && oData.etag) };
+							});
+						
+						case 'download' :
+							return fnAjax('GET', sPath, $.extend({ cache : false }, BLOB_AJAX))
+								.then(function(oBlob, oXHR) {
+									
+									return oFS.mkdirp(fnDirname(fnResolvePath(oDir.fullPath, sPath.substr(1))))
+										.then(function() { return oDir.getFile(sPath.substr(1), true); })
+										.then(function(oFile) { return oFile.write(oBlob); })
+										.then(function(oFile) { return oFile.getMetaData(); })
+										.then(function(oMetadata) {
+											oResult.downloaded.push(sPath);
+											return { 
+												size : oMetadata.size, 
+												modificationTime : oMetadata.modificationTime.getTime(), 
+												etag : oXHR.getResponseHeader('ETag') || oAction.remote.etag 
+											};
+										});
+								});
+						
+						case 'deleteLocal' :
+							return oL.entry.remove().then(function() {
+								oResult.deletedLocal.push(sPath);
+								return null;
+							});
+						
+						case 'deleteRemote' :
+							return fnAjax('DELETE', sPath, { headers : oAction.remote ? { 'If-Match' : oAction.remote.etag } : {} })
+								.then(null, function(oError) {
+									// already gone
+									return oError.cause && oError.cause.status === 404 ? $.Deferred().resolve() : $.Deferred().reject(oError);
+								})
+								.then(function() {
+									oResult.deletedRemote.push(sPath);
+									return null;
+								});
+					}
+				},
+				
+				// performs actions one at a time, journaling each of them
+				fnExecute = function(aActions) {
+					
+					var iDone = 0;
+					
+					return fnSequence(aActions, function(oAction) {
+						
+						oDef.notify({ action : oAction.action, path : oAction.path, done : iDone++, total : aActions.length });
+						
+						return fnSave(sJournalPath, { endpoint : sBase, inFlight : oAction })
+							.then(function() {
+								
+								return fnRun(oAction).then(null, function(oError) {
+									
+									// a precondition failed : the other side changed meanwhile
+									if (! (oError.cause && oError.cause.status === 412)) return $.Deferred().reject(oError);
+									oResult.conflicts.push(oAction.path);
+									return $.Deferred().resolve(undefined);
+								});
+							})
+							.then(function(oFile) {
+								
+								if (oFile === undefined) return;
+								
+								if (oFile) oState.files[oAction.path] = oFile;
+								else delete oState.files[oAction.path];
+								
+								return fnSave(sStatePath, oState);
+							});
+					});
+				};
+			
+			oFS.mkdirp(sSyncPath)
+				.then(function() {
+					return $.when(fnReadJSON(sStatePath, null), fnReadJSON(sJournalPath, null), fnLocalFiles(), fnRemoteFiles());
+				})
+				.then(function(oSavedState, oSavedJournal, oLocalFiles, oRemoteFiles) {
+					
+					// a state recorded against another endpoint tells nothing
+					oState = oSavedState && oSavedState.endpoint === sBase ? oSavedState : { endpoint : sBase, files : {} };
+					oLocal = oLocalFiles;
+					oRemote = oRemoteFiles;
+					
+					if (oSavedJournal && oSavedJournal.endpoint === sBase && oSavedJournal.inFlight) fnRecover(oSavedJournal.inFlight);
+					
+					return fnPlan();
+				})
+				.then(fnExecute)
+				.then(function() {
+					return oFS.rm(sJournalPath, { force : true });
+				})
+				.then(function() {
+					return fnSave(sStatePath, oState);
+				})
+				.done(function() { oDef.resolve(oResult); })
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Captures the content of this directory as a snapshot, which can be restored later. 
+		 * Snapshots are kept under {@link jQuery.filesystem.VERSIONS_PATH} until deleted.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#snapshot
+		 * @param {string} sLabel label of the snapshot, unique for this directory
+		 * @return {jQuery.Deferred} a request object containing, in case of success, the snapshot : an object with 
+		 * <code>label</code>, <code>path</code>, <code>time</code> and <code>size</code> properties, size being the total 
+		 * size of its files. It is rejected with a {@link jQuery.filesystem.AlreadyExistsError} if this directory already 
+		 * has a snapshot of that label. Older snapshots may then be dropped, see {@link jQuery.filesystem.versioning}.
+		 */
+		IDEntry.prototype.snapshot = function(sLabel) {
+			
+			var oDir = this;
+			
+			return this._takeSnapshot(sLabel).then(function(oSnapshot) {
+				return oDir._pruneSnapshots().then(function() { return oSnapshot; });
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Lists the snapshots of this directory.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#snapshots
+		 * @return {jQuery.Deferred} a request object containing the result array of snapshots, oldest first, in case of success. 
+		 * See {@link jQuery.filesystem.DirectoryEntry#snapshot}.
+		 */
+		IDEntry.prototype.snapshots = function() {
+			
+			var oFS = this.fileSystem, sPath = fnDirname(this._snapshotPath(''));
+			
+			return oFS.readdir(sPath).then(
+				function(aNames) {
+					
+					return $.when.apply($, $.map(aNames, function(sName) {
+						return oFS.readFile(sPath + '/' + sName + '/snapshot.json', { as : 'json' }).then(null, function(oError) {
+							return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+						});
+					}))
+					.then(function() {
+						
+						var aSnapshots = $.grep($.makeArray(arguments), function(oSnapshot) { return !! oSnapshot; });
+						
+						return aSnapshots.sort(function(oA, oB) { return oA.time - oB.time; });
+					});
+				},
+				function(oError) {
+					return fnIsNotFound(oError) ? $.Deferred().resolve([]) : $.Deferred().reject(oError);
+				});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Replaces the content of this directory by a snapshot of it. 
+		 * The current content is first captured as a snapshot labelled "before restoring" with the label and the time, 
+		 * which is put back should the restoration fail. It is kept to undo the restoration when versioning is enabled, 
+		 * see {@link jQuery.filesystem.versioning}, and deleted otherwise.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#restoreSnapshot
+		 * @param {string} sLabel label of the snapshot
+		 * @return {jQuery.Deferred} a request object containing this {@link jQuery.filesystem.DirectoryEntry} once restored, 
+		 * rejected with a {@link jQuery.filesystem.NotFoundError} if there is no such snapshot
+		 */
+		IDEntry.prototype.restoreSnapshot = function(sLabel) {
+			
+			var oDir = this,
+				oFS = this.fileSystem,
+				sBackup = 'before restoring ' + sLabel + ' ' + new Date().toISOString();
+			
+			return oFS.exists(this._snapshotPath(sLabel) + '/snapshot.json')
+				.then(function(bExists) {
+					
+					if (! bExists) {
+						return $.Deferred().reject(new filesystem.NotFoundError('restoreSnapshot on ' + oDir.fullPath + ' failed: no snapshot ' + sLabel, 
+							{ operation : 'restoreSnapshot', path : oDir.fullPath }));
+					}
+					
+					return oDir._takeSnapshot(sBackup);
+				})
+				.then(function() {
+					
+					return oDir._replaceContent(sLabel).then(null, function(oError) {
+						
+						var fnReject = function() { return $.Deferred().reject(oError); };
+						
+						// puts the previous content back, which stays in the backup snapshot should that fail too
+						return oDir._replaceContent(sBackup).then(fnReject, fnReject);
+					});
+				})
+				.then(function() {
+					return fnVersioning(oFS) ? oDir._pruneSnapshots() : oDir.deleteSnapshot(sBackup);
+				})
+				.then(function() {
+					return oDir;
+				});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Deletes a snapshot of this directory. Deleting a missing snapshot does nothing.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#deleteSnapshot
+		 * @param {string} sLabel label of the snapshot
+		 * @return {jQuery.Deferred} a request object
+		 */
+		IDEntry.prototype.deleteSnapshot = function(sLabel) {
+			
+			return this.fileSystem.rm(this._snapshotPath(sLabel), { recursive : true, force : true });
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Full path of the directory holding a snapshot of this directory
+		 */
+		IDEntry.prototype._snapshotPath = function(sLabel) {
+			
+			return filesystem.VERSIONS_PATH + '/snapshots/' + fnHash(this.fullPath) + '/' + encodeURIComponent(sLabel);
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Takes snapshot sLabel of this directory, fnCopy(oSnapshotDir) copying its content as the "tree" subdirectory of 
+		 * the directory of the snapshot. Its default copies entries one by one. Resolves the snapshot, see snapshot().
+		 */
+		IDEntry.prototype._takeSnapshot = function(sLabel, fnCopy) {
+			
+			var oDir = this,
+				oFS = this.fileSystem,
+				sPath = this._snapshotPath(sLabel),
+				oSnapshot = { label : sLabel, path : this.fullPath, time : $.now(), size : 0 };
+			
+			fnCopy = fnCopy || function(oSnapshotDir) {
+				
+				return $.when(oSnapshotDir.getDirectory('tree', true), oDir._snapshotContent()).then(function(oTree, aEntries) {
+					return fnSequence(aEntries, function(oEntry) { return oEntry.copyTo(oTree); });
+				});
+			};
+			
+			return oFS.exists(sPath)
+				.then(function(bExists) {
+					
+					if (bExists) {
+						return $.Deferred().reject(new filesystem.AlreadyExistsError('snapshot on ' + oDir.fullPath + ' failed: snapshot ' + sLabel + ' already exists', 
+							{ operation : 'snapshot', path : oDir.fullPath, targetPath : sPath }));
+					}
+					
+					return oFS.mkdirp(sPath);
+				})
+				.then(function(oSnapshotDir) {
+					
+					return fnCopy(oSnapshotDir)
+						.then(function() {
+							return oFS.root.getDirectory(sPath + '/tree');
+						})
+						.then(fnMeasure)
+						.then(function(iEntries, iBytes) {
+							
+							oSnapshot.size = iBytes;
+							
+							// written last : a snapshot without it is incomplete
+							return oFS.writeFile(sPath + '/snapshot.json', JSON.stringify(oSnapshot), { type : 'application/json' });
+						})
+						.then(null, function(oError) {
+							// leaves no partial snapshot behind
+							return oFS.rm(sPath, { recursive : true, force : true }).then(function() { return $.Deferred().reject(oError); });
+						});
+				})
+				.then(function() {
+					return oSnapshot;
+				});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Keeps a snapshot of this directory before it gets removed, then drops snapshots beyond retention limits. 
+		 * Runs under the exclusive lock of this directory, its content being copied natively at once.
+		 */
+		IDEntry.prototype._keepSnapshot = function() {
+			
+			var oDir = this;
+			
+			return this._takeSnapshot('removed ' + new Date().toISOString(), function(oSnapshotDir) {
+				
+				var oDef = $.Deferred();
+				oDir._entry.copyTo(oSnapshotDir._entry, 'tree',
+					oDef.resolve,
+					filesystem._fnErrorCallback(oDef, 'snapshot', oDir.fullPath, oSnapshotDir.fullPath + '/tree'));
+				
+				return oDef;
+			})
+			.then(function() {
+				return oDir._pruneSnapshots();
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Drops the oldest snapshots of this directory beyond the retention limits of versioning, if enabled
+		 */
+		IDEntry.prototype._pruneSnapshots = function() {
+			
+			var oDir = this,
+				oSettings = fnVersioning(this.fileSystem);
+			
+			if (! oSettings) return $.Deferred().resolve();
+			
+			return this.snapshots().then(function(aSnapshots) {
+				
+				// snapshots taken before sizes were recorded
+				$.each(aSnapshots, function(i, oSnapshot) { oSnapshot.size = oSnapshot.size || 0; });
+				
+				return fnSequence(fnRetention(aSnapshots, oSettings, $.now()), function(oSnapshot) {
+					return oDir.deleteSnapshot(oSnapshot.label);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Replaces the content of this directory by the tree of snapshot sLabel. 
+		 * Replaced entries are not kept as versions : the caller took a snapshot of them.
+		 */
+		IDEntry.prototype._replaceContent = function(sLabel) {
+			
+			var oDir = this;
+			
+			return this._snapshotContent()
+				.then(function(aEntries) {
+					return fnSequence(aEntries, function(oEntry) { return oEntry._remove(oEntry.isDirectory ? 'removeRecursively' : 'remove', false); });
+				})
+				.then(function() {
+					return oDir.fileSystem.root.getDirectory(oDir._snapshotPath(sLabel) + '/tree');
+				})
+				.then(function(oTree) {
+					return oTree.listContent();
+				})
+				.then(function(aEntries) {
+					return fnSequence(aEntries, function(oEntry) { return oEntry.copyTo(oDir); });
+				});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Lists the entries of this directory a snapshot is made of, leaving out reserved directories
+		 */
+		IDEntry.prototype._snapshotContent = function() {
+			
+			return this.listContent().then(function(aEntries) {
+				return $.grep(aEntries, function(oEntry) { return ! fnIsReservedPath(oEntry.fullPath); });
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Keeps the content of file sName of this directory as a version before it gets replaced, if there is such a file. 
+		 * Runs under the exclusive lock of that file, see FileEntry#_keepVersion().
+		 */
+		IDEntry.prototype._keepVersionOf = function(sName) {
+			
+			var oDef = $.Deferred();
+			
+			this._entry.getFile(sName, {}, filesystem._fnEntryCallback(oDef, this.fileSystem), function() { oDef.resolve(null); });
+			
+			return oDef.then(function(oFile) {
+				return oFile && oFile._keepVersion();
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Opens the full-text search index of the text files of this directory and its subdirectories, building it on first use, 
+		 * see {@link jQuery.filesystem.SearchIndex}. Files changed since the index was last saved are indexed again.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryEntry#createSearchIndex
+		 * @param {object} [oOptions] optional settings
+		 * @param {string[]} [oOptions.extensions] extensions of indexed files, see {@link jQuery.filesystem.SearchIndex.defaults}
+		 * @return {jQuery.Deferred} a request object containing the {@link jQuery.filesystem.SearchIndex} once up to date, 
+		 * notified with <code>(iIndexed, iTotal)</code> as files are indexed
+		 */
+		IDEntry.prototype.createSearchIndex = function(oOptions) {
+			
+			var oIndex = new filesystem.SearchIndex(this, oOptions);
+			
+			return oIndex._open().then(function(oSaved) {
+				return $.when(oSaved).then(function() { return oIndex; });
+			});
+		};
+		
+		
+		//=============================================================================
+		//=========================== Interface DirectoryReader =======================
+		//=============================================================================
+		
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.DirectoryReader.
+		 * 
+		 * @class
+		 * <p>This class provides jQuery wrapping features for DirectoryReader interface</p> 
+		 *
+		 * @constructor
+		 * @param {DirectoryReader} oDReader native <code>DirectoryReader</code> reference
+		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] optional reference to <code>FileSystem</code> object the read entries belong to
+		 * @param {string} [sPath] optional full path of the read directory, reported in errors
+		 * 
+		 * @name jQuery.filesystem.DirectoryReader
+		 */
+		var IDReader = filesystem.DirectoryReader = function(oDReader, oFileSystem, sPath) {
+			
+			this._reader = oDReader;
+			this._fs = oFileSystem;
+			this._path = sPath;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Read the next block of entries from this directory.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.DirectoryReader#readEntries
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Entry[]} array in case of success
+		 */
+		IDReader.prototype.readEntries = function() {
+			
+			var oDef = $.Deferred();
+			
+			this._reader.readEntries(
+				$.proxy(function(oD, oFileSystem, aEntries) {
+					oD.resolve($.map(aEntries, function(oEntry) { return filesystem._fnWrapEntry(oEntry, oFileSystem); }));
+				}, null, oDef, this._fs),
+				filesystem._fnErrorCallback(oDef, 'readEntries', this._path));
+			
+			return oDef;
+		};
+		
+		
+		//=============================================================================
+		//=========================== Interface FileEntry =============================
+		//=============================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.FileEntry.
+		 * 
+		 * @class
+		 * <p>This class provides jQuery wrapping features for FileEntry interface</p> 
+		 *
+		 * @extends jQuery.filesystem.Entry
+		 * 
+		 * @constructor
+		 * @param {Entry} oEntry native <code>Entry</code> reference
+		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] optional reference to <code>FileSystem</code> object. if not provided, a new wrapper object of native FileSystem reference is created 
+		 * 
+		 * @name jQuery.filesystem.FileEntry
+		 */
+		var IFEntry = filesystem.FileEntry = function(oEntry, oFileSystem) {
+			
+			// super()
+			filesystem.Entry.apply(this, arguments);
+		};
+	
+	
+		/*
+		 * Inheritance from filesystem.Entry
+		 */
+		IFEntry.prototype = Object.create(filesystem.Entry.prototype);
+		IFEntry.prototype.constructor = IFEntry;
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Creates a new FileWriter associated with the file that this FileEntry represents.
+		 * Completed writes trigger a <code>modified</code> event, see {@link jQuery.filesystem.FileSystem#on}.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#createWriter
+		 * @return {jQuery.Deferred} a request object containing the result {@link FileWriter} object in case of success
+		 */
+		IFEntry.prototype.createWriter = function() {
+			
+			var oEntry = this;
+			
+			return this._createWriter().done(function(oWriter) {
+				
+				oWriter.addEventListener('writeend', function() {
+					if (! oWriter.error) oEntry.fileSystem._emit('modified', oEntry);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+	
+		
+		/*
+		 * Creates a FileWriter whose writes trigger no change event
+		 */
+		IFEntry.prototype._createWriter = function() {
+			
+			var oDef = $.Deferred();
+			
+			this._entry.createWriter(
+				oDef.resolve,
+				filesystem._fnErrorCallback(oDef, 'createWriter', this.fullPath));
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Returns a <code>File</code> that represents the current state of the file that this FileEntry represents.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#asFile
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.File} object in case of success
+		 */
+		IFEntry.prototype.asFile = function() {
+			
+			return this._schedule(false, this._file);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Returns the File of this entry at once, for operations already holding its lock
+		 */
+		IFEntry.prototype._file = function() {
+			
+			var oDef = $.Deferred();
+			
+			this._entry.file(
+				oDef.resolve,
+				filesystem._fnErrorCallback(oDef, 'asFile', this.fullPath));
+			
+			return oDef;
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Returns a URL the document can load this file from, e.g. as the source of an image. 
+		 * It is the <code>filesystem:</code> URL of the file if its backend serves them, an object URL of its current 
+		 * content otherwise. Object URLs should be released with {@link jQuery.filesystem.revokeObjectURL} once used.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#toObjectURL
+		 * @return {jQuery.Deferred} a request object containing the result URL in case of success
+		 */
+		IFEntry.prototype.toObjectURL = function() {
+			
+			if (! this.fileSystem._backend().objectURLs) return $.Deferred().resolve(this.toURL());
+			
+			return this.asFile().then(function(oFile) {
+				return (window.URL || window.webkitURL).createObjectURL(oFile);
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads the content of this file as a string.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#readAsText
+		 * @param {string} [sEncoding] encoding of the file content. Default is UTF-8.
+		 * @return {jQuery.Deferred} a request object containing the result string in case of success, and notified with 
+		 * <code>(iLoaded, iTotal)</code> byte counts while reading
+		 */
+		IFEntry.prototype.readAsText = function(sEncoding) {
+			
+			return this._schedule(false, function() {
+				
+				return this._read('readAsText', sEncoding);
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads the content of this file as JSON.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#readAsJSON
+		 * @return {jQuery.Deferred} a request object containing the result parsed value in case of success, and notified with 
+		 * <code>(iLoaded, iTotal)</code> byte counts while reading
+		 */
+		IFEntry.prototype.readAsJSON = function() {
+			
+			return this._schedule(false, function() {
+				
+				var sPath = this.fullPath;
+				
+				return this._read('readAsText').then(function(sContent) {
+					
+					try {
+						return JSON.parse(sContent);
+					} catch (e) {
+						return $.Deferred().reject(filesystem.Error.from(e, 'readAsJSON', sPath));
+					}
+				});
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads the content of this file as binary data.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#readAsArrayBuffer
+		 * @return {jQuery.Deferred} a request object containing the result <code>ArrayBuffer</code> in case of success, and notified with 
+		 * <code>(iLoaded, iTotal)</code> byte counts while reading
+		 */
+		IFEntry.prototype.readAsArrayBuffer = function() {
+			
+			return this._schedule(false, function() {
+				
+				return this._read('readAsArrayBuffer');
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads the content of this file as a <code>data:</code> URL.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#readAsDataURL
+		 * @return {jQuery.Deferred} a request object containing the result URL string in case of success, and notified with 
+		 * <code>(iLoaded, iTotal)</code> byte counts while reading
+		 */
+		IFEntry.prototype.readAsDataURL = function() {
+			
+			return this._schedule(false, function() {
+				
+				return this._read('readAsDataURL');
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads a range of bytes of this file.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#read
+		 * @param {number} iStart offset of the first byte to read. Negative values are counted from the end of the file.
+		 * @param {number} [iEnd] offset of the byte following the last byte to read. Default is the end of the file.
+		 * @return {jQuery.Deferred} a request object containing the result <code>ArrayBuffer</code> in case of success, and notified with 
+		 * <code>(iLoaded, iTotal)</code> byte counts while reading
+		 */
+		IFEntry.prototype.read = function(iStart, iEnd) {
+			
+			return this._schedule(false, function() {
+				
+				return this._read('readAsArrayBuffer', undefined, iStart || 0, iEnd);
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads this file one chunk at a time, from a snapshot of its content taken when reading starts, 
+		 * so that large files are never held in memory as a whole.
+		 * <p>Each chunk is notified as <code>(oBuffer, oChunk)</code>, oBuffer being an <code>ArrayBuffer</code> and oChunk 
+		 * an object with <code>offset</code> and <code>size</code> byte counts, and two methods : <code>wait(oRequest)</code> 
+		 * delays the next chunk until a request object is resolved, and <code>stop()</code> ends reading after this chunk.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#readChunks
+		 * @param {object} [oOptions] optional settings
+		 * @param {number} [oOptions.chunkSize] size of chunks, in bytes. Default is 1 MB.
+		 * @return {jQuery.Deferred} a request object containing the number of bytes read in case of success, and notified with each chunk. 
+		 * It is rejected with the error of a request passed to <code>wait()</code>, if any fails.
+		 */
+		IFEntry.prototype.readChunks = function(oOptions) {
+			
+			var oDef = $.Deferred();
+			
+			this._readSlices((oOptions && oOptions.chunkSize) || STREAM_CHUNK_SIZE, function(aBytes, iOffset, iSize) {
+				return fnNotifyStream(oDef, aBytes.buffer, { offset : iOffset, size : iSize });
+			})
+			.done(oDef.resolve)
+			.fail(oDef.reject);
+			
+			return oDef;
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads this file as text one line at a time, like {@link jQuery.filesystem.FileEntry#readChunks}. 
+		 * Lines end with LF or CR LF, which are not part of the notified lines.
+		 * <p>Each line is notified as <code>(sLine, oLine)</code>, oLine being an object with <code>line</code> number, 
+		 * starting at 1, <code>offset</code> and <code>size</code> byte counts of reading, and <code>wait(oRequest)</code> 
+		 * and <code>stop()</code> methods, see {@link jQuery.filesystem.FileEntry#readChunks}.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#readLines
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.encoding] encoding of the file content, which must encode LF as a single 0x0A byte. Default is UTF-8.
+		 * @param {number} [oOptions.chunkSize] size of chunks read at once, in bytes. Default is 1 MB.
+		 * @return {jQuery.Deferred} a request object containing the number of lines read in case of success, and notified with each line
+		 */
+		IFEntry.prototype.readLines = function(oOptions) {
+			
+			var oOpts = oOptions || {},
+				oDef = $.Deferred(),
+				aPending = [],
+				iLine = 0;
+			
+			this._readSlices(oOpts.chunkSize || STREAM_CHUNK_SIZE, function(aBytes, iOffset, iSize) {
+				
+				var iEnd = iOffset + aBytes.length,
+					iCut = iEnd < iSize ? Array.prototype.lastIndexOf.call(aBytes, 0x0A) + 1 : aBytes.length,
+					oBlob;
+				
+				// no line ends in this chunk
+				if (! iCut) {
+					aPending.push(aBytes);
+					return true;
+				}
+				
+				oBlob = new Blob(aPending.concat([aBytes.subarray(0, iCut)]));
+				aPending = [aBytes.subarray(iCut)];
+				
+				return fnReadText(oBlob, oOpts.encoding).then(function(sText) {
+					
+					var aLines = sText.split(/\r?\n/),
+						fnEach = function(i) {
+							
+							var oResult;
+							
+							// loops while the consumer does not wait, recursing through requests only when it does
+							for ( ; i < aLines.length ; ++i) {
+								
+								oResult = fnNotifyStream(oDef, aLines[i], { line : ++iLine, offset : iEnd, size : iSize });
+								
+								if (oResult === false) return false;
+								if (oResult !== true) return oResult.then(function(bContinue) { return bContinue && fnEach(i + 1); });
+							}
+							
+							return true;
+						};
+					
+					if (aLines[aLines.length - 1] === '') aLines.pop();
+					
+					return fnEach(0);
+				});
+			})
+			.done(function() { oDef.resolve(iLine); })
+			.fail(oDef.reject);
+			
+			return oDef;
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads a snapshot of this file in slices of iChunkSize bytes, calling fnChunk(aBytes, iOffset, iSize) with each of them. 
+		 * fnChunk returns false to stop reading, true or a request object resolved with such a boolean to go on. 
+		 * Resolves the number of bytes read.
+		 */
+		IFEntry.prototype._readSlices = function(iChunkSize, fnChunk) {
+			
+			// unlike read(), slices are read outside of the schedule, so that consumers can write to this file meanwhile
+			return this.asFile().then(function(oFile) {
+				
+				var oDef = $.Deferred(),
+					fnNext = function(iOffset) {
+						
+						if (iOffset >= oFile.size) return oDef.resolve(iOffset);
+						
+						fnReadBytes(oFile.slice(iOffset, iOffset + iChunkSize))
+							.then(function(aBytes) {
+								return $.when(fnChunk(aBytes, iOffset, oFile.size)).then(function(bContinue) {
+									
+									if (bContinue) fnNext(iOffset + aBytes.length);
+									else oDef.resolve(iOffset + aBytes.length);
+								});
+							})
+							.fail(oDef.reject);
+					};
+				
+				fnNext(0);
+				
+				return oDef;
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads the file, or a slice of it, with given FileReader method
+		 */
+		IFEntry.prototype._read = function(sMethod, sEncoding, iStart, iEnd) {
+			
+			var oDef = $.Deferred(), sPath = this.fullPath;
+			
+			// native call rather than asFile(), which would be scheduled behind this very operation
+			this._entry.file(
+				function(oFile) {
+					
+					var oReader = new FileReader(),
+						oBlob = iStart === undefined ? oFile : oFile.slice(iStart, iEnd === undefined ? oFile.size : iEnd);
+					
+					oReader.onprogress = function(oEvent) { oDef.notify(oEvent.loaded, oEvent.total); };
+					oReader.onload = function() { oDef.resolve(oReader.result); };
+					oReader.onerror = oReader.onabort = function() { oDef.reject(filesystem.Error.from(oReader.error, 'read', sPath)); };
+					
+					if (sEncoding) oReader[sMethod](oBlob, sEncoding);
+					else oReader[sMethod](oBlob);
+				},
+				filesystem._fnErrorCallback(oDef, 'read', sPath));
+			
+			return oDef;
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Replaces the content of this file.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#write
+		 * @param {string|Blob|ArrayBuffer|ArrayBufferView} oData new content of the file
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.type] MIME type of the content
+		 * @return {jQuery.Deferred} a request object containing this {@link jQuery.filesystem.FileEntry} once the content has been written, 
+		 * and notified with <code>(iLoaded, iTotal)</code> byte counts while writing
+		 */
+		IFEntry.prototype.write = function(oData, oOptions) {
+			
+			return this._replace(oData, oOptions, 'modified');
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Replaces the content of this file as write() does, triggering an sEvent change event once written
+		 */
+		IFEntry.prototype._replace = function(oData, oOptions, sEvent) {
+			
+			return this._scheduleWrite(function() {
+				
+				var oBlob = fnToBlob(oData, oOptions && oOptions.type);
+				
+				return this._write('write', oBlob.size, function(oWriter) {
+					
+					return fnWriterRequest(oWriter, 'write', oBlob).then(function() {
+						// FileWriter only overwrites : drop what remains of previous content
+						if (oWriter.length > oBlob.size) return fnWriterRequest(oWriter, 'truncate', oBlob.size);
+					});
+				}, sEvent);
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Appends data at the end of this file.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#append
+		 * @param {string|Blob|ArrayBuffer|ArrayBufferView} oData data to append
+		 * @return {jQuery.Deferred} a request object containing this {@link jQuery.filesystem.FileEntry} once data has been written, 
+		 * and notified with <code>(iLoaded, iTotal)</code> byte counts while writing
+		 */
+		IFEntry.prototype.append = function(oData) {
+			
+			return this._scheduleWrite(function() {
+				
+				var oBlob = fnToBlob(oData);
+				
+				return this._write('append', oBlob.size, function(oWriter) {
+					
+					oWriter.seek(oWriter.length);
+					return fnWriterRequest(oWriter, 'write', oBlob);
+				}, 'modified');
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Changes the length of this file, discarding extra content or padding it with zero bytes.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#truncate
+		 * @param {number} [iSize] new size of the file, in bytes. Default is 0.
+		 * @return {jQuery.Deferred} a request object containing this {@link jQuery.filesystem.FileEntry} once the file has been truncated
+		 */
+		IFEntry.prototype.truncate = function(iSize) {
+			
+			return this._scheduleWrite(function() {
+				
+				return this._write('truncate', iSize || 0, function(oWriter) {
+					
+					return fnWriterRequest(oWriter, 'truncate', iSize || 0);
+				}, 'modified');
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Replaces the content of this file by the JSON serialization of given value.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#writeJSON
+		 * @param {*} oValue value to serialize
+		 * @return {jQuery.Deferred} a request object containing this {@link jQuery.filesystem.FileEntry} once the content has been written, 
+		 * and notified with <code>(iLoaded, iTotal)</code> byte counts while writing
+		 */
+		IFEntry.prototype.writeJSON = function(oValue) {
+			
+			return this.write(JSON.stringify(oValue), { type : 'application/json' });
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Creates a stream appending data at the end of this file, such as the lines of a log. 
+		 * Data written while a previous append is in progress is gathered into a single append.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#createAppendStream
+		 * @return {jQuery.filesystem.AppendStream} the new stream
+		 */
+		IFEntry.prototype.createAppendStream = function() {
+			
+			return new IAppendStream(this);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Replaces the content of this file as a whole : data is written to a hidden temporary sibling, 
+		 * named after this file as ".name.id.tmp", which is then moved onto this file. 
+		 * Unlike {@link jQuery.filesystem.FileEntry#write}, an interrupted write leaves the previous content untouched, 
+		 * along with the temporary file. The temporary file triggers no change event : the write triggers a single 
+		 * <code>modified</code> event, or a <code>created</code> one if this file no longer existed.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#writeAtomic
+		 * @param {string|Blob|ArrayBuffer|ArrayBufferView} oData new content of the file
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.FileEntry#write}
+		 * @return {jQuery.Deferred} a request object containing this {@link jQuery.filesystem.FileEntry} in case of success, 
+		 * notified of progress like {@link jQuery.filesystem.FileEntry#write}
+		 */
+		IFEntry.prototype.writeAtomic = function(oData, oOptions) {
+			
+			var oEntry = this,
+				oFS = this.fileSystem,
+				oBlob = fnToBlob(oData, oOptions && oOptions.type),
+				sTempName = '.' + this.name + '.' + fnNewId() + '.tmp',
+				sTemp = fnResolvePath(fnDirname(this.fullPath), sTempName);
+			
+			return this._autoLock(function() {
+				
+				return oEntry.getParent().then(function(oParent) {
+					
+					var oTemp = null;
+					
+					// the temporary file is private to this write : neither locked, versioned nor announced
+					return oParent._get('writeAtomic', false, sTempName, { create : true, exclusive : true }, function(oCreated) { oTemp = oCreated; })
+						.then(function() {
+							return oTemp._schedule(true, function() {
+								return this._write('write', oBlob.size, function(oWriter) { return fnWriterRequest(oWriter, 'write', oBlob); }, null);
+							});
+						})
+						.then(function() {
+							
+							// the content replaced is kept as a version by the same operation
+							return oEntry._schedule(true, function() {
+								
+								return oEntry._keepVersion().then(function() {
+									
+									var oDef = $.Deferred(),
+										fnMove = function(bCreated) {
+											
+											oTemp._entry.moveTo(oParent._entry, oEntry.name,
+												function(oNative) {
+													oEntry._entry = oNative;
+													oFS._emit(bCreated ? 'created' : 'modified', oEntry);
+													oDef.resolve(oEntry);
+												},
+												filesystem._fnErrorCallback(oDef, 'writeAtomic', sTemp, oEntry.fullPath));
+										};
+									
+									// this file may have been removed meanwhile
+									oParent._entry.getFile(oEntry.name, {}, function() { fnMove(false); }, function() { fnMove(true); });
+									
+									return oDef;
+								});
+							}, { path : sTemp, exclusive : true }, oEntry._isVersioned());
+						})
+						.then(null, function(oError) {
+							
+							var oDef = $.Deferred(), fnReject = function() { oDef.reject(oError); };
+							
+							if (oTemp) oTemp._entry.remove(fnReject, fnReject);
+							else fnReject();
+							
+							return oDef;
+						});
+				});
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Lists the versions kept of this file, see {@link jQuery.filesystem.versioning}. 
+		 * Versions are recorded by path : they do not follow moves.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#listVersions
+		 * @return {jQuery.Deferred} a request object containing, in case of success, an array of versions, latest first. 
+		 * Each version is an object with <code>id</code>, <code>time</code> when it was replaced, <code>size</code> and 
+		 * <code>modificationTime</code> properties, times being in milliseconds.
+		 */
+		IFEntry.prototype.listVersions = function() {
+			
+			return this._versions().then(function(oIndex) {
+				return oIndex.versions.slice(0).reverse();
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Restores a version of this file. The content it replaces is kept as a version in turn, so that restoring can be undone.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.FileEntry#restoreVersion
+		 * @param {string} sId <code>id</code> of the version, see {@link jQuery.filesystem.FileEntry#listVersions}
+		 * @return {jQuery.Deferred} a request object containing this {@link jQuery.filesystem.FileEntry} once restored, 
+		 * rejected with a {@link jQuery.filesystem.NotFoundError} if there is no such version
+		 */
+		IFEntry.prototype.restoreVersion = function(sId) {
+			
+			var oEntry = this, oFS = this.fileSystem, sDir = this._versionsPath();
+			
+			return this._versions().then(function(oIndex) {
+				
+				if (! $.grep(oIndex.versions, function(oVersion) { return oVersion.id === sId; }).length) {
+					return $.Deferred().reject(new filesystem.NotFoundError('restoreVersion on ' + oEntry.fullPath + ' failed: no version ' + sId, 
+						{ operation : 'restoreVersion', path : oEntry.fullPath }));
+				}
+				
+				return oFS.readFile(sDir + '/' + sId, { as : 'file' });
+			})
+			.then(function(oContent) {
+				return oEntry.write(oContent);
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Schedules an exclusive operation of a write helper, which first keeps the current content as a version : 
+		 * concurrent writes each keep the content the previous one wrote
+		 */
+		IFEntry.prototype._scheduleWrite = function(fnOperation) {
+			
+			var oEntry = this;
+			
+			return this._autoLock(function() {
+				
+				return oEntry._schedule(true, function() {
+					return this._keepVersion().then($.proxy(fnOperation, this));
+				}, undefined, oEntry._isVersioned());
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Runs a write helper under an exclusive lock of this file when auto locking is enabled, see jQuery.filesystem.autoLock
+		 */
+		IFEntry.prototype._autoLock = function(fnOperation) {
+			
+			var oFS = this.fileSystem,
+				oSettings = oFS.autoLock === undefined ? filesystem.autoLock : oFS.autoLock;
+			
+			// locks are not reentrant : an exclusive lock held by this page already covers its writes, unlike a shared one
+			if (! oSettings || fnIsReservedPath(this.fullPath) || oHeldLocks[fnLockName(this)]) return fnOperation();
+			
+			return this.lock($.extend({}, $.isPlainObject(oSettings) ? oSettings : {}, { mode : 'exclusive' })).then(function(oLock) {
+				return fnOperation().always(function() { oLock.release(); });
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Keeps the current content of this file as a version, then drops versions beyond retention limits. 
+		 * Does nothing unless versioning is enabled, for empty or missing files and for files of reserved directories. 
+		 * Runs under the exclusive lock of this file, as a nested operation, for the content not to change meanwhile.
+		 */
+		IFEntry.prototype._keepVersion = function() {
+			
+			var oEntry = this,
+				oFS = this.fileSystem,
+				oSettings = fnVersioning(oFS),
+				sDir = this._versionsPath();
+			
+			if (! this._isVersioned()) return $.Deferred().resolve();
+			
+			return fnSerialize(oFS.name + ':' + sDir, function() {
+				
+				return $.when(oEntry._file(), oEntry._versions()).then(function(oFile, oIndex) {
+					
+					var oVersion = {
+						id : fnNewId(),
+						time : $.now(),
+						size : oFile.size,
+						modificationTime : oFile.lastModified || (oFile.lastModifiedDate ? oFile.lastModifiedDate.getTime() : $.now())
+					};
+					
+					if (! oFile.size) return null;
+					
+					return oFS.mkdirp(sDir)
+						.then(function() {
+							return oFS.writeFile(sDir + '/' + oVersion.id, oFile);
+						})
+						.then(function() {
+							
+							var aVersions = oIndex.versions.concat([oVersion]),
+								aDropped = fnRetention(aVersions, oSettings, oVersion.time);
+							
+							return fnSequence(aDropped, function(oDropped) {
+								return oFS.rm(sDir + '/' + oDropped.id, { force : true });
+							})
+							.then(function() {
+								
+								oIndex.versions = aVersions.slice(aDropped.length);
+								
+								return oFS.writeFile(sDir + '/versions.json', JSON.stringify(oIndex), { type : 'application/json' });
+							});
+						});
+				})
+				.then(null, function(oError) {
+					// a missing file has nothing to keep, and will fail to be written anyway
+					return fnIsNotFound(oError) ? $.Deferred().resolve() : $.Deferred().reject(oError);
+				});
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Full path of the directory holding the versions of this file
+		 */
+		IFEntry.prototype._versionsPath = function() {
+			
+			return filesystem.VERSIONS_PATH + '/files/' + fnHash(this.fullPath);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads the index of the versions of this file, having path and versions properties, versions being oldest first
+		 */
+		IFEntry.prototype._versions = function() {
+			
+			var sPath = this.fullPath;
+			
+			return this.fileSystem.readFile(this._versionsPath() + '/versions.json', { as : 'json' }).then(
+				function(oIndex) {
+					// hashes of paths may collide
+					return oIndex.path === sPath ? oIndex : { path : sPath, versions : [] };
+				},
+				function(oError) {
+					return fnIsNotFound(oError) ? $.Deferred().resolve({ path : sPath, versions : [] }) : $.Deferred().reject(oError);
+				});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Runs fnOperation(oWriter) with a new FileWriter, fnOperation returning a request object, then triggers an sEvent change 
+		 * event unless sEvent is null. Should it fail for lack of quota, the quota policy may grow quota and run it again.
+		 */
+		IFEntry.prototype._write = function(sOperation, iBytes, fnOperation, sEvent, iRetries) {
+			
+			var oEntry = this,
+				oPolicy = this.fileSystem.quotaPolicy || filesystem.quotaPolicy,
+				iLeft = iRetries === undefined ? oPolicy.retries : iRetries;
+			
+			return this._createWriter()
+				.then(function(oWriter) {
+					
+					try {
+						return fnOperation(oWriter);
+					} catch (e) {
+						// FileWriter methods throw on invalid state
+						return $.Deferred().reject(e);
+					}
+				})
+				.then(
+					function() {
+						if (sEvent) oEntry.fileSystem._emit(sEvent, oEntry);
+						return oEntry;
+					},
+					function(oError) {
+						
+						var oErr = filesystem.Error.from(oError, sOperation, oEntry.fullPath);
+						
+						if (! (oErr instanceof filesystem.QuotaExceededError && iLeft > 0)) return $.Deferred().reject(oErr);
+						
+						return oEntry.fileSystem._growQuota(oErr, iBytes).then(function() {
+							return oEntry._write(sOperation, iBytes, fnOperation, sEvent, iLeft - 1);
+						});
+					});
+		};
+		
+		
+		//=============================================================================
+		//=========================== Interface AppendStream ==========================
+		//=============================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.AppendStream.
+		 * 
+		 * @class
+		 * <p>A stream appending data at the end of a file, obtained through {@link jQuery.filesystem.FileEntry#createAppendStream}. 
+		 * Data is appended in writing order.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.FileEntry} oFileEntry file to append to
+		 * 
+		 * @name jQuery.filesystem.AppendStream
+		 * 
+		 * @property {jQuery.filesystem.FileEntry} fileEntry File this stream appends to
+		 * @property {boolean} closed Whether this stream is closed
+		 */
+		var IAppendStream = filesystem.AppendStream = function(oFileEntry) {
+			
+			this.fileEntry = oFileEntry;
+			this.closed = false;
+			
+			this._parts = [];
+			this._requests = [];
+			this._flushing = null;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Appends data to the file.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.AppendStream#write
+		 * @param {string|Blob|ArrayBuffer|ArrayBufferView} oData data to append
+		 * @return {jQuery.Deferred} a request object containing the {@link jQuery.filesystem.FileEntry} once data has been written, 
+		 * rejected with a {@link jQuery.filesystem.InvalidStateError} if this stream is closed
+		 */
+		IAppendStream.prototype.write = function(oData) {
+			
+			var oDef = $.Deferred();
+			
+			if (this.closed) {
+				return oDef.reject(new filesystem.InvalidStateError('write failed: stream is closed', 
+					{ operation : 'write', path : this.fileEntry.fullPath }));
+			}
+			
+			this._parts.push(fnToBlob(oData));
+			this._requests.push(oDef);
+			this._flush();
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Appends a line of text to the file, followed by LF.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.AppendStream#writeLine
+		 * @param {string} sLine text of the line
+		 * @return {jQuery.Deferred} a request object, see {@link jQuery.filesystem.AppendStream#write}
+		 */
+		IAppendStream.prototype.writeLine = function(sLine) {
+			
+			return this.write(sLine + '\n');
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Waits for all data written so far to be appended.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.AppendStream#flush
+		 * @return {jQuery.Deferred} a request object containing the {@link jQuery.filesystem.FileEntry} once data has been written
+		 */
+		IAppendStream.prototype.flush = function() {
+			
+			var aRequests = this._requests;
+			
+			return aRequests.length ? aRequests[aRequests.length - 1] : this._flushing || $.Deferred().resolve(this.fileEntry);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Closes this stream, once all data written so far has been appended. Further writes are rejected.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.AppendStream#close
+		 * @return {jQuery.Deferred} a request object containing the {@link jQuery.filesystem.FileEntry} once data has been written
+		 */
+		IAppendStream.prototype.close = function() {
+			
+			this.closed = true;
+			
+			return this.flush();
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Appends pending data in a single write, unless an append is already in progress
+		 */
+		IAppendStream.prototype._flush = function() {
+			
+			var oStream = this, aRequests = this._requests;
+			
+			if (this._flushing || ! aRequests.length) return;
+			
+			this._flushing = this.fileEntry.append(new Blob(this._parts))
+				.done(function(oEntry) {
+					$.each(aRequests, function(i, oDef) { oDef.resolve(oEntry); });
+				})
+				.fail(function(oError) {
+					$.each(aRequests, function(i, oDef) { oDef.reject(oError); });
+				})
+				.always(function() {
+					oStream._flushing = null;
+					oStream._flush();
+				});
+			
+			this._parts = [];
+			this._requests = [];
+		};
+		
+		
+		//=============================================================================
+		//=========================== Trash ===========================================
+		//=============================================================================
+	
+		
+		/**
+		 * Directory holding removed entries moved to the trash
+		 * @name jQuery.filesystem.TRASH_PATH
+		 */
+		filesystem.TRASH_PATH = '/.trash';
+		aReservedPaths.push(filesystem.TRASH_PATH);
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.Trash.
+		 * 
+		 * @class
+		 * <p>The trash of a filesystem, available as {@link jQuery.filesystem.FileSystem#trash}. Entries removed with the 
+		 * <code>trash</code> option are moved under a unique id into {@link jQuery.filesystem.TRASH_PATH}, next to a JSON 
+		 * record of their original path and deletion time, until restored, purged or the trash is emptied.</p>
+		 * <p>Items are purged once older than <code>maxAge</code> milliseconds, whenever an entry is moved to the trash or 
+		 * items are listed. Default is {@link jQuery.filesystem.Trash.maxAge}.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.FileSystem} oFileSystem filesystem of the trash
+		 * 
+		 * @name jQuery.filesystem.Trash
+		 * 
+		 * @property {jQuery.filesystem.FileSystem} fileSystem Filesystem of this trash
+		 * @property {number} maxAge Age of items after which they are purged, in milliseconds, null to keep them until emptied
+		 */
+		var ITrash = filesystem.Trash = function(oFileSystem) {
+			
+			this.fileSystem = oFileSystem;
+			this.maxAge = undefined;
+		};
+		
+		/**
+		 * Default age of trash items after which they are purged, in milliseconds. null keeps them until the trash is emptied.
+		 * @name jQuery.filesystem.Trash.maxAge
+		 */
+		ITrash.maxAge = null;
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Lists the items of the trash, once purged of expired ones.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Trash#list
+		 * @return {jQuery.Deferred} a request object containing, in case of success, an array of items, latest first. 
+		 * Each item is an object with <code>id</code>, <code>name</code>, <code>path</code> (original full path), 
+		 * <code>isDirectory</code> and <code>deleted</code> (time in milliseconds) properties.
+		 */
+		ITrash.prototype.list = function() {
+			
+			var oTrash = this;
+			
+			return this.purge().then(function() {
+				return oTrash._records();
+			})
+			.then(function(aRecords) {
+				return aRecords.sort(function(oA, oB) { return oB.deleted - oA.deleted; });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Moves an item of the trash back to its original path, recreating missing parent directories.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Trash#restore
+		 * @param {string} sId <code>id</code> of the item, see {@link jQuery.filesystem.Trash#list}
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.conflict='rename'] behaviour when the original path is taken again, see 
+		 * {@link jQuery.filesystem.Entry#copyTo}. An item skipped stays in the trash.
+		 * @return {jQuery.Deferred} a request object containing the restored {@link jQuery.filesystem.Entry} in case of success, 
+		 * rejected with a {@link jQuery.filesystem.NotFoundError} if there is no such item
+		 */
+		ITrash.prototype.restore = function(sId, oOptions) {
+			
+			var oTrash = this,
+				oFS = this.fileSystem,
+				sConflict = (oOptions && oOptions.conflict) || 'rename',
+				oRecord;
+			
+			return this._record(sId)
+				.then(function(oResult) {
+					
+					oRecord = oResult;
+					
+					if (! oRecord) {
+						return $.Deferred().reject(new filesystem.NotFoundError('restore failed: no trash item ' + sId, 
+							{ operation : 'restore', path : oTrash._path(sId) }));
+					}
+					
+					return $.when(oFS.getEntry(oTrash._path(sId)), oFS.mkdirp(fnDirname(oRecord.path)));
+				})
+				.then(function(oEntry, oParent) {
+					
+					return fnResolveConflict('restore', oEntry.fullPath, oParent, oRecord.name, sConflict).then(function(sName, oSkipped) {
+						
+						if (oSkipped) return oSkipped;
+						
+						return oEntry._schedule(true, function() {
+							
+							var oDef = $.Deferred();
+							this._entry.moveTo(oParent._entry, sName,
+								filesystem._fnEntryCallback(oDef, oFS),
+								filesystem._fnErrorCallback(oDef, 'restore', this.fullPath, fnResolvePath(oParent.fullPath, sName)));
+							
+							return oDef.done(function(oTarget) { oFS._emit('created', oTarget, { trashId : sId }); });
+						}, { path : fnResolvePath(oParent.fullPath, sName), exclusive : true })
+						.then(function(oTarget) {
+							return oFS.rm(oTrash._recordPath(sId), { force : true }).then(function() { return oTarget; });
+						});
+					});
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Deletes the items of the trash older than given age.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Trash#purge
+		 * @param {number} [iMaxAge] age in milliseconds. Default is <code>maxAge</code>, nothing being purged if null.
+		 * @return {jQuery.Deferred} a request object containing the array of purged items in case of success
+		 */
+		ITrash.prototype.purge = function(iMaxAge) {
+			
+			var oTrash = this,
+				iAge = iMaxAge !== undefined ? iMaxAge : this.maxAge !== undefined ? this.maxAge : ITrash.maxAge,
+				iNow = $.now();
+			
+			if (iAge === null || iAge === undefined) return $.Deferred().resolve([]);
+			
+			return this._records().then(function(aRecords) {
+				
+				var aExpired = $.grep(aRecords, function(oRecord) { return iNow - oRecord.deleted > iAge; });
+				
+				return fnSequence(aExpired, $.proxy(oTrash._delete, oTrash)).then(function() { return aExpired; });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Deletes all the items of the trash.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Trash#empty
+		 * @return {jQuery.Deferred} a request object
+		 */
+		ITrash.prototype.empty = function() {
+			
+			return this.fileSystem.rm(filesystem.TRASH_PATH, { recursive : true, force : true });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Moves an entry to the trash, its record being written first so that the entry is never in the trash unaccounted for
+		 */
+		ITrash.prototype._put = function(oEntry, sOperation) {
+			
+			var oTrash = this,
+				oFS = this.fileSystem,
+				oRecord = { id : fnNewId(), name : oEntry.name, path : oEntry.fullPath, isDirectory : oEntry.isDirectory, deleted : $.now() };
+			
+			if (oEntry.fullPath === '/') {
+				return $.Deferred().reject(new filesystem.InvalidModificationError(sOperation + ' on / failed: cannot remove the root directory', 
+					{ operation : sOperation, path : '/' }));
+			}
+			
+			return oFS.mkdirp(fnDirname(this._recordPath(oRecord.id)))
+				.then(function() {
+					return oFS.mkdirp(fnDirname(oTrash._path(oRecord.id)));
+				})
+				.then(function(oItems) {
+					
+					return oFS.writeFile(oTrash._recordPath(oRecord.id), JSON.stringify(oRecord), { type : 'application/json' }).then(function() {
+						
+						return oEntry._schedule(true, function() {
+							
+							var oDef = $.Deferred();
+							this._entry.moveTo(oItems._entry, oRecord.id,
+								oDef.resolve,
+								filesystem._fnErrorCallback(oDef, sOperation, this.fullPath, oTrash._path(oRecord.id)));
+							
+							return oDef.done($.proxy(oFS._emit, oFS, 'removed', this, { trashId : oRecord.id }));
+						}, { path : oTrash._path(oRecord.id), exclusive : true })
+						.then(null, function(oError) {
+							return oFS.rm(oTrash._recordPath(oRecord.id), { force : true }).then(function() { return $.Deferred().reject(oError); });
+						});
+					});
+				})
+				.then(function() {
+					// the entry is removed whether or not older items could be purged
+					return oTrash.purge().then(
+						function() { return oRecord; },
+						function() { return $.Deferred().resolve(oRecord); });
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Deletes an item of the trash along with its record
+		 */
+		ITrash.prototype._delete = function(oRecord) {
+			
+			var oFS = this.fileSystem, sRecordPath = this._recordPath(oRecord.id);
+			
+			return oFS.rm(this._path(oRecord.id), { recursive : true, force : true }).then(function() {
+				return oFS.rm(sRecordPath, { force : true });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads the records of all items, in no particular order
+		 */
+		ITrash.prototype._records = function() {
+			
+			var oFS = this.fileSystem, sDir = fnDirname(this._recordPath(''));
+			
+			return oFS.readdir(sDir).then(
+				function(aNames) {
+					
+					return $.when.apply($, $.map(aNames, function(sName) {
+						return oFS.readFile(sDir + '/' + sName, { as : 'json' });
+					}))
+					.then(function() {
+						return $.makeArray(arguments);
+					});
+				},
+				function(oError) {
+					return fnIsNotFound(oError) ? $.Deferred().resolve([]) : $.Deferred().reject(oError);
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads the record of an item, resolves null if there is no such item
+		 */
+		ITrash.prototype._record = function(sId) {
+			
+			return this.fileSystem.readFile(this._recordPath(sId), { as : 'json' }).then(null, function(oError) {
+				return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Full path of an item of the trash
+		 */
+		ITrash.prototype._path = function(sId) {
+			
+			return filesystem.TRASH_PATH + '/files/' + sId;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Full path of the record of an item of the trash
+		 */
+		ITrash.prototype._recordPath = function(sId) {
+			
+			return filesystem.TRASH_PATH + '/info/' + sId + '.json';
+		};
+		
+		
+		//=============================================================================
+		//=========================== Transactions ====================================
+		//=============================================================================
+	
+		
+		/**
+		 * Directory holding the journals of running transactions, one subdirectory per transaction
+		 * @name jQuery.filesystem.TRANSACTIONS_PATH
+		 */
+		filesystem.TRANSACTIONS_PATH = '/.transactions';
+		aReservedPaths.push(filesystem.TRANSACTIONS_PATH);
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.Transaction.
+		 * 
+		 * @class
+		 * <p>Records the operations of a transaction, see {@link jQuery.filesystem.FileSystem#transaction}. 
+		 * Paths are resolved from root. Recording methods return the transaction, and throw an 
+		 * {@link jQuery.filesystem.InvalidStateError} once operations are being applied.</p>
+		 * <p>Each operation is split into steps which can be replayed and undone : written data is staged in the directory 
+		 * of the transaction, and replaced or removed entries are moved there until the transaction completes.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.FileSystem} oFileSystem filesystem the transaction applies to
+		 * @param {object} [oJournal] journal of an unfinished transaction
+		 * 
+		 * @name jQuery.filesystem.Transaction
+		 * 
+		 * @property {string} id Unique id of this transaction
+		 * @property {string} fullPath Full path of the directory of this transaction
+		 * @property {jQuery.filesystem.FileSystem} fileSystem Filesystem this transaction applies to
+		 */
+		var ITransaction = filesystem.Transaction = function(oFileSystem, oJournal) {
+			
+			this._journal = oJournal || { id : fnNewId(), state : 'preparing', operations : [], steps : [], planned : 0, done : 0 };
+			this._data = [];
+			this._closed = !! oJournal;
+			
+			this.id = this._journal.id;
+			this.fileSystem = oFileSystem;
+			this.fullPath = filesystem.TRANSACTIONS_PATH + '/' + this.id;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Records the writing of a file, created if needed. Its parent directory must exist when the operation applies.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Transaction#write
+		 * @param {string} sPath path of the file
+		 * @param {string|Blob|ArrayBuffer|ArrayBufferView} oData new content of the file
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.FileEntry#write}
+		 * @return {jQuery.filesystem.Transaction} this transaction
+		 */
+		ITransaction.prototype.write = function(sPath, oData, oOptions) {
+			
+			this._data.push({ data : oData, options : oOptions });
+			
+			return this._record({ type : 'write', path : sPath, data : this._data.length - 1 });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Records the copy of a file or directory, replacing the destination if it exists.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Transaction#copy
+		 * @param {string} sPath path of the entry
+		 * @param {string} sTargetPath path of the copy. Its parent directory must exist when the operation applies.
+		 * @return {jQuery.filesystem.Transaction} this transaction
+		 */
+		ITransaction.prototype.copy = function(sPath, sTargetPath) {
+			
+			return this._record({ type : 'copy', path : sPath, targetPath : sTargetPath });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Records the move of a file or directory, replacing the destination if it exists.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Transaction#move
+		 * @param {string} sPath path of the entry
+		 * @param {string} sTargetPath new path of the entry. Its parent directory must exist when the operation applies.
+		 * @return {jQuery.filesystem.Transaction} this transaction
+		 */
+		ITransaction.prototype.move = function(sPath, sTargetPath) {
+			
+			return this._record({ type : 'move', path : sPath, targetPath : sTargetPath });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Records the removal of a file or directory, along with all its content.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Transaction#remove
+		 * @param {string} sPath path of the entry
+		 * @return {jQuery.filesystem.Transaction} this transaction
+		 */
+		ITransaction.prototype.remove = function(sPath) {
+			
+			return this._record({ type : 'remove', path : sPath });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Records the creation of a directory, which does nothing if it already exists. Its parent directory must exist 
+		 * when the operation applies.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Transaction#mkdir
+		 * @param {string} sPath path of the directory
+		 * @return {jQuery.filesystem.Transaction} this transaction
+		 */
+		ITransaction.prototype.mkdir = function(sPath) {
+			
+			return this._record({ type : 'mkdir', path : sPath });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Adds an operation to the journal, paths being resolved from root
+		 */
+		ITransaction.prototype._record = function(oOperation) {
+			
+			if (this._closed) {
+				throw new filesystem.InvalidStateError(oOperation.type + ' failed: transaction ' + this.id + ' is closed', 
+					{ operation : oOperation.type, path : oOperation.path });
+			}
+			
+			oOperation.path = fnResolvePath('/', oOperation.path);
+			if (oOperation.targetPath !== undefined) oOperation.targetPath = fnResolvePath('/', oOperation.targetPath);
+			
+			this._journal.operations.push(oOperation);
+			
+			return this;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Stages written data, then applies operations, undoing them on failure
+		 */
+		ITransaction.prototype._commit = function() {
+			
+			var oTransaction = this,
+				oFS = this.fileSystem,
+				oJournal = this._journal,
+				aData = this._data;
+			
+			this._closed = true;
+			
+			if (! oJournal.operations.length) return $.Deferred().resolve();
+			
+			// taken before the directory of the transaction exists, for other tabs never to see it unlocked
+			return this._lock().then(function(fnRelease) {
+				
+				return fnSequence(['data', 'backup', 'tmp'], function(sName) { return oFS.mkdirp(oTransaction.fullPath + '/' + sName); })
+					.then(function() {
+						return oTransaction._save();
+					})
+					.then(function() {
+						return fnSequence($.map(aData, function(oItem, i) { return i; }), function(i) {
+							return oFS.writeFile(oTransaction.fullPath + '/data/' + i, aData[i].data, aData[i].options);
+						});
+					})
+					.then(function() {
+						// from now on, an interrupted transaction is completed by the next session
+						oJournal.state = 'applying';
+						return oTransaction._save();
+					})
+					.then(function() {
+						return oTransaction._run().then(null, function(oError) {
+							
+							var fnFail = function() { return $.Deferred().reject(oError); };
+							
+							return oTransaction._undo().then(fnFail, fnFail);
+						});
+					}, function(oError) {
+						return oTransaction._close().then(function() { return $.Deferred().reject(oError); });
+					})
+					.then(function() {
+						return oTransaction._close();
+					})
+					.always(fnRelease);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Applies remaining steps, planning operations one at a time since each depends on the outcome of previous ones
+		 */
+		ITransaction.prototype._run = function() {
+			
+			var oTransaction = this, oJournal = this._journal;
+			
+			if (oJournal.done < oJournal.steps.length) {
+				
+				return this._apply(oJournal.steps[oJournal.done])
+					.then(function() {
+						++oJournal.done;
+						return oTransaction._save();
+					})
+					.then(function() {
+						return oTransaction._run();
+					});
+			}
+			
+			if (oJournal.planned < oJournal.operations.length) {
+				
+				return this._plan(oJournal.operations[oJournal.planned], oJournal.planned)
+					.then(function(aSteps) {
+						oJournal.steps = oJournal.steps.concat(aSteps);
+						++oJournal.planned;
+						return oTransaction._save();
+					})
+					.then(function() {
+						return oTransaction._run();
+					});
+			}
+			
+			return $.Deferred().resolve();
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reverts applied steps, latest first, then closes this transaction. 
+		 * The step following the last journaled one may have been applied as well : reverting a step is harmless if it was not.
+		 */
+		ITransaction.prototype._undo = function() {
+			
+			var oTransaction = this,
+				oJournal = this._journal,
+				fnNext = function() {
+					
+					var i = Math.min(oJournal.done, oJournal.steps.length - 1);
+					
+					if (i < 0) return oTransaction._close();
+					
+					return oTransaction._revert(oJournal.steps[i])
+						.then(function() {
+							oJournal.done = i;
+							oJournal.steps.length = i;
+							return oTransaction._save();
+						})
+						.then(fnNext);
+				};
+			
+			oJournal.state = 'undoing';
+			
+			return this._save().then(fnNext);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Splits an operation into steps, checking that it can apply. Steps are moves and copies from a path to another, 
+		 * and creations of directories.
+		 */
+		ITransaction.prototype._plan = function(oOperation, iIndex) {
+			
+			var oTransaction = this,
+				oFS = this.fileSystem,
+				sPath = oOperation.path,
+				sTarget = oOperation.targetPath,
+				sBackup = this.fullPath + '/backup/' + iIndex,
+				fnReject = function(sClass, sMessage) {
+					return $.Deferred().reject(new filesystem[sClass](oOperation.type + ' on ' + sPath + ' failed: ' + sMessage, 
+						{ operation : oOperation.type, path : sPath, targetPath : sTarget }));
+				};
+			
+			switch (oOperation.type) {
+				
+				case 'write' :
+					return $.when(oFS.root.getDirectory(fnDirname(sPath)), this._lookup(sPath)).then(function(oParent, oExisting) {
+						
+						if (oExisting && oExisting.isDirectory) return fnReject('TypeMismatchError', 'not a file');
+						
+						return (oExisting ? [{ move : sPath, to : sBackup }] : [])
+							.concat([{ move : oTransaction.fullPath + '/data/' + oOperation.data, to : sPath }]);
+					});
+				
+				case 'remove' :
+					return oFS.getEntry(sPath).then(function() {
+						return [{ move : sPath, to : sBackup }];
+					});
+				
+				case 'mkdir' :
+					return $.when(oFS.root.getDirectory(fnDirname(sPath)), this._lookup(sPath)).then(function(oParent, oExisting) {
+						
+						if (oExisting && oExisting.isFile) return fnReject('TypeMismatchError', 'not a directory');
+						
+						return oExisting ? [] : [{ mkdir : sPath }];
+					});
+			}
+			
+			// copy or move
+			return $.when(oFS.getEntry(sPath), oFS.root.getDirectory(fnDirname(sTarget)), this._lookup(sTarget)).then(function(oEntry, oParent, oExisting) {
+				
+				var aSteps = oExisting ? [{ move : sTarget, to : sBackup }] : [];
+				
+				if (sTarget === sPath || sTarget.indexOf(sPath + '/') === 0 || sPath === '/') 
+					return fnReject('InvalidModificationError', 'cannot ' + oOperation.type + ' to ' + sTarget);
+				
+				if (oOperation.type === 'move') return aSteps.concat([{ move : sPath, to : sTarget }]);
+				
+				// copies are made aside, so that a partial copy is never in place
+				return [{ copy : sPath, to : oTransaction.fullPath + '/tmp/' + iIndex }]
+					.concat(aSteps, [{ move : oTransaction.fullPath + '/tmp/' + iIndex, to : sTarget }]);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Applies a step. A step may be applied again after an interruption : moves whose source is gone are done already, 
+		 * copies start over.
+		 */
+		ITransaction.prototype._apply = function(oStep) {
+			
+			var oFS = this.fileSystem, sFrom = oStep.move || oStep.copy;
+			
+			if (oStep.mkdir) return oFS.mkdirp(oStep.mkdir);
+			
+			return $.when(this._lookup(sFrom), oFS.root.getDirectory(fnDirname(oStep.to)), oStep.copy && oFS.rm(oStep.to, { recursive : true, force : true }))
+				.then(function(oEntry, oParent) {
+					
+					if (! oEntry) return null;
+					
+					return oStep.copy ? oEntry.copyTo(oParent, fnBasename(oStep.to)) : oEntry._nativeTransfer('moveTo', oParent, fnBasename(oStep.to));
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reverts a step, doing nothing if it was not applied
+		 */
+		ITransaction.prototype._revert = function(oStep) {
+			
+			var oFS = this.fileSystem;
+			
+			if (oStep.mkdir) return oFS.rm(oStep.mkdir, { recursive : true, force : true });
+			if (oStep.copy) return oFS.rm(oStep.to, { recursive : true, force : true });
+			
+			return $.when(this._lookup(oStep.move), this._lookup(oStep.to)).then(function(oSource, oEntry) {
+				
+				if (oSource || ! oEntry) return null;
+				
+				return oFS.root.getDirectory(fnDirname(oStep.move)).then(function(oParent) {
+					return oEntry._nativeTransfer('moveTo', oParent, fnBasename(oStep.move));
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Looks up an entry, resolves null if there is none
+		 */
+		ITransaction.prototype._lookup = function(sPath) {
+			
+			return this.fileSystem.getEntry(sPath).then(null, function(oError) {
+				return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Writes the journal, atomically so that an interruption leaves the previous one
+		 */
+		ITransaction.prototype._save = function() {
+			
+			var sJournal = JSON.stringify(this._journal);
+			
+			return this.fileSystem.root.getFile(this.fullPath + '/journal.json', true).then(function(oFile) {
+				return oFile.writeAtomic(sJournal, { type : 'application/json' });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Deletes the directory of this transaction, with its journal, staged data and replaced entries
+		 */
+		ITransaction.prototype._close = function() {
+			
+			return this.fileSystem.rm(this.fullPath, { recursive : true, force : true });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Acquires the exclusive lock of this transaction across tabs, as Entry#lock() does for its directory, resolves a 
+		 * function releasing it. Backends which are not shared between tabs need none.
+		 */
+		ITransaction.prototype._lock = function(iTimeout) {
+			
+			if (this.fileSystem._backend().shared === false) return $.Deferred().resolve($.noop);
+			
+			return (window.navigator && navigator.locks ? fnWebLock : fnLeaseLock)(this, 'exclusive', iTimeout);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Completes or rolls back the transactions left unfinished on a filesystem, leaving out those whose lock is held : 
+		 * they are still running in another tab. Transactions interrupted before their data was staged are dropped, and 
+		 * those which fail to complete are rolled back. The returned request is always resolved, and notified with the 
+		 * error of each transaction which could not be recovered, left as it is for a later attempt.
+		 */
+		ITransaction._recover = function(oFileSystem) {
+			
+			var oDef = $.Deferred(),
+				
+				fnReport = function(oError) {
+					oDef.notify(oError);
+					return $.Deferred().resolve();
+				};
+			
+			fnSerialize(oFileSystem.name + ':' + filesystem.TRANSACTIONS_PATH, function() {
+				
+				return oFileSystem.readdir(filesystem.TRANSACTIONS_PATH).then(
+					function(aIds) {
+						
+						return fnSequence(aIds, function(sId) {
+							
+							var oTransaction = new ITransaction(oFileSystem, { id : sId, state : 'preparing' });
+							
+							return oTransaction._lock(0).then(
+								function(fnRelease) {
+									return oTransaction._resume().always(fnRelease);
+								},
+								function(oError) {
+									return oError.name === 'TimeoutError' ? $.Deferred().resolve() : $.Deferred().reject(oError);
+								})
+								.then(null, fnReport);
+						});
+					},
+					function(oError) {
+						return fnIsNotFound(oError) ? $.Deferred().resolve() : fnReport(oError);
+					});
+			})
+			.always(function() { oDef.resolve(); });
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Completes or rolls back this unfinished transaction from its journal, once its lock is held
+		 */
+		ITransaction.prototype._resume = function() {
+			
+			var oTransaction = this;
+			
+			return this.fileSystem.readFile(this.fullPath + '/journal.json', { as : 'json' }).then(null, function(oError) {
+				return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+			})
+			.then(function(oJournal) {
+				
+				if (oJournal) oTransaction._journal = oJournal;
+				
+				switch (oTransaction._journal.state) {
+					case 'applying' :
+						return oTransaction._run().then(
+							function() { return oTransaction._close(); }, 
+							function() { return oTransaction._undo(); });
+					case 'undoing' :
+						return oTransaction._undo();
+				}
+				
+				return oTransaction._close();
+			});
+		};
+		
+		
+		//=============================================================================
+		//=========================== Locks ===========================================
+		//=============================================================================
+	
+		
+		/**
+		 * Directory holding the lease files of locks, where the Web Locks API is not available
+		 * @name jQuery.filesystem.LOCKS_PATH
+		 */
+		filesystem.LOCKS_PATH = '/.locks';
+		aReservedPaths.push(filesystem.LOCKS_PATH);
+		
+		/*
+		 * delay before checking that a lease just written has not been overwritten by another page, in milliseconds
+		 */
+		var LOCK_SETTLE_DELAY = 50;
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.Lock.
+		 * 
+		 * @class
+		 * <p>A lock held on an entry, obtained through {@link jQuery.filesystem.Entry#lock}. Locks rely on the Web Locks API 
+		 * where available, and are then released by the browser when their page goes away. Elsewhere, they are recorded as 
+		 * leases in a file of {@link jQuery.filesystem.LOCKS_PATH}, renewed while the page lives and expiring 
+		 * {@link jQuery.filesystem.Lock.lease} milliseconds after it is gone, pages waiting for a lock being told of releases 
+		 * through <code>BroadcastChannel</code>. Leases are best effort : two pages writing a lease at the same time may 
+		 * both believe they hold it.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.Entry} oEntry locked entry
+		 * @param {string} sMode lock mode, 'exclusive' or 'shared'
+		 * @param {function} fnRelease function releasing the lock
+		 * 
+		 * @name jQuery.filesystem.Lock
+		 * 
+		 * @property {jQuery.filesystem.Entry} entry Locked entry
+		 * @property {string} mode Mode of this lock, 'exclusive' or 'shared'
+		 * @property {boolean} released Whether this lock has been released
+		 */
+		var ILock = filesystem.Lock = function(oEntry, sMode, fnRelease) {
+			
+			this.entry = oEntry;
+			this.mode = sMode;
+			this.released = false;
+			
+			this._name = fnLockName(oEntry);
+			this._release = fnRelease;
+			
+			if (sMode === 'exclusive') oHeldLocks[this._name] = (oHeldLocks[this._name] || 0) + 1;
+		};
+		
+		/**
+		 * Duration of leases, in milliseconds : a lock of a page which went away without releasing it is acquired again after it.
+		 * @name jQuery.filesystem.Lock.lease
+		 */
+		ILock.lease = 10000;
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Releases this lock. Releasing it again does nothing.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Lock#release
+		 * @return {jQuery.Deferred} a request object, resolved once the lock can be acquired elsewhere
+		 */
+		ILock.prototype.release = function() {
+			
+			if (this.released) return $.Deferred().resolve();
+			
+			this.released = true;
+			if (this.mode === 'exclusive' && ! --oHeldLocks[this._name]) delete oHeldLocks[this._name];
+			
+			return $.when(this._release());
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Name of the lock of an entry
+		 */
+		function fnLockName(oEntry) {
+			
+			return 'jquery.filesystem:' + oEntry.fileSystem.name + ':' + oEntry.fullPath;
+		}
+		
+		/*
+		 * Rejects with a TimeoutError for a lock of oEntry not acquired in time
+		 */
+		function fnLockTimeout(oDef, oEntry, iTimeout) {
+			
+			oDef.reject(new filesystem.TimeoutError('lock on ' + oEntry.fullPath + ' failed: not acquired within ' + iTimeout + 'ms', 
+				{ operation : 'lock', path : oEntry.fullPath }));
+		}
+		
+		/*
+		 * Acquires a lock with the Web Locks API, resolves a function releasing it
+		 */
+		function fnWebLock(oEntry, sMode, iTimeout) {
+			
+			var oDef = $.Deferred(),
+				oHeld = $.Deferred(),
+				oAbort = iTimeout && window.AbortController ? new AbortController() : null,
+				oOptions = { mode : sMode },
+				iTimer;
+			
+			if (iTimeout === 0) oOptions.ifAvailable = true;
+			if (oAbort) oOptions.signal = oAbort.signal;
+			
+			navigator.locks.request(fnLockName(oEntry), oOptions, function(oLock) {
+				
+				clearTimeout(iTimer);
+				
+				if (! oLock) return fnLockTimeout(oDef, oEntry, iTimeout);
+				// granted after timing out without AbortController : released at once
+				if (oDef.state() !== 'pending') return;
+				
+				oDef.resolve(oHeld.resolve);
+				
+				return new Promise(function(fnResolve) { oHeld.done(fnResolve); });
+			})
+			.then(null, function(oError) {
+				
+				clearTimeout(iTimer);
+				
+				if (oError && oError.name === 'AbortError') fnLockTimeout(oDef, oEntry, iTimeout);
+				else oDef.reject(filesystem.Error.from(oError, 'lock', oEntry.fullPath));
+			});
+			
+			if (iTimeout) {
+				iTimer = setTimeout(function() {
+					if (oAbort) oAbort.abort();
+					else fnLockTimeout(oDef, oEntry, iTimeout);
+				}, iTimeout);
+			}
+			
+			return oDef;
+		}
+		
+		/*
+		 * Acquires a lock with a lease file, resolves a function releasing it. 
+		 * Attempts are retried on release messages, and polled for leases of pages gone away to expire.
+		 */
+		function fnLeaseLock(oEntry, sMode, iTimeout) {
+			
+			var oDef = $.Deferred(),
+				oFS = oEntry.fileSystem,
+				oHub = oFS._hub(),
+				sPath = filesystem.LOCKS_PATH + '/' + fnHash(fnLockName(oEntry)) + '.json',
+				sId = fnNewId(),
+				iLease = ILock.lease,
+				iDeadline = iTimeout === undefined ? Infinity : $.now() + iTimeout,
+				iTimer = null,
+				iRenewal,
+				
+				fnWake = function(oEvent, oChange) {
+					
+					if (oChange.path !== sPath || iTimer === null) return;
+					
+					clearTimeout(iTimer);
+					fnAttempt();
+				},
+				
+				fnAttempt = function() {
+					
+					iTimer = null;
+					
+					fnUpdateLease(oFS, sPath, function(aHolders, iNow) {
+						
+						var aOthers = $.grep(aHolders, function(oHolder) { return oHolder.id !== sId; });
+						
+						if ($.grep(aOthers, function(oHolder) { return sMode === 'exclusive' || oHolder.mode === 'exclusive'; }).length) return null;
+						
+						return aOthers.concat([{ id : sId, mode : sMode, expires : iNow + iLease }]);
+					})
+					.then(function(bWritten) {
+						
+						var oSettled = $.Deferred();
+						
+						if (! bWritten) return false;
+						
+						setTimeout(oSettled.resolve, LOCK_SETTLE_DELAY);
+						
+						return oSettled.then(function() {
+							return fnReadLease(oFS, sPath);
+						})
+						.then(function(aHolders) {
+							return $.grep(aHolders, function(oHolder) { return oHolder.id === sId; }).length > 0;
+						});
+					})
+					.done(function(bHeld) {
+						
+						if (bHeld) {
+							oHub.events.off('unlocked', fnWake);
+							iRenewal = setInterval(fnRenew, iLease / 3);
+							return oDef.resolve(fnRelease);
+						}
+						
+						if ($.now() >= iDeadline) {
+							oHub.events.off('unlocked', fnWake);
+							return fnLockTimeout(oDef, oEntry, iTimeout);
+						}
+						
+						iTimer = setTimeout(fnAttempt, Math.min(iLease / 4, iDeadline - $.now()));
+					})
+					.fail(function(oError) {
+						oHub.events.off('unlocked', fnWake);
+						oDef.reject(oError);
+					});
+				},
+				
+				fnRenew = function() {
+					
+					fnUpdateLease(oFS, sPath, function(aHolders, iNow) {
+						return $.grep(aHolders, function(oHolder) { return oHolder.id !== sId; })
+							.concat([{ id : sId, mode : sMode, expires : iNow + iLease }]);
+					});
+				},
+				
+				fnRelease = function() {
+					
+					clearInterval(iRenewal);
+					
+					return fnUpdateLease(oFS, sPath, function(aHolders) {
+						return $.grep(aHolders, function(oHolder) { return oHolder.id !== sId; });
+					})
+					.always(function() {
+						
+						oHub.events.triggerHandler('unlocked', [{ type : 'unlocked', path : sPath }]);
+						if (oHub.channel) oHub.channel.postMessage({ type : 'unlocked', path : sPath });
+					});
+				};
+			
+			oHub.events.on('unlocked', fnWake);
+			fnAttempt();
+			
+			return oDef;
+		}
+		
+		/*
+		 * Reads the unexpired holders of a lease file
+		 */
+		function fnReadLease(oFS, sPath) {
+			
+			var iNow = $.now();
+			
+			return oFS.readFile(sPath, { as : 'json' }).then(
+				function(oLease) {
+					return $.grep(oLease.holders, function(oHolder) { return oHolder.expires > iNow; });
+				},
+				function(oError) {
+					return fnIsNotFound(oError) ? $.Deferred().resolve([]) : $.Deferred().reject(oError);
+				});
+		}
+		
+		/*
+		 * Updates the holders of a lease file, serialized within this page. fnChange is given unexpired holders and 
+		 * returns the new ones, or null to leave the file untouched. Resolves whether the file was written.
+		 */
+		function fnUpdateLease(oFS, sPath, fnChange) {
+			
+			return fnSerialize(oFS.name + ':' + sPath, function() {
+				
+				return fnReadLease(oFS, sPath).then(function(aHolders) {
+					
+					var aResult = fnChange(aHolders, $.now());
+					
+					if (! aResult) return false;
+					if (! aResult.length) return oFS.rm(sPath, { force : true }).then(function() { return true; });
+					
+					return oFS.mkdirp(filesystem.LOCKS_PATH)
+						.then(function() {
+							return oFS.root.getFile(sPath, true);
+						})
+						.then(function(oFile) {
+							return oFile.writeAtomic(JSON.stringify({ holders : aResult }), { type : 'application/json' });
+						})
+						.then(function() {
+							return true;
+						});
+				});
+			});
+		}
+		
+		
+		//=============================================================================
+		//=========================== Search index ====================================
+		//=============================================================================
+	
+		
+		/**
+		 * Directory holding search indexes, one file per indexed directory
+		 * @name jQuery.filesystem.SEARCH_PATH
+		 */
+		filesystem.SEARCH_PATH = '/.search';
+		aReservedPaths.push(filesystem.SEARCH_PATH);
+		
+		/*
+		 * characters separating words : white space and punctuation
+		 */
+		var SEARCH_SEPARATORS = /[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/;
+		
+		/*
+		 * BM25 parameters : saturation of word frequency, and normalization by file length
+		 */
+		var SEARCH_K1 = 1.2;
+		var SEARCH_B = 0.75;
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.SearchIndex.
+		 * 
+		 * @class
+		 * <p>A full-text index of the text files of a directory, obtained through {@link jQuery.filesystem.DirectoryEntry#createSearchIndex}. 
+		 * It maps each word to the files containing it, and is saved as a JSON file of {@link jQuery.filesystem.SEARCH_PATH}.</p>
+		 * <p>The index follows changes made through the plugin, in this page or another one : files written, created, moved 
+		 * or removed are indexed again or dropped, until {@link jQuery.filesystem.SearchIndex#close} is called. 
+		 * Words are compared regardless of case and accents.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.DirectoryEntry} oDirectory indexed directory
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.DirectoryEntry#createSearchIndex}
+		 * 
+		 * @name jQuery.filesystem.SearchIndex
+		 * 
+		 * @property {jQuery.filesystem.DirectoryEntry} directory Indexed directory
+		 * @property {jQuery.filesystem.FileSystem} fileSystem Filesystem of the indexed directory
+		 * @property {string[]} extensions Extensions of indexed files, lower case
+		 * @property {string} fullPath Full path of the file holding this index
+		 */
+		var ISearchIndex = filesystem.SearchIndex = function(oDirectory, oOptions) {
+			
+			var oSettings = $.extend({}, ISearchIndex.defaults, oOptions);
+			
+			this.directory = oDirectory;
+			this.fileSystem = oDirectory.fileSystem;
+			this.extensions = $.map(oSettings.extensions, function(sExt) { return sExt.toLowerCase(); });
+			this.fullPath = filesystem.SEARCH_PATH + '/' + fnHash(oDirectory.fullPath) + '.json';
+			
+			this._data = null;
+			this._ids = {};
+			this._saving = null;
+			this._handler = $.proxy(this._onChange, this);
+		};
+		
+		/**
+		 * Default settings of search indexes :
+		 * <ul>
+		 * <li><code>extensions</code> : extensions of indexed files</li>
+		 * </ul>
+		 * 
+		 * @name jQuery.filesystem.SearchIndex.defaults
+		 */
+		ISearchIndex.defaults = {
+			extensions : ['.txt', '.md', '.markdown']
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Searches indexed files containing all words of a query, best matches first. 
+		 * Files are ranked with BM25, favouring rare words and short files.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.SearchIndex#search
+		 * @param {string} sQuery words to look for
+		 * @param {object} [oOptions] optional settings
+		 * @param {number} [oOptions.limit=20] maximum number of results
+		 * @param {boolean} [oOptions.prefix=false] whether the last word of the query also matches longer words, e.g. while typing
+		 * @param {number} [oOptions.snippetLength=160] approximate length of snippets, in characters
+		 * @return {jQuery.Deferred} a request object containing, in case of success, an array of results, each one being an 
+		 * object with <code>path</code>, <code>entry</code> ({@link jQuery.filesystem.FileEntry}), <code>score</code> and 
+		 * <code>snippet</code>, an extract of the file around the first match
+		 */
+		ISearchIndex.prototype.search = function(sQuery, oOptions) {
+			
+			var oIndex = this,
+				oOpts = $.extend({ limit : 20, prefix : false, snippetLength : 160 }, oOptions),
+				aWords = fnTokenize(sQuery);
+			
+			// waits for pending updates
+			return fnSerialize(this._key(), function() {
+				
+				var oData = oIndex._data,
+					aIds = [],
+					oScores = {},
+					iDocuments = 0, iLength = 0, sId,
+					
+					// postings of a query word : those of the word itself, or of all words it starts if it is a prefix
+					fnPostings = function(sWord, bPrefix) {
+						
+						var aPostings = [], sTerm;
+						
+						if (! bPrefix) return oData.terms.hasOwnProperty(sWord) ? [oData.terms[sWord]] : [];
+						
+						for (sTerm in oData.terms) {
+							if (oData.terms.hasOwnProperty(sTerm) && sTerm.indexOf(sWord) === 0) aPostings.push(oData.terms[sTerm]);
+						}
+						
+						return aPostings;
+					};
+				
+				for (sId in oData.documents) {
+					if (oData.documents.hasOwnProperty(sId)) {
+						++iDocuments;
+						iLength += oData.documents[sId].length;
+					}
+				}
+				
+				$.each(aWords, function(i, sWord) {
+					
+					var aPostings = fnPostings(sWord, oOpts.prefix && i === aWords.length - 1),
+						oMatched = {};
+					
+					$.each(aPostings, function(j, oPostings) {
+						
+						var iFrequency = 0, sDoc, fIdf;
+						
+						for (sDoc in oPostings) if (oPostings.hasOwnProperty(sDoc)) ++iFrequency;
+						
+						fIdf = Math.log(1 + (iDocuments - iFrequency + 0.5) / (iFrequency + 0.5));
+						
+						for (sDoc in oPostings) {
+							
+							if (! oPostings.hasOwnProperty(sDoc) || (i > 0 && ! oScores.hasOwnProperty(sDoc))) continue;
+							
+							oMatched[sDoc] = (oMatched[sDoc] || 0) + fIdf * oPostings[sDoc] * (SEARCH_K1 + 1) / 
+								(oPostings[sDoc] + SEARCH_K1 * (1 - SEARCH_B + SEARCH_B * oData.documents[sDoc].length / (iLength / iDocuments)));
+						}
+					});
+					
+					// documents must match every word
+					$.each(oMatched, function(sDoc, fScore) { oMatched[sDoc] = fScore + (oScores[sDoc] || 0); });
+					oScores = oMatched;
+				});
+				
+				for (sId in oScores) if (oScores.hasOwnProperty(sId)) aIds.push(sId);
+				
+				aIds = aIds.sort(function(sA, sB) { return oScores[sB] - oScores[sA]; }).slice(0, oOpts.limit);
+				
+				return $.when.apply($, $.map(aIds, function(sId) {
+					return oIndex._result(oData.documents[sId].path, oScores[sId], sQuery, oOpts.snippetLength);
+				}))
+				.then(function() {
+					return $.grep($.makeArray(arguments), function(oResult) { return !! oResult; });
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Indexes again files changed since the index was last updated, e.g. by another application sharing the filesystem.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.SearchIndex#refresh
+		 * @return {jQuery.Deferred} a request object resolved once the index is up to date, notified with <code>(iIndexed, iTotal)</code> 
+		 * as files are indexed
+		 */
+		ISearchIndex.prototype.refresh = function() {
+			
+			var oIndex = this;
+			
+			return fnSerialize(this._key(), function() {
+				return oIndex._reconcile();
+			})
+			.then(function(oSaved) {
+				// out of the queue of the index, see _reconcile()
+				return oSaved;
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Stops following changes. The index file is kept, and brought up to date by the next 
+		 * {@link jQuery.filesystem.DirectoryEntry#createSearchIndex}.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.SearchIndex#close
+		 * @return {jQuery.Deferred} a request object resolved once pending updates have been saved
+		 */
+		ISearchIndex.prototype.close = function() {
+			
+			this.fileSystem.off('created modified removed moved', this._handler);
+			
+			return fnSerialize(this._key(), function() { return $.Deferred().resolve(); });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Loads the index, or starts a new one if missing or built with other settings, brings it up to date and follows changes
+		 */
+		ISearchIndex.prototype._open = function() {
+			
+			var oIndex = this, oDir = this.directory;
+			
+			return fnSerialize(this._key(), function() {
+				
+				var oDef = $.Deferred();
+				
+				// notified by reconciliation only, not while reading the index
+				oIndex.fileSystem.readFile(oIndex.fullPath, { as : 'json' })
+					.then(null, function(oError) {
+						return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+					})
+					.done(function(oData) {
+						
+						var sId;
+						
+						// hashes of paths may collide
+						if (! oData || oData.path !== oDir.fullPath || oData.extensions.join() !== oIndex.extensions.join()) {
+							oData = { path : oDir.fullPath, extensions : oIndex.extensions, nextId : 1, documents : {}, terms : {} };
+						}
+						
+						oIndex._data = oData;
+						
+						for (sId in oData.documents) if (oData.documents.hasOwnProperty(sId)) oIndex._ids[oData.documents[sId].path] = sId;
+						
+						oIndex.fileSystem.on('created modified removed moved', oIndex._handler);
+						
+						oIndex._reconcile().progress(oDef.notify).done(oDef.resolve).fail(oDef.reject);
+					})
+					.fail(oDef.reject);
+				
+				return oDef;
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Indexes files whose size or modification time changed, and drops files which are gone. 
+		 * Resolves the request object of the save of the index, null if it did not change : the save follows in the queue 
+		 * of the index, for waiting for it within an operation of the index would never end.
+		 */
+		ISearchIndex.prototype._reconcile = function() {
+			
+			var oIndex = this, oDef = $.Deferred(), oData = this._data;
+			
+			this._files(this.directory)
+				.then(function(aFiles) {
+					return $.when.apply($, $.map(aFiles, function(oFile) { return oFile.getMetaData(); })).then(function() {
+						
+						var aMetadata = $.makeArray(arguments),
+							oSeen = {},
+							aChanged = [],
+							aGone = [],
+							iIndexed = 0;
+						
+						$.each(aFiles, function(i, oFile) {
+							
+							var oDocument = oData.documents[oIndex._ids[oFile.fullPath]];
+							
+							oSeen[oFile.fullPath] = true;
+							
+							if (! oDocument || oDocument.size !== aMetadata[i].size || oDocument.modificationTime !== aMetadata[i].modificationTime.getTime()) {
+								aChanged.push(oFile);
+							}
+						});
+						
+						$.each(oIndex._ids, function(sPath) { if (! oSeen[sPath]) aGone.push(sPath); });
+						
+						oIndex._drop(aGone);
+						
+						return fnSequence(aChanged, function(oFile) {
+							return oIndex._add(oFile).done(function() { oDef.notify(++iIndexed, aChanged.length); });
+						})
+						.then(function() {
+							oDef.resolve(aGone.length || aChanged.length ? oIndex._save() : null);
+						});
+					});
+				})
+				.fail(oDef.reject);
+			
+			return oDef;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Follows changes made through the plugin
+		 */
+		ISearchIndex.prototype._onChange = function(oEvent, oChange) {
+			
+			var oIndex = this,
+				oFS = this.fileSystem,
+				sType = oChange.type,
+				sPath = oChange.path,
+				sOldPath = sType === 'moved' && this._tracks(oChange.oldPath) ? oChange.oldPath : null,
+				bNew = this._tracks(sPath);
+			
+			if (! bNew && ! sOldPath) return;
+			if (! oChange.isDirectory && ! this._accepts(sPath) && ! (sOldPath && this._accepts(sOldPath))) return;
+			
+			fnSerialize(this._key(), function() {
+				
+				var sGone = sType === 'removed' ? sPath : sOldPath,
+					aGone = [],
+					oRenamed = {};
+				
+				$.each(oIndex._ids, function(sIndexed) {
+					if (sGone && (sIndexed === sGone || sIndexed.indexOf(sGone + '/') === 0)) aGone.push(sIndexed);
+				});
+				
+				// moves within the directory keep postings
+				if (sOldPath && bNew) {
+					
+					aGone = $.grep(aGone, function(sIndexed) {
+						
+						var sNewPath = sPath + sIndexed.substr(sOldPath.length);
+						
+						if (! oIndex._accepts(sNewPath)) return true;
+						
+						oIndex._data.documents[oIndex._ids[sIndexed]].path = sNewPath;
+						oIndex._ids[sNewPath] = oIndex._ids[sIndexed];
+						oRenamed[sNewPath] = true;
+						delete oIndex._ids[sIndexed];
+						
+						return false;
+					});
+				}
+				
+				oIndex._drop(aGone);
+				
+				// saves follow in the queue, see _reconcile()
+				if (sType === 'removed' || ! bNew) {
+					if (aGone.length) oIndex._save();
+					return null;
+				}
+				
+				return oFS.getEntry(sPath)
+					.then(function(oEntry) {
+						return oEntry.isDirectory ? oIndex._files(oEntry) : oIndex._accepts(oEntry.fullPath) ? [oEntry] : [];
+					})
+					.then(function(aFiles) {
+						
+						aFiles = $.grep(aFiles, function(oFile) { return ! oRenamed[oFile.fullPath]; });
+						
+						return fnSequence(aFiles, $.proxy(oIndex._add, oIndex)).then(function() {
+							if (aGone.length || aFiles.length || ! $.isEmptyObject(oRenamed)) oIndex._save();
+						});
+					}, function(oError) {
+						// gone meanwhile, its removal follows
+						return fnIsNotFound(oError) ? $.Deferred().resolve() : $.Deferred().reject(oError);
+					});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Lists indexed files of a directory and its subdirectories
+		 */
+		ISearchIndex.prototype._files = function(oDir) {
+			
+			var oIndex = this;
+			
+			return oDir.walk(function(oEntry) { return ! fnIsReservedPath(oEntry.fullPath); }).then(function(aEntries) {
+				return $.grep(aEntries, function(oEntry) { return oEntry.isFile && oIndex._accepts(oEntry.fullPath); });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Indexes a file, replacing its previous postings
+		 */
+		ISearchIndex.prototype._add = function(oFile) {
+			
+			var oIndex = this, oData = this._data;
+			
+			return $.when(oFile.readAsText(), oFile.getMetaData()).then(function(sText, oMetadata) {
+				
+				var aTerms = fnTokenize(sText),
+					oCounts = {},
+					sId = String(oData.nextId++),
+					i = 0, len = aTerms.length, sTerm;
+				
+				oIndex._drop([oFile.fullPath]);
+				
+				for ( ; i < len ; ++i) oCounts[aTerms[i]] = (oCounts[aTerms[i]] || 0) + 1;
+				
+				for (sTerm in oCounts) {
+					if (oCounts.hasOwnProperty(sTerm)) {
+						if (! oData.terms.hasOwnProperty(sTerm)) oData.terms[sTerm] = {};
+						oData.terms[sTerm][sId] = oCounts[sTerm];
+					}
+				}
+				
+				oData.documents[sId] = { path : oFile.fullPath, size : oMetadata.size, modificationTime : oMetadata.modificationTime.getTime(), length : len };
+				oIndex._ids[oFile.fullPath] = sId;
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Drops files from the index, scanning postings once
+		 */
+		ISearchIndex.prototype._drop = function(aPaths) {
+			
+			var oData = this._data, oIds = {}, bAny = false, sTerm, sId;
+			
+			$.each(aPaths, $.proxy(function(i, sPath) {
+				
+				if (! this._ids.hasOwnProperty(sPath)) return;
+				
+				oIds[this._ids[sPath]] = bAny = true;
+				delete oData.documents[this._ids[sPath]];
+				delete this._ids[sPath];
+			}, this));
+			
+			if (! bAny) return;
+			
+			for (sTerm in oData.terms) {
+				
+				if (! oData.terms.hasOwnProperty(sTerm)) continue;
+				
+				for (sId in oIds) delete oData.terms[sTerm][sId];
+				if ($.isEmptyObject(oData.terms[sTerm])) delete oData.terms[sTerm];
+			}
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Saves the index once queued updates are done, bursts of updates being saved once : 
+		 * the returned request object settles with the save which covers the current data
+		 */
+		ISearchIndex.prototype._save = function() {
+			
+			var oIndex = this, oFS = this.fileSystem, oSaving;
+			
+			// a save not started yet will write the current data as well
+			if (this._saving) return this._saving;
+			
+			oSaving = this._saving = $.Deferred();
+			
+			fnSerialize(this._key(), function() {
+				
+				oIndex._saving = null;
+				
+				return oFS.mkdirp(filesystem.SEARCH_PATH)
+					.then(function() {
+						return oFS.root.getFile(oIndex.fullPath, true);
+					})
+					.then(function(oFile) {
+						return oFile.writeAtomic(JSON.stringify(oIndex._data), { type : 'application/json' });
+					});
+			})
+			.done(function() { oSaving.resolve(); })
+			.fail(oSaving.reject);
+			
+			return oSaving;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Builds a search result, resolves null if the file is gone
+		 */
+		ISearchIndex.prototype._result = function(sPath, fScore, sQuery, iLength) {
+			
+			return this.fileSystem.root.getFile(sPath)
+				.then(function(oFile) {
+					return oFile.readAsText().then(function(sText) {
+						return { path : sPath, entry : oFile, score : fScore, snippet : fnSnippet(sText, sQuery, iLength) };
+					});
+				})
+				.then(null, function(oError) {
+					return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Tells whether a path is within the indexed directory, outside reserved directories
+		 */
+		ISearchIndex.prototype._tracks = function(sPath) {
+			
+			var sDir = this.directory.fullPath;
+			
+			return (sDir === '/' || sPath === sDir || sPath.indexOf(sDir + '/') === 0) && ! fnIsReservedPath(sPath);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Tells whether a file path has an indexed extension
+		 */
+		ISearchIndex.prototype._accepts = function(sPath) {
+			
+			return $.inArray(filesystem.path.extname(sPath).toLowerCase(), this.extensions) !== -1;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Key serializing the updates of this index
+		 */
+		ISearchIndex.prototype._key = function() {
+			
+			return this.fileSystem.name + ':' + this.fullPath;
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Splits a text into words, lower case and without accents
+		 */
+		function fnTokenize(sText) {
+			
+			var sNormalized = sText.toLowerCase();
+			
+			if (sNormalized.normalize) sNormalized = sNormalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+			
+			return $.grep(sNormalized.split(SEARCH_SEPARATORS), function(sWord) { return sWord.length > 0; });
+		}
+		
+		/*
+		 * Extracts about iLength characters of a text around the first word of a query it contains, cut at word boundaries
+		 */
+		function fnSnippet(sText, sQuery, iLength) {
+			
+			var sLower = sText.toLowerCase(),
+				iMatch = -1,
+				iStart, iEnd;
+			
+			$.each(sQuery.toLowerCase().split(SEARCH_SEPARATORS), function(i, sWord) {
+				
+				var iFound = sWord ? sLower.indexOf(sWord) : -1;
+				
+				if (iFound !== -1 && (iMatch === -1 || iFound < iMatch)) iMatch = iFound;
+			});
+			
+			iStart = Math.max(0, (iMatch === -1 ? 0 : iMatch) - Math.floor(iLength / 3));
+			iEnd = Math.min(sText.length, iStart + iLength);
+			
+			if (iStart > 0) iStart = sText.substring(0, iStart).search(/\S*$/);
+			if (iEnd < sText.length) iEnd += sText.substring(iEnd).search(/\s|$/);
+			
+			return (iStart > 0 ? '\u2026' : '') + $.trim(sText.substring(iStart, iEnd).replace(/\s+/g, ' ')) + (iEnd < sText.length ? '\u2026' : '');
+		}
+		
+		
+		//=============================================================================
+		//=========================== Document store ==================================
+		//=============================================================================
+	
+		
+		/**
+		 * Directory under which databases are stored, one subdirectory per database
+		 * @name jQuery.filesystem.DATABASES_PATH
+		 */
+		filesystem.DATABASES_PATH = '/.databases';
+		aReservedPaths.push(filesystem.DATABASES_PATH);
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.Database.
+		 * 
+		 * @class
+		 * <p>A database of JSON documents grouped into collections, stored as a directory. Each collection is a 
+		 * subdirectory holding one JSON file per document, and one JSON file per secondary index. Databases are obtained 
+		 * through {@link jQuery.filesystem#openDatabase} or {@link jQuery.filesystem.FileSystem#openDatabase}.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.FileSystem} oFileSystem filesystem holding the database
+		 * @param {string} sName name of the database
+		 * @param {string} [sRemoteIDPath] path to server's ID in documents, e.g. <code>'server.id'</code>, indexed in every collection
+		 * 
+		 * @name jQuery.filesystem.Database
+		 * 
+		 * @property {string} name Name of this database
+		 * @property {string} remoteIDPath Path to server's ID in documents, if any
+		 * @property {string} fullPath Full path of the directory of this database
+		 * @property {jQuery.filesystem.FileSystem} fileSystem Filesystem holding this database
+		 */
+		var IDatabase = filesystem.Database = function(oFileSystem, sName, sRemoteIDPath) {
+			
+			this.fileSystem = oFileSystem;
+			this.name = sName;
+			this.remoteIDPath = sRemoteIDPath;
+			this.fullPath = filesystem.DATABASES_PATH + '/' + encodeURIComponent(sName);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Opens a collection, creating it if needed along with its remote ID index.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Database#collection
+		 * @param {string} sName name of the collection
+		 * @return {jQuery.Deferred} a request object containing the result {@link jQuery.filesystem.Collection} object in case of success
+		 */
+		IDatabase.prototype.collection = function(sName) {
+			
+			var oCollection = new ICollection(this, sName),
+				oFS = this.fileSystem,
+				sRemoteIDPath = this.remoteIDPath;
+			
+			return $.when(oFS.mkdirp(oCollection.fullPath + '/documents'), oFS.mkdirp(oCollection.fullPath + '/indexes'))
+				.then(function() {
+					return sRemoteIDPath ? oCollection.createIndex(sRemoteIDPath, { unique : true }) : null;
+				})
+				.then(function() {
+					return oCollection;
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Lists the collections of this database.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Database#collections
+		 * @return {jQuery.Deferred} a request object containing the result array of collection names, sorted, in case of success
+		 */
+		IDatabase.prototype.collections = function() {
+			
+			return this.fileSystem.readdir(this.fullPath).then(function(aNames) {
+				return $.map(aNames, decodeURIComponent);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Deletes a collection, with all its documents and indexes.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Database#dropCollection
+		 * @param {string} sName name of the collection
+		 * @return {jQuery.Deferred} a request object
+		 */
+		IDatabase.prototype.dropCollection = function(sName) {
+			
+			var oCollection = new ICollection(this, sName);
+			
+			return oCollection._serialize(function() {
+				return oCollection.fileSystem.rm(oCollection.fullPath, { recursive : true, force : true });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Deletes this database, with all its collections.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Database#drop
+		 * @return {jQuery.Deferred} a request object
+		 */
+		IDatabase.prototype.drop = function() {
+			
+			return this.fileSystem.rm(this.fullPath, { recursive : true, force : true });
+		};
+	
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.Collection.
+		 * 
+		 * @class
+		 * <p>A collection of JSON documents, identified by their <code>_id</code> property. Collections are obtained through 
+		 * {@link jQuery.filesystem.Database#collection}. Operations on a collection run one at a time, in call order.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.Database} oDatabase database of the collection
+		 * @param {string} sName name of the collection
+		 * 
+		 * @name jQuery.filesystem.Collection
+		 * 
+		 * @property {string} name Name of this collection
+		 * @property {string} fullPath Full path of the directory of this collection
+		 * @property {jQuery.filesystem.Database} database Database of this collection
+		 * @property {jQuery.filesystem.FileSystem} fileSystem Filesystem holding this collection
+		 */
+		var ICollection = filesystem.Collection = function(oDatabase, sName) {
+			
+			this.database = oDatabase;
+			this.fileSystem = oDatabase.fileSystem;
+			this.name = sName;
+			this.fullPath = oDatabase.fullPath + '/' + encodeURIComponent(sName);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Stores a document, replacing any document of same <code>_id</code>. Documents without <code>_id</code> are given a new one.
+		 * Violating a unique index rejects with a {@link jQuery.filesystem.AlreadyExistsError}.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#put
+		 * @param {object} oDocument document to store, serializable as JSON
+		 * @return {jQuery.Deferred} a request object containing the stored document, with its <code>_id</code>, in case of success
+		 */
+		ICollection.prototype.put = function(oDocument) {
+			
+			var oCollection = this,
+				oDoc = $.extend(true, {}, oDocument);
+			
+			if (oDoc._id === undefined || oDoc._id === null) oDoc._id = fnNewId();
+			
+			return this._serialize(function() {
+				
+				return $.when(oCollection._indexes(), oCollection._read(oDoc._id)).then(function(aIndexes, oOld) {
+					
+					var oConflict = null;
+					
+					$.each(aIndexes, function(i, oIndex) {
+						
+						var aIds = oIndex.unique && oIndex.values[fnIndexKey(fnGetField(oDoc, oIndex.field))];
+						
+						if (aIds && aIds.length && aIds[0] !== String(oDoc._id)) {
+							oConflict = new filesystem.AlreadyExistsError('put on ' + oCollection.name + ' failed: ' + oIndex.field + ' must be unique', 
+								{ operation : 'put', path : oCollection._path(oDoc._id), targetPath : oCollection._path(aIds[0]) });
+							return false;
+						}
+					});
+					
+					if (oConflict) return $.Deferred().reject(oConflict);
+					
+					return oCollection.fileSystem.writeFile(oCollection._path(oDoc._id), JSON.stringify(oDoc), { type : 'application/json' })
+						.then(function() {
+							return oCollection._updateIndexes(aIndexes, oDoc._id, oOld, oDoc);
+						})
+						.then(function() {
+							return oDoc;
+						});
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads a document.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#get
+		 * @param {string} sId <code>_id</code> of the document
+		 * @return {jQuery.Deferred} a request object containing the document in case of success, rejected with a 
+		 * {@link jQuery.filesystem.NotFoundError} if there is no such document
+		 */
+		ICollection.prototype.get = function(sId) {
+			
+			var oCollection = this;
+			
+			return this._serialize(function() {
+				return oCollection._read(sId).then(function(oDoc) {
+					return oDoc || oCollection._notFound('get', sId);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Reads the document having a given server's ID, at the remote ID path of the database.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#getByRemoteID
+		 * @param {*} oRemoteID server's ID of the document
+		 * @return {jQuery.Deferred} a request object containing the document in case of success, rejected with a 
+		 * {@link jQuery.filesystem.NotFoundError} if there is no such document
+		 */
+		ICollection.prototype.getByRemoteID = function(oRemoteID) {
+			
+			var oCollection = this, sRemoteIDPath = this.database.remoteIDPath;
+			
+			if (! sRemoteIDPath) {
+				return $.Deferred().reject(new filesystem.InvalidStateError('getByRemoteID on ' + this.name + ' failed: database has no remote ID path', 
+					{ operation : 'getByRemoteID', path : this.fullPath }));
+			}
+			
+			return this._serialize(function() {
+				return oCollection._index(sRemoteIDPath).then(function(oIndex) {
+					
+					var aIds = oIndex && oIndex.values[fnIndexKey(oRemoteID)];
+					
+					return aIds && aIds.length ? oCollection._read(aIds[0]) : null;
+				})
+				.then(function(oDoc) {
+					return oDoc || oCollection._notFound('getByRemoteID', oRemoteID);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Deletes a document.
+		 * <p>Being a reserved word, the name of this method must be quoted in older browsers : <code>oCollection['delete'](sId)</code>.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#delete
+		 * @param {string} sId <code>_id</code> of the document
+		 * @return {jQuery.Deferred} a request object, rejected with a {@link jQuery.filesystem.NotFoundError} if there is no such document
+		 */
+		ICollection.prototype['delete'] = function(sId) {
+			
+			var oCollection = this;
+			
+			return this._serialize(function() {
+				
+				return $.when(oCollection._indexes(), oCollection._read(sId)).then(function(aIndexes, oOld) {
+					
+					if (! oOld) return oCollection._notFound('delete', sId);
+					
+					return oCollection.fileSystem.rm(oCollection._path(sId)).then(function() {
+						return oCollection._updateIndexes(aIndexes, sId, oOld, null);
+					});
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Looks up documents.
+		 * <p>Criteria are either a predicate called with each document, or an object whose properties are field paths 
+		 * and expected values, e.g. <code>{ 'author.name' : 'Jerome', status : 'draft' }</code>. Indexed fields of such 
+		 * objects are looked up through their index rather than by reading every document.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#query
+		 * @param {object|function} [oCriteria] criteria the documents must match. Default matches all documents.
+		 * @param {object} [oOptions] optional settings
+		 * @param {string} [oOptions.sort] field path to sort by, prefixed with '-' for a descending order
+		 * @param {number} [oOptions.skip] number of matching documents to skip
+		 * @param {number} [oOptions.limit] maximum number of documents to return
+		 * @return {jQuery.Deferred} a request object containing the result array of matching documents in case of success
+		 */
+		ICollection.prototype.query = function(oCriteria, oOptions) {
+			
+			var oCollection = this,
+				oOpts = oOptions || {},
+				oEquals = $.isFunction(oCriteria) ? null : oCriteria || {},
+				fnMatch = oEquals ? function(oDoc) {
+					for (var sField in oEquals) {
+						if (oEquals.hasOwnProperty(sField) && fnIndexKey(fnGetField(oDoc, sField)) !== fnIndexKey(oEquals[sField])) return false;
+					}
+					return true;
+				} : oCriteria;
+			
+			return this._serialize(function() {
+				
+				return oCollection._indexes().then(function(aIndexes) {
+					
+					var aIds = null;
+					
+					// narrows candidates down with the first index matching a criterion
+					$.each(aIndexes, function(i, oIndex) {
+						if (oEquals && oEquals.hasOwnProperty(oIndex.field)) {
+							aIds = oIndex.values[fnIndexKey(oEquals[oIndex.field])] || [];
+							return false;
+						}
+					});
+					
+					return aIds ? aIds : oCollection._ids();
+				})
+				.then(function(aIds) {
+					
+					return $.when.apply($, $.map(aIds, $.proxy(oCollection._read, oCollection))).then(function() {
+						return $.grep($.makeArray(arguments).slice(0, aIds.length), function(oDoc) { return !! oDoc && fnMatch(oDoc); });
+					});
+				})
+				.then(function(aDocs) {
+					
+					var sSort = oOpts.sort, iOrder = 1;
+					
+					if (sSort) {
+						
+						if (sSort.charAt(0) === '-') {
+							sSort = sSort.substr(1);
+							iOrder = -1;
+						}
+						
+						aDocs.sort(function(oA, oB) {
+							var a = fnGetField(oA, sSort), b = fnGetField(oB, sSort);
+							return a === b ? 0 : (a === undefined || a < b ? -iOrder : iOrder);
+						});
+					}
+					
+					return aDocs.slice(oOpts.skip || 0, oOpts.limit ? (oOpts.skip || 0) + oOpts.limit : undefined);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Creates a secondary index on a field, built from the documents already stored. Creating an existing index does nothing.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#createIndex
+		 * @param {string} sField path of the indexed field, e.g. <code>'author.name'</code>
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.unique] whether two documents may not share a value of the field. Default is false.
+		 * @return {jQuery.Deferred} a request object, rejected with a {@link jQuery.filesystem.AlreadyExistsError} when 
+		 * existing documents break the unique constraint
+		 */
+		ICollection.prototype.createIndex = function(sField, oOptions) {
+			
+			var oCollection = this,
+				oIndex = { field : sField, unique : !! (oOptions && oOptions.unique), values : {} };
+			
+			return this._serialize(function() {
+				
+				return oCollection._index(sField).then(function(oExisting) {
+					
+					if (oExisting) return null;
+					
+					return oCollection._ids().then(function(aIds) {
+						
+						return fnSequence(aIds, function(sId) {
+							
+							return oCollection._read(sId).then(function(oDoc) {
+								
+								var sKey = fnIndexKey(fnGetField(oDoc, sField));
+								
+								if (sKey === undefined) return;
+								
+								if (oIndex.unique && oIndex.values[sKey]) {
+									return $.Deferred().reject(new filesystem.AlreadyExistsError('createIndex on ' + oCollection.name + ' failed: ' + sField + ' is not unique', 
+										{ operation : 'createIndex', path : oCollection._path(sId), targetPath : oCollection._path(oIndex.values[sKey][0]) }));
+								}
+								
+								(oIndex.values[sKey] = oIndex.values[sKey] || []).push(String(sId));
+							});
+						});
+					})
+					.then(function() {
+						return oCollection._saveIndex(oIndex);
+					});
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Deletes a secondary index.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#dropIndex
+		 * @param {string} sField path of the indexed field
+		 * @return {jQuery.Deferred} a request object
+		 */
+		ICollection.prototype.dropIndex = function(sField) {
+			
+			var oCollection = this;
+			
+			return this._serialize(function() {
+				return oCollection.fileSystem.rm(oCollection._indexPath(sField), { force : true });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Lists the secondary indexes of this collection.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Collection#indexes
+		 * @return {jQuery.Deferred} a request object containing the result array of <code>{ field, unique }</code> objects in case of success
+		 */
+		ICollection.prototype.indexes = function() {
+			
+			var oCollection = this;
+			
+			return this._serialize(function() {
+				return oCollection._indexes().then(function(aIndexes) {
+					return $.map(aIndexes, function(oIndex) { return { field : oIndex.field, unique : oIndex.unique }; });
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Runs fnOperation once all previous operations on this collection are complete, whatever collection object they went through
+		 */
+		ICollection.prototype._serialize = function(fnOperation) {
+			
+			return fnSerialize(this.fileSystem.name + ':' + this.fullPath, fnOperation);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Full path of the file of a document
+		 */
+		ICollection.prototype._path = function(sId) {
+			
+			return this.fullPath + '/documents/' + encodeURIComponent(sId) + '.json';
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Full path of the file of an index
+		 */
+		ICollection.prototype._indexPath = function(sField) {
+			
+			return this.fullPath + '/indexes/' + encodeURIComponent(sField) + '.json';
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads a document, resolves null if there is no such document
+		 */
+		ICollection.prototype._read = function(sId) {
+			
+			return this.fileSystem.readFile(this._path(sId), { as : 'json' }).then(null, function(oError) {
+				return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Lists the _id of all documents
+		 */
+		ICollection.prototype._ids = function() {
+			
+			return this.fileSystem.readdir(this.fullPath + '/documents').then(function(aNames) {
+				return $.map(aNames, function(sName) { return decodeURIComponent(sName.replace(/\.json$/, '')); });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads an index, resolves null if there is no such index
+		 */
+		ICollection.prototype._index = function(sField) {
+			
+			return this.fileSystem.readFile(this._indexPath(sField), { as : 'json' }).then(null, function(oError) {
+				return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads all indexes
+		 */
+		ICollection.prototype._indexes = function() {
+			
+			var oCollection = this;
+			
+			return this.fileSystem.readdir(this.fullPath + '/indexes').then(function(aNames) {
+				
+				return $.when.apply($, $.map(aNames, function(sName) {
+					return oCollection.fileSystem.readFile(oCollection.fullPath + '/indexes/' + sName, { as : 'json' });
+				}))
+				.then(function() {
+					return $.makeArray(arguments).slice(0, aNames.length);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Writes an index
+		 */
+		ICollection.prototype._saveIndex = function(oIndex) {
+			
+			return this.fileSystem.writeFile(this._indexPath(oIndex.field), JSON.stringify(oIndex), { type : 'application/json' });
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Moves document sId from the keys of oOld to the keys of oNew in indexes, either document being null if absent, 
+		 * and saves the indexes which changed
+		 */
+		ICollection.prototype._updateIndexes = function(aIndexes, sId, oOld, oNew) {
+			
+			var oCollection = this;
+			
+			sId = String(sId);
+			
+			return fnSequence(aIndexes, function(oIndex) {
+				
+				var sOldKey = oOld ? fnIndexKey(fnGetField(oOld, oIndex.field)) : undefined,
+					sNewKey = oNew ? fnIndexKey(fnGetField(oNew, oIndex.field)) : undefined,
+					aIds;
+				
+				if (sOldKey === sNewKey) return $.Deferred().resolve();
+				
+				if (sOldKey !== undefined) {
+					aIds = $.grep(oIndex.values[sOldKey] || [], function(s) { return s !== sId; });
+					if (aIds.length) oIndex.values[sOldKey] = aIds;
+					else delete oIndex.values[sOldKey];
+				}
+				
+				if (sNewKey !== undefined) (oIndex.values[sNewKey] = oIndex.values[sNewKey] || []).push(sId);
+				
+				return oCollection._saveIndex(oIndex);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Rejects an operation on a missing document
+		 */
+		ICollection.prototype._notFound = function(sOperation, sId) {
+			
+			return $.Deferred().reject(new filesystem.NotFoundError(sOperation + ' on ' + this.name + ' failed: no document ' + sId, 
+				{ operation : sOperation, path : this._path(sId) }));
+		};
+		
+		
+		//=============================================================================
+		//=========================== URL cache =======================================
+		//=============================================================================
+		
+		
+		/**
+		 * Creates a cache of remote resources, see {@link jQuery.filesystem.Cache}.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.cache
+		 * @param {jQuery.filesystem.FileSystem} oFileSystem filesystem holding the cache
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.cache.defaults}
+		 * @return {jQuery.filesystem.Cache} the cache
+		 */
+		filesystem.cache = function(oFileSystem, oOptions) {
+			
+			return new ICache(oFileSystem, oOptions);
+		};
+		
+		/**
+		 * Default settings of {@link jQuery.filesystem.cache} :
+		 * <ul>
+		 * <li><code>dir</code> : directory holding the cache</li>
+		 * <li><code>maxAge</code> : lifetime of resources whose response does not tell, in milliseconds</li>
+		 * <li><code>maxBytes</code> : size above which least recently used resources are evicted, 0 for no limit</li>
+		 * <li><code>ajax</code> : settings added to every <code>jQuery.ajax()</code> request</li>
+		 * </ul>
+		 * 
+		 * @name jQuery.filesystem.cache.defaults
+		 */
+		filesystem.cache.defaults = {
+			dir : '/.cache',
+			maxAge : 3600000,
+			maxBytes : 0,
+			ajax : null
+		};
+		aReservedPaths.push(filesystem.cache.defaults.dir);
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.Cache.
+		 * 
+		 * @class
+		 * <p>A cache of remote resources. Each resource is stored as a file named after a hash of its URL, next to a JSON 
+		 * sidecar recording its URL, size, HTTP headers, expiry and last access. Caches are obtained through 
+		 * {@link jQuery.filesystem.cache}.</p>
+		 *
+		 * @constructor
+		 * @param {jQuery.filesystem.FileSystem} oFileSystem filesystem holding the cache
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.cache.defaults}
+		 * 
+		 * @name jQuery.filesystem.Cache
+		 * 
+		 * @property {string} fullPath Full path of the directory of this cache
+		 * @property {number} maxAge Lifetime of resources whose response does not tell, in milliseconds
+		 * @property {number} maxBytes Size above which least recently used resources are evicted, 0 for no limit
+		 * @property {jQuery.filesystem.FileSystem} fileSystem Filesystem holding this cache
+		 */
+		var ICache = filesystem.Cache = function(oFileSystem, oOptions) {
+			
+			var oSettings = $.extend({}, filesystem.cache.defaults, oOptions);
+			
+			this.fileSystem = oFileSystem;
+			this.fullPath = fnResolvePath('/', oSettings.dir);
+			this.maxAge = oSettings.maxAge;
+			this.maxBytes = oSettings.maxBytes;
+			this.ajax = oSettings.ajax;
+			
+			if ($.inArray(this.fullPath, aReservedPaths) === -1) aReservedPaths.push(this.fullPath);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Gets a remote resource, from the cache while it has not expired, from the network otherwise. 
+		 * Expired resources are revalidated with their <code>ETag</code> and <code>Last-Modified</code> headers, and 
+		 * served from the cache when the network fails.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Cache#fetch
+		 * @param {string} sUrl URL of the resource, relative URLs being resolved from the document
+		 * @param {object} [oOptions] optional settings
+		 * @param {boolean} [oOptions.force=false] whether the resource should be requested even if it has not expired
+		 * @return {jQuery.Deferred} a request object containing, in case of success, the {@link jQuery.filesystem.FileEntry} 
+		 * of the resource and its record, an object with <code>url</code>, <code>path</code>, <code>size</code>, 
+		 * <code>headers</code>, <code>fetched</code>, <code>expires</code> and <code>accessed</code> properties
+		 */
+		ICache.prototype.fetch = function(sUrl, oOptions) {
+			
+			var oCache = this,
+				oOpts = oOptions || {},
+				sAbsolute = fnAbsoluteURL(sUrl),
+				sHash = fnHash(sAbsolute);
+			
+			return this._serialize(sHash, function() {
+				
+				return oCache._read(sHash).then(function(oRecord) {
+					
+					// a colliding URL replaces the resource
+					if (! oRecord || oRecord.url !== sAbsolute) return oCache._download(sAbsolute, sHash, null);
+					
+					return oCache.fileSystem.root.getFile(oRecord.path).then(
+						function(oFile) {
+							
+							if (oOpts.force || oRecord.expires <= $.now()) return oCache._download(sAbsolute, sHash, oRecord, oFile);
+							
+							oRecord.accessed = $.now();
+							
+							return oCache._save(sHash, oRecord).then(function() {
+								return $.Deferred().resolve(oFile, oRecord);
+							});
+						},
+						function(oError) {
+							return fnIsNotFound(oError) ? oCache._download(sAbsolute, sHash, null) : $.Deferred().reject(oError);
+						});
+				});
+			})
+			.then(function(oFile, oRecord) {
+				
+				return oCache._evict(sHash).then(function() {
+					return $.Deferred().resolve(oFile, oRecord);
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Removes a resource from the cache. Removing a resource which is not cached does nothing.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Cache#remove
+		 * @param {string} sUrl URL of the resource, relative URLs being resolved from the document
+		 * @return {jQuery.Deferred} a request object
+		 */
+		ICache.prototype.remove = function(sUrl) {
+			
+			var oCache = this, sAbsolute = fnAbsoluteURL(sUrl), sHash = fnHash(sAbsolute);
+			
+			return this._serialize(sHash, function() {
+				
+				return oCache._read(sHash).then(function(oRecord) {
+					return oRecord && oRecord.url === sAbsolute ? oCache._remove(sHash, oRecord) : null;
+				});
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Lists the records of the cached resources, see {@link jQuery.filesystem.Cache#fetch}.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Cache#records
+		 * @return {jQuery.Deferred} a request object containing the result array of records, least recently used first, in case of success
+		 */
+		ICache.prototype.records = function() {
+			
+			var oCache = this;
+			
+			return this.fileSystem.readdir(this.fullPath + '/meta').then(
+				function(aNames) {
+					
+					return $.when.apply($, $.map(aNames, function(sName) { return oCache._read(sName.replace(/\.json$/, '')); })).then(function() {
+						
+						var aRecords = $.grep($.makeArray(arguments), function(oRecord) { return !! oRecord; });
+						
+						return aRecords.sort(function(oA, oB) { return oA.accessed - oB.accessed; });
+					});
+				},
+				function(oError) {
+					return fnIsNotFound(oError) ? $.Deferred().resolve([]) : $.Deferred().reject(oError);
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Removes all resources from the cache.
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.Cache#clear
+		 * @return {jQuery.Deferred} a request object
+		 */
+		ICache.prototype.clear = function() {
+			
+			var oFS = this.fileSystem, sPath = this.fullPath;
+			
+			return this._serialize('', function() {
+				return oFS.rm(sPath, { recursive : true, force : true });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Runs fnOperation once all previous operations on a resource of this cache are complete, '' standing for the whole cache : 
+		 * operations on the whole cache wait for those on every resource, and the other way round
+		 */
+		ICache.prototype._serialize = function(sHash, fnOperation) {
+			
+			var sKey = this.fileSystem.name + ':' + this.fullPath;
+			
+			return sHash ? fnSerialize(sKey + ':' + sHash, fnOperation, sKey) : fnSerialize(sKey, fnOperation);
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads the record of a resource, resolves null if there is no such record
+		 */
+		ICache.prototype._read = function(sHash) {
+			
+			return this.fileSystem.readFile(this.fullPath + '/meta/' + sHash + '.json', { as : 'json' }).then(null, function(oError) {
+				return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Writes the record of a resource
+		 */
+		ICache.prototype._save = function(sHash, oRecord) {
+			
+			var oFS = this.fileSystem, sDir = this.fullPath + '/meta';
+			
+			return oFS.mkdirp(sDir).then(function() {
+				return oFS.writeFile(sDir + '/' + sHash + '.json', JSON.stringify(oRecord), { type : 'application/json' });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Deletes the file and the record of a resource
+		 */
+		ICache.prototype._remove = function(sHash, oRecord) {
+			
+			var oFS = this.fileSystem, sMetaPath = this.fullPath + '/meta/' + sHash + '.json';
+			
+			return oFS.rm(oRecord.path, { force : true }).then(function() {
+				return oFS.rm(sMetaPath, { force : true });
+			});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Requests a resource, conditionally if oRecord describes the cached oFile. Resolves (oFile, oRecord) of the 
+		 * stored resource, or of the cached one when it is still valid or the network fails.
+		 */
+		ICache.prototype._download = function(sUrl, sHash, oRecord, oFile) {
+			
+			var oCache = this,
+				oFS = this.fileSystem,
+				oHeaders = {};
+			
+			if (oRecord && oRecord.headers.etag) oHeaders['If-None-Match'] = oRecord.headers.etag;
+			if (oRecord && oRecord.headers['last-modified']) oHeaders['If-Modified-Since'] = oRecord.headers['last-modified'];
+			
+			return $.ajax($.extend(true, {}, this.ajax, BLOB_AJAX, { type : 'GET', url : sUrl, headers : oHeaders })).then(
+				function(oBlob, sStatus, oXHR) {
+					
+					var oNew = oCache._record(sUrl, sHash, oXHR);
+					
+					if (oXHR.status === 304) {
+						
+						oNew = $.extend(oRecord, { 
+							headers : $.extend(oRecord.headers, oNew.headers), 
+							fetched : oNew.fetched, 
+							expires : oNew.expires, 
+							accessed : oNew.accessed 
+						});
+						
+						return oCache._save(sHash, oNew).then(function() {
+							return $.Deferred().resolve(oFile, oNew);
+						});
+					}
+					
+					oNew.size = oBlob.size;
+					
+					return oFS.mkdirp(fnDirname(oNew.path))
+						.then(function() {
+							return oFile && oFile.fullPath !== oNew.path ? oFile.remove() : null;
+						})
+						.then(function() {
+							return oFS.writeFile(oNew.path, oBlob);
+						})
+						.then(function(oWritten) {
+							
+							return oCache._save(sHash, oNew).then(function() {
+								return $.Deferred().resolve(oWritten, oNew);
+							});
+						});
+				},
+				function(oXHR, sStatus) {
+					
+					// serves the cached resource while offline or while the server fails
+					if (oFile && (! oXHR.status || oXHR.status >= 500)) return $.Deferred().resolve(oFile, oRecord);
+					
+					return $.Deferred().reject(new filesystem.NetworkError('fetch ' + sUrl + ' failed: ' + (oXHR.status || sStatus), 
+						{ operation : 'fetch', path : oCache.fullPath, targetPath : sUrl, cause : oXHR }));
+				});
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Builds the record of a resource from the response to its request. Its lifetime comes from Cache-Control or 
+		 * Expires headers, defaulting to maxAge.
+		 */
+		ICache.prototype._record = function(sUrl, sHash, oXHR) {
+			
+			var iNow = $.now(),
+				oHeaders = {},
+				sCacheControl, aMaxAge, iExpires;
+			
+			$.each(['content-type', 'content-length', 'etag', 'last-modified', 'cache-control', 'expires'], function(i, sName) {
+				var sValue = oXHR.getResponseHeader(sName);
+				if (sValue !== null && sValue !== undefined) oHeaders[sName] = sValue;
+			});
+			
+			sCacheControl = oHeaders['cache-control'] || '';
+			aMaxAge = /(?:^|,)\s*max-age\s*=\s*(\d+)/i.exec(sCacheControl);
+			
+			if (/(?:^|,)\s*no-cache\b/i.test(sCacheControl)) iExpires = iNow;
+			else if (aMaxAge) iExpires = iNow + aMaxAge[1] * 1000;
+			else if (oHeaders.expires) iExpires = Date.parse(oHeaders.expires) || iNow;
+			else iExpires = iNow + this.maxAge;
+			
+			return {
+				url : sUrl,
+				path : this.fullPath + '/data/' + sHash + fnExtension(sUrl),
+				size : 0,
+				headers : oHeaders,
+				fetched : iNow,
+				expires : iExpires,
+				accessed : iNow
+			};
+		};
+	
+		//=================================================================================================================
+		
+		
+		/*
+		 * Evicts least recently used resources until the cache fits in maxBytes, sparing the resource sKeepHash
+		 */
+		ICache.prototype._evict = function(sKeepHash) {
+			
+			var oCache = this, iMax = this.maxBytes;
+			
+			if (! iMax) return $.Deferred().resolve();
+			
+			return this._serialize('', function() {
+				
+				return oCache.records().then(function(aRecords) {
+					
+					var iTotal = 0;
+					
+					$.each(aRecords, function(i, oRecord) { iTotal += oRecord.size; });
+					
+					return fnSequence(aRecords, function(oRecord) {
+						
+						var sHash = fnHash(oRecord.url);
+						
+						if (iTotal <= iMax || sHash === sKeepHash) return $.Deferred().resolve();
+						
+						iTotal -= oRecord.size;
+						
+						return oCache._remove(sHash, oRecord);
+					});
+				});
+			});
+		};
+		
+		
+		//=============================================================================
+		//=========================== Encryption ======================================
+		//=============================================================================
+		
+		
+		/*
+		 * name of the file holding the key check and name key of an encrypted directory, out of the encrypted name space
+		 */
+		var KEYRING_NAME = '.encryption';
+		aReservedNames.push(KEYRING_NAME);
+		
+		/*
+		 * plain text encrypted into the keyring to check keys against
+		 */
+		var KEYRING_CHECK = 'jquery.filesystem';
+		
+		/*
+		 * first bytes of encrypted files, 'JQFE' followed by the format version
+		 */
+		var ENCRYPTION_MAGIC = [0x4A, 0x51, 0x46, 0x45];
+		var ENCRYPTION_VERSION = 2;
+		
+		/*
+		 * header sizes by format version : magic, version, file identifier and IV. Version 1 had no file identifier.
+		 */
+		var ENCRYPTION_HEADER_SIZES = { 1 : 17, 2 : 33 };
+		var ENCRYPTION_HEADER_SIZE = ENCRYPTION_HEADER_SIZES[ENCRYPTION_VERSION];
+		var ENCRYPTION_ID_SIZE = 16;
+		
+		/*
+		 * size of the GCM authentication tag following the ciphertext
+		 */
+		var ENCRYPTION_TAG_SIZE = 16;
+		
+		/*
+		 * names of the temporary files of atomic writes, left out of encrypted directories
+		 */
+		var ENCRYPTION_TEMP_NAME = /^\..+\.[0-9a-z]+-[0-9a-z]+\.tmp$/;
+		
+		//=================================================================================================================
+	
+		
+		/**
+		 * Constructor for a new jQuery.filesystem.EncryptedFileSystem.
+		 * 
+		 * @class
+		 * <p>A view of a directory whose files are encrypted at rest with AES-GCM, obtained through 
+		 * {@link jQuery.filesystem.FileSystem#encrypted}. Entries of this view read and write clear content, while the 
+		 * underlying files hold a header made of a format version, a file identifier and a random IV, followed by the ciphertext and its 
+		 * authentication tag. Names of entries may be encrypted too, deterministically so that they can be looked up.</p>
+		 * <p>Reading content or names which were tampered with, or encrypted with another key, fails with a 
+		 * {@link jQuery.filesystem.IntegrityError}. Files of the directory which were not written through an encrypted 
+		 * view fail with a {@link jQuery.filesystem.EncodingError}.</p>
+		 * <p>The header also holds a random identifier of the file, kept when its content is rewritten, which is authenticated 
+		 * along with the ciphertext. Rewrites go to a temporary sibling moved in place, so that an interruption leaves the 
+		 * previous content. Files written before identifiers were introduced remain readable, and get one when rewritten.</p>
+		 *
+		 * @extends jQuery.filesystem.FileSystem
+		 * 
+		 * @constructor
+		 * @param {jQuery.filesystem.DirectoryEntry} oDirectory directory holding the encrypted entries
+		 * @param {object} oKeys key material, see {@link jQuery.filesystem.FileSystem#encrypted}
+		 * 
+		 * @name jQuery.filesystem.EncryptedFileSystem
+		 * 
+		 * @property {jQuery.filesystem.DirectoryEntry} directory Directory holding the encrypted entries
+		 */
+		var IEncryptedFileSystem = filesystem.EncryptedFileSystem = function(oDirectory, oKeys) {
+			
+			var oSource = oDirectory.fileSystem;
+			
+			this.directory = oDirectory;
+			
+			// super()
+			IFileSystem.call(this, new CryptoFileSystem(oSource.name + ':encrypted:' + oDirectory.fullPath, oSource.type, 
+				Object.create(oSource._backend(), { objectURLs : { value : true } }), oDirectory._entry, oKeys));
+		};
+	
+	
+		/*
+		 * Inheritance from filesystem.FileSystem
+		 */
+		IEncryptedFileSystem.prototype = Object.create(IFileSystem.prototype);
+		IEncryptedFileSystem.prototype.constructor = IEncryptedFileSystem;
+	
+		//=================================================================================================================
+		
+		
+		/**
+		 * Encrypts the directory with a new key : contents and names are decrypted with the current key, then encrypted 
+		 * with the new one, which this view uses afterwards. No other operation should run on the directory meanwhile.
+		 * <p>Files are rewritten atomically, see {@link jQuery.filesystem.FileEntry#writeAtomic}. An interrupted rotation is 
+		 * resumed by calling this method again on a view opened with the previous key.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.EncryptedFileSystem#rotateKey
+		 * @param {CryptoKey} oNewKey new AES-GCM key
+		 * @return {jQuery.Deferred} a request object containing this filesystem in case of success, and notified with 
+		 * <code>(iDone, iTotal)</code> counts of processed entries
+		 */
+		IEncryptedFileSystem.prototype.rotateKey = function(oNewKey) {
+			
+			var oEFS = this,
+				oCryptoFS = this._fs,
+				oKeys = oCryptoFS._keys,
+				oDir = this.directory,
+				sKeyringPath = fnResolvePath(oDir.fullPath, KEYRING_NAME),
+				oDef = $.Deferred(),
+				oKeyring;
+			
+			$.when(fnReadKeyring(oDir), fnSealKeyring(oNewKey, oKeys.secret))
+				.then(function(oRead, oSealed) {
+					
+					// records the new key first, so that opening with it tells the rotation was interrupted
+					oKeyring = $.extend(oRead, { pending : oSealed });
+					
+					return fnWriteKeyring(oDir, oKeyring);
+				})
+				.then(function() {
+					return oDir.walk(null, { filter : function(oEntry) { return oEntry.fullPath !== sKeyringPath; } });
+				})
+				.then(function(aWalked) {
+					
+					// temporary files of interrupted writes hold no content of their own
+					return fnSequence($.grep(aWalked, function(oEntry) { return ENCRYPTION_TEMP_NAME.test(oEntry.name); }), function(oTemp) {
+						return oTemp.remove();
+					})
+					.then(function() {
+						return $.grep(aWalked, function(oEntry) { return ! ENCRYPTION_TEMP_NAME.test(oEntry.name); });
+					});
+				})
+				.then(function(aEntries) {
+					
+					var iDone = 0,
+						aFiles = $.grep(aEntries, function(oEntry) { return oEntry.isFile; }),
+						// renames deepest entries first, so that the paths of the others remain valid
+						aRenamed = oKeys.names ? aEntries.slice(0).sort(function(oA, oB) { return oB.fullPath.split('/').length - oA.fullPath.split('/').length; }) : [],
+						iTotal = aFiles.length + aRenamed.length,
+						fnDone = function() { oDef.notify(++iDone, iTotal); };
+					
+					return fnSequence(aFiles, function(oFile) {
+						
+						return oFile.readAsArrayBuffer().then(function(oBuffer) {
+							
+							var aBytes = new Uint8Array(oBuffer);
+							
+							if (! aBytes.length) return null;
+							
+							return fnDecryptEither(fnDecryptBytes, aBytes, oKeys.key, oNewKey).then(function(aPlain, bRotated) {
+								
+								if (bRotated) return null;
+								
+								return fnEncryptBytes(oNewKey, aPlain, fnFileId(aBytes)).then(function(aCipher) {
+									return oFile.writeAtomic(new Blob([aCipher]));
+								});
+							});
+						})
+						.then(fnDone);
+					})
+					.then(function() {
+						
+						return fnSequence(aRenamed, function(oEntry) {
+							
+							return fnDecryptEither(fnDecryptName, oEntry.name, oKeys.key, oNewKey).then(function(sName, bRotated) {
+								
+								if (bRotated) return null;
+								
+								return $.when(fnEncryptName(oNewKey, oKeys.names, sName), oEntry.getParent()).then(function(sNewName, oParent) {
+									return oEntry.moveTo(oParent, sNewName);
+								});
+							})
+							.then(fnDone);
+						});
+					});
+				})
+				.then(function() {
+					return fnWriteKeyring(oDir, $.extend(oKeyring.pending, { version : ENCRYPTION_VERSION }));
+				})
+				.done(function() {
+					
+					oKeys.key = oNewKey;
+					oCryptoFS._names = {};
+					oCryptoFS._clearNames = {};
+					
+					oDef.resolve(oEFS);
+				})
+				.fail(function(oError) {
+					oDef.reject(IError.from(oError, 'rotateKey', oDir.fullPath));
+				});
+			
+			return oDef;
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * FileSystem interface encrypting the entries of a directory of another one, see jQuery.filesystem.EncryptedFileSystem. 
+		 * oKeys holds the AES-GCM key, and the HMAC key deriving IVs of names along with its secret when names are encrypted.
+		 */
+		var CryptoFileSystem = function(sName, eType, oBackend, oDirectory, oKeys) {
+			
+			this._type = eType;
+			this._backend = oBackend;
+			this._inner = oDirectory;
+			this._keys = oKeys;
+			this._names = {};
+			this._clearNames = {};
+			
+			this.name = sName;
+			this.root = new CryptoDirectoryEntry(this, oDirectory, '/');
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Resolves the encrypted form of an entry name
+		 */
+		CryptoFileSystem.prototype._encryptName = function(sName) {
+			
+			var oFS = this;
+			
+			if (! this._keys.names) return $.Deferred().resolve(sName);
+			if (this._names.hasOwnProperty(sName)) return $.Deferred().resolve(this._names[sName]);
+			
+			return fnEncryptName(this._keys.key, this._keys.names, sName).done(function(sEncrypted) {
+				oFS._names[sName] = sEncrypted;
+				oFS._clearNames[sEncrypted] = sName;
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Resolves the clear form of an entry name
+		 */
+		CryptoFileSystem.prototype._decryptName = function(sEncrypted) {
+			
+			var oFS = this;
+			
+			if (! this._keys.names) return $.Deferred().resolve(sEncrypted);
+			if (this._clearNames.hasOwnProperty(sEncrypted)) return $.Deferred().resolve(this._clearNames[sEncrypted]);
+			
+			return fnDecryptName(this._keys.key, sEncrypted).done(function(sName) {
+				oFS._names[sName] = sEncrypted;
+				oFS._clearNames[sEncrypted] = sName;
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Resolves the path of an entry relative to the inner directory, from its full path in this filesystem
+		 */
+		CryptoFileSystem.prototype._innerPath = function(sPath) {
+			
+			var oFS = this, aNames = $.grep(sPath.split('/'), function(sName) { return !! sName; });
+			
+			return $.when.apply($, $.map(aNames, function(sName) { return oFS._encryptName(sName); })).then(function() {
+				
+				var aInner = $.makeArray(arguments);
+				
+				if (aInner[0] === KEYRING_NAME) return $.Deferred().reject(fnFileError('SecurityError', '/' + KEYRING_NAME + ' is reserved'));
+				
+				return aInner.join('/');
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Creates the entry of this filesystem wrapping an inner entry
+		 */
+		CryptoFileSystem.prototype._entry = function(oInner, sPath) {
+			
+			return new (oInner.isDirectory ? CryptoDirectoryEntry : CryptoFileEntry)(this, oInner, sPath);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Entry interface
+		 */
+		var CryptoEntry = function(oFileSystem, oInner, sPath) {
+			
+			this.filesystem = this.fileSystem = oFileSystem;
+			this.fullPath = sPath;
+			this.name = fnBasename(sPath);
+			
+			this._inner = oInner;
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoEntry.prototype.getMetadata = function(fnSuccess, fnError) {
+			
+			this._inner.getMetadata(function(oMetadata) {
+				fnCallback(fnSuccess, { modificationTime : oMetadata.modificationTime, size : oMetadata.size });
+			}, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoEntry.prototype.getParent = function(fnSuccess, fnError) {
+			
+			var oFS = this.filesystem, sParent = fnDirname(this.fullPath);
+			
+			if (this.fullPath === '/') return fnLater(this).done($.proxy(fnCallback, null, fnSuccess));
+			
+			this._inner.getParent(function(oInner) {
+				fnCallback(fnSuccess, sParent === '/' ? oFS.root : new CryptoDirectoryEntry(oFS, oInner, sParent));
+			}, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoEntry.prototype.toURL = function() {
+			
+			return this._inner.toURL();
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoEntry.prototype.copyTo = function(oParent, sNewName, fnSuccess, fnError) {
+			
+			this._transfer('copyTo', oParent, sNewName, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoEntry.prototype.moveTo = function(oParent, sNewName, fnSuccess, fnError) {
+			
+			this._transfer('moveTo', oParent, sNewName, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Copies or moves the inner entry, under the encrypted new name. Contents are not bound to names, so they are left as is, 
+		 * but for the file identifiers of copies, see fnRenewFileIds().
+		 */
+		CryptoEntry.prototype._transfer = function(sMethod, oParent, sNewName, fnSuccess, fnError) {
+			
+			var oFS = this.filesystem, oInner = this._inner, sName = sNewName || this.name;
+			
+			if (! oParent || oParent.filesystem !== oFS)
+				return fnFail(fnError, 'InvalidModificationError', 'destination does not belong to the same encrypted filesystem');
+			
+			oFS._encryptName(sName)
+				.done(function(sInnerName) {
+					oInner[sMethod](oParent._inner, sInnerName, function(oNewInner) {
+						
+						var oNew = oFS._entry(oNewInner, fnResolvePath(oParent.fullPath, sName));
+						
+						if (sMethod === 'moveTo') return fnCallback(fnSuccess, oNew);
+						
+						fnRenewFileIds(oNew)
+							.done(function() { fnCallback(fnSuccess, oNew); })
+							.fail(function(oError) { fnCallback(fnError, oError); });
+					}, fnError);
+				})
+				.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoEntry.prototype.remove = function(fnSuccess, fnError) {
+			
+			if (this.fullPath === '/') return fnFail(fnError, 'InvalidModificationError', 'cannot remove root directory');
+			
+			this._inner.remove(fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoEntry.prototype._setModificationTime = function(iTime, fnSuccess, fnError) {
+			
+			if (this._inner._setModificationTime) this._inner._setModificationTime(iTime, fnSuccess, fnError);
+			else fnLater().done($.proxy(fnCallback, null, fnSuccess));
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * DirectoryEntry interface
+		 */
+		var CryptoDirectoryEntry = function(oFileSystem, oInner, sPath) {
+			
+			CryptoEntry.apply(this, arguments);
+		};
+		
+		CryptoDirectoryEntry.prototype = Object.create(CryptoEntry.prototype);
+		CryptoDirectoryEntry.prototype.constructor = CryptoDirectoryEntry;
+		CryptoDirectoryEntry.prototype.isFile = false;
+		CryptoDirectoryEntry.prototype.isDirectory = true;
+		
+		//=================================================================================================================
+		
+		
+		CryptoDirectoryEntry.prototype.getFile = function(sPath, oOptions, fnSuccess, fnError) {
+			
+			this._getEntry(false, sPath, oOptions, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoDirectoryEntry.prototype.getDirectory = function(sPath, oOptions, fnSuccess, fnError) {
+			
+			this._getEntry(true, sPath, oOptions, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Looks up, and optionally creates, a file or directory under its encrypted path
+		 */
+		CryptoDirectoryEntry.prototype._getEntry = function(bDirectory, sPath, oOptions, fnSuccess, fnError) {
+			
+			var oFS = this.filesystem, sFullPath = fnResolvePath(this.fullPath, sPath || '');
+			
+			if (sFullPath === '/') {
+				if (! bDirectory) return fnFail(fnError, 'TypeMismatchError', '/ is not a file');
+				return fnLater(oFS.root).done($.proxy(fnCallback, null, fnSuccess));
+			}
+			
+			oFS._innerPath(sFullPath)
+				.done(function(sInnerPath) {
+					oFS._inner[bDirectory ? 'getDirectory' : 'getFile'](sInnerPath, oOptions, function(oInner) {
+						fnCallback(fnSuccess, oFS._entry(oInner, sFullPath));
+					}, fnError);
+				})
+				.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoDirectoryEntry.prototype.removeRecursively = function(fnSuccess, fnError) {
+			
+			if (this.fullPath === '/') return fnFail(fnError, 'InvalidModificationError', 'cannot remove root directory');
+			
+			this._inner.removeRecursively(fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoDirectoryEntry.prototype.createReader = function() {
+			
+			return new CryptoDirectoryReader(this);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * DirectoryReader interface decrypting the names of the entries delivered by the inner reader
+		 */
+		var CryptoDirectoryReader = function(oDirEntry) {
+			
+			this._dir = oDirEntry;
+			this._reader = oDirEntry._inner.createReader();
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoDirectoryReader.prototype.readEntries = function(fnSuccess, fnError) {
+			
+			var oReader = this, oDir = this._dir, oFS = oDir.filesystem;
+			
+			this._reader.readEntries(function(aEntries) {
+				
+				var aOwn = $.grep(aEntries, function(oInner) { 
+					return (oDir.fullPath !== '/' || oInner.name !== KEYRING_NAME) && ! ENCRYPTION_TEMP_NAME.test(oInner.name); 
+				});
+				
+				// a block holding only the keyring or temporary files must not be taken for the end of the content
+				if (aEntries.length && ! aOwn.length) return oReader.readEntries(fnSuccess, fnError);
+				
+				$.when.apply($, $.map(aOwn, function(oInner) { return oFS._decryptName(oInner.name); }))
+					.done(function() {
+						
+						var aNames = arguments;
+						
+						fnCallback(fnSuccess, $.map(aOwn, function(oInner, i) {
+							return oFS._entry(oInner, fnResolvePath(oDir.fullPath, aNames[i]));
+						}));
+					})
+					.fail(function(oError) { fnCallback(fnError, oError); });
+			}, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * FileEntry interface
+		 */
+		var CryptoFileEntry = function(oFileSystem, oInner, sPath) {
+			
+			CryptoEntry.apply(this, arguments);
+		};
+		
+		CryptoFileEntry.prototype = Object.create(CryptoEntry.prototype);
+		CryptoFileEntry.prototype.constructor = CryptoFileEntry;
+		CryptoFileEntry.prototype.isFile = true;
+		CryptoFileEntry.prototype.isDirectory = false;
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reports the size of the clear content, the header size depending on the format version of the file
+		 */
+		CryptoFileEntry.prototype.getMetadata = function(fnSuccess, fnError) {
+			
+			var oInner = this._inner;
+			
+			oInner.getMetadata(function(oMetadata) {
+				
+				var fnResult = function(iOverhead) {
+					fnCallback(fnSuccess, { modificationTime : oMetadata.modificationTime, size : Math.max(0, oMetadata.size - iOverhead) });
+				};
+				
+				if (! oMetadata.size) return fnResult(0);
+				
+				oInner.file(function(oFile) {
+					fnReadBytes(oFile.slice(4, 5))
+						.done(function(aVersion) { fnResult((ENCRYPTION_HEADER_SIZES[aVersion[0]] || ENCRYPTION_HEADER_SIZE) + ENCRYPTION_TAG_SIZE); })
+						.fail(function(oError) { fnCallback(fnError, oError); });
+				}, fnError);
+			}, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoFileEntry.prototype.createWriter = function(fnSuccess, fnError) {
+			
+			var oEntry = this;
+			
+			this.getMetadata(function(oMetadata) {
+				fnCallback(fnSuccess, new EmuFileWriter(oEntry, oMetadata.size));
+			}, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		CryptoFileEntry.prototype.file = function(fnSuccess, fnError) {
+			
+			var sName = this.name;
+			
+			this._content()
+				.done(function(oContent, iTime) { fnCallback(fnSuccess, fnMakeFile({ content : oContent, name : sName, modificationTime : iTime })); })
+				.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Reads and decrypts the content of the inner file. Resolves (oContent, iModificationTime, aFileId), see fnFileId().
+		 */
+		CryptoFileEntry.prototype._content = function() {
+			
+			var oKeys = this.filesystem._keys, oDef = $.Deferred();
+			
+			this._inner.file(oDef.resolve, oDef.reject);
+			
+			return oDef.then(function(oFile) {
+				
+				var iTime = oFile.lastModified || (oFile.lastModifiedDate ? oFile.lastModifiedDate.getTime() : $.now());
+				
+				return fnReadBytes(oFile).then(function(aBytes) {
+					return fnDecryptBytes(oKeys.key, aBytes).then(function(aPlain) {
+						return $.Deferred().resolve(new Blob([aPlain]), iTime, fnFileId(aBytes));
+					});
+				});
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Replaces the content of this file by the first item of fnTransform(oContent), encrypted with a new IV under the 
+		 * same file identifier, or a new one if bNewId is true, see EmuFileEntry#_transform(). The ciphertext is written 
+		 * to a temporary sibling of the inner file, then moved in place, as FileEntry#writeAtomic() does.
+		 */
+		CryptoFileEntry.prototype._transform = function(fnTransform, bNewId) {
+			
+			var oEntry = this, oInner = this._inner, oKeys = this.filesystem._keys, aResult, aId;
+			
+			return this._content().then(function(oContent, iTime, aFileId) {
+				
+				aId = bNewId ? null : aFileId;
+				aResult = fnTransform(oContent);
+				
+				return fnReadBytes(aResult[0]);
+			}).then(function(aPlain) {
+				return fnEncryptBytes(oKeys.key, aPlain, aId);
+			}).then(function(aCipher) {
+				
+				var oParent = $.Deferred(), oTemp = $.Deferred(), oBlob = new Blob([aCipher]);
+				
+				oInner.getParent(oParent.resolve, oParent.reject);
+				
+				return oParent.then(function(oDir) {
+					
+					oDir.getFile('.' + oInner.name + '.' + fnNewId() + '.tmp', { create : true, exclusive : true }, oTemp.resolve, oTemp.reject);
+					
+					return oTemp.then(function(oTempFile) {
+						
+						var oWriter = $.Deferred(), oMoved = $.Deferred();
+						
+						oTempFile.createWriter(oWriter.resolve, oWriter.reject);
+						
+						return oWriter
+							.then(function(oW) {
+								return fnWriterRequest(oW, 'write', oBlob);
+							})
+							.then(function() {
+								oTempFile.moveTo(oDir, oInner.name, oMoved.resolve, oMoved.reject);
+								return oMoved;
+							})
+							.then(null, function(oError) {
+								oTempFile.remove($.noop, $.noop);
+								return $.Deferred().reject(oError);
+							});
+					});
+				});
+			}).then(function(oMoved) {
+				
+				oEntry._inner = oMoved;
+				
+				return aResult;
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Returns the Web Crypto API, if available
+		 */
+		function fnSubtle() {
+			
+			return window.crypto && window.crypto.subtle;
+		}
+		
+		/*
+		 * Turns the promise of a Web Crypto operation into a request object, rejected with a native-like error of given name
+		 */
+		function fnCryptoRequest(oPromise, sErrorName, sMessage) {
+			
+			var oDef = $.Deferred();
+			
+			oPromise.then(
+				function(oResult) { oDef.resolve(oResult); },
+				function(oError) { oDef.reject(sErrorName ? fnFileError(sErrorName, sMessage) : oError); });
+			
+			return oDef;
+		}
+		
+		/*
+		 * Encrypts bytes into the content of an encrypted file, with a random IV, under file identifier aId or a new one. 
+		 * The header but the IV is authenticated along with the content.
+		 */
+		function fnEncryptBytes(oKey, aPlain, aId) {
+			
+			var aHeader = new Uint8Array(ENCRYPTION_HEADER_SIZE),
+				iIV = 5 + ENCRYPTION_ID_SIZE;
+			
+			aHeader.set(ENCRYPTION_MAGIC);
+			aHeader[4] = ENCRYPTION_VERSION;
+			
+			if (aId) aHeader.set(aId, 5);
+			else window.crypto.getRandomValues(aHeader.subarray(5, iIV));
+			
+			window.crypto.getRandomValues(aHeader.subarray(iIV));
+			
+			return fnCryptoRequest(fnSubtle().encrypt({ name : 'AES-GCM', iv : aHeader.subarray(iIV), additionalData : aHeader.subarray(0, iIV) }, oKey, aPlain))
+				.then(function(oCipher) {
+					
+					var aBytes = new Uint8Array(ENCRYPTION_HEADER_SIZE + oCipher.byteLength);
+					
+					aBytes.set(aHeader);
+					aBytes.set(new Uint8Array(oCipher), ENCRYPTION_HEADER_SIZE);
+					
+					return aBytes;
+				});
+		}
+		
+		/*
+		 * Decrypts the content of an encrypted file of any format version, an empty content standing for an empty file
+		 */
+		function fnDecryptBytes(oKey, aBytes) {
+			
+			var i = 0, iHeader;
+			
+			if (! aBytes.length) return $.Deferred().resolve(aBytes);
+			
+			for ( ; i < ENCRYPTION_MAGIC.length && aBytes[i] === ENCRYPTION_MAGIC[i] ; ++i);
+			
+			iHeader = ENCRYPTION_HEADER_SIZES[aBytes[4]];
+			
+			if (aBytes.length < ENCRYPTION_MAGIC.length + 1 || i < ENCRYPTION_MAGIC.length)
+				return $.Deferred().reject(fnFileError('EncodingError', 'content is not encrypted'));
+			if (! iHeader)
+				return $.Deferred().reject(fnFileError('EncodingError', 'unsupported encryption version ' + aBytes[4]));
+			if (aBytes.length < iHeader + ENCRYPTION_TAG_SIZE)
+				return $.Deferred().reject(fnFileError('EncodingError', 'content is not encrypted'));
+			
+			return fnCryptoRequest(fnSubtle().decrypt({ name : 'AES-GCM', iv : aBytes.subarray(iHeader - 12, iHeader), additionalData : aBytes.subarray(0, iHeader - 12) }, 
+				oKey, aBytes.subarray(iHeader)), 'IntegrityError', 'content was tampered with or encrypted with another key')
+				.then(function(oPlain) {
+					return new Uint8Array(oPlain);
+				});
+		}
+		
+		/*
+		 * Returns the file identifier in the header of an encrypted content, null for contents without one
+		 */
+		function fnFileId(aBytes) {
+			
+			return aBytes.length >= ENCRYPTION_HEADER_SIZE && aBytes[4] === ENCRYPTION_VERSION ? aBytes.subarray(5, 5 + ENCRYPTION_ID_SIZE) : null;
+		}
+		
+		/*
+		 * Encrypts again the content of a copied file, or of all files of a copied directory, under new file identifiers : 
+		 * a copy must not share them with its source
+		 */
+		function fnRenewFileIds(oEntry) {
+			
+			var oReader, aEntries = [], oDef = $.Deferred(),
+				
+				// gathers all entries before any is rewritten, for temporary files not to disturb the reader
+				fnRead = function() {
+					
+					oReader.readEntries(function(aBlock) {
+						
+						if (aBlock.length) {
+							aEntries.push.apply(aEntries, aBlock);
+							return fnRead();
+						}
+						
+						fnSequence(aEntries, fnRenewFileIds).done(oDef.resolve).fail(oDef.reject);
+					}, oDef.reject);
+				};
+			
+			if (oEntry.isFile) return oEntry._transform(function(oContent) { return [oContent]; }, true);
+			
+			oReader = oEntry.createReader();
+			fnRead();
+			
+			return oDef;
+		}
+		
+		/*
+		 * Encrypts an entry name, with an IV derived from the name by the HMAC key so that a name always gets the same 
+		 * encrypted form. The result is the base64url encoding of the IV followed by the ciphertext.
+		 */
+		function fnEncryptName(oKey, oNameKey, sName) {
+			
+			var aName = fnUtf8Encode(sName);
+			
+			return fnCryptoRequest(fnSubtle().sign('HMAC', oNameKey, aName))
+				.then(function(oMac) {
+					
+					var aIV = new Uint8Array(oMac, 0, 12);
+					
+					return fnCryptoRequest(fnSubtle().encrypt({ name : 'AES-GCM', iv : aIV }, oKey, aName)).then(function(oCipher) {
+						
+						var aBytes = new Uint8Array(12 + oCipher.byteLength);
+						
+						aBytes.set(aIV);
+						aBytes.set(new Uint8Array(oCipher), 12);
+						
+						return fnBase64Encode(aBytes, true);
+					});
+				});
+		}
+		
+		/*
+		 * Decrypts an entry name, see fnEncryptName()
+		 */
+		function fnDecryptName(oKey, sEncrypted) {
+			
+			var aBytes = fnBase64Decode(sEncrypted);
+			
+			if (! aBytes || aBytes.length < 28) return $.Deferred().reject(fnFileError('EncodingError', 'name ' + sEncrypted + ' is not encrypted'));
+			
+			return fnCryptoRequest(fnSubtle().decrypt({ name : 'AES-GCM', iv : aBytes.subarray(0, 12) }, oKey, aBytes.subarray(12)), 
+				'IntegrityError', 'name ' + sEncrypted + ' was tampered with or encrypted with another key')
+				.then(function(oPlain) {
+					return fnUtf8Decode(new Uint8Array(oPlain));
+				});
+		}
+		
+		/*
+		 * Decrypts oData with fnDecrypt(oKey, oData), trying oOtherKey when oKey fails. 
+		 * Resolves (oResult, bOther), bOther telling whether oOtherKey was used.
+		 */
+		function fnDecryptEither(fnDecrypt, oData, oKey, oOtherKey) {
+			
+			return fnDecrypt(oKey, oData).then(
+				function(oResult) {
+					return $.Deferred().resolve(oResult, false);
+				},
+				function(oError) {
+					
+					if (oError.name !== 'IntegrityError') return $.Deferred().reject(oError);
+					
+					return fnDecrypt(oOtherKey, oData).then(
+						function(oResult) { return $.Deferred().resolve(oResult, true); },
+						function() { return $.Deferred().reject(oError); });
+				});
+		}
+		
+		/*
+		 * Encodes bytes in base64, or in its URL and filename safe variant without padding
+		 */
+		function fnBase64Encode(aBytes, bUrl) {
+			
+			var sBinary = '', i = 0;
+			
+			for ( ; i < aBytes.length ; ++i) sBinary += String.fromCharCode(aBytes[i]);
+			
+			return bUrl ? btoa(sBinary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') : btoa(sBinary);
+		}
+		
+		/*
+		 * Decodes base64, or its URL and filename safe variant. Returns null for invalid input.
+		 */
+		function fnBase64Decode(sBase64) {
+			
+			var sBinary, aBytes, i = 0;
+			
+			try {
+				sBinary = atob(sBase64.replace(/-/g, '+').replace(/_/g, '/'));
+			}
+			catch (e) {
+				return null;
+			}
+			
+			aBytes = new Uint8Array(sBinary.length);
+			for ( ; i < sBinary.length ; ++i) aBytes[i] = sBinary.charCodeAt(i);
+			
+			return aBytes;
+		}
+		
+		/*
+		 * Reads the keyring of an encrypted directory, resolves null if there is none
+		 */
+		function fnReadKeyring(oDir) {
+			
+			return oDir.fileSystem.readFile(fnResolvePath(oDir.fullPath, KEYRING_NAME), { as : 'json' }).then(null, function(oError) {
+				return fnIsNotFound(oError) ? $.Deferred().resolve(null) : $.Deferred().reject(oError);
+			});
+		}
+		
+		/*
+		 * Writes the keyring of an encrypted directory
+		 */
+		function fnWriteKeyring(oDir, oKeyring) {
+			
+			return oDir.fileSystem.writeFile(fnResolvePath(oDir.fullPath, KEYRING_NAME), JSON.stringify(oKeyring), { type : 'application/json' });
+		}
+		
+		/*
+		 * Encrypts the key check and the name secret, if any, with a key. Resolves an object with base64 check and names properties.
+		 */
+		function fnSealKeyring(oKey, aSecret) {
+			
+			return $.when(fnEncryptBytes(oKey, fnUtf8Encode(KEYRING_CHECK)), aSecret ? fnEncryptBytes(oKey, aSecret) : null).then(function(aCheck, aNames) {
+				return { check : fnBase64Encode(aCheck), names : aNames ? fnBase64Encode(aNames) : null };
+			});
+		}
+		
+		/*
+		 * Checks a key against the keyring of an encrypted directory, creating the keyring on first use. 
+		 * Resolves the key material of the directory, see jQuery.filesystem.FileSystem#encrypted().
+		 */
+		function fnOpenKeyring(oDir, oKey, bNames) {
+			
+			return fnReadKeyring(oDir).then(function(oKeyring) {
+				
+				var aSecret;
+				
+				if (! oKeyring) {
+					
+					aSecret = bNames ? window.crypto.getRandomValues(new Uint8Array(32)) : null;
+					
+					return fnSealKeyring(oKey, aSecret).then(function(oSealed) {
+						return fnWriteKeyring(oDir, $.extend({ version : ENCRYPTION_VERSION }, oSealed));
+					}).then(function() {
+						return aSecret;
+					});
+				}
+				
+				return fnDecryptBytes(oKey, fnBase64Decode(oKeyring.check) || new Uint8Array(0)).then(
+					function() {
+						return oKeyring.names ? fnDecryptBytes(oKey, fnBase64Decode(oKeyring.names)) : null;
+					},
+					function(oError) {
+						
+						if (oError.name !== 'IntegrityError') return $.Deferred().reject(oError);
+						
+						return (oKeyring.pending ? fnDecryptBytes(oKey, fnBase64Decode(oKeyring.pending.check)) : $.Deferred().reject()).then(
+							function() {
+								return $.Deferred().reject(new filesystem.InvalidStateError('encrypted on ' + oDir.fullPath + ' failed: rotation to this key ' + 
+									'was interrupted, resume it with rotateKey() on a view opened with the previous key', { operation : 'encrypted', path : oDir.fullPath }));
+							},
+							function() {
+								return $.Deferred().reject(new filesystem.SecurityError('encrypted on ' + oDir.fullPath + ' failed: wrong key', 
+									{ operation : 'encrypted', path : oDir.fullPath, cause : oError }));
+							});
+					});
+			})
+			.then(function(aSecret) {
+				
+				if (! aSecret) return { key : oKey, names : null, secret : null };
+				
+				return fnCryptoRequest(fnSubtle().importKey('raw', aSecret, { name : 'HMAC', hash : 'SHA-256' }, false, ['sign'])).then(function(oNameKey) {
+					return { key : oKey, names : oNameKey, secret : aSecret };
+				});
+			});
+		}
+		
+		
+		//=============================================================================
+		//=========================== Backends ========================================
+		//=============================================================================
+		
+		
+		/**
+		 * Registry of storage backends, indexed by name.
+		 * <p>A backend provides the native FileSystem API entry points (<code>isSupported()</code>, 
+		 * <code>requestFileSystem(eType, iSize, fnSuccess, fnError)</code> and 
+		 * <code>resolveLocalFileSystemURL(sURL, fnSuccess, fnError)</code>) and hands out objects implementing the native 
+		 * <code>FileSystem</code>, <code>Entry</code>, <code>DirectoryReader</code> and <code>FileWriter</code> interfaces, 
+		 * so that wrappers behave identically whatever the underlying storage.</p>
+		 * <p>Backends may also support quota management with <code>queryUsage(eType, fnSuccess(iUsage, iQuota), fnError)</code> 
+		 * and <code>requestQuota(eType, iBytes, fnSuccess(iGranted), fnError)</code>.</p>
+		 * <p>Backends whose <code>filesystem:</code> URLs cannot be loaded by the document set <code>objectURLs</code> to true, 
+		 * see {@link jQuery.filesystem.FileEntry#toObjectURL}.</p>
+		 * 
+		 * @name jQuery.filesystem.backends
+		 */
+		filesystem.backends = {};
+		
+		/**
+		 * Names of the backends tried, in that order, when a new {@link jQuery.filesystem} is created
+		 * @name jQuery.filesystem.backendPriority
+		 */
+		filesystem.backendPriority = ['native', 'indexeddb'];
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Backend relying on the browser's native FileSystem API.
+		 * @name jQuery.filesystem.backends.native
+		 */
+		filesystem.backends['native'] = {
+			
+			isSupported : function() {
+				return !! (window.requestFileSystem || window.webkitRequestFileSystem);
+			},
+			
+			requestFileSystem : function(eType, iSize, fnSuccess, fnError) {
+				(window.requestFileSystem || window.webkitRequestFileSystem).call(window, eType, iSize, fnSuccess, fnError);
+			},
+			
+			resolveLocalFileSystemURL : function(sUrl, fnSuccess, fnError) {
+				(window.resolveLocalFileSystemURL || window.webkitResolveLocalFileSystemURL).call(window, sUrl, fnSuccess, fnError);
+			},
+			
+			queryUsage : function(eType, fnSuccess, fnError) {
+				
+				var oStorage = fnNativeStorage(eType);
+				
+				if (oStorage) oStorage.queryUsageAndQuota(fnSuccess, fnError);
+				else window.webkitStorageInfo.queryUsageAndQuota(eType, fnSuccess, fnError);
+			},
+			
+			requestQuota : function(eType, iBytes, fnSuccess, fnError) {
+				
+				var oStorage = fnNativeStorage(eType);
+				
+				if (oStorage) oStorage.requestQuota(iBytes, fnSuccess, fnError);
+				else window.webkitStorageInfo.requestQuota(eType, iBytes, fnSuccess, fnError);
+			}
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Builds a backend emulating the FileSystem API on top of a record store.
+		 * <p>The store factory must provide <code>isSupported()</code> and <code>open(sName)</code>, the latter returning a 
+		 * <code>jQuery.Deferred</code> resolved with a store object. Stores hold one record per entry, keyed by full path 
+		 * (<code>{fullPath, parent, name, isDirectory, modificationTime, size, type, content}</code>) and expose the following 
+		 * Deferred-returning methods :</p>
+		 * <ul>
+		 * <li><code>get(sPath)</code> resolves the record at given path, or <code>undefined</code></li>
+		 * <li><code>children(sPath)</code> resolves the array of records directly under given path</li>
+		 * <li><code>descendants(sPath)</code> resolves the array of all records under given path</li>
+		 * <li><code>update(aPut, aRemove)</code> atomically deletes the records at paths <code>aRemove</code>, then stores records <code>aPut</code></li>
+		 * </ul>
+		 * <p>Factories whose stores are private to the page set <code>shared</code> to false, so that change events are not 
+		 * broadcast to other tabs.</p>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.emulatedBackend
+		 * @param {object} oStoreFactory factory of record stores, one store being opened per filesystem type
+		 * @param {object} [oOptions] optional settings
+		 * @param {number} [oOptions.pageSize=100] maximum number of entries returned by each <code>DirectoryReader.readEntries()</code> call
+		 * @return {object} a backend suitable for {@link jQuery.filesystem.backends}
+		 */
+		filesystem.emulatedBackend = function(oStoreFactory, oOptions) {
+			
+			var oOpened = {},
+			
+				fnOpen = function(eType) {
+					
+					var sType = eType === filesystem.PERSISTENT ? 'Persistent' : 'Temporary';
+					
+					return oStoreFactory.open(sType.toLowerCase()).then(function(oStore) {
+						
+						return oStore.get('/').then(function(oRoot) {
+							return oRoot || oStore.update([fnRecord('/', true)], []);
+						}).then(function() {
+							var oFileSystem = new EmuFileSystem(fnOriginName() + ':' + sType, eType, oStore, (oOptions && oOptions.pageSize) || 100);
+							oFileSystem._backend = oBackend;
+							return oFileSystem;
+						});
+					});
+				},
+				
+				oBackend = {
+				
+					shared : oStoreFactory.shared !== false,
+					
+					objectURLs : true,
+				
+					isSupported : function() {
+						return oStoreFactory.isSupported();
+					},
+					
+					requestFileSystem : function(eType, iSize, fnSuccess, fnError) {
+						
+						if (eType !== filesystem.TEMPORARY && eType !== filesystem.PERSISTENT)
+							return fnFail(fnError, 'TypeMismatchError', 'unknown filesystem type ' + eType);
+						
+						(oOpened[eType] || (oOpened[eType] = fnOpen(eType)))
+							.done(function(oFileSystem) { fnCallback(fnSuccess, oFileSystem); })
+							.fail(function(oError) {
+								delete oOpened[eType];
+								fnCallback(fnError, oError);
+							});
+					},
+					
+					resolveLocalFileSystemURL : function(sUrl, fnSuccess, fnError) {
+						
+						var aMatch = /^filesystem:.*?\/(temporary|persistent)(\/.*)?$/.exec(sUrl || '');
+						
+						if (! aMatch) return fnFail(fnError, 'EncodingError', 'invalid filesystem URL ' + sUrl);
+						
+						oBackend.requestFileSystem(aMatch[1] === 'persistent' ? filesystem.PERSISTENT : filesystem.TEMPORARY, 0,
+							function(oFileSystem) {
+								var sPath = fnResolvePath('/', decodeURI(aMatch[2] || '/'));
+								oFileSystem._lookup(sPath)
+									.done(function(oRec) { fnCallback(fnSuccess, oFileSystem._entry(sPath, oRec.isDirectory)); })
+									.fail(function(oError) { fnCallback(fnError, oError); });
+							},
+							fnError);
+					},
+					
+					queryUsage : function(eType, fnSuccess, fnError) {
+						
+						oBackend.requestFileSystem(eType, 0,
+							function(oFileSystem) {
+								oFileSystem._usage()
+									.then(function(iUsage, iQuota) {
+										// until some quota is granted, storage is only bounded by the browser
+										return iQuota ? [iUsage, iQuota] : fnStorageEstimate().then(function(iEstimate) { return [iUsage, iEstimate]; });
+									})
+									.done(function(aResult) { fnSuccess(aResult[0], aResult[1]); })
+									.fail(function(oError) { fnCallback(fnError, oError); });
+							},
+							fnError);
+					},
+					
+					requestQuota : function(eType, iBytes, fnSuccess, fnError) {
+						
+						oBackend.requestFileSystem(eType, 0,
+							function(oFileSystem) {
+								oFileSystem._store.update([{ fullPath : QUOTA_KEY, parent : null, quota : iBytes }], [])
+									.done(function() { fnCallback(fnSuccess, iBytes); })
+									.fail(function(oError) { fnCallback(fnError, oError); });
+							},
+							fnError);
+					}
+				};
+			
+			return oBackend;
+		};
+		
+		
+		//=============================================================================
+		//=========================== Emulated FileSystem =============================
+		//=============================================================================
+		
+		
+		/*
+		 * FileSystem interface backed by a record store
+		 */
+		var EmuFileSystem = function(sName, eType, oStore, iPageSize) {
+			
+			this._type = eType;
+			this._store = oStore;
+			this._pageSize = iPageSize;
+			
+			this.name = sName;
+			this.root = new EmuDirectoryEntry(this, '/');
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Fetches the record at given path, failing if it does not exist or is not of expected kind
+		 */
+		EmuFileSystem.prototype._lookup = function(sPath, bDirectory) {
+			
+			return this._store.get(sPath).then(function(oRec) {
+				
+				if (! oRec)
+					return $.Deferred().reject(fnFileError('NotFoundError', sPath + ' does not exist'));
+				if (bDirectory !== undefined && oRec.isDirectory !== bDirectory)
+					return $.Deferred().reject(fnFileError('TypeMismatchError', sPath + ' is not a ' + (bDirectory ? 'directory' : 'file')));
+				
+				return oRec;
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Computes the space used by files. Resolves (iUsage, iQuota), iQuota being 0 when no quota was granted.
+		 */
+		EmuFileSystem.prototype._usage = function() {
+			
+			var oStore = this._store;
+			
+			return $.when(oStore.descendants('/'), oStore.get(QUOTA_KEY)).then(function(aRecords, oQuota) {
+				
+				var iUsage = 0, i = 0, len = aRecords.length;
+				
+				for ( ; i < len ; ++i) iUsage += aRecords[i].size || 0;
+				
+				return $.Deferred().resolve(iUsage, oQuota ? oQuota.quota : 0);
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Fails with a QuotaExceededError if granted quota does not allow iDelta more bytes to be stored. 
+		 * Usage is not computed at all while no quota was granted.
+		 */
+		EmuFileSystem.prototype._checkQuota = function(iDelta) {
+			
+			var oFS = this;
+			
+			return this._store.get(QUOTA_KEY).then(function(oQuota) {
+				
+				if (! oQuota || iDelta <= 0) return;
+				
+				return oFS._usage().then(function(iUsage, iQuota) {
+					if (iUsage + iDelta > iQuota) return $.Deferred().reject(fnFileError('QuotaExceededError', 'quota of ' + iQuota + ' bytes exceeded'));
+				});
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Creates the emulated entry for given path
+		 */
+		EmuFileSystem.prototype._entry = function(sPath, bDirectory) {
+			
+			return new (bDirectory ? EmuDirectoryEntry : EmuFileEntry)(this, sPath);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Entry interface
+		 */
+		var EmuEntry = function(oFileSystem, sPath) {
+			
+			this.filesystem = this.fileSystem = oFileSystem;
+			this.fullPath = sPath;
+			this.name = fnBasename(sPath);
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuEntry.prototype.getMetadata = function(fnSuccess, fnError) {
+			
+			this.filesystem._lookup(this.fullPath, this.isDirectory)
+				.done(function(oRec) { fnCallback(fnSuccess, { modificationTime : new Date(oRec.modificationTime), size : oRec.size }); })
+				.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuEntry.prototype.getParent = function(fnSuccess, fnError) {
+			
+			var oFS = this.filesystem, sParent = fnDirname(this.fullPath);
+			
+			oFS._lookup(sParent, true)
+				.done(function() { fnCallback(fnSuccess, oFS._entry(sParent, true)); })
+				.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuEntry.prototype.toURL = function() {
+			
+			return 'filesystem:' + fnOrigin() + '/' + (this.filesystem._type === filesystem.PERSISTENT ? 'persistent' : 'temporary') + encodeURI(this.fullPath);
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuEntry.prototype.copyTo = function(oParent, sNewName, fnSuccess, fnError) {
+			
+			this._transfer(false, oParent, sNewName, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuEntry.prototype.moveTo = function(oParent, sNewName, fnSuccess, fnError) {
+			
+			this._transfer(true, oParent, sNewName, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Copies or moves this entry and all its descendants, possibly to another filesystem.
+		 * As for native implementations, an existing file or empty directory at destination is replaced.
+		 */
+		EmuEntry.prototype._transfer = function(bMove, oParent, sNewName, fnSuccess, fnError) {
+			
+			var oSrcFS = this.filesystem,
+				oDstFS = oParent && oParent.filesystem,
+				sSource = this.fullPath,
+				sName = sNewName || this.name,
+				bDirectory = this.isDirectory,
+				bSameStore, sTarget;
+			
+			if (! (oDstFS instanceof EmuFileSystem))
+				return fnFail(fnError, 'InvalidModificationError', 'destination does not belong to an emulated filesystem');
+			
+			bSameStore = oSrcFS._store === oDstFS._store;
+			sTarget = fnResolvePath(oParent.fullPath, sName);
+			
+			if (sSource === '/' || sName === '.' || sName === '..' || sName.indexOf('/') !== -1)
+				return fnFail(fnError, 'InvalidModificationError', 'cannot ' + (bMove ? 'move ' : 'copy ') + sSource + ' as ' + sName);
+			if (bSameStore && (sTarget === sSource || sTarget.indexOf(sSource + '/') === 0))
+				return fnFail(fnError, 'InvalidModificationError', 'cannot ' + (bMove ? 'move ' : 'copy ') + sSource + ' onto itself');
+			
+			$.when(
+				oSrcFS._lookup(sSource, bDirectory),
+				bDirectory ? oSrcFS._store.descendants(sSource) : [],
+				oSrcFS._store.get(fnDirname(sSource)),
+				oDstFS._lookup(oParent.fullPath, true),
+				oDstFS._store.get(sTarget),
+				oDstFS._store.children(sTarget)
+			).then(function(oRec, aDescendants, oSrcParent, oDstParent, oExisting, aExistingChildren) {
+				
+				var aSources = [oRec].concat(aDescendants),
+					aPut = [],
+					aDstRemove = [],
+					aSrcRemove = [],
+					iNow = $.now(),
+					iAdded = oExisting ? -oExisting.size : 0,
+					i = 0, len = aSources.length, sPath;
+				
+				if (oExisting && (oExisting.isDirectory !== bDirectory || aExistingChildren.length))
+					return $.Deferred().reject(fnFileError('InvalidModificationError', sTarget + ' already exists'));
+				
+				if (oExisting) aDstRemove.push(sTarget);
+				
+				for ( ; i < len ; ++i) {
+					sPath = sTarget + aSources[i].fullPath.substr(sSource.length);
+					aPut.push($.extend({}, aSources[i], {
+						fullPath : sPath,
+						parent : fnDirname(sPath),
+						name : fnBasename(sPath),
+						modificationTime : bMove ? aSources[i].modificationTime : iNow
+					}));
+					
+					if (bMove) aSrcRemove.push(aSources[i].fullPath);
+					iAdded += aSources[i].size || 0;
+				}
+				
+				aPut.push(fnTouch(oDstParent));
+				
+				if (bMove && bSameStore) {
+					if (oSrcParent.fullPath !== oDstParent.fullPath) aPut.push(fnTouch(oSrcParent));
+					return oDstFS._store.update(aPut, aDstRemove.concat(aSrcRemove));
+				}
+				
+				return oDstFS._checkQuota(iAdded).then(function() {
+					return oDstFS._store.update(aPut, aDstRemove);
+				}).then(function() {
+					return bMove && oSrcFS._store.update([fnTouch(oSrcParent)], aSrcRemove);
+				});
+			})
+			.done(function() { fnCallback(fnSuccess, oDstFS._entry(sTarget, bDirectory)); })
+			.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuEntry.prototype.remove = function(fnSuccess, fnError) {
+			
+			var oStore = this.filesystem._store, sPath = this.fullPath;
+			
+			if (sPath === '/') return fnFail(fnError, 'InvalidModificationError', 'cannot remove root directory');
+			
+			$.when(
+				this.filesystem._lookup(sPath, this.isDirectory),
+				oStore.children(sPath),
+				oStore.get(fnDirname(sPath))
+			).then(function(oRec, aChildren, oParent) {
+				
+				if (aChildren.length)
+					return $.Deferred().reject(fnFileError('InvalidModificationError', sPath + ' is not empty'));
+				
+				return oStore.update([fnTouch(oParent)], [sPath]);
+			})
+			.done(function() { fnCallback(fnSuccess); })
+			.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Sets the modification time of this entry, which native implementations do not allow
+		 */
+		EmuEntry.prototype._setModificationTime = function(iTime, fnSuccess, fnError) {
+			
+			var oStore = this.filesystem._store;
+			
+			this.filesystem._lookup(this.fullPath, this.isDirectory).then(function(oRec) {
+				
+				return oStore.update([$.extend({}, oRec, { modificationTime : iTime })], []);
+			})
+			.done(function() { fnCallback(fnSuccess); })
+			.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * DirectoryEntry interface
+		 */
+		var EmuDirectoryEntry = function(oFileSystem, sPath) {
+			
+			EmuEntry.apply(this, arguments);
+		};
+		
+		EmuDirectoryEntry.prototype = Object.create(EmuEntry.prototype);
+		EmuDirectoryEntry.prototype.constructor = EmuDirectoryEntry;
+		EmuDirectoryEntry.prototype.isFile = false;
+		EmuDirectoryEntry.prototype.isDirectory = true;
+		
+		//=================================================================================================================
+		
+		
+		EmuDirectoryEntry.prototype.getFile = function(sPath, oOptions, fnSuccess, fnError) {
+			
+			this._getEntry(false, sPath, oOptions, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuDirectoryEntry.prototype.getDirectory = function(sPath, oOptions, fnSuccess, fnError) {
+			
+			this._getEntry(true, sPath, oOptions, fnSuccess, fnError);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Looks up, and optionally creates, a file or directory
+		 */
+		EmuDirectoryEntry.prototype._getEntry = function(bDirectory, sPath, oOptions, fnSuccess, fnError) {
+			
+			var oFS = this.filesystem,
+				oStore = oFS._store,
+				sFullPath = fnResolvePath(this.fullPath, sPath || ''),
+				bCreate = !! (oOptions && oOptions.create),
+				bExclusive = !! (oOptions && oOptions.exclusive);
+			
+			oStore.get(sFullPath).then(function(oRec) {
+				
+				if (oRec) {
+					if (oRec.isDirectory !== bDirectory)
+						return $.Deferred().reject(fnFileError('TypeMismatchError', sFullPath + ' is not a ' + (bDirectory ? 'directory' : 'file')));
+					if (bCreate && bExclusive)
+						return $.Deferred().reject(fnFileError('PathExistsError', sFullPath + ' already exists'));
+					return;
+				}
+				
+				if (! bCreate)
+					return $.Deferred().reject(fnFileError('NotFoundError', sFullPath + ' does not exist'));
+				
+				return oFS._lookup(fnDirname(sFullPath), true).then(function(oParent) {
+					return oStore.update([fnTouch(oParent), fnRecord(sFullPath, bDirectory)], []);
+				});
+			})
+			.done(function() { fnCallback(fnSuccess, oFS._entry(sFullPath, bDirectory)); })
+			.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuDirectoryEntry.prototype.removeRecursively = function(fnSuccess, fnError) {
+			
+			var oStore = this.filesystem._store, sPath = this.fullPath;
+			
+			if (sPath === '/') return fnFail(fnError, 'InvalidModificationError', 'cannot remove root directory');
+			
+			$.when(
+				this.filesystem._lookup(sPath, true),
+				oStore.descendants(sPath),
+				oStore.get(fnDirname(sPath))
+			).then(function(oRec, aDescendants, oParent) {
+				
+				return oStore.update([fnTouch(oParent)], $.map([oRec].concat(aDescendants), function(oR) { return oR.fullPath; }));
+			})
+			.done(function() { fnCallback(fnSuccess); })
+			.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuDirectoryEntry.prototype.createReader = function() {
+			
+			return new EmuDirectoryReader(this);
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * DirectoryReader interface : the directory content is fetched on first call, 
+		 * then delivered by blocks of filesystem's page size until an empty block signals the end
+		 */
+		var EmuDirectoryReader = function(oDirEntry) {
+			
+			this._dir = oDirEntry;
+			this._content = null;
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuDirectoryReader.prototype.readEntries = function(fnSuccess, fnError) {
+			
+			var oReader = this, oFS = this._dir.filesystem;
+			
+			(this._content ? $.Deferred().resolve(this._content) : oFS._lookup(this._dir.fullPath, true).then(function() {
+				return oFS._store.children(oReader._dir.fullPath);
+			}))
+			.done(function(aRecords) {
+				
+				oReader._content = aRecords;
+				fnCallback(fnSuccess, $.map(aRecords.splice(0, oFS._pageSize), function(oRec) {
+					return oFS._entry(oRec.fullPath, oRec.isDirectory);
+				}));
+			})
+			.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * FileEntry interface
+		 */
+		var EmuFileEntry = function(oFileSystem, sPath) {
+			
+			EmuEntry.apply(this, arguments);
+		};
+		
+		EmuFileEntry.prototype = Object.create(EmuEntry.prototype);
+		EmuFileEntry.prototype.constructor = EmuFileEntry;
+		EmuFileEntry.prototype.isFile = true;
+		EmuFileEntry.prototype.isDirectory = false;
+		
+		//=================================================================================================================
+		
+		
+		EmuFileEntry.prototype.createWriter = function(fnSuccess, fnError) {
+			
+			var oEntry = this;
+			
+			this.filesystem._lookup(this.fullPath, false)
+				.done(function(oRec) { fnCallback(fnSuccess, new EmuFileWriter(oEntry, oRec.size)); })
+				.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileEntry.prototype.file = function(fnSuccess, fnError) {
+			
+			this.filesystem._lookup(this.fullPath, false)
+				.done(function(oRec) { fnCallback(fnSuccess, fnMakeFile(oRec)); })
+				.fail(function(oError) { fnCallback(fnError, oError); });
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Replaces the content of this file by the first item of fnTransform(oContent), which returns an array. 
+		 * Resolves that array once the content is stored.
+		 */
+		EmuFileEntry.prototype._transform = function(fnTransform) {
+			
+			var oFS = this.filesystem, aResult;
+			
+			return oFS._lookup(this.fullPath, false).then(function(oRec) {
+				
+				aResult = fnTransform(oRec.content || new Blob([], { type : oRec.type || '' }));
+				
+				return oFS._checkQuota(aResult[0].size - oRec.size).then(function() { return oRec; });
+			}).then(function(oRec) {
+				
+				return oFS._store.update([$.extend({}, oRec, {
+					modificationTime : $.now(),
+					size : aResult[0].size,
+					type : aResult[0].type,
+					content : aResult[0]
+				})], []);
+			}).then(function() {
+				return aResult;
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * FileWriter interface over a file entry replacing its content with _transform()
+		 */
+		var EmuFileWriter = function(oFileEntry, iLength) {
+			
+			this._entry = oFileEntry;
+			this._listeners = {};
+			
+			this.position = 0;
+			this.length = iLength;
+			this.readyState = EmuFileWriter.INIT;
+			this.error = null;
+			
+			this.onwritestart = this.onprogress = this.onwrite = this.onabort = this.onerror = this.onwriteend = null;
+		};
+		
+		EmuFileWriter.INIT = EmuFileWriter.prototype.INIT = 0;
+		EmuFileWriter.WRITING = EmuFileWriter.prototype.WRITING = 1;
+		EmuFileWriter.DONE = EmuFileWriter.prototype.DONE = 2;
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype.write = function(oBlob) {
+			
+			var iPosition = this.position;
+			
+			this._start();
+			this._apply(function(oContent) {
+				return [new Blob([oContent.slice(0, iPosition), oBlob, oContent.slice(iPosition + oBlob.size)], { type : oBlob.type || oContent.type }), iPosition + oBlob.size];
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype.truncate = function(iSize) {
+			
+			var iPosition = this.position;
+			
+			this._start();
+			this._apply(function(oContent) {
+				return [iSize <= oContent.size
+					? oContent.slice(0, iSize, oContent.type)
+					: new Blob([oContent, new Uint8Array(iSize - oContent.size)], { type : oContent.type }), Math.min(iPosition, iSize)];
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype.seek = function(iOffset) {
+			
+			if (this.readyState === EmuFileWriter.WRITING) throw fnFileError('InvalidStateError', 'a write operation is in progress');
+			
+			this.position = Math.max(0, Math.min(this.length, iOffset < 0 ? this.length + iOffset : iOffset));
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype.abort = function() {
+			
+			if (this.readyState !== EmuFileWriter.WRITING) return;
+			
+			this._aborted = true;
+			this.readyState = EmuFileWriter.DONE;
+			this.error = fnFileError('AbortError', 'write operation aborted');
+			this._dispatch('abort');
+			this._dispatch('writeend');
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype.addEventListener = function(sType, fnListener) {
+			
+			(this._listeners[sType] || (this._listeners[sType] = [])).push(fnListener);
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype.removeEventListener = function(sType, fnListener) {
+			
+			var aListeners = this._listeners[sType] || [], i = $.inArray(fnListener, aListeners);
+			if (i !== -1) aListeners.splice(i, 1);
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype._start = function() {
+			
+			if (this.readyState === EmuFileWriter.WRITING) throw fnFileError('InvalidStateError', 'a write operation is in progress');
+			
+			this._aborted = false;
+			this.readyState = EmuFileWriter.WRITING;
+			this.error = null;
+			this._dispatch('writestart');
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Replaces file content by the result of fnTransform(oContent), which returns [oNewContent, iNewPosition]
+		 */
+		EmuFileWriter.prototype._apply = function(fnTransform) {
+			
+			var oWriter = this;
+			
+			this._entry._transform(fnTransform)
+			.done(function(aResult) {
+				
+				if (oWriter._aborted) return;
+				
+				oWriter.position = aResult[1];
+				oWriter.length = aResult[0].size;
+				oWriter.readyState = EmuFileWriter.DONE;
+				oWriter._dispatch('progress', aResult[0].size);
+				oWriter._dispatch('write', aResult[0].size);
+				oWriter._dispatch('writeend', aResult[0].size);
+			})
+			.fail(function(oError) {
+				
+				if (oWriter._aborted) return;
+				
+				oWriter.error = oError;
+				oWriter.readyState = EmuFileWriter.DONE;
+				oWriter._dispatch('error');
+				oWriter._dispatch('writeend');
+			});
+		};
+		
+		//=================================================================================================================
+		
+		
+		EmuFileWriter.prototype._dispatch = function(sType, iLoaded) {
+			
+			var oEvent = { type : sType, target : this, currentTarget : this, lengthComputable : iLoaded !== undefined, loaded : iLoaded || 0, total : iLoaded || 0 },
+				aListeners = (this._listeners[sType] || []).slice(0),
+				i = 0, len = aListeners.length;
+			
+			if (this['on' + sType]) this['on' + sType](oEvent);
+			for ( ; i < len ; ++i) aListeners[i].call(this, oEvent);
+		};
+		
+		
+		//=============================================================================
+		//=========================== Backend IndexedDB ===============================
+		//=============================================================================
+		
+		
+		/**
+		 * Backend emulating the FileSystem API in IndexedDB, one database being used per filesystem type.
+		 * @name jQuery.filesystem.backends.indexeddb
+		 */
+		filesystem.backends.indexeddb = filesystem.emulatedBackend({
+			
+			isSupported : function() {
+				return !! fnIndexedDB();
+			},
+			
+			open : function(sName) {
+				
+				var oDef = $.Deferred(), oRequest;
+				
+				try {
+					oRequest = fnIndexedDB().open('jquery.filesystem.' + sName, 1);
+				} catch (e) {
+					return oDef.reject(e);
+				}
+				
+				oRequest.onupgradeneeded = function() {
+					oRequest.result.createObjectStore('entries', { keyPath : 'fullPath' }).createIndex('parent', 'parent');
+				};
+				oRequest.onsuccess = function() { oDef.resolve(new IDBStore(oRequest.result)); };
+				oRequest.onerror = function() { oDef.reject(oRequest.error); };
+				
+				return oDef;
+			}
+		});
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Record store over an IndexedDB database
+		 */
+		var IDBStore = function(oDB) {
+			
+			this._db = oDB;
+		};
+		
+		//=================================================================================================================
+		
+		
+		IDBStore.prototype.get = function(sPath) {
+			
+			var oDef = $.Deferred(), oRequest = this._db.transaction('entries', 'readonly').objectStore('entries').get(sPath);
+			
+			oRequest.onsuccess = function() { oDef.resolve(oRequest.result); };
+			oRequest.onerror = function() { oDef.reject(oRequest.error); };
+			
+			return oDef;
+		};
+		
+		//=================================================================================================================
+		
+		
+		IDBStore.prototype.children = function(sPath) {
+			
+			return this._collect('parent', window.IDBKeyRange.only(sPath));
+		};
+		
+		//=================================================================================================================
+		
+		
+		IDBStore.prototype.descendants = function(sPath) {
+			
+			var sPrefix = sPath === '/' ? '/' : sPath + '/';
+			
+			return this._collect(null, window.IDBKeyRange.bound(sPrefix, sPrefix + '\uffff', true, false));
+		};
+		
+		//=================================================================================================================
+		
+		
+		IDBStore.prototype.update = function(aPut, aRemove) {
+			
+			var oDef = $.Deferred(), oTx = this._db.transaction('entries', 'readwrite'), oStore = oTx.objectStore('entries'), i;
+			
+			for (i = 0 ; i < aRemove.length ; ++i) oStore['delete'](aRemove[i]);
+			for (i = 0 ; i < aPut.length ; ++i) oStore.put(aPut[i]);
+			
+			oTx.oncomplete = function() { oDef.resolve(); };
+			oTx.onerror = oTx.onabort = function() { oDef.reject(oTx.error); };
+			
+			return oDef;
+		};
+		
+		//=================================================================================================================
+		
+		
+		IDBStore.prototype._collect = function(sIndex, oRange) {
+			
+			var oDef = $.Deferred(), aResults = [],
+				oSource = this._db.transaction('entries', 'readonly').objectStore('entries'),
+				oRequest = (sIndex ? oSource.index(sIndex) : oSource).openCursor(oRange);
+			
+			oRequest.onsuccess = function() {
+				
+				var oCursor = oRequest.result;
+				
+				if (! oCursor) return oDef.resolve(aResults);
+				
+				aResults.push(oCursor.value);
+				oCursor['continue']();
+			};
+			oRequest.onerror = function() { oDef.reject(oRequest.error); };
+			
+			return oDef;
+		};
+		
+		
+		//=============================================================================
+		//=========================== Backend memory ==================================
+		//=============================================================================
+		
+		
+		/**
+		 * Creates a backend emulating the FileSystem API in memory, without any persistence.
+		 * <p>Every backend returned holds its own storage, so that unit tests can each start from an empty filesystem : </p>
+		 * <pre>new $.filesystem({ backend : $.filesystem.memoryBackend({ pageSize : 2 }) })</pre>
+		 * 
+		 * @function
+		 * @name jQuery.filesystem.memoryBackend
+		 * @param {object} [oOptions] optional settings, see {@link jQuery.filesystem.emulatedBackend}
+		 * @return {object} a new in-memory backend
+		 */
+		filesystem.memoryBackend = function(oOptions) {
+			
+			var oStores = {};
+			
+			return filesystem.emulatedBackend({
+				
+				shared : false,
+				
+				isSupported : function() {
+					return true;
+				},
+				
+				open : function(sName) {
+					return fnLater(oStores[sName] || (oStores[sName] = new MemoryStore()));
+				}
+			}, oOptions);
+		};
+		
+		/**
+		 * Shared in-memory backend, selected with <code>{ backend : 'memory' }</code>. It is never picked automatically.
+		 * @name jQuery.filesystem.backends.memory
+		 */
+		filesystem.backends.memory = filesystem.memoryBackend();
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Record store over a plain object. Records are copied in and out so that callers never share them, 
+		 * and every result is delivered asynchronously like with any other store.
+		 */
+		var MemoryStore = function() {
+			
+			this._records = {};
+		};
+		
+		//=================================================================================================================
+		
+		
+		MemoryStore.prototype.get = function(sPath) {
+			
+			return fnLater(this._records.hasOwnProperty(sPath) ? $.extend({}, this._records[sPath]) : undefined);
+		};
+		
+		//=================================================================================================================
+		
+		
+		MemoryStore.prototype.children = function(sPath) {
+			
+			return this._select(function(oRec) { return oRec.parent === sPath; });
+		};
+		
+		//=================================================================================================================
+		
+		
+		MemoryStore.prototype.descendants = function(sPath) {
+			
+			var sPrefix = sPath === '/' ? '/' : sPath + '/';
+			
+			return this._select(function(oRec) { return oRec.fullPath !== '/' && oRec.fullPath.indexOf(sPrefix) === 0; });
+		};
+		
+		//=================================================================================================================
+		
+		
+		MemoryStore.prototype.update = function(aPut, aRemove) {
+			
+			var i;
+			
+			for (i = 0 ; i < aRemove.length ; ++i) delete this._records[aRemove[i]];
+			for (i = 0 ; i < aPut.length ; ++i) this._records[aPut[i].fullPath] = $.extend({}, aPut[i]);
+			
+			return fnLater();
+		};
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Returns copies of the records matching given predicate, sorted by path
+		 */
+		MemoryStore.prototype._select = function(fnFilter) {
+			
+			var aResults = [], sPath;
+			
+			for (sPath in this._records) {
+				if (this._records.hasOwnProperty(sPath) && fnFilter(this._records[sPath])) aResults.push($.extend({}, this._records[sPath]));
+			}
+			
+			return fnLater(aResults.sort(function(oA, oB) { return oA.fullPath < oB.fullPath ? -1 : 1; }));
+		};
+		
+		
+		//=============================================================================
+		//=========================== ZIP archives ====================================
+		//=============================================================================
+		
+		
+		/*
+		 * size of the chunks files are read, checksummed and deflated by, in bytes
+		 */
+		var ZIP_CHUNK_SIZE = 1024 * 1024;
+		
+		/*
+		 * limits of ZIP headers : larger entry counts, sizes and offsets need ZIP64 records, which are not supported. 
+		 * The limits themselves tell readers to look for such records.
+		 */
+		var ZIP_MAX_ENTRIES = 0xFFFF;
+		var ZIP_MAX_SIZE = 0xFFFFFFFF;
+		
+		/*
+		 * CRC-32 lookup table
+		 */
+		var CRC_TABLE = (function() {
+			
+			var aTable = [], iCrc, i = 0, j;
+			
+			for ( ; i < 256 ; ++i) {
+				for (iCrc = i, j = 0 ; j < 8 ; ++j) iCrc = iCrc & 1 ? 0xEDB88320 ^ (iCrc >>> 1) : iCrc >>> 1;
+				aTable[i] = iCrc >>> 0;
+			}
+			
+			return aTable;
+		})();
+		
+		/*
+		 * deflate length and distance codes : base values and extra bits
+		 */
+		var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+			LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+			DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 
+				4097, 6145, 8193, 12289, 16385, 24577],
+			DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+			CODE_LENGTHS_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+		
+		/*
+		 * Updates a CRC-32 with bytes
+		 */
+		function fnCrc32(aBytes, iCrc) {
+			
+			var iC = (iCrc || 0) ^ 0xFFFFFFFF, i = 0, len = aBytes.length;
+			
+			for ( ; i < len ; ++i) iC = CRC_TABLE[(iC ^ aBytes[i]) & 0xFF] ^ (iC >>> 8);
+			
+			return (iC ^ 0xFFFFFFFF) >>> 0;
+		}
+		
+		/*
+		 * Creates a raw deflate compressor, a function called with each chunk of data and whether it is the last one. 
+		 * It returns the compressed bytes of the chunk, encoded as one block of fixed Huffman codes whose LZ77 matches 
+		 * do not cross chunks.
+		 */
+		function fnDeflater() {
+			
+			var iBitBuffer = 0, iBitCount = 0;
+			
+			return function(aIn, bFinal) {
+				
+				var iLength = aIn.length,
+					aOut = new Uint8Array(iLength + (iLength >> 3) + 16),
+					iOut = 0,
+					aHead = new Int32Array(0x8000),
+					aPrevious = new Int32Array(0x8000),
+					i = 0, j, k, iHash, iBest, iDistance, iMatch, iMax, iChain,
+					
+					// writes bits, least significant first
+					fnBits = function(iValue, iCount) {
+						
+						iBitBuffer |= iValue << iBitCount;
+						iBitCount += iCount;
+						
+						while (iBitCount >= 8) {
+							aOut[iOut++] = iBitBuffer & 0xFF;
+							iBitBuffer >>>= 8;
+							iBitCount -= 8;
+						}
+					},
+					
+					// writes a Huffman code, most significant bit first
+					fnCode = function(iCode, iCount) {
+						
+						for (var iReversed = 0, n = iCount ; n > 0 ; --n, iCode >>= 1) iReversed = (iReversed << 1) | (iCode & 1);
+						
+						fnBits(iReversed, iCount);
+					},
+					
+					// writes a literal/length symbol with fixed Huffman codes
+					fnSymbol = function(iSymbol) {
+						
+						if (iSymbol < 144) fnCode(0x30 + iSymbol, 8);
+						else if (iSymbol < 256) fnCode(0x190 + iSymbol - 144, 9);
+						else if (iSymbol < 280) fnCode(iSymbol - 256, 7);
+						else fnCode(0xC0 + iSymbol - 280, 8);
+					},
+					
+					fnHash = function(i) {
+						
+						return ((aIn[i] << 10) ^ (aIn[i + 1] << 5) ^ aIn[i + 2]) & 0x7FFF;
+					},
+					
+					fnInsert = function(i) {
+						
+						var iH = fnHash(i);
+						
+						aPrevious[i & 0x7FFF] = aHead[iH];
+						aHead[iH] = i + 1;
+					};
+				
+				// block header : final flag, fixed Huffman codes
+				fnBits(bFinal ? 1 : 0, 1);
+				fnBits(1, 2);
+				
+				while (i < iLength) {
+					
+					iBest = 0;
+					
+					if (i + 2 < iLength) {
+						
+						// positions are stored plus one, 0 meaning none
+						iMax = Math.min(258, iLength - i);
+						
+						for (j = aHead[fnHash(i)] - 1, iChain = 0 ; j >= 0 && i - j <= 0x8000 && iChain < 64 ; ++iChain) {
+							
+							for (iMatch = 0 ; iMatch < iMax && aIn[j + iMatch] === aIn[i + iMatch] ; ++iMatch);
+							
+							if (iMatch > iBest) {
+								iBest = iMatch;
+								iDistance = i - j;
+								if (iMatch === iMax) break;
+							}
+							
+							k = aPrevious[j & 0x7FFF] - 1;
+							if (k >= j) break;
+							j = k;
+						}
+						
+						fnInsert(i);
+					}
+					
+					if (iBest < 3) {
+						fnSymbol(aIn[i++]);
+						continue;
+					}
+					
+					for (k = LENGTH_BASE.length - 1 ; LENGTH_BASE[k] > iBest ; --k);
+					fnSymbol(257 + k);
+					fnBits(iBest - LENGTH_BASE[k], LENGTH_EXTRA[k]);
+					
+					for (k = DISTANCE_BASE.length - 1 ; DISTANCE_BASE[k] > iDistance ; --k);
+					fnCode(k, 5);
+					fnBits(iDistance - DISTANCE_BASE[k], DISTANCE_EXTRA[k]);
+					
+					for (j = i + 1, i += iBest ; j < i && j + 2 < iLength ; ++j) fnInsert(j);
+				}
+				
+				// end of block
+				fnSymbol(256);
+				
+				if (bFinal && iBitCount) fnBits(0, 8 - iBitCount);
+				
+				return aOut.subarray(0, iOut);
+			};
+		}
+		
+		/*
+		 * Decompresses raw deflate data to iSize bytes. Throws an Error when data is corrupt.
+		 */
+		function fnInflate(aIn, iSize) {
+			
+			var aOut = new Uint8Array(iSize), iOut = 0,
+				iIn = 0, iBitBuffer = 0, iBitCount = 0,
+				bFinal, iType, oLengths, oDistances, i, iLength, iDistance, iSymbol,
+				
+				fnCorrupt = function(sReason) {
+					throw new Error('corrupt deflate data, ' + sReason);
+				},
+				
+				// reads bits, least significant first
+				fnBits = function(iCount) {
+					
+					var iValue;
+					
+					while (iBitCount < iCount) {
+						if (iIn >= aIn.length) fnCorrupt('unexpected end of data');
+						iBitBuffer |= aIn[iIn++] << iBitCount;
+						iBitCount += 8;
+					}
+					
+					iValue = iBitBuffer & ((1 << iCount) - 1);
+					iBitBuffer >>>= iCount;
+					iBitCount -= iCount;
+					
+					return iValue;
+				},
+				
+				// builds a canonical Huffman decoding table from code lengths
+				fnTable = function(aLengths) {
+					
+					var aCounts = new Uint16Array(16), aOffsets = new Uint16Array(16), aSymbols = new Uint16Array(aLengths.length), i;
+					
+					for (i = 0 ; i < aLengths.length ; ++i) aCounts[aLengths[i]]++;
+					for (aCounts[0] = 0, i = 1 ; i < 16 ; ++i) aOffsets[i] = aOffsets[i - 1] + aCounts[i - 1];
+					for (i = 0 ; i < aLengths.length ; ++i) if (aLengths[i]) aSymbols[aOffsets[aLengths[i]]++] = i;
+					
+					return { counts : aCounts, symbols : aSymbols };
+				},
+				
+				// decodes a symbol, reading its code one bit at a time
+				fnDecode = function(oTable) {
+					
+					var iCode = 0, iFirst = 0, iIndex = 0, iCount, iLen = 1;
+					
+					for ( ; iLen < 16 ; ++iLen) {
+						
+						iCode |= fnBits(1);
+						iCount = oTable.counts[iLen];
+						
+						if (iCode - iCount < iFirst) return oTable.symbols[iIndex + iCode - iFirst];
+						
+						iIndex += iCount;
+						iFirst = (iFirst + iCount) << 1;
+						iCode <<= 1;
+					}
+					
+					fnCorrupt('invalid code');
+				},
+				
+				fnFill = function(iFrom, iTo, iValue) {
+					
+					var aLengths = [];
+					for ( ; iFrom < iTo ; ++iFrom) aLengths.push(iValue);
+					return aLengths;
+				},
+				
+				// reads the code lengths of a block with dynamic Huffman codes
+				fnDynamicTables = function() {
+					
+					var iLiterals = fnBits(5) + 257, iDistances = fnBits(5) + 1, iCodes = fnBits(4) + 4,
+						aCodeLengths = fnFill(0, 19, 0), aLengths = [], oCodes, iSymbol, iRepeat, iValue, i;
+					
+					for (i = 0 ; i < iCodes ; ++i) aCodeLengths[CODE_LENGTHS_ORDER[i]] = fnBits(3);
+					oCodes = fnTable(aCodeLengths);
+					
+					while (aLengths.length < iLiterals + iDistances) {
+						
+						iSymbol = fnDecode(oCodes);
+						
+						if (iSymbol < 16) {
+							aLengths.push(iSymbol);
+							continue;
+						}
+						
+						if (iSymbol === 16) {
+							if (! aLengths.length) fnCorrupt('repeat with no previous length');
+							iValue = aLengths[aLengths.length - 1];
+							iRepeat = 3 + fnBits(2);
+						}
+						else {
+							iValue = 0;
+							iRepeat = iSymbol === 17 ? 3 + fnBits(3) : 11 + fnBits(7);
+						}
+						
+						while (iRepeat--) aLengths.push(iValue);
+					}
+					
+					if (aLengths.length > iLiterals + iDistances) fnCorrupt('too many code lengths');
+					
+					return [fnTable(aLengths.slice(0, iLiterals)), fnTable(aLengths.slice(iLiterals))];
+				};
+			
+			do {
+				
+				bFinal = fnBits(1);
+				iType = fnBits(2);
+				
+				if (iType === 0) {
+					
+					// stored block, aligned on bytes
+					iBitBuffer = iBitCount = 0;
+					if (iIn + 4 > aIn.length) fnCorrupt('unexpected end of data');
+					
+					iLength = aIn[iIn] | (aIn[iIn + 1] << 8);
+					if ((iLength ^ 0xFFFF) !== (aIn[iIn + 2] | (aIn[iIn + 3] << 8))) fnCorrupt('invalid stored block length');
+					if (iIn + 4 + iLength > aIn.length || iOut + iLength > iSize) fnCorrupt('invalid stored block length');
+					
+					aOut.set(aIn.subarray(iIn + 4, iIn + 4 + iLength), iOut);
+					iIn += 4 + iLength;
+					iOut += iLength;
+					continue;
+				}
+				
+				if (iType === 3) fnCorrupt('invalid block type');
+				
+				if (iType === 1) {
+					oLengths = fnTable(fnFill(0, 144, 8).concat(fnFill(144, 256, 9), fnFill(256, 280, 7), fnFill(280, 288, 8)));
+					oDistances = fnTable(fnFill(0, 30, 5));
+				}
+				else {
+					oDistances = fnDynamicTables();
+					oLengths = oDistances[0];
+					oDistances = oDistances[1];
+				}
+				
+				while ((iSymbol = fnDecode(oLengths)) !== 256) {
+					
+					if (iSymbol < 256) {
+						if (iOut >= iSize) fnCorrupt('data exceeds expected size');
+						aOut[iOut++] = iSymbol;
+						continue;
+					}
+					
+					iSymbol -= 257;
+					if (iSymbol >= LENGTH_BASE.length) fnCorrupt('invalid length code');
+					iLength = LENGTH_BASE[iSymbol] + fnBits(LENGTH_EXTRA[iSymbol]);
+					
+					iSymbol = fnDecode(oDistances);
+					if (iSymbol >= DISTANCE_BASE.length) fnCorrupt('invalid distance code');
+					iDistance = DISTANCE_BASE[iSymbol] + fnBits(DISTANCE_EXTRA[iSymbol]);
+					
+					if (iDistance > iOut) fnCorrupt('distance too far back');
+					if (iOut + iLength > iSize) fnCorrupt('data exceeds expected size');
+					
+					for (i = 0 ; i < iLength ; ++i, ++iOut) aOut[iOut] = aOut[iOut - iDistance];
+				}
+				
+			} while (! bFinal);
+			
+			if (iOut !== iSize) fnCorrupt('data shorter than expected size');
+			
+			return aOut;
+		}
+		
+		/*
+		 * Reads a Blob, resolves its content as an Uint8Array
+		 */
+		function fnReadBytes(oBlob) {
+			
+			var oDef = $.Deferred(), oReader = new FileReader();
+			
+			oReader.onload = function() { oDef.resolve(new Uint8Array(oReader.result)); };
+			oReader.onerror = function() { oDef.reject(IError.from(oReader.error, 'read')); };
+			oReader.readAsArrayBuffer(oBlob);
+			
+			return oDef;
+		}
+		
+		/*
+		 * Reads a Blob as text, UTF-8 by default
+		 */
+		function fnReadText(oBlob, sEncoding) {
+			
+			var oDef = $.Deferred(), oReader = new FileReader();
+			
+			oReader.onload = function() { oDef.resolve(oReader.result); };
+			oReader.onerror = function() { oDef.reject(IError.from(oReader.error, 'read')); };
+			oReader.readAsText(oBlob, sEncoding || 'utf-8');
+			
+			return oDef;
+		}
+		
+		/*
+		 * Reads a Blob one chunk at a time, calling fnChunk(aBytes) with each of them
+		 */
+		function fnEachChunk(oBlob, fnChunk) {
+			
+			var aChunks = [], i = 0;
+			
+			for ( ; i < oBlob.size ; i += ZIP_CHUNK_SIZE) aChunks.push(i);
+			
+			return fnSequence(aChunks, function(iStart) {
+				return fnReadBytes(oBlob.slice(iStart, iStart + ZIP_CHUNK_SIZE)).then(function(aBytes) { fnChunk(aBytes, iStart + aBytes.length); });
+			});
+		}
+		
+		/*
+		 * Encodes a string as UTF-8 bytes
+		 */
+		function fnUtf8Encode(sString) {
+			
+			var sBinary = unescape(encodeURIComponent(sString)), aBytes = new Uint8Array(sBinary.length), i = 0;
+			
+			for ( ; i < sBinary.length ; ++i) aBytes[i] = sBinary.charCodeAt(i);
+			
+			return aBytes;
+		}
+		
+		/*
+		 * Decodes UTF-8 bytes, falling back to Latin-1 for invalid sequences
+		 */
+		function fnUtf8Decode(aBytes) {
+			
+			var sBinary = '', i = 0;
+			
+			for ( ; i < aBytes.length ; ++i) sBinary += String.fromCharCode(aBytes[i]);
+			
+			try {
+				return decodeURIComponent(escape(sBinary));
+			}
+			catch (e) {
+				return sBinary;
+			}
+		}
+		
+		/*
+		 * Computes the content of an entry of a ZIP archive from oBlob, null for directories. 
+		 * Sets method, crc, size and compressedSize of oZipEntry and resolves the array of Blob parts of the data.
+		 */
+		function fnZipData(oBlob, oZipEntry, bCompress, fnProgress) {
+			
+			var fnDeflate = bCompress && oBlob && oBlob.size ? fnDeflater() : null,
+				aParts = [], iCrc = 0, iCompressed = 0;
+			
+			$.extend(oZipEntry, { method : 0, crc : 0, size : 0, compressedSize : 0 });
+			
+			if (! oBlob) return $.Deferred().resolve([]);
+			
+			return fnEachChunk(oBlob, function(aBytes, iEnd) {
+				
+				var aCompressed;
+				
+				iCrc = fnCrc32(aBytes, iCrc);
+				
+				if (fnDeflate) {
+					aCompressed = fnDeflate(aBytes, iEnd >= oBlob.size);
+					iCompressed += aCompressed.length;
+					aParts.push(new Blob([aCompressed]));
+				}
+				
+				fnProgress(aBytes.length);
+			})
+			.then(function() {
+				
+				var bDeflated = fnDeflate && iCompressed < oBlob.size;
+				
+				$.extend(oZipEntry, { 
+					method : bDeflated ? 8 : 0, 
+					crc : iCrc, 
+					size : oBlob.size, 
+					compressedSize : bDeflated ? iCompressed : oBlob.size 
+				});
+				
+				return bDeflated ? aParts : [oBlob];
+			});
+		}
+		
+		/*
+		 * Builds the local or central header of a ZIP archive entry, with an extended timestamp field holding the UTC modification time
+		 */
+		function fnZipHeader(oZipEntry, bCentral) {
+			
+			var aName = fnUtf8Encode(oZipEntry.name),
+				oDate = new Date(oZipEntry.modificationTime),
+				iYear = Math.max(oDate.getFullYear(), 1980),
+				iFixed = bCentral ? 46 : 30,
+				oView = new DataView(new ArrayBuffer(iFixed + aName.length + 9)),
+				i = bCentral ? 2 : 0;
+			
+			oView.setUint32(0, bCentral ? 0x02014B50 : 0x04034B50, true);
+			if (bCentral) oView.setUint16(4, 20, true);
+			oView.setUint16(i + 4, 20, true);
+			oView.setUint16(i + 6, 0x0800, true);
+			oView.setUint16(i + 8, oZipEntry.method, true);
+			oView.setUint16(i + 10, (oDate.getHours() << 11) | (oDate.getMinutes() << 5) | (oDate.getSeconds() >> 1), true);
+			oView.setUint16(i + 12, ((iYear - 1980) << 9) | ((oDate.getMonth() + 1) << 5) | oDate.getDate(), true);
+			oView.setUint32(i + 14, oZipEntry.crc, true);
+			oView.setUint32(i + 18, oZipEntry.compressedSize, true);
+			oView.setUint32(i + 22, oZipEntry.size, true);
+			oView.setUint16(i + 26, aName.length, true);
+			oView.setUint16(i + 28, 9, true);
+			
+			if (bCentral) {
+				oView.setUint32(38, /\/$/.test(oZipEntry.name) ? 0x10 : 0, true);
+				oView.setUint32(42, oZipEntry.offset, true);
+			}
+			
+			new Uint8Array(oView.buffer).set(aName, iFixed);
+			
+			i = iFixed + aName.length;
+			oView.setUint16(i, 0x5455, true);
+			oView.setUint16(i + 2, 5, true);
+			oView.setUint8(i + 4, 1);
+			oView.setUint32(i + 5, Math.floor(oZipEntry.modificationTime / 1000), true);
+			
+			return new Blob([oView.buffer]);
+		}
+		
+		/*
+		 * Builds the end of central directory record of a ZIP archive
+		 */
+		function fnZipEnd(iEntries, iSize, iOffset) {
+			
+			var oView = new DataView(new ArrayBuffer(22));
+			
+			oView.setUint32(0, 0x06054B50, true);
+			oView.setUint16(8, iEntries, true);
+			oView.setUint16(10, iEntries, true);
+			oView.setUint32(12, iSize, true);
+			oView.setUint32(16, iOffset, true);
+			
+			return new Blob([oView.buffer]);
+		}
+		
+		/*
+		 * Reads the central directory of a ZIP archive. Resolves an array of entries having name, method, flags, crc, 
+		 * size, compressedSize, offset and modificationTime properties.
+		 */
+		function fnZipDirectory(oBlob) {
+			
+			var iTail = Math.max(0, oBlob.size - 22 - 0xFFFF),
+				fnCorrupt = function(sReason) {
+					return $.Deferred().reject(new filesystem.EncodingError('importZip failed: ' + sReason, { operation : 'importZip' }));
+				};
+			
+			return fnReadBytes(oBlob.slice(iTail)).then(function(aTail) {
+				
+				var oView = new DataView(aTail.buffer), i = aTail.length - 22, iEntries, iStart;
+				
+				for ( ; i >= 0 && oView.getUint32(i, true) !== 0x06054B50 ; --i);
+				
+				if (i < 0) return fnCorrupt('not a ZIP archive');
+				
+				iEntries = oView.getUint16(i + 10, true);
+				iStart = oView.getUint32(i + 16, true);
+				
+				if (iEntries === ZIP_MAX_ENTRIES || iStart === ZIP_MAX_SIZE) return fnCorrupt('ZIP64 archives are not supported');
+				
+				return fnReadBytes(oBlob.slice(iStart, iStart + oView.getUint32(i + 12, true))).then(function(aCentral) {
+					
+					try {
+						return fnZipEntries(iEntries, aCentral);
+					}
+					catch (e) {
+						return fnCorrupt(e.message);
+					}
+				});
+			});
+		}
+		
+		/*
+		 * Parses the iEntries headers of a ZIP central directory. Throws an Error when they are corrupt.
+		 */
+		function fnZipEntries(iEntries, aCentral) {
+			
+			var oView = new DataView(aCentral.buffer), aEntries = [], i = 0, iPos = 0, iName, iExtra, iField, iEnd, oZipEntry, iTime, iDate;
+			
+			for ( ; i < iEntries ; ++i) {
+				
+				if (iPos + 46 > aCentral.length || oView.getUint32(iPos, true) !== 0x02014B50) throw new Error('corrupt central directory');
+				
+				iTime = oView.getUint16(iPos + 12, true);
+				iDate = oView.getUint16(iPos + 14, true);
+				iName = oView.getUint16(iPos + 28, true);
+				iExtra = oView.getUint16(iPos + 30, true);
+				
+				aEntries.push(oZipEntry = {
+					name : fnUtf8Decode(aCentral.subarray(iPos + 46, iPos + 46 + iName)),
+					flags : oView.getUint16(iPos + 8, true),
+					method : oView.getUint16(iPos + 10, true),
+					crc : oView.getUint32(iPos + 16, true),
+					compressedSize : oView.getUint32(iPos + 20, true),
+					size : oView.getUint32(iPos + 24, true),
+					offset : oView.getUint32(iPos + 42, true),
+					modificationTime : new Date((iDate >> 9) + 1980, ((iDate >> 5) & 0xF) - 1, iDate & 0x1F, 
+						iTime >> 11, (iTime >> 5) & 0x3F, (iTime & 0x1F) * 2).getTime()
+				});
+				
+				// prefers the UTC modification time of an extended timestamp field
+				for (iField = iPos + 46 + iName, iEnd = iField + iExtra ; iField + 4 <= iEnd ; iField += 4 + oView.getUint16(iField + 2, true)) {
+					if (oView.getUint16(iField, true) === 0x5455 && oView.getUint16(iField + 2, true) >= 5 && (aCentral[iField + 4] & 1))
+						oZipEntry.modificationTime = oView.getUint32(iField + 5, true) * 1000;
+				}
+				
+				iPos += 46 + iName + iExtra + oView.getUint16(iPos + 32, true);
+			}
+			
+			return aEntries;
+		}
+		
+		/*
+		 * Extracts the content of an entry of a ZIP archive, resolves it as a Blob once checked against its CRC-32
+		 */
+		function fnZipContent(oBlob, oZipEntry) {
+			
+			var fnCorrupt = function(sReason) {
+					return $.Deferred().reject(new filesystem.EncodingError('importZip on ' + oZipEntry.name + ' failed: ' + sReason, 
+						{ operation : 'importZip', path : oZipEntry.name }));
+				};
+			
+			if (oZipEntry.flags & 1) return fnCorrupt('encrypted entries are not supported');
+			if (oZipEntry.method !== 0 && oZipEntry.method !== 8) return fnCorrupt('compression method ' + oZipEntry.method + ' is not supported');
+			
+			return fnReadBytes(oBlob.slice(oZipEntry.offset, oZipEntry.offset + 30)).then(function(aHeader) {
+				
+				var oView = new DataView(aHeader.buffer), iStart, oData, iCrc = 0;
+				
+				if (aHeader.length < 30 || oView.getUint32(0, true) !== 0x04034B50) return fnCorrupt('invalid local header');
+				
+				iStart = oZipEntry.offset + 30 + oView.getUint16(26, true) + oView.getUint16(28, true);
+				oData = oBlob.slice(iStart, iStart + oZipEntry.compressedSize);
+				
+				// stored content is checked one chunk at a time and kept as a slice of the archive
+				return (oZipEntry.method === 0 
+					? fnEachChunk(oData, function(aBytes) { iCrc = fnCrc32(aBytes, iCrc); }).then(function() { return oData; })
+					: fnReadBytes(oData).then(function(aCompressed) {
+						
+						var aBytes;
+						
+						try {
+							aBytes = fnInflate(aCompressed, oZipEntry.size);
+						}
+						catch (e) {
+							return fnCorrupt(e.message);
+						}
+						
+						iCrc = fnCrc32(aBytes);
+						return new Blob([aBytes]);
+					})
+				)
+				.then(function(oContent) {
+					return iCrc === oZipEntry.crc && oContent.size === oZipEntry.size ? oContent : fnCorrupt('CRC-32 mismatch');
+				});
+			});
+		}
+		
+		
+		//=============================================================================
+		//=========================== jQuery plugins ==================================
+		//=============================================================================
+		
+		
+		/**
+		 * Plugins of jQuery objects, the file browser being provided by jquery.filesystem.browser.js
+		 * @namespace jQuery.fn
+		 */
+		
+		
+		/**
+		 * Turns the selected elements into importers of user supplied files and folders into a directory, 
+		 * see {@link jQuery.filesystem.DirectoryEntry#importFiles}.
+		 * <p><code>&lt;input type="file"&gt;</code> elements import their files when changed, possibly with the 
+		 * <code>webkitdirectory</code> attribute, while other elements become drop zones. The elements are triggered 
+		 * <code>filesystemimportstart</code>, <code>filesystemimportprogress</code>, <code>filesystemimportdone</code> and 
+		 * <code>filesystemimportfail</code> events, called with respectively the request object, the progress object, 
+		 * the imported {@link jQuery.filesystem.FileEntry[]} array and the error as extra parameter.</p>
+		 * <p>Calling <code>.filesystemImport('destroy')</code> detaches the importers.</p>
+		 * 
+		 * @function
+		 * @name jQuery.fn.filesystemImport
+		 * @param {jQuery.filesystem.DirectoryEntry} oTarget directory to import files into
+		 * @param {object} [oOptions] optional settings, extending {@link jQuery.fn.filesystemImport.defaults}
+		 * @param {string} [oOptions.conflict] behaviour when a file already exists, see {@link jQuery.filesystem.DirectoryEntry#importFiles}
+		 * @param {string} [oOptions.hoverClass] class set on drop zones while files are dragged over them
+		 * @return {jQuery} the jQuery object, for chaining
+		 */
+		$.fn.filesystemImport = function(oTarget, oOptions) {
+			
+			var oSettings = $.extend({}, $.fn.filesystemImport.defaults, oOptions);
+			
+			if (oTarget === 'destroy') {
+				return this.off('.filesystemImport').each(function() {
+					$(this).removeClass($(this).data('filesystemImport.hoverClass'));
+				}).removeData('filesystemImport.hoverClass');
+			}
+			
+			return this.each(function() {
+				
+				var $element = $(this),
+					fnImport = function(oSource) {
+						
+						var oRequest = oTarget.importFiles(oSource, oSettings);
+						
+						$element.trigger('filesystemimportstart', [oRequest]);
+						
+						oRequest
+							.progress(function(oProgress) { $element.trigger('filesystemimportprogress', [oProgress]); })
+							.done(function(aFiles) { $element.trigger('filesystemimportdone', [aFiles]); })
+							.fail(function(oError) { $element.trigger('filesystemimportfail', [oError]); });
+					};
+				
+				$element.off('.filesystemImport');
+				
+				if ($element.is('input[type=file]')) {
+					
+					$element.on('change.filesystemImport', function() {
+						
+						var aFiles = $.makeArray(this.files);
+						
+						// allows the same selection to be imported again
+						this.value = '';
+						
+						if (aFiles.length) fnImport(aFiles);
+					});
+					
+					return;
+				}
+				
+				$element
+					.data('filesystemImport.hoverClass', oSettings.hoverClass)
+					.on('dragenter.filesystemImport dragover.filesystemImport', function(oEvent) {
+						
+						oEvent.preventDefault();
+						if (oEvent.originalEvent.dataTransfer) oEvent.originalEvent.dataTransfer.dropEffect = 'copy';
+						$element.addClass(oSettings.hoverClass);
+					})
+					.on('dragleave.filesystemImport', function(oEvent) {
+						
+						// ignores leaving to a child of the drop zone
+						if (! $.contains(this, oEvent.originalEvent.relatedTarget)) $element.removeClass(oSettings.hoverClass);
+					})
+					.on('drop.filesystemImport', function(oEvent) {
+						
+						oEvent.preventDefault();
+						$element.removeClass(oSettings.hoverClass);
+						fnImport(oEvent.originalEvent.dataTransfer);
+					});
+			});
+		};
+		
+		
+		/**
+		 * Default settings of {@link jQuery.fn.filesystemImport}
+		 * 
+		 * @name jQuery.fn.filesystemImport.defaults
+		 */
+		$.fn.filesystemImport.defaults = {
+			conflict : 'overwrite',
+			hoverClass : 'filesystem-import-over'
+		};
+		
+		//=================================================================================================================
+		
+		
+		/**
+		 * Displays a stored file in matched elements, setting the <code>href</code> attribute of links and the 
+		 * <code>src</code> attribute of other elements such as <code>img</code>, <code>video</code> and <code>audio</code>.
+		 * <p>The URL comes from {@link jQuery.filesystem.FileEntry#toObjectURL}. Object URLs are revoked when the element 
+		 * is bound to another file, unbound by passing <code>null</code>, or removed through jQuery.</p>
+		 * <p>Elements trigger an <code>fssrcready</code> event with the URL once it is set, or an <code>fssrcfail</code> 
+		 * event with a {@link jQuery.filesystem.Error}.</p>
+		 * 
+		 * @function
+		 * @name jQuery.fn.fsSrc
+		 * @param {jQuery.filesystem.FileEntry|string|null} oFile file to display, or its path in oFileSystem, or null to unbind
+		 * @param {jQuery.filesystem.FileSystem} [oFileSystem] filesystem in which paths are resolved from root
+		 * @return {jQuery} the jQuery object, for chaining
+		 */
+		$.fn.fsSrc = function(oFile, oFileSystem) {
+			
+			return this.each(function() {
+				
+				var $element = $(this),
+					sAttribute = $element.is('a, area, link') ? 'href' : 'src',
+					oToken = {};
+				
+				// revokes the URL of the previous binding, see jQuery.event.special.fssrcrevoke
+				$element.off('fssrcrevoke').removeData('fsSrc');
+				
+				if (! oFile) {
+					$element.removeAttr(sAttribute);
+					return;
+				}
+				
+				$element.data('fsSrc', oToken);
+				
+				(typeof oFile === 'string' ? oFileSystem.root.getFile(oFile) : $.Deferred().resolve(oFile))
+					.then(function(oEntry) {
+						return oEntry.toObjectURL();
+					})
+					.done(function(sUrl) {
+						
+						// the element was rebound or removed meanwhile
+						if ($element.data('fsSrc') !== oToken) return filesystem.revokeObjectURL(sUrl);
+						
+						$element
+							.on('fssrcrevoke', null, sUrl, $.noop)
+							.attr(sAttribute, sUrl)
+							.trigger('fssrcready', [sUrl]);
+					})
+					.fail(function(oError) {
+						if ($element.data('fsSrc') === oToken) $element.trigger('fssrcfail', [oError]);
+					});
+			});
+		};
+		
+		/*
+		 * Revokes the object URL bound by jQuery.fn.fsSrc() when its handler is removed, 
+		 * which jQuery also does when it removes the element
+		 */
+		$.event.special.fssrcrevoke = {
+			
+			remove : function(oHandleObj) {
+				filesystem.revokeObjectURL(oHandleObj.data);
+			}
+		};
+		
+		
+		//=============================================================================
+		//=========================== Helpers =========================================
+		//=============================================================================
+		
+		
+		/*
+		 * key of the record holding granted quota in emulated filesystem stores, out of the path space
+		 */
+		var QUOTA_KEY = ':quota';
+		
+		/*
+		 * name of the subdirectory holding the state and journal of DirectoryEntry#sync()
+		 */
+		var SYNC_DIRECTORY = '.sync';
+		aReservedNames.push(SYNC_DIRECTORY);
+		
+		/*
+		 * default size of chunks read by FileEntry#readChunks() and FileEntry#readLines()
+		 */
+		var STREAM_CHUNK_SIZE = 1024 * 1024;
+		
+		/*
+		 * jQuery.ajax() settings receiving a response body as a Blob, typed after its Content-Type header
+		 */
+		var BLOB_AJAX = { dataType : 'binary', xhrFields : { responseType : 'blob' } };
+		
+		/*
+		 * legacy FileError codes, indexed by DOMException name
+		 */
+		var FILE_ERROR_CODES = {
+			NotFoundError : 1, SecurityError : 2, AbortError : 3, NotReadableError : 4, EncodingError : 5, NoModificationAllowedError : 6,
+			InvalidStateError : 7, SyntaxError : 8, InvalidModificationError : 9, QuotaExceededError : 10, TypeMismatchError : 11, PathExistsError : 12
+		};
+		
+		/*
+		 * legacy FileError names, indexed by code
+		 */
+		var FILE_ERROR_NAMES = {};
+		$.each(FILE_ERROR_CODES, function(sName, iCode) { FILE_ERROR_NAMES[iCode] = sName; });
+		
+		/*
+		 * jQuery.filesystem.Error subclasses, indexed by native error name
+		 */
+		var ERROR_CLASSES = {
+			NotFoundError : 'NotFoundError',
+			PathExistsError : 'AlreadyExistsError',
+			QuotaExceededError : 'QuotaExceededError',
+			InvalidModificationError : 'InvalidModificationError',
+			NoModificationAllowedError : 'InvalidModificationError',
+			SecurityError : 'SecurityError',
+			TypeMismatchError : 'TypeMismatchError',
+			InvalidStateError : 'InvalidStateError',
+			AbortError : 'AbortError',
+			EncodingError : 'EncodingError',
+			NetworkError : 'NetworkError',
+			IntegrityError : 'IntegrityError',
+			TimeoutError : 'TimeoutError'
+		};
+		
+		/*
+		 * Declares a jQuery.filesystem.Error subclass
+		 */
+		function fnDefineError(sName, sCode) {
+			
+			var FSError = filesystem[sName] = function(sMessage, oDetails) {
+				filesystem.Error.apply(this, arguments);
+			};
+			
+			FSError.prototype = Object.create(filesystem.Error.prototype);
+			FSError.prototype.constructor = FSError;
+			FSError.prototype.name = sName;
+			FSError.prototype.code = sCode;
+			
+			return FSError;
+		}
+		
+		/*
+		 * Builds an error shaped like the ones raised by native FileSystem API
+		 */
+		function fnFileError(sName, sMessage) {
+			
+			var oError = new Error(sMessage || sName);
+			
+			oError.name = sName;
+			oError.code = FILE_ERROR_CODES[sName] || 0;
+			
+			return oError;
+		}
+		
+		/*
+		 * Asynchronously invokes an error callback with a new error, as native API never fails synchronously
+		 */
+		function fnFail(fnError, sName, sMessage) {
+			
+			var oError = fnFileError(sName, sMessage);
+			setTimeout(function() { fnCallback(fnError, oError); }, 0);
+		}
+		
+		/*
+		 * Returns a request object resolved asynchronously with given value
+		 */
+		function fnLater(oValue) {
+			
+			var oDef = $.Deferred();
+			setTimeout(function() { oDef.resolve(oValue); }, 0);
+			
+			return oDef;
+		}
+		
+		/*
+		 * Tells whether an error reports a missing entry
+		 */
+		function fnIsNotFound(oError) {
+			
+			return !! oError && (oError.name === 'NotFoundError' || oError.code === FILE_ERROR_CODES.NotFoundError);
+		}
+		
+		/*
+		 * Tells whether an error reports an entry of unexpected kind
+		 */
+		function fnIsTypeMismatch(oError) {
+			
+			return !! oError && (oError.name === 'TypeMismatchError' || oError.code === FILE_ERROR_CODES.TypeMismatchError);
+		}
+		
+		/*
+		 * Invokes an optional callback
+		 */
+		function fnCallback(fn, oArg) {
+			
+			if (fn) fn(oArg);
+		}
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Starts all pending operations allowed to run. Operations completing synchronously 
+		 * call back this function, so a new pass is then performed instead of a nested one.
+		 */
+		function fnPumpTasks() {
+			
+			var aBlocked, oTask, bFull, i;
+			
+			if (bPumping) return (bPumpAgain = true);
+			bPumping = true;
+			
+			do {
+				bPumpAgain = false;
+				aBlocked = [];
+				
+				for (i = 0 ; i < aPendingTasks.length ; ) {
+					
+					oTask = aPendingTasks[i];
+					bFull = ! oTask.nested && iRunningTasks >= filesystem.concurrency;
+					
+					// only nested operations may still start
+					if (bFull && ! iPendingNested) break;
+					
+					if (bFull || fnConflicts(oTask, aRunningTasks) || fnConflicts(oTask, aBlocked)) {
+						// keep submission order of conflicting operations
+						aBlocked.push(oTask);
+						++i;
+					} else {
+						aPendingTasks.splice(i, 1);
+						if (oTask.nested) --iPendingNested;
+						fnRunTask(oTask);
+					}
+				}
+			} while (bPumpAgain);
+			
+			bPumping = false;
+		}
+		
+		/*
+		 * Runs a scheduled operation, then releases its slot
+		 */
+		function fnRunTask(oTask) {
+			
+			var oResult;
+			
+			aRunningTasks.push(oTask);
+			if (! oTask.nested) ++iRunningTasks;
+			
+			try {
+				oResult = oTask.operation();
+			} catch (e) {
+				oResult = $.Deferred().reject(e);
+			}
+			
+			$.when(oResult)
+				.always(function() {
+					if (! oTask.nested) --iRunningTasks;
+					aRunningTasks.splice($.inArray(oTask, aRunningTasks), 1);
+					fnPumpTasks();
+				})
+				.progress(oTask.request.notify)
+				.done(oTask.request.resolve)
+				.fail(oTask.request.reject);
+		}
+		
+		/*
+		 * Whether scheduled operation oTask conflicts with one of aTasks, see filesystem._schedule(). 
+		 * Serialized operations only conflict with each other, on the same key.
+		 */
+		function fnConflicts(oTask, aTasks) {
+			
+			var i, j, k, oLock, oOther;
+			
+			for (i = 0 ; i < aTasks.length ; ++i) {
+				
+				if (!! oTask.serial !== !! aTasks[i].serial) continue;
+				
+				for (j = 0 ; j < oTask.locks.length ; ++j) {
+					for (k = 0 ; k < aTasks[i].locks.length ; ++k) {
+						
+						oLock = oTask.locks[j];
+						oOther = aTasks[i].locks[k];
+						
+						if (oLock.key === oOther.key ? oLock.exclusive || oOther.exclusive : ! oTask.serial && (
+								(oLock.exclusive && fnIsBelow(oOther.key, oLock.key)) || (oOther.exclusive && fnIsBelow(oLock.key, oOther.key)))) return true;
+					}
+				}
+			}
+			
+			return false;
+		}
+		
+		/*
+		 * Whether lock key sKey is that of a path below the path of lock key sAncestor
+		 */
+		function fnIsBelow(sKey, sAncestor) {
+			
+			return sKey.indexOf(/\/$/.test(sAncestor) ? sAncestor : sAncestor + '/') === 0;
+		}
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Converts data accepted by write helpers into a Blob
+		 */
+		function fnToBlob(oData, sType) {
+			
+			if (oData instanceof Blob) return sType && sType !== oData.type ? oData.slice(0, oData.size, sType) : oData;
+			
+			return new Blob([oData === undefined || oData === null ? '' : oData], { type : sType || '' });
+		}
+		
+		/*
+		 * Runs a FileWriter method, returning a request object resolved on 'writeend' and notified of progress
+		 */
+		function fnWriterRequest(oWriter, sMethod, oArg) {
+			
+			var oDef = $.Deferred();
+			
+			oWriter.onprogress = function(oEvent) { oDef.notify(oEvent.loaded, oEvent.total); };
+			oWriter.onwriteend = function() {
+				if (oWriter.error) oDef.reject(oWriter.error);
+				else oDef.resolve();
+			};
+			
+			oWriter[sMethod](oArg);
+			
+			return oDef;
+		}
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Translates a glob pattern into a regular expression matching whole relative paths
+		 */
+		function fnGlobToRegExp(sPattern) {
+			
+			var sRegExp = '', iBraces = 0, i = 0, len = sPattern.length, c, j;
+			
+			for ( ; i < len ; ++i) {
+				
+				c = sPattern.charAt(i);
+				
+				if (c === '*' && sPattern.charAt(i + 1) === '*') {
+					// globstar : any number of directories
+					if (sPattern.charAt(i + 2) === '/') { sRegExp += '(?:.*/)?'; i += 2; }
+					else { sRegExp += '.*'; ++i; }
+				}
+				else if (c === '*') sRegExp += '[^/]*';
+				else if (c === '?') sRegExp += '[^/]';
+				else if (c === '[' && (j = sPattern.indexOf(']', i + 2)) !== -1) {
+					sRegExp += '[' + sPattern.substring(i + 1, j).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+					i = j;
+				}
+				else if (c === '{') { sRegExp += '(?:'; ++iBraces; }
+				else if (c === '}' && iBraces) { sRegExp += ')'; --iBraces; }
+				else if (c === ',' && iBraces) sRegExp += '|';
+				else sRegExp += c.replace(/[\\^$.*+?()[\]{}|\/]/, '\\$&');
+			}
+			
+			return new RegExp('^' + sRegExp + '$');
+		}
+		
+		/*
+		 * Applies a conflict policy to destination sName in oParent, for an operation on sPath. 
+		 * Resolves (sName, oSkipped), sName being the name to use and oSkipped the existing entry to resolve instead, if any.
+		 */
+		function fnResolveConflict(sOperation, sPath, oParent, sName, sConflict) {
+			
+			var oFS = oParent.fileSystem,
+				sTarget = fnResolvePath(oParent.fullPath, sName),
+				
+				// looks for a free name, trying "name (1).ext", "name (2).ext" and so on
+				fnFreeName = function(i) {
+					
+					var sExt = filesystem.path.extname(sName),
+						sCandidate = sName.substr(0, sName.length - sExt.length) + ' (' + i + ')' + sExt;
+					
+					return oFS.exists(fnResolvePath(oParent.fullPath, sCandidate)).then(function(bExists) {
+						return bExists ? fnFreeName(i + 1) : sCandidate;
+					});
+				};
+			
+			if (! sConflict) return $.Deferred().resolve(sName);
+			
+			return oFS.getEntry(sTarget).then(
+				function(oExisting) {
+					
+					switch (sConflict) {
+						case 'skip' :
+							return $.Deferred().resolve(sName, oExisting);
+						case 'rename' :
+							return fnFreeName(1);
+						case 'overwrite' :
+							return (oExisting.isDirectory ? oExisting.removeRecursively() : oExisting.remove()).then(function() { return sName; });
+					}
+					
+					return $.Deferred().reject(new filesystem.AlreadyExistsError(sOperation + ' on ' + sPath + ' to ' + sTarget + ' failed: destination exists', 
+						{ operation : sOperation, path : sPath, targetPath : sTarget }));
+				},
+				function(oError) {
+					return fnIsNotFound(oError) ? $.Deferred().resolve(sName) : $.Deferred().reject(oError);
+				});
+		}
+		
+		/*
+		 * Lists the files and folders to import from a DataTransfer, a FileList or an array of File, parents first. 
+		 * Resolves an array of { path, file } and { path, isDirectory } items, paths being relative.
+		 */
+		function fnImportItems(oSource) {
+			
+			var aItems = [], aEntries,
+				
+				// walks a native entry dropped from the host filesystem
+				fnReadEntry = function(oEntry, sPath) {
+					
+					var oDef = $.Deferred(), oReader, aChildren = [],
+						fnReject = function(oError) { oDef.reject(IError.from(oError, 'importFiles', sPath)); },
+						fnReadBlock = function() {
+							oReader.readEntries(function(aBlock) {
+								
+								if (aBlock.length) {
+									aChildren.push.apply(aChildren, aBlock);
+									return fnReadBlock();
+								}
+								
+								fnSequence(aChildren, function(oChild) { return fnReadEntry(oChild, sPath + '/' + oChild.name); })
+									.done(oDef.resolve)
+									.fail(oDef.reject);
+							}, fnReject);
+						};
+					
+					if (oEntry.isFile) {
+						oEntry.file(function(oFile) {
+							aItems.push({ path : sPath, size : oFile.size, file : oFile });
+							oDef.resolve();
+						}, fnReject);
+					}
+					else {
+						aItems.push({ path : sPath, isDirectory : true });
+						oReader = oEntry.createReader();
+						fnReadBlock();
+					}
+					
+					return oDef;
+				};
+			
+			if (oSource.items && oSource.items.length && oSource.items[0].webkitGetAsEntry) {
+				
+				// entries must be obtained while the drop event is being dispatched
+				aEntries = $.grep($.map(oSource.items, function(oItem) {
+					return oItem.kind === 'file' ? oItem.webkitGetAsEntry() : null;
+				}), Boolean);
+				
+				return fnSequence(aEntries, function(oEntry) { return fnReadEntry(oEntry, oEntry.name); }).then(function() { return aItems; });
+			}
+			
+			return $.Deferred().resolve(fnWithParents($.map($.makeArray(oSource.files || oSource), function(oFile) {
+				return { path : oFile.webkitRelativePath || oFile.name, size : oFile.size, file : oFile };
+			})));
+		}
+		
+		/*
+		 * Orders items to import parents first, adding the directory items missing from aItems
+		 */
+		function fnWithParents(aItems) {
+			
+			var aResult = [], oDirs = {};
+			
+			$.each(aItems, function(i, oItem) {
+				
+				var aSegments = oItem.path.split('/'),
+					j = 1, len = aSegments.length, sDir;
+				
+				for ( ; j < len ; ++j) {
+					sDir = aSegments.slice(0, j).join('/');
+					if (oDirs[sDir]) continue;
+					aResult.push(oDirs[sDir] = { path : sDir, isDirectory : true });
+				}
+				
+				if (! oItem.isDirectory) return aResult.push(oItem);
+				
+				if (oDirs[oItem.path]) $.extend(oDirs[oItem.path], oItem);
+				else aResult.push(oDirs[oItem.path] = oItem);
+			});
+			
+			return aResult;
+		}
+		
+		/*
+		 * Calls fnTask on each item of aItems in turn, waiting for the request object it returns. 
+		 * The returned request object is resolved once all tasks are done, rejected at the first failing one.
+		 */
+		function fnSequence(aItems, fnTask) {
+			
+			var oDef = $.Deferred(), i = 0,
+				fnNext = function() {
+					if (i === aItems.length) return oDef.resolve();
+					fnTask(aItems[i++]).done(fnNext).fail(oDef.reject);
+				};
+			
+			fnNext();
+			
+			return oDef;
+		}
+		
+		/*
+		 * Sets the modification time of an entry where the backend allows it, does nothing otherwise
+		 */
+		function fnSetModificationTime(oEntry, iTime) {
+			
+			var oDef = $.Deferred();
+			
+			if (! oEntry._entry._setModificationTime) return oDef.resolve();
+			
+			oEntry._entry._setModificationTime(iTime, oDef.resolve, filesystem._fnErrorCallback(oDef, 'setModificationTime', oEntry.fullPath));
+			
+			return oDef;
+		}
+		
+		/*
+		 * Tells whether a path belongs to the files of the plugin itself : under a directory of aReservedPaths, 
+		 * or named after one of aReservedNames
+		 */
+		function fnIsReservedPath(sPath) {
+			
+			var aNames = sPath.split('/');
+			
+			return $.grep(aReservedPaths, function(sReserved) {
+				return sPath === sReserved || sPath.indexOf(sReserved + '/') === 0;
+			}).length > 0 || $.grep(aNames, function(sName) {
+				return $.inArray(sName, aReservedNames) !== -1;
+			}).length > 0;
+		}
+		
+		/*
+		 * Runs fnOperation once the previous operation queued on sKey is complete, through the queue of filesystem._schedule(). 
+		 * Serialized operations run scheduled operations in turn : they are left out of the concurrency limit and of path locks.
+		 * fnOperation returns a request object, which the returned request object mirrors. 
+		 * Operations also given sSharedKey run along each other, but not along an operation queued on sSharedKey itself.
+		 */
+		function fnSerialize(sKey, fnOperation, sSharedKey) {
+			
+			var oDef = $.Deferred(), aLocks = [{ key : sKey, exclusive : true }];
+			
+			if (sSharedKey) aLocks.push({ key : sSharedKey, exclusive : false });
+			
+			aPendingTasks.push({ locks : aLocks, serial : true, operation : fnOperation, request : oDef, nested : true });
+			++iPendingNested;
+			fnPumpTasks();
+			
+			return oDef;
+		}
+		
+		/*
+		 * Notifies oDef of a chunk of a stream with oInfo, to which wait() and stop() methods are added. 
+		 * Returns whether reading goes on, or a request object resolved with it once the requests passed to wait() are resolved.
+		 */
+		function fnNotifyStream(oDef, oValue, oInfo) {
+			
+			var aWaits = [], bStop = false;
+			
+			oDef.notify(oValue, $.extend(oInfo, {
+				wait : function(oRequest) { aWaits.push(oRequest); },
+				stop : function() { bStop = true; }
+			}));
+			
+			if (! aWaits.length) return ! bStop;
+			
+			return $.when.apply($, aWaits).then(function() { return ! bStop; });
+		}
+		
+		/*
+		 * Encodes the segments of a path for use in a URL
+		 */
+		function fnEncodePath(sPath) {
+			
+			return $.map(sPath.split('/'), encodeURIComponent).join('/');
+		}
+		
+		/*
+		 * Resolves a URL from the location of the document
+		 */
+		function fnAbsoluteURL(sUrl) {
+			
+			var oLink = document.createElement('a');
+			
+			oLink.href = sUrl;
+			
+			return oLink.href;
+		}
+		
+		/*
+		 * Hashes a string into 16 hex digits, from its CRC-32 and FNV-1a hash
+		 */
+		function fnHash(sString) {
+			
+			var aBytes = fnUtf8Encode(sString), iFnv = 0x811C9DC5, i = 0;
+			
+			// multiplies by the FNV prime 0x01000193 with shifts, keeping 32 bits
+			for ( ; i < aBytes.length ; ++i) {
+				iFnv ^= aBytes[i];
+				iFnv = (iFnv + (iFnv << 1) + (iFnv << 4) + (iFnv << 7) + (iFnv << 8) + (iFnv << 24)) | 0;
+			}
+			
+			return ('0000000' + fnCrc32(aBytes).toString(16)).slice(-8) + ('0000000' + (iFnv >>> 0).toString(16)).slice(-8);
+		}
+		
+		/*
+		 * Extension of the file named by a URL, with its dot, lower-cased. Empty if it has none.
+		 */
+		function fnExtension(sUrl) {
+			
+			var aMatch = /\.([a-z0-9]{1,8})$/i.exec(sUrl.replace(/[?#].*$/, ''));
+			
+			return aMatch ? '.' + aMatch[1].toLowerCase() : '';
+		}
+		
+		/*
+		 * Versioning settings of filesystem oFS, see jQuery.filesystem.versioning
+		 */
+		function fnVersioning(oFS) {
+			
+			return oFS.versioning === undefined ? filesystem.versioning : oFS.versioning;
+		}
+		
+		/*
+		 * Selects the oldest versions or snapshots to drop for the others to meet the limits of versioning settings, 
+		 * the latest being always kept
+		 */
+		function fnRetention(aVersions, oSettings, iNow) {
+			
+			var iBytes = 0, i = 0, len = aVersions.length;
+			
+			for ( ; i < len ; ++i) iBytes += aVersions[i].size;
+			
+			for (i = 0 ; i < len - 1 ; ++i) {
+				
+				if (! ((oSettings.maxVersions && len - i > oSettings.maxVersions) || 
+						(oSettings.maxAge && iNow - aVersions[i].time > oSettings.maxAge) || 
+						(oSettings.maxBytes && iBytes > oSettings.maxBytes))) break;
+				
+				iBytes -= aVersions[i].size;
+			}
+			
+			return aVersions.slice(0, i);
+		}
+		
+		/*
+		 * Generates a document _id, roughly ordered by creation time
+		 */
+		function fnNewId() {
+			
+			return $.now().toString(36) + '-' + Math.random().toString(36).substr(2, 8);
+		}
+		
+		/*
+		 * Reads a field of an object given its dotted path, e.g. 'author.name'
+		 */
+		function fnGetField(oObject, sPath) {
+			
+			var aSegments = sPath.split('.'), i = 0, len = aSegments.length;
+			
+			for ( ; i < len && oObject !== undefined && oObject !== null ; ++i) oObject = oObject[aSegments[i]];
+			
+			return i === len ? oObject : undefined;
+		}
+		
+		/*
+		 * Key of a value in indexes, undefined values not being indexed
+		 */
+		function fnIndexKey(oValue) {
+			
+			return oValue === undefined ? undefined : JSON.stringify(oValue);
+		}
+		
+		/*
+		 * Counts the entries and file bytes of an entry and its descendants. Resolves (iEntries, iBytes).
+		 */
+		function fnMeasure(oEntry) {
+			
+			return (oEntry.isDirectory ? oEntry.walk() : $.Deferred().resolve([])).then(function(aDescendants) {
+				
+				var aFiles = $.grep([oEntry].concat(aDescendants), function(oE) { return oE.isFile; });
+				
+				return $.when.apply($, $.map(aFiles, function(oFile) { return oFile.getMetaData(); })).then(function() {
+					
+					var iBytes = 0, i = 0, len = aFiles.length;
+					
+					for ( ; i < len ; ++i) iBytes += arguments[i].size;
+					
+					return $.Deferred().resolve(aDescendants.length + 1, iBytes);
+				});
+			});
+		}
+		
+		/*
+		 * Creates the node describing an entry in DirectoryEntry#tree()
+		 */
+		function fnTreeNode(oEntry) {
+			
+			var oNode = { name : oEntry.name, fullPath : oEntry.fullPath, isFile : oEntry.isFile, isDirectory : oEntry.isDirectory };
+			if (oEntry.isDirectory) oNode.children = [];
+			
+			return oNode;
+		}
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Resolves a path, possibly relative to sBase, into a normalized absolute path
+		 */
+		function fnResolvePath(sBase, sPath) {
+			
+			var aParts = (sPath.charAt(0) === '/' ? sPath : sBase + '/' + sPath).split('/'),
+				aResult = [],
+				i = 0, len = aParts.length;
+			
+			for ( ; i < len ; ++i) {
+				if (! aParts[i] || aParts[i] === '.') continue;
+				if (aParts[i] === '..') aResult.pop();
+				else aResult.push(aParts[i]);
+			}
+			
+			return '/' + aResult.join('/');
+		}
+		
+		function fnDirname(sPath) {
+			
+			var i = sPath.lastIndexOf('/');
+			return i <= 0 ? '/' : sPath.substr(0, i);
+		}
+		
+		function fnBasename(sPath) {
+			
+			return sPath.substr(sPath.lastIndexOf('/') + 1);
+		}
+		
+		//=================================================================================================================
+		
+		
+		/*
+		 * Creates a new empty record for an emulated filesystem
+		 */
+		function fnRecord(sPath, bDirectory) {
+			
+			return {
+				fullPath : sPath,
+				parent : sPath === '/' ? null : fnDirname(sPath),
+				name : fnBasename(sPath),
+				isDirectory : bDirectory,
+				modificationTime : $.now(),
+				size : 0,
+				type : '',
+				content : null
+			};
+		}
+		
+		/*
+		 * Returns a copy of given record with an updated modification time
+		 */
+		function fnTouch(oRec) {
+			
+			return $.extend({}, oRec, { modificationTime : $.now() });
+		}
+		
+		/*
+		 * Builds the File object representing the content of a record
+		 */
+		function fnMakeFile(oRec) {
+			
+			var oContent = oRec.content || new Blob([], { type : oRec.type || '' }), oFile;
+			
+			try {
+				return new File([oContent], oRec.name, { type : oRec.type || '', lastModified : oRec.modificationTime });
+			} catch (e) {
+				// File constructor not available
+				oFile = oContent.slice(0, oContent.size, oRec.type || '');
+				oFile.name = oRec.name;
+				oFile.lastModifiedDate = new Date(oRec.modificationTime);
+				return oFile;
+			}
+		}
+		
+		//=================================================================================================================
+		
+		
+		function fnIndexedDB() {
+			
+			return window.indexedDB || window.webkitIndexedDB || window.mozIndexedDB || window.msIndexedDB;
+		}
+		
+		function fnOrigin() {
+			
+			return window.location.origin || (window.location.protocol + '//' + window.location.host);
+		}
+		
+		/*
+		 * Returns the native quota management object for a filesystem type, in browsers providing it
+		 */
+		function fnNativeStorage(eType) {
+			
+			return window.navigator[eType === filesystem.PERSISTENT ? 'webkitPersistentStorage' : 'webkitTemporaryStorage'];
+		}
+		
+		/*
+		 * Returns a request object containing the storage quota estimated by the browser for the whole origin
+		 */
+		function fnStorageEstimate() {
+			
+			var oDef = $.Deferred(), oStorage = window.navigator.storage;
+			
+			if (oStorage && oStorage.estimate) oStorage.estimate().then(function(oEstimate) { oDef.resolve(oEstimate.quota); }, function() { oDef.resolve(Infinity); });
+			else oDef.resolve(Infinity);
+			
+			return oDef;
+		}
+		
+		/*
+		 * Filesystem name prefix, built the same way as Chrome's ('http_localhost_8080')
+		 */
+		function fnOriginName() {
+			
+			return window.location.protocol.replace(':', '') + '_' + window.location.hostname + '_' + (window.location.port || 0);
+		}
 		
 		
 		
 	})(jQuery)
-});
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	env = require('./env');
+
+var KEYS = { backspace : 8, enter : 13, end : 35, left : 37, right : 39, down : 40, del : 46 };
+
+function delay(iMillis) {
+	return new Promise(function(fnResolve) { setTimeout(fnResolve, iMillis || 60); });
+}
+
+/*
+ * Opens a memory filesystem with a few entries, and a file browser on its root logging its events
+ */
+async function open() {
+	var o = await env.open(),
+		$ = o.$;
+	await o.fs.mkdirp('/docs/sub');
+	await o.fs.mkdirp('/pics');
+	await o.fs.writeFile('/docs/a.txt', 'hello');
+	await o.fs.writeFile('/b.txt', new Array(3000).join('x'));
+	await o.fs.writeFile('/.hidden', 'h');
+	
+	o.events = [];
+	o.$browser = $('<div/>').appendTo(o.window.document.body)
+		.on('filebrowserselect filebrowseropen filebrowsernavigate filebrowserfail', function(oEvent, oValue) {
+			o.events.push(oEvent.type.substr(11) + ' ' + (oValue ? oValue.fullPath || oValue.name : null));
+		})
+		.fileBrowser({ root : o.fs.root, trash : true, confirm : function() { return true; } });
+	
+	o.items = function() {
+		return Array.from(o.$browser.find('.filesystem-browser-list .filesystem-browser-item').map(function() { return $(this).text(); }));
+	};
+	o.tree = function() {
+		return Array.from(o.$browser.find('.filesystem-browser-tree li').map(function() {
+			return $(this).data('entry').fullPath + ($(this).hasClass('filesystem-browser-current') ? '*' : '');
+		}));
+	};
+	o.details = function() {
+		return Array.from(o.$browser.find('.filesystem-browser-details dd').map(function() { return $(this).text(); }));
+	};
+	o.item = function(sName) {
+		return o.$browser.find('.filesystem-browser-item').filter(function() { return $(this).text() === sName; });
+	};
+	o.key = function(sPart, sKey) {
+		o.$browser.find('.filesystem-browser-' + sPart).trigger($.Event('keydown', { which : KEYS[sKey], keyCode : KEYS[sKey] }));
+		return delay();
+	};
+	
+	await delay();
+	return o;
+}
+
+test.describe('jQuery.fn.fileBrowser()', function() {
+	
+	test.it('shows the content of the root, hidden files and files of the plugin aside', async function() {
+		var o = await open();
+		await o.fs.rm('/b.txt', { trash : true });
+		await delay();
+		assert.deepStrictEqual(o.items(), [ 'docs', 'pics' ]);
+		assert.deepStrictEqual(o.tree(), [ '/*' ]);
+		assert.deepStrictEqual(o.details().slice(0, 3), [ '/', '/', 'Folder' ]);
+		assert.deepStrictEqual(o.events, [ 'navigate /' ]);
+		o.window.close();
+	});
+	
+	test.it('selects, opens and leaves entries with the keyboard', async function() {
+		var o = await open();
+		await o.key('list', 'down');
+		assert.strictEqual(o.$browser.fileBrowser('selected').fullPath, '/docs');
+		await o.key('list', 'end');
+		assert.strictEqual(o.$browser.fileBrowser('selected').fullPath, '/b.txt');
+		assert.deepStrictEqual(o.details().slice(0, 4), [ 'b.txt', '/b.txt', 'File', '2.9 KB' ]);
+		await o.key('list', 'enter');
+		
+		o.item('docs').click();
+		await o.key('list', 'enter');
+		assert.deepStrictEqual(o.items(), [ 'sub', 'a.txt' ]);
+		assert.deepStrictEqual(o.tree(), [ '/', '/docs*', '/pics' ]);
+		await o.key('list', 'backspace');
+		assert.deepStrictEqual(o.items(), [ 'docs', 'pics', 'b.txt' ]);
+		assert.strictEqual(o.$browser.fileBrowser('selected').fullPath, '/docs');
+		assert.deepStrictEqual(o.events, [
+			'navigate /', 'select /docs', 'select /b.txt', 'open /b.txt', 'select /docs', 'navigate /docs', 'select null', 'navigate /', 'select /docs'
+		]);
+		o.window.close();
+	});
+	
+	test.it('expands and collapses the tree', async function() {
+		var o = await open();
+		await o.key('tree', 'right');
+		assert.deepStrictEqual(o.tree(), [ '/*', '/docs', '/pics' ]);
+		await o.key('tree', 'down');
+		assert.deepStrictEqual(o.tree(), [ '/', '/docs*', '/pics' ]);
+		assert.deepStrictEqual(o.items(), [ 'sub', 'a.txt' ]);
+		await o.key('tree', 'right');
+		assert.deepStrictEqual(o.tree(), [ '/', '/docs*', '/docs/sub', '/pics' ]);
+		await o.key('tree', 'right');
+		assert.deepStrictEqual(o.tree(), [ '/', '/docs', '/docs/sub*', '/pics' ]);
+		await o.key('tree', 'left');
+		assert.deepStrictEqual(o.tree(), [ '/', '/docs*', '/docs/sub', '/pics' ]);
+		o.window.close();
+	});
+	
+	test.it('creates, renames, moves and deletes entries', async function() {
+		var o = await open(),
+			$input, oDragOver;
+		o.$browser.find('button[data-command=newFolder]').click();
+		await delay();
+		$input = o.$browser.find('input.filesystem-browser-rename');
+		assert.strictEqual($input.val(), 'New folder');
+		$input.val('Projects').trigger(o.$.Event('keydown', { which : KEYS.enter }));
+		await delay();
+		assert.deepStrictEqual(o.items(), [ 'docs', 'pics', 'Projects', 'b.txt' ]);
+		assert.strictEqual((await o.fs.stat('/Projects')).isDirectory, true);
+		
+		o.$browser.fileBrowser('rename');
+		o.$browser.find('input.filesystem-browser-rename').val('docs').trigger(o.$.Event('keydown', { which : KEYS.enter }));
+		await delay();
+		assert.strictEqual(o.events[o.events.length - 1], 'fail AlreadyExistsError');
+		assert.deepStrictEqual(o.items(), [ 'docs', 'pics', 'Projects', 'b.txt' ]);
+		
+		o.item('b.txt').trigger('dragstart');
+		oDragOver = o.$.Event('dragover');
+		o.$browser.find('.filesystem-browser-label').first().trigger(oDragOver);
+		assert.strictEqual(oDragOver.isDefaultPrevented(), false);
+		oDragOver = o.$.Event('dragover');
+		o.item('docs').trigger(oDragOver);
+		assert.strictEqual(oDragOver.isDefaultPrevented(), true);
+		o.item('docs').trigger('drop');
+		await delay(100);
+		assert.deepStrictEqual(o.items(), [ 'docs', 'pics', 'Projects' ]);
+		assert.strictEqual(await o.fs.exists('/docs/b.txt'), true);
+		
+		o.item('pics').click();
+		await o.key('list', 'del');
+		assert.deepStrictEqual(o.items(), [ 'docs', 'Projects' ]);
+		assert.strictEqual((await o.fs.trash.list()).length, 1);
+		o.window.close();
+	});
+	
+	test.it('follows changes of the filesystem', async function() {
+		var o = await open();
+		o.item('docs').dblclick();
+		await delay();
+		await o.fs.rename('/docs', '/documents');
+		await delay();
+		assert.deepStrictEqual(o.tree(), [ '/', '/documents*', '/pics' ]);
+		
+		o.item('a.txt').click();
+		await o.fs.writeFile('/documents/a.txt', 'hello world!!');
+		await delay();
+		assert.deepStrictEqual(o.details().slice(0, 4), [ 'a.txt', '/documents/a.txt', 'File', '13 bytes' ]);
+		
+		await o.fs.rm('/documents', { recursive : true });
+		await delay();
+		assert.deepStrictEqual(o.tree(), [ '/*', '/pics' ]);
+		assert.deepStrictEqual(o.items(), [ 'pics', 'b.txt' ]);
+		
+		o.$browser.fileBrowser('destroy');
+		assert.strictEqual(o.$browser.children().length, 0);
+		assert.strictEqual(o.$browser.data('fileBrowser'), undefined);
+		o.window.close();
+	});
+});
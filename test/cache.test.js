@@ -0,0 +1,133 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	env = require('./env');
+
+test.describe('jQuery.filesystem.cache()', function() {
+	
+	var oResources, aRequests, bDown, oServer;
+	
+	test.beforeEach(async function() {
+		oResources = {
+			'/a.png' : { body : Buffer.from([ 0x00, 0x01, 0x80, 0xFF, 0xFE ]), headers : { ETag : '"a1"', 'Content-Type' : 'image/png' } },
+			'/b.bin' : { body : Buffer.alloc(300, 7) },
+			'/c.txt' : { body : Buffer.alloc(400, 'c'), headers : { 'Content-Type' : 'text/plain' } },
+			'/slow.txt' : { body : Buffer.from('slow'), delay : 100 }
+		};
+		aRequests = [];
+		bDown = false;
+		oServer = await env.serve(function(oRequest, oResponse) {
+			var oResource = oResources[oRequest.url.split('?')[0]],
+				sMatch = oRequest.headers['if-none-match'];
+			aRequests.push(oRequest.url.split('?')[0] + (sMatch ? ' ' + sMatch : ''));
+			if (bDown) return oResponse.destroy();
+			if (! oResource) {
+				oResponse.writeHead(404);
+				return oResponse.end();
+			}
+			setTimeout(function() {
+				if (sMatch && oResource.headers && sMatch === oResource.headers.ETag) {
+					oResponse.writeHead(304, oResource.headers);
+					return oResponse.end();
+				}
+				oResponse.writeHead(200, oResource.headers);
+				oResponse.end(oResource.body);
+			}, oResource.delay || 0);
+		});
+	});
+	
+	test.afterEach(function() {
+		oServer.close();
+	});
+	
+	test.it('stores resources as they were received', async function() {
+		var o = await env.open(),
+			oCache = o.$.filesystem.cache(o.fs),
+			aFetched = await oCache.fetch(oServer.url + '/a.png');
+		assert.deepStrictEqual(Buffer.from(await o.fs.readFile(aFetched.fullPath, { as : 'arraybuffer' })), oResources['/a.png'].body);
+		o.window.close();
+	});
+	
+	test.it('serves resources from the cache until they expire, then revalidates them', async function() {
+		var o = await env.open(),
+			oCache = o.$.filesystem.cache(o.fs),
+			sUrl = oServer.url + '/a.png',
+			aFirst = await new Promise(function(fnResolve, fnReject) {
+				oCache.fetch(sUrl).then(function(oFile, oRecord) { fnResolve([ oFile, oRecord ]); }, fnReject);
+			}),
+			aSecond;
+		assert.strictEqual(aFirst[1].size, 5);
+		assert.strictEqual(aFirst[1].headers['content-type'], 'image/png');
+		assert.strictEqual((await o.fs.stat(aFirst[0].fullPath)).size, 5);
+		
+		await oCache.fetch(sUrl);
+		assert.deepStrictEqual(aRequests, [ '/a.png' ]);
+		
+		aSecond = await new Promise(function(fnResolve, fnReject) {
+			oCache.fetch(sUrl, { force : true }).then(function(oFile, oRecord) { fnResolve([ oFile, oRecord ]); }, fnReject);
+		});
+		assert.deepStrictEqual(aRequests, [ '/a.png', '/a.png "a1"' ]);
+		assert.strictEqual(aSecond[0].fullPath, aFirst[0].fullPath);
+		assert.ok(aSecond[1].fetched >= aFirst[1].fetched);
+		o.window.close();
+	});
+	
+	test.it('evicts least recently used resources beyond maxBytes', async function() {
+		var o = await env.open(),
+			oCache = o.$.filesystem.cache(o.fs, { maxBytes : 650 });
+		await oCache.fetch(oServer.url + '/a.png');
+		await oCache.fetch(oServer.url + '/b.bin');
+		await new Promise(function(fnResolve) { setTimeout(fnResolve, 5); });
+		await oCache.fetch(oServer.url + '/a.png');
+		await new Promise(function(fnResolve) { setTimeout(fnResolve, 5); });
+		await oCache.fetch(oServer.url + '/c.txt');
+		assert.deepStrictEqual(Array.from(await oCache.records(), function(oRecord) {
+			return oRecord.url.substr(oServer.url.length);
+		}).sort(), [ '/a.png', '/c.txt' ]);
+		assert.strictEqual((await o.fs.readdir(oCache.fullPath + '/data')).length, 2);
+		o.window.close();
+	});
+	
+	test.it('falls back on stale resources when the network fails', async function() {
+		var o = await env.open(),
+			oCache = o.$.filesystem.cache(o.fs),
+			oFile = await oCache.fetch(oServer.url + '/a.png');
+		bDown = true;
+		assert.strictEqual((await oCache.fetch(oServer.url + '/a.png', { force : true })).fullPath, oFile.fullPath);
+		await assert.rejects(async function() { await oCache.fetch(oServer.url + '/b.bin'); }, { name : 'NetworkError' });
+		bDown = false;
+		await assert.rejects(async function() { await oCache.fetch(oServer.url + '/missing'); }, function(oError) {
+			return oError.name === 'NetworkError' && oError.cause.status === 404;
+		});
+		o.window.close();
+	});
+	
+	test.it('removes and clears resources once their fetches are over', async function() {
+		var o = await env.open(),
+			oCache = o.$.filesystem.cache(o.fs),
+			oFetch;
+		await oCache.fetch(oServer.url + '/a.png');
+		await oCache.fetch(oServer.url + '/b.bin');
+		await oCache.remove(oServer.url + '/a.png');
+		assert.strictEqual((await oCache.records()).length, 1);
+		
+		oFetch = oCache.fetch(oServer.url + '/slow.txt');
+		await oCache.clear();
+		assert.strictEqual(oFetch.state(), 'resolved');
+		assert.strictEqual(await o.fs.exists(oCache.fullPath), false);
+		assert.strictEqual((await oCache.records()).length, 0);
+		o.window.close();
+	});
+	
+	test.it('keeps its files out of change events', async function() {
+		var o = await env.open(),
+			oCache = o.$.filesystem.cache(o.fs, { dir : '/my-cache' }),
+			aChanges = [];
+		o.fs.on('created modified removed moved', function(oEvent, oChange) { aChanges.push(oChange.type + ' ' + oChange.path); });
+		await oCache.fetch(oServer.url + '/a.png');
+		await o.$.filesystem.cache(o.fs).fetch(oServer.url + '/b.bin');
+		await oCache.clear();
+		await o.fs.writeFile('a.txt', 'a');
+		assert.deepStrictEqual(aChanges, [ 'created /a.txt' ]);
+		o.window.close();
+	});
+});
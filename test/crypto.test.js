@@ -0,0 +1,100 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	webcrypto = require('crypto').webcrypto,
+	env = require('./env');
+
+/*
+ * Opens a memory filesystem in a window providing WebCrypto, along with two AES-GCM keys
+ */
+async function open() {
+	var o = await env.open({ setup : function(oWindow) {
+			Object.defineProperty(oWindow, 'crypto', { value : webcrypto, configurable : true });
+		} }),
+		fnKey = function() {
+			return webcrypto.subtle.generateKey({ name : 'AES-GCM', length : 256 }, false, [ 'encrypt', 'decrypt' ]);
+		};
+	o.keys = [ await fnKey(), await fnKey() ];
+	return o;
+}
+
+/*
+ * Resolves with the stored bytes of an encrypted file
+ */
+async function stored(o, oFile) {
+	return Buffer.from(await o.fs.readFile(oFile._entry._inner.fullPath, { as : 'arraybuffer' }));
+}
+
+test.describe('FileSystem#encrypted()', function() {
+	
+	test.it('stores contents and names encrypted', async function() {
+		var o = await open(),
+			oSecure = await o.fs.encrypted(o.keys[0], { dir : '/secure', names : true }),
+			aStored, oBytes;
+		await oSecure.mkdirp('docs');
+		await oSecure.writeFile('docs/a.txt', 'secret text é');
+		
+		assert.strictEqual(await oSecure.readFile('docs/a.txt'), 'secret text é');
+		assert.strictEqual((await oSecure.stat('docs/a.txt')).size, 14);
+		assert.deepStrictEqual(Array.from(await oSecure.readdir('/')), [ 'docs' ]);
+		
+		aStored = Array.from(await o.fs.readdir('/secure'));
+		assert.strictEqual(aStored.length, 2);
+		assert.notStrictEqual(aStored.indexOf('.encryption'), -1);
+		assert.strictEqual(aStored.indexOf('docs'), -1);
+		
+		oBytes = await stored(o, await oSecure.getEntry('docs/a.txt'));
+		assert.strictEqual(oBytes.toString('latin1', 0, 4), 'JQFE');
+		assert.strictEqual(oBytes.indexOf('secret'), -1);
+		o.window.close();
+	});
+	
+	test.it('rejects tampered contents and wrong keys', async function() {
+		var o = await open(),
+			oSecure = await o.fs.encrypted(o.keys[0], { dir : '/secure' }),
+			oFile = await oSecure.writeFile('a.txt', 'secret'),
+			oBytes = await stored(o, oFile);
+		oBytes[oBytes.length - 1] ^= 1;
+		await o.fs.writeFile(oFile._entry._inner.fullPath, new o.window.Blob([ oBytes ]));
+		await assert.rejects(async function() { await oSecure.readFile('a.txt'); }, { name : 'IntegrityError' });
+		await assert.rejects(async function() { await o.fs.encrypted(o.keys[1], { dir : '/secure' }); }, { name : 'SecurityError' });
+		await assert.rejects(async function() { await oSecure.readFile('.encryption'); }, { name : 'SecurityError' });
+		o.window.close();
+	});
+	
+	test.it('encrypts copies under new file identifiers', async function() {
+		var o = await open(),
+			oSecure = await o.fs.encrypted(o.keys[0], { dir : '/secure' }),
+			oFile, oCopy, oDirCopy, aIds;
+		await oSecure.mkdirp('dir');
+		oFile = await oSecure.writeFile('dir/a.txt', 'one');
+		oCopy = await oFile.copyTo(oSecure.root, 'b.txt');
+		oDirCopy = await (await oSecure.getEntry('dir')).copyTo(oSecure.root, 'copy');
+		
+		aIds = await Promise.all([ oFile, oCopy, await oSecure.getEntry('copy/a.txt') ].map(async function(oEntry) {
+			return (await stored(o, oEntry)).toString('hex', 5, 21);
+		}));
+		assert.strictEqual(new Set(aIds).size, 3);
+		assert.strictEqual(await oSecure.readFile('b.txt'), 'one');
+		assert.strictEqual(await oSecure.readFile('copy/a.txt'), 'one');
+		assert.strictEqual(oDirCopy.fullPath, '/copy');
+		
+		await oFile.copyTo(o.fs.root, 'plain.txt');
+		assert.strictEqual(await o.fs.readFile('plain.txt'), 'one');
+		o.window.close();
+	});
+	
+	test.it('rotates keys', async function() {
+		var o = await open(),
+			oSecure = await o.fs.encrypted(o.keys[0], { dir : '/secure', names : true });
+		await oSecure.mkdirp('docs');
+		await oSecure.writeFile('docs/a.txt', 'one');
+		await oSecure.writeFile('empty.txt', '');
+		await oSecure.rotateKey(o.keys[1]);
+		
+		await assert.rejects(async function() { await o.fs.encrypted(o.keys[0], { dir : '/secure' }); }, { name : 'SecurityError' });
+		oSecure = await o.fs.encrypted(o.keys[1], { dir : '/secure', names : true });
+		assert.strictEqual(await oSecure.readFile('docs/a.txt'), 'one');
+		assert.strictEqual(await oSecure.readFile('empty.txt'), '');
+		o.window.close();
+	});
+});
@@ -0,0 +1,107 @@
+/*
+ * Test environment: loads jQuery and the plugin into a jsdom window, as a page of http://localhost/ would.
+ */
+var fs = require('fs'),
+	http = require('http'),
+	path = require('path'),
+	jsdom = require('jsdom');
+
+var SCRIPTS = [
+	require.resolve('jquery/dist/jquery.js'),
+	path.join(__dirname, '..', 'src', 'jquery.filesystem.js'),
+	path.join(__dirname, '..', 'src', 'jquery.filesystem.browser.js')
+];
+
+/*
+ * Resolves with a new window once the plugin is initialised
+ * oOptions.setup : called with the window before any script runs, to provide what jsdom lacks
+ */
+exports.load = function(oOptions) {
+	var oWindow = new jsdom.JSDOM('<!DOCTYPE html><html><body></body></html>', {
+			url : 'http://localhost/',
+			runScripts : 'outside-only',
+			pretendToBeVisual : true,
+			virtualConsole : new jsdom.VirtualConsole().sendTo(console, { omitJSDOMErrors : true })
+		}).window;
+	if (oOptions && oOptions.setup)
+		oOptions.setup(oWindow);
+	SCRIPTS.forEach(function(sScript) {
+		oWindow.eval(fs.readFileSync(sScript, 'utf8'));
+	});
+	return new Promise(function(fnResolve) {
+		oWindow.jQuery(function() {
+			fnResolve(oWindow);
+		});
+	});
+};
+
+/*
+ * Resolves with { window, $, fs } where fs is a temporary filesystem of a new memory backend
+ * oOptions.backend : options of jQuery.filesystem.memoryBackend()
+ * oOptions.setup : see load()
+ */
+exports.open = function(oOptions) {
+	oOptions = oOptions || {};
+	return exports.load(oOptions).then(function(oWindow) {
+		var $ = oWindow.jQuery,
+			oFS = new $.filesystem({ backend : $.filesystem.memoryBackend(oOptions.backend) });
+		return oFS.requestFS($.filesystem.TEMPORARY, 0).then(function(oFileSystem) {
+			return { window : oWindow, $ : $, fs : oFileSystem };
+		});
+	});
+};
+
+/*
+ * Reads a DOM File or Blob with the given FileReader method
+ */
+function fnRead(oWindow, oBlob, sMethod) {
+	return new Promise(function(fnResolve, fnReject) {
+		var oReader = new oWindow.FileReader();
+		oReader.onload = function() { fnResolve(oReader.result); };
+		oReader.onerror = function() { fnReject(oReader.error); };
+		oReader[sMethod](oBlob);
+	});
+}
+
+/*
+ * Resolves with the text content of a DOM File or Blob
+ */
+exports.text = function(oWindow, oBlob) {
+	return fnRead(oWindow, oBlob, 'readAsText');
+};
+
+/*
+ * Resolves with the content of a DOM File or Blob as a Buffer
+ */
+exports.bytes = function(oWindow, oBlob) {
+	return fnRead(oWindow, oBlob, 'readAsArrayBuffer').then(function(oBuffer) {
+		return Buffer.from(oBuffer);
+	});
+};
+
+/*
+ * Starts an HTTP server answering the test pages, cross origin requests included. 
+ * Requests are handed with their body as a Buffer to fnHandle(oRequest, oResponse, oBody). 
+ * Resolves with the server, its URL being in its url property
+ */
+exports.serve = function(fnHandle) {
+	return new Promise(function(fnResolve) {
+		var oServer = http.createServer(function(oRequest, oResponse) {
+			var aBody = [];
+			oResponse.setHeader('Access-Control-Allow-Origin', '*');
+			oResponse.setHeader('Access-Control-Allow-Headers', 'If-Match, If-None-Match, If-Modified-Since, Content-Type');
+			oResponse.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE');
+			oResponse.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, Cache-Control, Expires, Content-Type');
+			if (oRequest.method === 'OPTIONS') {
+				oResponse.writeHead(204);
+				return oResponse.end();
+			}
+			oRequest.on('data', function(oChunk) { aBody.push(oChunk); });
+			oRequest.on('end', function() { fnHandle(oRequest, oResponse, Buffer.concat(aBody)); });
+		});
+		oServer.listen(0, '127.0.0.1', function() {
+			oServer.url = 'http://127.0.0.1:' + oServer.address().port;
+			fnResolve(oServer);
+		});
+	});
+};
@@ -0,0 +1,119 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	env = require('./env');
+
+function delay(iMillis) {
+	return new Promise(function(fnResolve) { setTimeout(fnResolve, iMillis); });
+}
+
+/*
+ * BroadcastChannel of Node, not keeping the process alive as the plugin never closes its channels
+ */
+class Channel extends BroadcastChannel {
+	constructor(sName) {
+		super(sName);
+		this.unref();
+	}
+}
+
+/*
+ * Records change events of a filesystem as "type path" strings
+ */
+function record(oFileSystem) {
+	var aChanges = [];
+	oFileSystem.on('created modified removed moved', function(oEvent, oChange) {
+		aChanges.push(oChange.type + ' ' + oChange.path + (oChange.oldPath ? ' <- ' + oChange.oldPath : ''));
+	});
+	return aChanges;
+}
+
+test.describe('change events', function() {
+	
+	test.it('triggers a single event per writeFile()', async function() {
+		var o = await env.open(),
+			aChanges = record(o.fs);
+		await o.fs.writeFile('a.txt', 'x');
+		await delay(0);
+		assert.deepStrictEqual(aChanges, [ 'created /a.txt' ]);
+		await o.fs.writeFile('a.txt', 'y');
+		await delay(0);
+		assert.deepStrictEqual(aChanges, [ 'created /a.txt', 'modified /a.txt' ]);
+		o.window.close();
+	});
+	
+	test.it('describes creations, moves, copies and removals', async function() {
+		var o = await env.open(),
+			aChanges = record(o.fs),
+			oFile;
+		await o.fs.mkdirp('w/sub');
+		await o.fs.writeFile('w/a.txt', 'x');
+		oFile = await o.fs.getEntry('w/a.txt');
+		oFile = await oFile.moveTo(await oFile.getParent(), 'b.txt');
+		await oFile.copyTo(o.fs.root);
+		await o.fs.rm('b.txt');
+		await o.fs.rm('w', { recursive : true });
+		await delay(0);
+		assert.deepStrictEqual(aChanges, [
+			'created /w',
+			'created /w/sub',
+			'created /w/a.txt',
+			'moved /w/b.txt <- /w/a.txt',
+			'created /b.txt',
+			'removed /b.txt',
+			'removed /w'
+		]);
+		o.window.close();
+	});
+	
+	test.it('hands the wrapper of the changed entry to handlers', async function() {
+		var o = await env.open(),
+			oChange;
+		o.fs.one('created', function(oEvent, oCreated) { oChange = oCreated; });
+		await o.fs.writeFile('a.txt', 'x');
+		await delay(0);
+		assert.strictEqual(oChange.isDirectory, false);
+		assert.strictEqual(oChange.entry.fullPath, '/a.txt');
+		o.window.close();
+	});
+	
+	test.it('lets watch() spot changes made around the wrappers', async function() {
+		var o = await env.open(),
+			aChanges = record(o.fs),
+			aWatched = [],
+			oDir = await o.fs.mkdirp('w/sub'),
+			oWatch;
+		oWatch = (await o.fs.getEntry('w')).watch({ recursive : true, interval : 20 });
+		oWatch.progress(function(oChange) { aWatched.push(oChange.type + ' ' + oChange.path); });
+		await delay(60);
+		await new Promise(function(fnResolve, fnReject) {
+			oDir._entry.getFile('ext.txt', { create : true }, fnResolve, fnReject);
+		});
+		await delay(100);
+		assert.deepStrictEqual(aWatched, [ 'created /w/sub/ext.txt' ]);
+		assert.deepStrictEqual(aChanges.slice(2), [ 'created /w/sub/ext.txt' ]);
+		await o.fs.rm('w', { recursive : true });
+		await assert.rejects(async function() { await oWatch; }, { name : 'NotFoundError' });
+		o.window.close();
+	});
+	
+	test.it('reaches other pages of the same origin', async function() {
+		var aPages = await Promise.all([ 1, 2 ].map(function() {
+				return env.load({ setup : function(oWindow) { oWindow.BroadcastChannel = Channel; } }).then(function(oWindow) {
+					var $ = oWindow.jQuery,
+						oBackend = $.filesystem.memoryBackend();
+					oBackend.shared = true;
+					return new $.filesystem({ backend : oBackend }).requestFS($.filesystem.TEMPORARY, 0).then(function(oFileSystem) {
+						return { window : oWindow, fs : oFileSystem };
+					});
+				});
+			})),
+			aChanges = [];
+		aPages[1].fs.on('created', function(oEvent, oChange) {
+			aChanges.push(oChange.path + (oChange.remote ? ' remote' : '') + (oChange.entry ? ' entry' : ''));
+		});
+		await aPages[0].fs.writeFile('a.txt', 'x');
+		await delay(50);
+		assert.deepStrictEqual(aChanges, [ '/a.txt remote' ]);
+		aPages.forEach(function(oPage) { oPage.window.close(); });
+	});
+});
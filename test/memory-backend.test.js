@@ -0,0 +1,99 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	env = require('./env');
+
+function write(oWindow, oFile, sContent) {
+	return oFile.createWriter().then(function(oWriter) {
+		return new Promise(function(fnResolve, fnReject) {
+			oWriter.onwriteend = fnResolve;
+			oWriter.onerror = function() { fnReject(oWriter.error); };
+			oWriter.write(new oWindow.Blob([ sContent ]));
+		});
+	});
+}
+
+function paths(aEntries) {
+	return Array.from(aEntries, function(oEntry) { return oEntry.fullPath; }).sort();
+}
+
+test.describe('memory backend', function() {
+	
+	test.it('stores files and directories', async function() {
+		var o = await env.open(),
+			oDir = await o.fs.root.createDirectory('a'),
+			oFile = await oDir.getFile('x.txt', true);
+		await write(o.window, oFile, 'hello world');
+		assert.strictEqual((await oFile.getMetaData()).size, 11);
+		assert.strictEqual(await env.text(o.window, await oFile.asFile()), 'hello world');
+		assert.deepStrictEqual(paths(await o.fs.root.listContent()), [ '/a' ]);
+		o.window.close();
+	});
+	
+	test.it('rejects an exclusive creation of an existing entry', async function() {
+		var o = await env.open();
+		await o.fs.root.createDirectory('a');
+		await assert.rejects(async function() { await o.fs.root.createDirectory('a'); }, { name : 'AlreadyExistsError' });
+		await o.fs.root.getFile('x', true);
+		await assert.rejects(async function() { await o.fs.root.createFile('x'); }, { name : 'AlreadyExistsError' });
+		o.window.close();
+	});
+	
+	test.it('gives the root as its own parent', async function() {
+		var o = await env.open(),
+			oFile = await o.fs.root.getFile('x', true);
+		assert.strictEqual((await oFile.getParent()).fullPath, '/');
+		assert.strictEqual((await o.fs.root.getParent()).fullPath, '/');
+		o.window.close();
+	});
+	
+	test.it('pages readEntries() results', async function() {
+		var o = await env.open({ backend : { pageSize : 2 } }),
+			oReader, aPages = [], aPage;
+		await o.fs.root.getFile('a', true);
+		await o.fs.root.getFile('b', true);
+		await o.fs.root.getDirectory('c', true);
+		oReader = o.fs.root._entry.createReader();
+		do {
+			aPage = await new Promise(function(fnResolve, fnReject) { oReader.readEntries(fnResolve, fnReject); });
+			aPages.push(aPage.length);
+		} while (aPage.length);
+		assert.deepStrictEqual(aPages, [ 2, 1, 0 ]);
+		assert.deepStrictEqual(paths(await o.fs.root.listContent()), [ '/a', '/b', '/c' ]);
+		o.window.close();
+	});
+	
+	test.it('copies directories and refuses to overwrite on copy or move', async function() {
+		var o = await env.open(),
+			oDir = await o.fs.root.createDirectory('a'),
+			oCopy;
+		await write(o.window, await oDir.getFile('x.txt', true), 'hello');
+		oCopy = await oDir.copyTo(o.fs.root, 'b');
+		assert.strictEqual(oCopy.fullPath, '/b');
+		assert.deepStrictEqual(paths(await oCopy.listContent()), [ '/b/x.txt' ]);
+		assert.strictEqual(await env.text(o.window, await (await o.fs.root.getFile('b/x.txt')).asFile()), 'hello');
+		await assert.rejects(async function() { await oCopy.moveTo(o.fs.root, 'a'); }, { name : 'InvalidModificationError' });
+		await assert.rejects(async function() { await oDir.copyTo(o.fs.root, 'b'); }, { name : 'InvalidModificationError' });
+		await assert.rejects(async function() { await oDir.moveTo(oDir, 'c'); }, { name : 'InvalidModificationError' });
+		assert.deepStrictEqual(paths(await o.fs.root.listContent()), [ '/a', '/b' ]);
+		o.window.close();
+	});
+	
+	test.it('refuses to remove a non empty directory but removes it recursively', async function() {
+		var o = await env.open(),
+			oDir = await o.fs.root.createDirectory('a');
+		await oDir.getFile('x', true);
+		await assert.rejects(async function() { await oDir.remove(); }, { name : 'InvalidModificationError' });
+		await oDir.removeRecursively();
+		assert.strictEqual((await o.fs.root.listContent()).length, 0);
+		o.window.close();
+	});
+	
+	test.it('keeps contents apart between memory backends', async function() {
+		var o1 = await env.open(),
+			o2 = await env.open();
+		await o1.fs.root.getFile('x', true);
+		assert.strictEqual((await o2.fs.root.listContent()).length, 0);
+		o1.window.close();
+		o2.window.close();
+	});
+});
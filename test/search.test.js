@@ -0,0 +1,114 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	env = require('./env');
+
+/*
+ * Returns the paths of search results
+ */
+function paths(aResults) {
+	return Array.from(aResults, function(oResult) { return oResult.path; });
+}
+
+/*
+ * Writes notes to search through, returns their directory
+ */
+async function notes(o) {
+	await o.fs.mkdirp('notes/sub');
+	await o.fs.writeFile('notes/a.md', 'Café recipes: espresso, latte and a long note about coffee beans. Coffee coffee.');
+	await o.fs.writeFile('notes/sub/b.txt', 'Tea is not coffee. Green tea, black tea.');
+	await o.fs.writeFile('notes/c.md', new Array(60).join('filler words here ') + ' the espresso machine broke down yesterday ' + new Array(30).join('more filler '));
+	await o.fs.writeFile('notes/img.png', 'coffee');
+	await o.fs.writeFile('other.md', 'coffee');
+	return o.fs.getEntry('notes');
+}
+
+test.describe('DirectoryEntry#createSearchIndex()', function() {
+	
+	test.it('ranks text files of the directory', async function() {
+		var o = await env.open(),
+			aProgress = [],
+			oIndex = await (await notes(o)).createSearchIndex().progress(function(iIndexed, iTotal) { aProgress.push(iIndexed + '/' + iTotal); }),
+			aResults;
+		assert.deepStrictEqual(aProgress, [ '1/3', '2/3', '3/3' ]);
+		assert.deepStrictEqual(paths(await oIndex.search('coffee')), [ '/notes/a.md', '/notes/sub/b.txt' ]);
+		
+		aResults = await oIndex.search('CAFE espresso');
+		assert.deepStrictEqual(paths(aResults), [ '/notes/a.md' ]);
+		assert.ok(aResults[0].score > 0);
+		
+		aResults = await oIndex.search('espresso');
+		assert.deepStrictEqual(paths(aResults), [ '/notes/a.md', '/notes/c.md' ]);
+		assert.match(aResults[1].snippet, /^….* the espresso machine broke down yesterday .*…$/);
+		
+		assert.strictEqual((await oIndex.search('espr', { prefix : true })).length, 2);
+		assert.strictEqual((await oIndex.search('espr')).length, 0);
+		await oIndex.close();
+		o.window.close();
+	});
+	
+	test.it('follows changes of the directory', async function() {
+		var o = await env.open(),
+			oIndex = await (await notes(o)).createSearchIndex();
+		await o.fs.writeFile('notes/sub/b.txt', 'Now about matcha only');
+		assert.strictEqual((await oIndex.search('tea')).length, 0);
+		assert.deepStrictEqual(paths(await oIndex.search('matcha')), [ '/notes/sub/b.txt' ]);
+		await o.fs.rename('notes/sub', 'notes/moved');
+		assert.deepStrictEqual(paths(await oIndex.search('matcha')), [ '/notes/moved/b.txt' ]);
+		await o.fs.rename('notes/moved/b.txt', 'b.txt');
+		assert.strictEqual((await oIndex.search('matcha')).length, 0);
+		await o.fs.rename('other.md', 'notes/other.md');
+		assert.deepStrictEqual(paths(await oIndex.search('coffee')), [ '/notes/a.md', '/notes/other.md' ]);
+		await o.fs.rm('notes/other.md', { trash : true });
+		await (await o.fs.getEntry('notes/a.md')).writeAtomic('latte only');
+		assert.strictEqual((await oIndex.search('coffee')).length, 0);
+		assert.deepStrictEqual(paths(await oIndex.search('latte')), [ '/notes/a.md' ]);
+		await oIndex.close();
+		o.window.close();
+	});
+	
+	test.it('indexes again files changed while closed', async function() {
+		var o = await env.open(),
+			oDir = await notes(o),
+			oIndex = await oDir.createSearchIndex(),
+			aProgress = [];
+		await oIndex.close();
+		assert.strictEqual(Object.keys((await o.fs.readFile(oIndex.fullPath, { as : 'json' })).documents).length, 3);
+		await o.fs.writeFile('notes/new.txt', 'written while closed espresso');
+		
+		oIndex = await oDir.createSearchIndex().progress(function(iIndexed, iTotal) { aProgress.push(iIndexed + '/' + iTotal); });
+		assert.deepStrictEqual(aProgress, [ '1/1' ]);
+		assert.deepStrictEqual(paths(await oIndex.search('espresso')), [ '/notes/new.txt', '/notes/a.md', '/notes/c.md' ]);
+		assert.strictEqual((await o.fs.readdir('/.search')).length, 1);
+		await oIndex.close();
+		o.window.close();
+	});
+	
+	test.it('reports failures to save the index', async function() {
+		var o = await env.open(),
+			oDir = await notes(o),
+			oIndex = await oDir.createSearchIndex();
+		await oIndex.close();
+		await o.fs.rm('/.search', { recursive : true });
+		await o.fs.writeFile('/.search', 'in the way');
+		await assert.rejects(async function() { await oDir.createSearchIndex(); });
+		
+		await o.fs.rm('/.search');
+		oIndex = await oDir.createSearchIndex();
+		await o.fs.rm('/.search', { recursive : true });
+		await o.fs.writeFile('/.search', 'in the way');
+		// changed around the wrappers, for refresh() to find it
+		await new Promise(function(fnResolve, fnReject) {
+			o.fs.root._entry.getFile('notes/a.md', {}, function(oFile) {
+				oFile.createWriter(function(oWriter) {
+					oWriter.onwriteend = fnResolve;
+					oWriter.onerror = fnReject;
+					oWriter.write(new o.window.Blob([ 'decaf' ]));
+				}, fnReject);
+			}, fnReject);
+		});
+		await assert.rejects(async function() { await oIndex.refresh(); });
+		assert.deepStrictEqual(paths(await oIndex.search('decaf')), [ '/notes/a.md' ]);
+		await oIndex.close();
+		o.window.close();
+	});
+});
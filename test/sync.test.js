@@ -0,0 +1,187 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	crypto = require('crypto'),
+	env = require('./env');
+
+/*
+ * REST store of files the way DirectoryEntry#sync() expects it, below /api
+ */
+function Remote() {
+	
+	var oRemote = this;
+	
+	this.files = {};
+	this.requests = [];
+	this.failNext = null;
+	
+	this.handle = function(oRequest, oResponse, oBody) {
+		
+		var sPath = decodeURIComponent(new URL(oRequest.url, 'http://localhost').pathname.replace(/^\/api\/?/, '/')),
+			oFile = oRemote.files[sPath],
+			sMatch = oRequest.headers['if-match'];
+		
+		if (sPath !== '/') oRemote.requests.push(oRequest.method + ' ' + sPath);
+		
+		if (oRemote.failNext === oRequest.method) {
+			oRemote.failNext = null;
+			return oResponse.destroy();
+		}
+		
+		if (oRequest.method === 'GET' && sPath === '/') {
+			oResponse.writeHead(200, { 'Content-Type' : 'application/json' });
+			return oResponse.end(JSON.stringify(Object.keys(oRemote.files).map(function(sKey) {
+				var oFile = oRemote.files[sKey];
+				return { path : sKey, size : oFile.data.length, mtime : oFile.mtime, etag : oFile.etag };
+			})));
+		}
+		
+		if (oRequest.method === 'GET') {
+			if (! oFile) oResponse.writeHead(404);
+			else oResponse.writeHead(200, { 'Content-Type' : 'application/octet-stream', ETag : oFile.etag });
+			return oResponse.end(oFile && oFile.data);
+		}
+		
+		if ((sMatch && (! oFile || oFile.etag !== sMatch)) || (oRequest.headers['if-none-match'] === '*' && oFile)) {
+			oResponse.writeHead(412);
+			return oResponse.end();
+		}
+		
+		if (oRequest.method === 'PUT') {
+			oRemote.put(sPath, oBody);
+			oResponse.writeHead(201, { ETag : oRemote.files[sPath].etag });
+		}
+		else {
+			delete oRemote.files[sPath];
+			oResponse.writeHead(oFile ? 204 : 404);
+		}
+		oResponse.end();
+	};
+}
+
+Remote.prototype.put = function(sPath, oData) {
+	oData = Buffer.from(oData);
+	this.files[sPath] = { data : oData, mtime : Date.now(), etag : '"' + crypto.createHash('md5').update(oData).digest('hex') + '"' };
+};
+
+Remote.prototype.flush = function() {
+	return this.requests.splice(0).sort();
+};
+
+/*
+ * Returns the lists of a sync report, sorted, empty ones aside
+ */
+function report(oReport) {
+	var oLists = {};
+	for (var sKey in oReport)
+		if (oReport[sKey].length) oLists[sKey] = Array.from(oReport[sKey]).sort();
+	return oLists;
+}
+
+test.describe('DirectoryEntry#sync()', function() {
+	
+	var oRemote, oServer, sEndpoint;
+	
+	test.beforeEach(async function() {
+		oRemote = new Remote();
+		oServer = await env.serve(oRemote.handle);
+		sEndpoint = oServer.url + '/api/';
+	});
+	
+	test.afterEach(function() {
+		oServer.close();
+	});
+	
+	test.it('uploads, downloads and deletes what changed on one side', async function() {
+		var o = await env.open(),
+			oDir;
+		oRemote.put('/remote.txt', 'from server');
+		oRemote.put('/deep/bin.dat', Buffer.from([ 0x00, 0x01, 0xFF, 0xFE, 0x80 ]));
+		await o.fs.mkdirp('ws/sub');
+		await o.fs.writeFile('ws/local.txt', 'from client');
+		await o.fs.writeFile('ws/sub/x.txt', 'x');
+		oDir = await o.fs.getEntry('ws');
+		
+		assert.deepStrictEqual(report(await oDir.sync(sEndpoint)), {
+			uploaded : [ '/local.txt', '/sub/x.txt' ],
+			downloaded : [ '/deep/bin.dat', '/remote.txt' ]
+		});
+		assert.deepStrictEqual(oRemote.flush(), [ 'GET /deep/bin.dat', 'GET /remote.txt', 'PUT /local.txt', 'PUT /sub/x.txt' ]);
+		assert.strictEqual(oRemote.files['/local.txt'].data.toString(), 'from client');
+		assert.strictEqual(await o.fs.readFile('ws/remote.txt'), 'from server');
+		assert.deepStrictEqual(Buffer.from(await o.fs.readFile('ws/deep/bin.dat', { as : 'arraybuffer' })), Buffer.from([ 0x00, 0x01, 0xFF, 0xFE, 0x80 ]));
+		
+		assert.deepStrictEqual(report(await oDir.sync(sEndpoint)), {});
+		assert.deepStrictEqual(oRemote.flush(), []);
+		
+		oRemote.put('/remote.txt', 'server edit');
+		await o.fs.rm('ws/sub/x.txt');
+		await o.fs.writeFile('ws/local.txt', 'client edit');
+		assert.deepStrictEqual(report(await oDir.sync(sEndpoint)), {
+			uploaded : [ '/local.txt' ],
+			downloaded : [ '/remote.txt' ],
+			deletedRemote : [ '/sub/x.txt' ]
+		});
+		assert.strictEqual(await o.fs.readFile('ws/remote.txt'), 'server edit');
+		assert.strictEqual(oRemote.files['/local.txt'].data.toString(), 'client edit');
+		
+		delete oRemote.files['/remote.txt'];
+		assert.deepStrictEqual(report(await oDir.sync(sEndpoint)), { deletedLocal : [ '/remote.txt' ] });
+		assert.strictEqual(await o.fs.exists('ws/remote.txt'), false);
+		o.window.close();
+	});
+	
+	test.it('hands files changed on both sides to the resolver', async function() {
+		var o = await env.open(),
+			oDir = await o.fs.mkdirp('ws'),
+			aConflicts = [];
+		await o.fs.writeFile('ws/a.txt', 'a');
+		await oDir.sync(sEndpoint);
+		oRemote.put('/a.txt', 'server side');
+		await o.fs.writeFile('ws/a.txt', 'client side');
+		
+		assert.deepStrictEqual(report(await oDir.sync(sEndpoint)), { conflicts : [ '/a.txt' ] });
+		assert.strictEqual(await o.fs.readFile('ws/a.txt'), 'client side');
+		
+		assert.deepStrictEqual(report(await oDir.sync(sEndpoint, { resolver : function(oConflict) {
+			aConflicts.push(oConflict.path);
+			return o.$.Deferred().resolve('remote');
+		} })), { downloaded : [ '/a.txt' ] });
+		assert.deepStrictEqual(aConflicts, [ '/a.txt' ]);
+		assert.strictEqual(await o.fs.readFile('ws/a.txt'), 'server side');
+		o.window.close();
+	});
+	
+	test.it('resumes an interrupted sync', async function() {
+		var o = await env.open(),
+			oDir = await o.fs.mkdirp('ws');
+		await o.fs.writeFile('ws/a.txt', 'a');
+		await o.fs.writeFile('ws/b.txt', 'b');
+		oRemote.failNext = 'PUT';
+		
+		await assert.rejects(async function() { await oDir.sync(sEndpoint); }, { name : 'NetworkError' });
+		assert.strictEqual(await o.fs.exists('ws/.sync/journal.json'), true);
+		oRemote.flush();
+		
+		assert.strictEqual(report(await oDir.sync(sEndpoint)).uploaded.length, 2);
+		assert.deepStrictEqual(Object.keys(oRemote.files).sort(), [ '/a.txt', '/b.txt' ]);
+		assert.strictEqual(await o.fs.exists('ws/.sync/journal.json'), false);
+		o.window.close();
+	});
+	
+	test.it('leaves the files of the plugin out', async function() {
+		var o = await env.open();
+		oRemote.put('/ok.txt', 'ok');
+		oRemote.put('/.sync/state.json', '{}');
+		oRemote.put('/.databases/db/c.json', '{}');
+		oRemote.put('/sub/.sync/state.json', '{}');
+		await o.fs.writeFile('ok2.txt', 'ok');
+		await (await (await o.fs.openDatabase('db')).collection('c')).put({ a : 1 });
+		
+		assert.deepStrictEqual(report(await o.fs.root.sync(sEndpoint)), { uploaded : [ '/ok2.txt' ], downloaded : [ '/ok.txt' ] });
+		assert.deepStrictEqual(Array.from(await o.fs.readdir('/')).sort(), [ '.databases', '.sync', 'ok.txt', 'ok2.txt' ]);
+		assert.deepStrictEqual(Object.keys((await o.fs.readFile('.sync/state.json', { as : 'json' })).files).sort(), [ '/ok.txt', '/ok2.txt' ]);
+		assert.deepStrictEqual(report(await o.fs.root.sync(sEndpoint)), {});
+		assert.deepStrictEqual(Object.keys(oRemote.files).sort(), [ '/.databases/db/c.json', '/.sync/state.json', '/ok.txt', '/ok2.txt', '/sub/.sync/state.json' ]);
+		o.window.close();
+	});
+});
@@ -0,0 +1,125 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	env = require('./env');
+
+/*
+ * Returns the sorted paths of a filesystem, its transaction journals aside
+ */
+async function tree(oFileSystem) {
+	return Array.from(await oFileSystem.root.walk(), function(oEntry) { return oEntry.fullPath; }).filter(function(sPath) {
+		return sPath.indexOf('/.transactions') !== 0;
+	}).sort();
+}
+
+test.describe('atomic writes', function() {
+	
+	test.it('replace the content of the file with a single event', async function() {
+		var o = await env.open(),
+			aChanges = [],
+			oFile = await o.fs.writeFile('a.txt', 'A');
+		o.fs.on('created modified removed moved', function(oEvent, oChange) { aChanges.push(oChange.type + ' ' + oChange.path); });
+		assert.strictEqual(await oFile.writeAtomic('AAA'), oFile);
+		assert.strictEqual(await o.fs.readFile('a.txt'), 'AAA');
+		assert.deepStrictEqual(Array.from(await o.fs.readdir('/')), [ 'a.txt' ]);
+		assert.deepStrictEqual(aChanges, [ 'modified /a.txt' ]);
+		o.window.close();
+	});
+	
+	test.it('create missing files with a single event', async function() {
+		var o = await env.open(),
+			aChanges = [],
+			oFile = await o.fs.writeFile('a.txt', 'A');
+		await oFile.remove();
+		o.fs.on('created modified removed moved', function(oEvent, oChange) { aChanges.push(oChange.type + ' ' + oChange.path); });
+		await oFile.writeAtomic('B');
+		assert.strictEqual(await o.fs.readFile('a.txt'), 'B');
+		assert.deepStrictEqual(Array.from(await o.fs.readdir('/')), [ 'a.txt' ]);
+		assert.deepStrictEqual(aChanges, [ 'created /a.txt' ]);
+		o.window.close();
+	});
+});
+
+test.describe('FileSystem#transaction()', function() {
+	
+	test.it('commits all operations', async function() {
+		var o = await env.open();
+		await o.fs.writeFile('a.txt', 'A');
+		assert.strictEqual(await o.fs.transaction(function(oTransaction) {
+			oTransaction.mkdir('/docs');
+			oTransaction.move('/a.txt', '/docs/a.txt');
+			oTransaction.write('/a.txt', 'new A');
+			oTransaction.copy('/docs', '/docs2');
+			oTransaction.write('/docs2/a.txt', 'copied then replaced');
+			return 42;
+		}), 42);
+		assert.deepStrictEqual(await tree(o.fs), [ '/a.txt', '/docs', '/docs/a.txt', '/docs2', '/docs2/a.txt' ]);
+		assert.strictEqual(await o.fs.readFile('a.txt'), 'new A');
+		assert.strictEqual(await o.fs.readFile('docs/a.txt'), 'A');
+		assert.strictEqual(await o.fs.readFile('docs2/a.txt'), 'copied then replaced');
+		o.window.close();
+	});
+	
+	test.it('rolls back all operations when one fails', async function() {
+		var o = await env.open();
+		await o.fs.mkdirp('docs');
+		await o.fs.writeFile('docs/a.txt', 'A');
+		await o.fs.writeFile('a.txt', 'A');
+		await assert.rejects(async function() {
+			await o.fs.transaction(function(oTransaction) {
+				oTransaction.remove('/docs');
+				oTransaction.write('/a.txt', 'should be undone');
+				oTransaction.copy('/missing', '/x');
+			});
+		}, { name : 'NotFoundError' });
+		assert.deepStrictEqual(await tree(o.fs), [ '/a.txt', '/docs', '/docs/a.txt' ]);
+		assert.strictEqual(await o.fs.readFile('a.txt'), 'A');
+		assert.strictEqual((await o.fs.readdir('/.transactions')).length, 0);
+		
+		await assert.rejects(async function() {
+			await o.fs.transaction(function(oTransaction) {
+				oTransaction.write('/z', 'z');
+				throw new Error('body');
+			});
+		}, { message : 'body' });
+		assert.strictEqual(await o.fs.exists('z'), false);
+		o.window.close();
+	});
+	
+	test.it('completes interrupted transactions when requesting the filesystem again', async function() {
+		var o = await env.open(),
+			$ = o.$,
+			oBackend = $.filesystem.memoryBackend(),
+			oProto = $.filesystem.Transaction.prototype,
+			fnApply = oProto._apply, fnUndo = oProto._undo, fnClose = oProto._close,
+			oFileSystem = await new $.filesystem({ backend : oBackend }).requestFS($.filesystem.TEMPORARY, 0),
+			iSteps = 0;
+		await oFileSystem.mkdirp('docs');
+		await oFileSystem.writeFile('a.txt', 'A');
+		
+		// the page is closed on the second step
+		oProto._apply = function(oStep) {
+			return ++iSteps === 2 ? $.Deferred().reject(new Error('closed')) : fnApply.call(this, oStep);
+		};
+		oProto._undo = oProto._close = function() { return $.Deferred().resolve(); };
+		try {
+			await assert.rejects(async function() {
+				await oFileSystem.transaction(function(oTransaction) {
+					oTransaction.write('/a.txt', 'replayed');
+					oTransaction.move('/docs', '/docs2');
+				});
+			});
+		}
+		finally {
+			oProto._apply = fnApply;
+			oProto._undo = fnUndo;
+			oProto._close = fnClose;
+		}
+		assert.strictEqual((await oFileSystem.readdir('/.transactions')).length, 1);
+		
+		oFileSystem = await new $.filesystem({ backend : oBackend }).requestFS($.filesystem.TEMPORARY, 0);
+		assert.deepStrictEqual(await tree(oFileSystem), [ '/a.txt', '/docs2' ]);
+		assert.strictEqual(await oFileSystem.readFile('a.txt'), 'replayed');
+		assert.strictEqual((await oFileSystem.readdir('/.transactions')).length, 0);
+		o.window.close();
+	});
+});
@@ -0,0 +1,100 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	env = require('./env');
+
+/*
+ * Returns the sizes of the versions of a file, latest first
+ */
+async function sizes(oFile) {
+	return Array.from(await oFile.listVersions(), function(oVersion) { return oVersion.size; });
+}
+
+test.describe('versioning', function() {
+	
+	test.it('keeps replaced contents within limits', async function() {
+		var o = await env.open(),
+			oFile, aVersions;
+		o.fs.versioning = { maxVersions : 3 };
+		await o.fs.mkdirp('docs');
+		oFile = await o.fs.writeFile('docs/a.txt', 'v1');
+		await oFile.write('v2');
+		await oFile.append('+');
+		await oFile.truncate(1);
+		await oFile.write('v5');
+		assert.deepStrictEqual(await sizes(oFile), [ 1, 3, 2 ]);
+		
+		aVersions = await oFile.listVersions();
+		await oFile.restoreVersion(aVersions[2].id);
+		assert.strictEqual(await o.fs.readFile('docs/a.txt'), 'v2');
+		await assert.rejects(async function() { await oFile.restoreVersion('nope'); }, { name : 'NotFoundError' });
+		
+		o.fs.versioning = { maxBytes : 3 };
+		await oFile.write('zz');
+		assert.deepStrictEqual(await sizes(oFile), [ 2 ]);
+		
+		o.fs.versioning = null;
+		await oFile.write('q');
+		assert.deepStrictEqual(await sizes(oFile), [ 2 ]);
+		o.window.close();
+	});
+	
+	test.it('keeps removed files and overwritten destinations', async function() {
+		var o = await env.open(),
+			oFile;
+		o.fs.versioning = {};
+		oFile = await o.fs.writeFile('a.txt', 'a');
+		await o.fs.writeFile('b.txt', 'bb');
+		await (await o.fs.getEntry('b.txt')).moveTo(o.fs.root, 'a.txt', { conflict : 'overwrite' });
+		assert.deepStrictEqual(await sizes(oFile), [ 1 ]);
+		await o.fs.rm('a.txt');
+		assert.deepStrictEqual(await sizes(oFile), [ 2, 1 ]);
+		o.window.close();
+	});
+	
+	test.it('snapshots and restores directories', async function() {
+		var o = await env.open(),
+			oDir = await o.fs.mkdirp('docs/sub');
+		oDir = await o.fs.getEntry('docs');
+		await o.fs.writeFile('docs/b.txt', 'B');
+		await o.fs.writeFile('docs/sub/c.txt', 'C');
+		
+		assert.strictEqual((await oDir.snapshot('before edit')).label, 'before edit');
+		await assert.rejects(async function() { await oDir.snapshot('before edit'); }, { name : 'AlreadyExistsError' });
+		await o.fs.writeFile('docs/b.txt', 'changed');
+		await o.fs.rm('docs/sub', { recursive : true });
+		await o.fs.writeFile('docs/new.txt', 'N');
+		await oDir.snapshot('two');
+		assert.deepStrictEqual(Array.from(await oDir.snapshots(), function(oSnapshot) { return oSnapshot.label; }), [ 'before edit', 'two' ]);
+		
+		await oDir.restoreSnapshot('before edit');
+		assert.deepStrictEqual(Array.from(await o.fs.readdir('docs')).sort(), [ 'b.txt', 'sub' ]);
+		assert.strictEqual(await o.fs.readFile('docs/b.txt'), 'B');
+		assert.strictEqual(await o.fs.readFile('docs/sub/c.txt'), 'C');
+		await assert.rejects(async function() { await oDir.restoreSnapshot('x'); }, { name : 'NotFoundError' });
+		
+		await oDir.deleteSnapshot('two');
+		assert.strictEqual((await oDir.snapshots()).length, 1);
+		o.window.close();
+	});
+	
+	test.it('leaves the files of the plugin out', async function() {
+		var o = await env.open(),
+			aChanges = [],
+			oFile;
+		o.fs.versioning = {};
+		o.fs.on('created modified removed moved', function(oEvent, oChange) { aChanges.push(oChange.type + ' ' + oChange.path); });
+		oFile = await o.fs.writeFile('a.txt', 'a');
+		await oFile.write('b');
+		await (await (await o.fs.openDatabase('db')).collection('c')).put({ _id : 'x', a : 1 });
+		await (await (await o.fs.openDatabase('db')).collection('c')).put({ _id : 'x', a : 2 });
+		await o.fs.mkdirp('ws/.sync');
+		oFile = await o.fs.writeFile('ws/.sync/state.json', '{}');
+		await oFile.write('{ }');
+		
+		assert.strictEqual((await oFile.listVersions()).length, 0);
+		assert.deepStrictEqual(Array.from(await o.fs.readdir('/.versions')), [ 'files' ]);
+		assert.strictEqual((await o.fs.readdir('/.versions/files')).length, 1);
+		assert.deepStrictEqual(aChanges.filter(function(sChange) { return ! / \/(ws|a\.txt)/.test(sChange); }), []);
+		o.window.close();
+	});
+});
@@ -0,0 +1,186 @@
+var test = require('node:test'),
+	assert = require('node:assert'),
+	fs = require('fs'),
+	path = require('path'),
+	zlib = require('zlib'),
+	env = require('./env');
+
+var CHUNK_SIZE = 1024 * 1024;	// ZIP_CHUNK_SIZE of the plugin
+
+/*
+ * Returns iSize pseudo random bytes, repeating with a period of iPeriod when given
+ */
+function bytes(iSize, iPeriod) {
+	var oBytes = Buffer.alloc(iSize), iSeed = iSize;
+	for (var i = 0 ; i < iSize ; ++i) {
+		iSeed = (iSeed * 1103515245 + 12345) & 0x7FFFFFFF;
+		oBytes[i] = iPeriod && i >= iPeriod ? oBytes[i - iPeriod] : iSeed >> 16;
+	}
+	return oBytes;
+}
+
+/*
+ * Returns the CRC-32 of a Buffer
+ */
+function crc32(oBytes) {
+	var iCRC = -1;
+	for (var i = 0 ; i < oBytes.length ; ++i) {
+		iCRC ^= oBytes[i];
+		for (var j = 0 ; j < 8 ; ++j)
+			iCRC = (iCRC >>> 1) ^ (iCRC & 1 ? 0xEDB88320 : 0);
+	}
+	return (iCRC ^ -1) >>> 0;
+}
+
+/*
+ * Reads a ZIP archive with the central directory and zlib, returns its entries indexed by name
+ */
+function unzip(oZip) {
+	
+	var iEnd = oZip.lastIndexOf(Buffer.from([ 0x50, 0x4B, 0x05, 0x06 ])),
+		iCount = oZip.readUInt16LE(iEnd + 10),
+		iOffset = oZip.readUInt32LE(iEnd + 16),
+		oEntries = {};
+	
+	for (var i = 0 ; i < iCount ; ++i) {
+		
+		assert.strictEqual(oZip.readUInt32LE(iOffset), 0x02014B50);
+		
+		var iMethod = oZip.readUInt16LE(iOffset + 10),
+			iCompressed = oZip.readUInt32LE(iOffset + 20),
+			iNameLength = oZip.readUInt16LE(iOffset + 28),
+			iLocal = oZip.readUInt32LE(iOffset + 42),
+			sName = oZip.toString('utf8', iOffset + 46, iOffset + 46 + iNameLength),
+			iData = iLocal + 30 + oZip.readUInt16LE(iLocal + 26) + oZip.readUInt16LE(iLocal + 28),
+			oData = oZip.subarray(iData, iData + iCompressed);
+		
+		oEntries[sName] = {
+			method : iMethod,
+			crc : oZip.readUInt32LE(iOffset + 16),
+			compressedSize : iCompressed,
+			size : oZip.readUInt32LE(iOffset + 24),
+			data : iMethod === 8 ? zlib.inflateRawSync(oData) : oData
+		};
+		iOffset += 46 + iNameLength + oZip.readUInt16LE(iOffset + 30) + oZip.readUInt16LE(iOffset + 32);
+	}
+	
+	return oEntries;
+}
+
+/*
+ * Writes the given contents below a new directory, returns the directory
+ */
+async function populate(o, sDir, oFiles) {
+	await o.fs.mkdirp(sDir);
+	for (var sName in oFiles) {
+		await o.fs.mkdirp(path.posix.join(sDir, path.posix.dirname(sName)));
+		await o.fs.writeFile(path.posix.join(sDir, sName), new o.window.Blob([ oFiles[sName] ]));
+	}
+	return o.fs.getEntry(sDir);
+}
+
+test.describe('ZIP archives', function() {
+	
+	test.it('deflate what zlib inflates, and read them back', async function() {
+		var o = await env.open(),
+			oFiles = {
+				'empty.txt' : Buffer.alloc(0),
+				'single.txt' : Buffer.from('a'),
+				'run.txt' : Buffer.alloc(10000, 'a'),
+				'text/lines.txt' : Buffer.from(Array.from({ length : 5000 }, function(v, i) { return 'line ' + (i % 97) + ' of some repetitive text\n'; }).join('')),
+				'random/ünï.bin' : bytes(3000)
+			},
+			oDir = await populate(o, 'ws', oFiles),
+			oEntries, oRestore;
+		
+		await o.fs.mkdirp('ws/empty');
+		oEntries = unzip(await env.bytes(o.window, await oDir.exportZip()));
+		
+		assert.deepStrictEqual(Object.keys(oEntries).sort(), [ 'empty.txt', 'empty/', 'random/', 'random/ünï.bin', 'run.txt', 'single.txt', 'text/', 'text/lines.txt' ]);
+		for (var sName in oFiles) {
+			assert.ok(oEntries[sName].data.equals(oFiles[sName]), sName);
+			assert.strictEqual(oEntries[sName].crc, crc32(oFiles[sName]), sName);
+		}
+		assert.strictEqual(oEntries['text/lines.txt'].method, 8);
+		assert.ok(oEntries['text/lines.txt'].compressedSize < oEntries['text/lines.txt'].size / 20);
+		assert.ok(oEntries['run.txt'].compressedSize < 100);
+		
+		oRestore = await o.fs.mkdirp('restore');
+		await oRestore.importZip(await oDir.exportZip());
+		for (var sName in oFiles)
+			assert.ok(Buffer.from(await o.fs.readFile(path.posix.join('restore', sName), { as : 'arraybuffer' })).equals(oFiles[sName]), sName);
+		assert.strictEqual((await o.fs.stat('restore/empty')).isDirectory, true);
+		o.window.close();
+	});
+	
+	test.it('deflate files around chunk boundaries', async function() {
+		var o = await env.open(),
+			oFiles = {
+				'below.bin' : bytes(CHUNK_SIZE - 1, 997),
+				'at.bin' : bytes(CHUNK_SIZE, 997),
+				'above.bin' : bytes(CHUNK_SIZE + 1, 997),
+				'runs.bin' : Buffer.concat([ bytes(CHUNK_SIZE - 100), Buffer.alloc(1000, 'b') ])
+			},
+			oDir = await populate(o, 'ws', oFiles),
+			oZip = await oDir.exportZip(),
+			oEntries = unzip(await env.bytes(o.window, oZip));
+		
+		for (var sName in oFiles) {
+			assert.ok(oEntries[sName].data.equals(oFiles[sName]), sName);
+			assert.strictEqual(oEntries[sName].crc, crc32(oFiles[sName]), sName);
+		}
+		assert.ok(oEntries['at.bin'].compressedSize < CHUNK_SIZE / 50);
+		
+		await (await o.fs.mkdirp('restore')).importZip(oZip);
+		for (var sName in oFiles)
+			assert.ok(Buffer.from(await o.fs.readFile('restore/' + sName, { as : 'arraybuffer' })).equals(oFiles[sName]), sName);
+		o.window.close();
+	});
+	
+	test.it('import archives made by Info-ZIP', async function() {
+		var o = await env.open(),
+			oZip = fs.readFileSync(path.join(__dirname, 'fixtures', 'info-zip.zip')),
+			oEntries = unzip(oZip),
+			aImported = await o.fs.root.importZip(new o.window.Blob([ oZip ]));
+		
+		assert.deepStrictEqual(Array.from(aImported, function(oEntry) { return oEntry.fullPath; }).sort(), [ '/dir/lines.txt', '/dir/sub/stored.txt' ]);
+		assert.strictEqual(await o.fs.readFile('dir/lines.txt'), oEntries['dir/lines.txt'].data.toString());
+		assert.strictEqual(await o.fs.readFile('dir/sub/stored.txt'), 'stored as is\n');
+		assert.strictEqual((await o.fs.stat('dir/lines.txt')).size, 63790);
+		o.window.close();
+	});
+	
+	test.it('reject archives needing ZIP64 records', async function() {
+		var o = await env.open(),
+			oDir = await populate(o, 'z', { 'a.txt' : Buffer.from('aaaa') }),
+			oFileProto = Object.getPrototypeOf(await o.fs.getEntry('z/a.txt')),
+			fnAsFile = oFileProto.asFile,
+			oEnd = Buffer.alloc(22);
+		
+		// an entry count at ZIP_MAX_ENTRIES
+		oDir.walk = function() { return o.$.Deferred().resolve(new Array(0xFFFF)); };
+		await assert.rejects(async function() { await oDir.exportZip(); }, { name : 'EncodingError', message : /65535 entries, ZIP64 is not supported/ });
+		delete oDir.walk;
+		
+		// a file size at ZIP_MAX_SIZE
+		oFileProto.asFile = function() {
+			return fnAsFile.call(this).then(function(oFile) { return { size : 0xFFFFFFFF, slice : oFile.slice.bind(oFile) }; });
+		};
+		try {
+			await assert.rejects(async function() { await oDir.exportZip(); }, { name : 'EncodingError', message : /reaches 4 GiB, ZIP64 is not supported/ });
+		}
+		finally {
+			oFileProto.asFile = fnAsFile;
+		}
+		assert.ok((await oDir.exportZip()).size > 0);
+		
+		// an end of central directory record pointing to ZIP64 records
+		oEnd.writeUInt32LE(0x06054B50, 0);
+		oEnd.writeUInt16LE(0xFFFF, 8);
+		oEnd.writeUInt16LE(0xFFFF, 10);
+		oEnd.writeUInt32LE(0xFFFFFFFF, 12);
+		oEnd.writeUInt32LE(0xFFFFFFFF, 16);
+		await assert.rejects(async function() { await oDir.importZip(new o.window.Blob([ oEnd ])); }, { name : 'EncodingError', message : /ZIP64 archives are not supported/ });
+		o.window.close();
+	});
+});